@@ -10,9 +10,9 @@
 
 require('dotenv').config();
 const fetch = require('node-fetch');
+const tookanClient = require('./server/services/tookanClient');
 
 const API_KEY = process.env.TOOKAN_API_KEY;
-const TOOKAN_API_BASE = 'https://api.tookanapp.com/v2';
 
 if (!API_KEY) {
   console.error('❌ Error: TOOKAN_API_KEY not found in environment variables');
@@ -76,33 +76,14 @@ async function addMerchant(merchantData) {
   try {
     console.log(`\n📦 Adding merchant: ${merchantData.name}...`);
     
-    // Tookan customer/add API requires: api_key, user_type: 0, name, phone
-    const payload = {
-      api_key: API_KEY,
+    // Tookan customer/add API requires: api_key (added by the client), user_type: 0, name, phone
+    const data = await tookanClient.addCustomer({
       user_type: 0, // Required: 0 for customer/merchant
       name: merchantData.name.trim(),
       phone: merchantData.phone.trim()
-    };
-
-    const response = await fetch(`${TOOKAN_API_BASE}/customer/add`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload),
     });
 
-    const textResponse = await response.text();
-    let data;
-
-    try {
-      data = JSON.parse(textResponse);
-    } catch (parseError) {
-      console.error(`❌ Failed to parse response: ${textResponse.substring(0, 200)}`);
-      return null;
-    }
-
-    if (data.status === 200) {
+    if (tookanClient.isSuccess(data)) {
       const vendorId = data.data?.vendor_id || data.data?.data?.vendor_id || data.data?.customer_id || data.data?.id;
       console.log(`✅ Merchant added successfully!`);
       console.log(`   Name: ${merchantData.name}`);
@@ -196,7 +177,7 @@ async function main() {
   console.log('TOOKAN MERCHANTS & AGENTS SETUP SCRIPT');
   console.log('='.repeat(60));
   console.log(`API Key: ${API_KEY.substring(0, 10)}...`);
-  console.log(`Tookan API Base: ${TOOKAN_API_BASE}`);
+  console.log(`Tookan API Base: ${tookanClient.TOOKAN_API_BASE}`);
   console.log('='.repeat(60));
 
   const successfulMerchants = [];
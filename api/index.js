@@ -55,8 +55,10 @@ function getApp() {
     // Middleware
     app.use(cors());
     // app.use(killSwitch); // KILLSWITCH DISABLED
+    // Raised body limit so EDI bulk uploads (up to 500 orders) fit in one request
     // Keep raw body for webhook signature verification
     app.use(express.json({
+      limit: '5mb',
       verify: (req, res, buf) => {
         req.rawBody = buf;
       }
@@ -160,6 +162,12 @@ function getApp() {
     // For Vercel, we'll include the essential routes inline
     // Note: merchantPlans legacy model removed in favor of plansModel
     const plansModel = require('../server/db/models/plans');
+    const tookanClient = require('../server/services/tookanClient');
+    const { verifyTookanWebhook, respondDuplicate } = require('../server/middleware/tookanWebhookAuth');
+    const webhookEventsModel = require('../server/db/models/webhookEvents');
+    const webhookHandlers = require('../server/services/webhookHandlers');
+    const webhookProcessor = require('../server/webhookProcessor');
+    const customerSyncService = require('../server/services/customerSyncService');
 
     // ===== INLINE USER MANAGEMENT HELPERS (avoid module import conflicts on Vercel) =====
 
@@ -412,14 +420,6 @@ function getApp() {
       }
     };
 
-    const getApiKey = () => {
-      const apiKey = process.env.TOOKAN_API_KEY;
-      if (!apiKey) {
-        throw new Error('TOOKAN_API_KEY not configured in environment variables');
-      }
-      return apiKey;
-    };
-
     const getWebhookSecret = () => process.env.TOOKAN_WEBHOOK_SECRET || '';
 
     const normalizeTags = (tags) => {
@@ -463,20 +463,8 @@ function getApp() {
     };
 
     const fetchFleetsFromTookan = async () => {
-      const apiKey = getApiKey();
-      const response = await fetch('https://api.tookanapp.com/v2/get_all_fleets', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ api_key: apiKey })
-      });
-      const text = await response.text();
-      let data;
-      try {
-        data = JSON.parse(text);
-      } catch (e) {
-        throw new Error('Failed to parse Tookan fleets response');
-      }
-      if (!response.ok || (data.status !== 200 && data.status !== 1)) {
+      const data = await tookanClient.getAllFleets();
+      if (data.status !== 200 && data.status !== 1) {
         throw new Error(data.message || 'Failed to fetch fleets');
       }
       return data.data || [];
@@ -1112,12 +1100,6 @@ function getApp() {
     // ── Tookan Fleet Wallet Transaction Proxy ──
     app.post('/api/tookan/driver-wallet/transaction', async (req, res) => {
       try {
-        const TOOKAN_API_KEY = process.env.TOOKAN_API_KEY;
-        if (!TOOKAN_API_KEY) {
-          console.error('[WALLET TX] Missing TOOKAN_API_KEY');
-          return res.status(500).json({ status: 'error', message: 'Server configuration error' });
-        }
-
         const { fleet_id, amount, description } = req.body;
 
         if (!fleet_id || amount === undefined || amount === null) {
@@ -1125,7 +1107,6 @@ function getApp() {
         }
 
         const payload = {
-          api_key: TOOKAN_API_KEY,
           fleet_id: Number(fleet_id),
           amount: Number(amount),
           transaction_type: 2,
@@ -1135,13 +1116,7 @@ function getApp() {
 
         console.log('[WALLET TX] Calling Tookan create_transaction:', { fleet_id, amount, description });
 
-        const response = await fetch('https://api.tookanapp.com/v2/fleet/wallet/create_transaction', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload)
-        });
-
-        const data = await response.json();
+        const data = await tookanClient.createFleetWalletTransaction(payload);
 
         if (data.status === 200) {
           console.log('[WALLET TX] Success:', data);
@@ -1422,29 +1397,16 @@ function getApp() {
           return res.status(400).json({ status: 'error', message: 'fleet_id is required' });
         }
 
-        const tookanApiKey = process.env.TOOKAN_API_KEY;
-        if (!tookanApiKey) {
-          return res.status(500).json({ status: 'error', message: 'Tookan API key not configured' });
-        }
-
         const endDate = new Date().toISOString().split('T')[0];
         const startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
 
-        const tookanFetch = await import('node-fetch').then(m => m.default).catch(() => require('node-fetch'));
-        const response = await tookanFetch('https://api.tookanapp.com/v2/fleet/wallet/read_transaction_history', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            api_key: tookanApiKey,
-            fleet_id: parseInt(fleet_id),
-            wallet_type: 1,
-            starting_date: startDate,
-            ending_date: endDate
-          })
+        const data = await tookanClient.readFleetWalletTransactionHistory({
+          fleet_id: parseInt(fleet_id),
+          wallet_type: 1,
+          starting_date: startDate,
+          ending_date: endDate
         });
 
-        const data = await response.json();
-
         if (data.status !== 200) {
           return res.status(500).json({ status: 'error', message: data.message || 'Failed to fetch transaction history' });
         }
@@ -1473,33 +1435,21 @@ function getApp() {
           return res.status(400).json({ status: 'error', message: 'fleet_ids array is required' });
         }
 
-        const tookanApiKey = process.env.TOOKAN_API_KEY;
-        if (!tookanApiKey) {
-          return res.status(500).json({ status: 'error', message: 'Tookan API key not configured' });
-        }
-
         const endDate = new Date().toISOString().split('T')[0];
         const startDate = new Date(Date.now() - 1 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
 
-        const tookanFetch = await import('node-fetch').then(m => m.default).catch(() => require('node-fetch'));
         const CONCURRENCY = 5;
         const balances = {};
         for (let i = 0; i < fleet_ids.length; i += CONCURRENCY) {
           const batch = fleet_ids.slice(i, i + CONCURRENCY);
           const results = await Promise.allSettled(
             batch.map(async (fid) => {
-              const response = await tookanFetch('https://api.tookanapp.com/v2/fleet/wallet/read_transaction_history', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  api_key: tookanApiKey,
-                  fleet_id: parseInt(fid),
-                  wallet_type: 1,
-                  starting_date: startDate,
-                  ending_date: endDate
-                })
+              const data = await tookanClient.readFleetWalletTransactionHistory({
+                fleet_id: parseInt(fid),
+                wallet_type: 1,
+                starting_date: startDate,
+                ending_date: endDate
               });
-              const data = await response.json();
               if (data.status === 200 && data.data?.wallet_balance) {
                 const wb = data.data.wallet_balance.find(w => w.wallet_type === 1);
                 return { fleet_id: fid, balance: wb?.wallet_balance || 0 };
@@ -1529,26 +1479,13 @@ function getApp() {
           return res.status(400).json({ status: 'error', message: 'vendor_ids array is required' });
         }
 
-        const tookanApiKey = process.env.TOOKAN_API_KEY;
-        if (!tookanApiKey) {
-          return res.status(500).json({ status: 'error', message: 'Tookan API key not configured' });
-        }
-
-        const tookanFetch = await import('node-fetch').then(m => m.default).catch(() => require('node-fetch'));
-        const response = await tookanFetch('https://api.tookanapp.com/v2/fetch_customers_wallet', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            api_key: tookanApiKey,
-            vendor_ids: vendor_ids.map(id => parseInt(id)),
-            is_pagination: 1,
-            off_set: 0,
-            limit: vendor_ids.length + 10
-          })
+        const data = await tookanClient.fetchCustomersWallet({
+          vendor_ids: vendor_ids.map(id => parseInt(id)),
+          is_pagination: 1,
+          off_set: 0,
+          limit: vendor_ids.length + 10
         });
 
-        const data = await response.json();
-
         if (data.status !== 200) {
           return res.status(500).json({ status: 'error', message: data.message || 'Failed to fetch merchant wallets' });
         }
@@ -1664,250 +1601,78 @@ function getApp() {
     });
 
     // Tookan Webhook endpoint
-    app.post('/api/tookan/webhook', async (req, res) => {
-      try {
-        // Optional signature verification when shared secret is set
-        const webhookSecret = process.env.TOOKAN_WEBHOOK_SECRET;
-        if (webhookSecret) {
-          const receivedSig = req.headers['x-tookan-signature'] || req.headers['x-hook-signature'] || req.headers['x-webhook-signature'];
-          if (!receivedSig) {
-            return res.status(401).json({ status: 'error', message: 'Missing webhook signature' });
-          }
-
-          const payload = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body || {});
-          const expectedSig = crypto.createHmac('sha256', webhookSecret).update(payload).digest('hex');
-
-          const expectedBuf = Buffer.from(expectedSig);
-          const receivedBuf = Buffer.from(receivedSig);
-          if (expectedBuf.length !== receivedBuf.length || !crypto.timingSafeEqual(expectedBuf, receivedBuf)) {
-            return res.status(401).json({ status: 'error', message: 'Invalid webhook signature' });
-          }
-        }
-
-        console.log('Webhook received:', JSON.stringify(req.body, null, 2));
-
-        const {
-          job_id,
-          event_type,
-          job_status,
-          fleet_id,
-          fleet_name,
-          customer_id,
-          customer_username,
-          order_id,
-          job_pickup_name,
-          job_pickup_phone,
-          job_pickup_address,
-          customer_address,
-          customer_phone,
-          customer_name,
-          total_amount,
-          job_type,
-          completed_datetime,
-          acknowledged_datetime,
-          started_datetime
-        } = req.body;
-
-        // Store webhook event in Supabase
-        if (isSupabaseConfigured && supabase) {
-          // 1. Log the webhook event
-          await supabase.from('webhook_events').insert({
-            event_type: event_type || 'unknown',
-            job_id: job_id?.toString(),
-            payload: req.body,
-            status: 'processing'
+    // Shared secret, replay window and duplicate checks run in verifyTookanWebhook.
+    // Persists the event and acknowledges at once, like server/index.js; webhookProcessor
+    // applies it through the webhookHandlers registry once WEBHOOK_PROCESSING_DELAY_MS has passed
+    app.post('/api/tookan/webhook', verifyTookanWebhook, async (req, res) => {
+      const webhookData = req.body;
+      const eventType = webhookHandlers.resolveEventType(webhookData);
+      const orderId = webhookData.job_id || webhookData.order_id || webhookData.task_id || 'unknown';
+      let eventId = null;
+
+      console.log(`Webhook received: ${eventType} (Order ID: ${orderId})`);
+
+      if (isSupabaseConfigured) {
+        try {
+          const event = await webhookEventsModel.createEvent({
+            event_type: eventType,
+            job_id: orderId !== 'unknown' ? parseInt(orderId) : null,
+            payload: webhookData,
+            payload_hash: req.webhookPayloadHash,
+            next_retry_at: new Date(Date.now() + webhookProcessor.WEBHOOK_PROCESSING_DELAY_MS).toISOString()
           });
-
-          // 2. Process based on event type
-          let processedSuccessfully = true;
-          let processingNotes = '';
-
-          try {
-            switch (event_type) {
-              case 'task_completed':
-              case 'successful':
-                // Task completed - update COD tracking
-                if (job_id && total_amount) {
-                  processingNotes = `Task ${job_id} completed. COD: ${total_amount}`;
-
-                  // Log to audit
-                  await supabase.from('audit_logs').insert({
-                    action: 'TASK_COMPLETED',
-                    entity_type: 'order',
-                    entity_id: job_id?.toString(),
-                    new_value: {
-                      job_status: 'completed',
-                      total_amount,
-                      fleet_id,
-                      completed_at: completed_datetime || new Date().toISOString()
-                    },
-                    notes: `Order ${job_id} marked as completed via webhook`
-                  });
-                }
-                break;
-
-              case 'task_started':
-              case 'started':
-                processingNotes = `Task ${job_id} started by driver ${fleet_id}`;
-                await supabase.from('audit_logs').insert({
-                  action: 'TASK_STARTED',
-                  entity_type: 'order',
-                  entity_id: job_id?.toString(),
-                  new_value: {
-                    job_status: 'started',
-                    fleet_id,
-                    started_at: started_datetime || new Date().toISOString()
-                  },
-                  notes: `Order ${job_id} started by driver ${fleet_name || fleet_id}`
-                });
-                break;
-
-              case 'task_cancelled':
-              case 'cancelled':
-              case 'failed':
-                processingNotes = `Task ${job_id} cancelled/failed`;
-                await supabase.from('audit_logs').insert({
-                  action: 'TASK_CANCELLED',
-                  entity_type: 'order',
-                  entity_id: job_id?.toString(),
-                  new_value: {
-                    job_status: event_type,
-                    cancelled_at: new Date().toISOString()
-                  },
-                  notes: `Order ${job_id} was ${event_type}`
-                });
-                break;
-
-              case 'task_assigned':
-              case 'assigned':
-                processingNotes = `Task ${job_id} assigned to driver ${fleet_id}`;
-                await supabase.from('audit_logs').insert({
-                  action: 'DRIVER_ASSIGNED',
-                  entity_type: 'order',
-                  entity_id: job_id?.toString(),
-                  new_value: {
-                    fleet_id,
-                    fleet_name,
-                    assigned_at: new Date().toISOString()
-                  },
-                  notes: `Order ${job_id} assigned to ${fleet_name || fleet_id}`
-                });
-                break;
-
-              case 'task_updated':
-              case 'updated':
-                processingNotes = `Task ${job_id} updated`;
-                await supabase.from('audit_logs').insert({
-                  action: 'TASK_UPDATED',
-                  entity_type: 'order',
-                  entity_id: job_id?.toString(),
-                  new_value: req.body,
-                  notes: `Order ${job_id} updated via Tookan`
-                });
-                break;
-
-              case 'acknowledged':
-                processingNotes = `Task ${job_id} acknowledged by driver ${fleet_id}`;
-                await supabase.from('audit_logs').insert({
-                  action: 'TASK_ACKNOWLEDGED',
-                  entity_type: 'order',
-                  entity_id: job_id?.toString(),
-                  new_value: {
-                    fleet_id,
-                    acknowledged_at: acknowledged_datetime || new Date().toISOString()
-                  },
-                  notes: `Order ${job_id} acknowledged by ${fleet_name || fleet_id}`
-                });
-                break;
-
-              default:
-                processingNotes = `Unknown event type: ${event_type}`;
-            }
-          } catch (processError) {
-            processedSuccessfully = false;
-            processingNotes = `Processing error: ${processError.message}`;
-            console.error('Webhook processing error:', processError);
+          if (!event) {
+            return respondDuplicate(req, res);
           }
-
-          // 3. Update webhook event status
-          await supabase
-            .from('webhook_events')
-            .update({
-              status: processedSuccessfully ? 'processed' : 'failed',
-              processed_at: new Date().toISOString(),
-              error_message: processedSuccessfully ? null : processingNotes
-            })
-            .eq('job_id', job_id?.toString())
-            .order('created_at', { ascending: false })
-            .limit(1);
+          eventId = event.id;
+        } catch (persistError) {
+          console.error('Failed to persist webhook event:', persistError.message);
         }
+      }
 
-        res.json({
-          status: 'success',
-          message: 'Webhook received and processed',
-          data: { job_id, event_type }
-        });
-      } catch (error) {
-        console.error('Webhook error:', error);
-        res.status(500).json({
-          status: 'error',
-          message: error.message
-        });
+      // Without a stored event the worker never sees it, so process it in memory instead
+      if (!eventId) {
+        webhookProcessor.scheduleUnpersisted(webhookData);
       }
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Webhook received',
+        data: {
+          eventType: eventType,
+          orderId: orderId,
+          eventId: eventId,
+          queued: !!eventId
+        }
+      });
     });
 
     // Tookan customer webhook
+    // Same handling as server/index.js: customerSyncService syncs the customer and
+    // applies the onboarding rules to new sign-ups
     app.post('/api/webhooks/tookan/customer', async (req, res) => {
       try {
         console.log('\n=== CUSTOMER WEBHOOK RECEIVED (VERCEL) ===');
-        console.log('Body:', JSON.stringify(req.body, null, 2));
 
-        const payload = req.body || {};
-
-        // Tookan sends the shared secret in the body as tookan_shared_secret
+        // Tookan sends the shared secret in the x-webhook-secret header or the body as tookan_shared_secret
         const expected = getWebhookSecret();
-        const bodySecret = payload.tookan_shared_secret || null;
-        if (expected && bodySecret !== expected) {
-          console.log('❌ Webhook secret mismatch. Expected:', expected, 'Got:', bodySecret);
+        const secretHeader = req.headers['x-webhook-secret'];
+        const bodySecret = req.body?.tookan_shared_secret;
+        if (expected && secretHeader !== expected && bodySecret !== expected) {
+          console.warn('Unauthorized customer webhook attempt');
           return res.status(401).json({ status: 'error', message: 'Unauthorized' });
         }
 
-        // Tookan uses customer_id, we map it to vendor_id in our database
-        const customerId = payload.customer_id || payload.vendor_id || payload.id || payload.user_id;
-
-        console.log('Extracted customer ID:', customerId);
-
-        if (!customerId) {
-          console.log('❌ No customer ID found in payload');
-          return res.status(400).json({ status: 'error', message: 'vendor_id is required' });
-        }
-
-        if (!isSupabaseConfigured || !supabase) {
-          console.log('❌ Supabase not configured');
-          return res.status(500).json({ status: 'error', message: 'Supabase not configured' });
-        }
-
-        const record = {
-          vendor_id: parseInt(customerId),
-          customer_name: payload.customer_name || payload.name || payload.first_name || '',
-          customer_phone: payload.customer_phone || payload.phone || '',
-          customer_address: payload.customer_address || payload.address || '',
-          customer_email: payload.customer_email || payload.email || ''
-        };
-
-        console.log('Upserting record:', JSON.stringify(record, null, 2));
-
-        const { error } = await supabase
-          .from('customers')
-          .upsert(record, { onConflict: 'vendor_id' });
+        const payload = req.body || {};
+        console.log('Payload keys:', Object.keys(payload));
 
-        if (error) {
-          console.error('Supabase upsert error:', error);
-          throw error;
-        }
+        const result = await customerSyncService.handleCustomerWebhook(payload);
 
-        console.log(`✅ Customer ${customerId} synced via webhook (Vercel)`);
-        res.json({ status: 'success', message: 'Customer synced', customer_id: customerId });
+        res.status(200).json({
+          status: 'success',
+          message: 'Customer webhook processed',
+          data: result
+        });
       } catch (error) {
         console.error('Customer webhook error (Vercel):', error);
         res.status(500).json({ status: 'error', message: error.message });
@@ -1973,20 +1738,7 @@ function getApp() {
     // GET Agents from database (serverless) - UPDATED TO PROXY TOOKAN API
     app.get('/api/agents', authenticate, async (req, res) => {
       try {
-        const apiKey = getApiKey();
-        if (!apiKey) {
-          return res.status(500).json({ status: 'error', message: 'Tookan API Key not configured' });
-        }
-
-        const response = await fetch('https://api.tookanapp.com/v2/get_all_fleets', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            api_key: apiKey
-          })
-        });
-
-        const result = await response.json();
+        const result = await tookanClient.getAllFleets();
 
         if (result.status !== 200) {
           return res.status(result.status === 401 ? 401 : 500).json({
@@ -2353,13 +2105,7 @@ function getApp() {
     // Get all fleets (drivers)
     app.get('/api/tookan/fleets', async (req, res) => {
       try {
-        const apiKey = getApiKey();
-        const response = await fetch('https://api.tookanapp.com/v2/get_all_fleets', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ api_key: apiKey })
-        });
-        const data = await response.json();
+        const data = await tookanClient.getAllFleets();
 
         // Ensure fleets is always an array
         const fleets = Array.isArray(data.data) ? data.data :
@@ -2494,46 +2240,20 @@ function getApp() {
 
         // Fallback to Tookan API if cache miss
         if (orders.length === 0) {
-          const apiKey = getApiKey();
-
-          // Fetch with retry logic
-          const fetchWithRetry = async (url, options, retries = 3) => {
-            for (let attempt = 1; attempt <= retries; attempt++) {
-              try {
-                return await fetch(url, options);
-              } catch (error) {
-                if (error.message.includes('SSL') || error.message.includes('ECONNRESET')) {
-                  if (attempt < retries) {
-                    await new Promise(r => setTimeout(r, 1000 * attempt));
-                    continue;
-                  }
-                }
-                throw error;
-              }
-            }
-          };
-
           // Fetch all job types
           const jobTypes = [0, 1, 2, 3];
           const allTasks = [];
 
           for (const jobType of jobTypes) {
             try {
-              const response = await fetchWithRetry('https://api.tookanapp.com/v2/get_all_tasks', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  api_key: apiKey,
-                  job_type: jobType,
-                  job_status: '0,1,2,3,4,5,6,7,8,9',
-                  start_date: startDate,
-                  end_date: endDate,
-                  limit: parseInt(limit),
-                  custom_fields: 1
-                })
+              const data = await tookanClient.getAllTasks({
+                job_type: jobType,
+                job_status: '0,1,2,3,4,5,6,7,8,9',
+                start_date: startDate,
+                end_date: endDate,
+                limit: parseInt(limit),
+                custom_fields: 1
               });
-
-              const data = await response.json();
               if (data.status === 200 || data.status === 1) {
                 const tasks = Array.isArray(data.data) ? data.data : [];
                 allTasks.push(...tasks);
@@ -2583,35 +2303,19 @@ function getApp() {
     // Analytics endpoint
     app.get('/api/reports/analytics', async (req, res) => {
       try {
-        const apiKey = getApiKey();
-
         // Fetch data from Tookan - always use get_all_customers for consistency
         // NOTE: We use small task limits here because RPC provides accurate totals
         // Tasks are only used for charts/trends which only need recent data
         // Fetch data from Tookan - only fleets and tasks
         // NOTE: Customers now come from Supabase
-        const [fleetsRes, tasksRes] = await Promise.all([
-          fetch('https://api.tookanapp.com/v2/get_all_fleets', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ api_key: apiKey })
-          }),
-          fetch('https://api.tookanapp.com/v2/get_all_tasks', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              api_key: apiKey,
-              job_type: 1, // Delivery only for charts
-              job_status: '0,1,2,3,4,5,6,7,8,9',
-              limit: 100, // Small limit - RPC provides accurate totals
-              custom_fields: 1
-            })
-          })
-        ]);
-
         const [fleetsData, tasksData] = await Promise.all([
-          fleetsRes.json(),
-          tasksRes.json()
+          tookanClient.getAllFleets(),
+          tookanClient.getAllTasks({
+            job_type: 1, // Delivery only for charts
+            job_status: '0,1,2,3,4,5,6,7,8,9',
+            limit: 100, // Small limit - RPC provides accurate totals
+            custom_fields: 1
+          })
         ]);
 
         // Ensure data is always an array
@@ -2736,24 +2440,16 @@ function getApp() {
     // Wallet management requires permission
     app.post('/api/tookan/customer-wallet/payment', authenticate, requirePermission('panel_financial'), async (req, res) => {
       try {
-        const apiKey = getApiKey();
         const { vendor_id, amount, description, transaction_type } = req.body;
 
         // Negative amount for debit, positive for credit
         const finalAmount = transaction_type === 'debit' ? -Math.abs(amount) : Math.abs(amount);
 
-        const response = await fetch('https://api.tookanapp.com/v2/addCustomerPaymentViaDashboard', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            api_key: apiKey,
-            vendor_id: vendor_id,
-            amount: finalAmount,
-            description: description || 'Payment from dashboard'
-          })
+        const data = await tookanClient.addCustomerPaymentViaDashboard({
+          vendor_id: vendor_id,
+          amount: finalAmount,
+          description: description || 'Payment from dashboard'
         });
-
-        const data = await response.json();
         res.json({
           status: data.status === 200 ? 'success' : 'error',
           message: data.message || 'Payment processed',
@@ -2771,21 +2467,13 @@ function getApp() {
     // Fetch customer wallets
     app.get('/api/customers/wallets', async (req, res) => {
       try {
-        const apiKey = getApiKey();
         const { limit = 50, offset = 0 } = req.query;
 
-        const response = await fetch('https://api.tookanapp.com/v2/fetch_customers_wallet', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            api_key: apiKey,
-            is_pagination: 1,
-            off_set: parseInt(offset),
-            limit: parseInt(limit)
-          })
+        const data = await tookanClient.fetchCustomersWallet({
+          is_pagination: 1,
+          off_set: parseInt(offset),
+          limit: parseInt(limit)
         });
-
-        const data = await response.json();
         res.json({
           status: data.status === 200 ? 'success' : 'error',
           message: data.message || 'Wallets fetched',
@@ -2804,26 +2492,18 @@ function getApp() {
     // Driver wallet management requires permission
     app.post('/api/tookan/driver-wallet/transaction', authenticate, requirePermission('panel_financial'), async (req, res) => {
       try {
-        const apiKey = getApiKey();
         const { fleet_id, amount, description, transaction_type } = req.body;
 
         const tookanTransactionType = transaction_type === 'debit' ? 1 : 2;
         const finalAmount = Math.abs(amount); // Always positive; transaction_type handles debit/credit
 
-        const response = await fetch('https://api.tookanapp.com/v2/fleet/wallet/create_transaction', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            api_key: apiKey,
-            fleet_id: fleet_id,
-            amount: finalAmount,
-            description: description,
-            transaction_type: tookanTransactionType,
-            wallet_type: 1
-          })
+        const data = await tookanClient.createFleetWalletTransaction({
+          fleet_id: fleet_id,
+          amount: finalAmount,
+          description: description,
+          transaction_type: tookanTransactionType,
+          wallet_type: 1
         });
-
-        const data = await response.json();
         res.json({
           status: data.status === 200 ? 'success' : 'error',
           message: data.message || 'Transaction processed',
@@ -2855,7 +2535,6 @@ function getApp() {
           });
         }
 
-        const apiKey = getApiKey();
         let tookanUser = null;
         let userType = null;
         let supabaseAuthError = null;
@@ -2960,31 +2639,14 @@ function getApp() {
 
         // First, try to find user in Tookan Agents/Fleets (Drivers)
         try {
-          const fleetPayload = { api_key: apiKey };
-
-          let fleetResponse = await fetch('https://api.tookanapp.com/v2/get_all_agents', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(fleetPayload),
-          });
-
-          if (!fleetResponse.ok) {
-            fleetResponse = await fetch('https://api.tookanapp.com/v2/get_all_fleets', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify(fleetPayload),
-            });
-          }
-
-          const fleetTextResponse = await fleetResponse.text();
           let fleetData;
           try {
-            fleetData = JSON.parse(fleetTextResponse);
-          } catch (parseError) {
-            console.log('Could not parse fleet response');
+            fleetData = await tookanClient.getAllAgents();
+          } catch (agentsError) {
+            fleetData = await tookanClient.getAllFleets();
           }
 
-          if (fleetResponse.ok && fleetData) {
+          if (fleetData) {
             let fleets = [];
             if (fleetData.status === 200 && Array.isArray(fleetData.data)) {
               fleets = fleetData.data;
@@ -3028,28 +2690,13 @@ function getApp() {
         // If not found in fleets, try Customers (Merchants)
         if (!tookanUser) {
           try {
-            const customerPayload = {
-              api_key: apiKey,
+            const customerData = await tookanClient.fetchCustomersWallet({
               is_pagination: 1,
               off_set: 0,
               limit: 1000
-            };
-
-            const customerResponse = await fetch('https://api.tookanapp.com/v2/fetch_customers_wallet', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify(customerPayload),
             });
 
-            const customerTextResponse = await customerResponse.text();
-            let customerData;
-            try {
-              customerData = JSON.parse(customerTextResponse);
-            } catch (parseError) {
-              console.log('Could not parse customer response');
-            }
-
-            if (customerResponse.ok && customerData) {
+            if (customerData) {
               let customers = [];
               if (customerData.status === 200 && Array.isArray(customerData.data)) {
                 customers = customerData.data;
@@ -3737,24 +3384,16 @@ function getApp() {
     // GET Daily Report
     app.get('/api/reports/daily', async (req, res) => {
       try {
-        const apiKey = getApiKey();
         const today = new Date().toISOString().split('T')[0];
 
-        const response = await fetch('https://api.tookanapp.com/v2/get_all_tasks', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            api_key: apiKey,
-            job_type: 1,
-            job_status: '0,1,2,3,4,5,6,7,8,9',
-            start_date: today,
-            end_date: today,
-            limit: 500,
-            custom_fields: 1
-          })
+        const data = await tookanClient.getAllTasks({
+          job_type: 1,
+          job_status: '0,1,2,3,4,5,6,7,8,9',
+          start_date: today,
+          end_date: today,
+          limit: 500,
+          custom_fields: 1
         });
-
-        const data = await response.json();
         const tasks = Array.isArray(data.data) ? data.data : [];
 
         res.json({
@@ -3777,27 +3416,19 @@ function getApp() {
     // GET Monthly Report
     app.get('/api/reports/monthly', async (req, res) => {
       try {
-        const apiKey = getApiKey();
         const { month } = req.query;
         const targetMonth = month || new Date().toISOString().slice(0, 7);
         const startDate = `${targetMonth}-01`;
         const endDate = `${targetMonth}-31`;
 
-        const response = await fetch('https://api.tookanapp.com/v2/get_all_tasks', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            api_key: apiKey,
-            job_type: 1,
-            job_status: '0,1,2,3,4,5,6,7,8,9',
-            start_date: startDate,
-            end_date: endDate,
-            limit: 2000,
-            custom_fields: 1
-          })
+        const data = await tookanClient.getAllTasks({
+          job_type: 1,
+          job_status: '0,1,2,3,4,5,6,7,8,9',
+          start_date: startDate,
+          end_date: endDate,
+          limit: 2000,
+          custom_fields: 1
         });
-
-        const data = await response.json();
         const tasks = Array.isArray(data.data) ? data.data : [];
 
         res.json({
@@ -3821,23 +3452,15 @@ function getApp() {
     app.post('/api/reports/orders/export', authenticate, requirePermission('panel_reports'), async (req, res) => {
       try {
         const { dateFrom, dateTo, format } = req.body;
-        const apiKey = getApiKey();
-
-        const response = await fetch('https://api.tookanapp.com/v2/get_all_tasks', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            api_key: apiKey,
-            job_type: 1,
-            job_status: '0,1,2,3,4,5,6,7,8,9',
-            start_date: dateFrom,
-            end_date: dateTo,
-            limit: 5000,
-            custom_fields: 1
-          })
-        });
 
-        const data = await response.json();
+        const data = await tookanClient.getAllTasks({
+          job_type: 1,
+          job_status: '0,1,2,3,4,5,6,7,8,9',
+          start_date: dateFrom,
+          end_date: dateTo,
+          limit: 5000,
+          custom_fields: 1
+        });
         const orders = Array.isArray(data.data) ? data.data : [];
 
         // Return data for client-side export
@@ -3858,30 +3481,17 @@ function getApp() {
     // GET COD Queue
     app.get('/api/cod/queue', async (req, res) => {
       try {
-        const apiKey = getApiKey();
-
         // Get all fleets and their pending COD
-        const fleetsRes = await fetch('https://api.tookanapp.com/v2/get_all_fleets', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ api_key: apiKey })
-        });
-        const fleetsData = await fleetsRes.json();
+        const fleetsData = await tookanClient.getAllFleets();
         const fleets = Array.isArray(fleetsData.data) ? fleetsData.data : [];
 
         // Get recent completed tasks with COD
-        const tasksRes = await fetch('https://api.tookanapp.com/v2/get_all_tasks', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            api_key: apiKey,
-            job_type: 1,
-            job_status: '2', // Completed only
-            limit: 500,
-            custom_fields: 1
-          })
+        const tasksData = await tookanClient.getAllTasks({
+          job_type: 1,
+          job_status: '2', // Completed only
+          limit: 500,
+          custom_fields: 1
         });
-        const tasksData = await tasksRes.json();
         const tasks = Array.isArray(tasksData.data) ? tasksData.data : [];
 
         // Calculate COD per driver
@@ -4056,18 +3666,10 @@ function getApp() {
     app.get('/api/tookan/order/:orderId', async (req, res) => {
       try {
         const { orderId } = req.params;
-        const apiKey = getApiKey();
-
-        const response = await fetch('https://api.tookanapp.com/v2/get_job_details', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            api_key: apiKey,
-            job_id: orderId
-          })
-        });
 
-        const data = await response.json();
+        const data = await tookanClient.getJobDetails({
+          job_id: orderId
+        });
 
         if (data.status === 200 && data.data) {
           res.json({
@@ -4091,7 +3693,6 @@ function getApp() {
         const { orderId } = req.params;
         const numericOrderId = parseInt(orderId);
         const { codAmount, orderFees, assignedDriver, notes } = req.body;
-        const apiKey = getApiKey();
 
         if (!orderId) {
           return res.status(400).json({ status: 'error', message: 'Order ID is required' });
@@ -4099,7 +3700,6 @@ function getApp() {
 
         // Build Tookan payload
         const updatePayload = {
-          api_key: apiKey,
           job_id: numericOrderId,
           custom_field_template: 'Same_day'
         };
@@ -4110,14 +3710,9 @@ function getApp() {
         if (notes !== undefined) updatePayload.job_description = notes;
         if (assignedDriver) updatePayload.fleet_id = assignedDriver;
 
-        const response = await fetch('https://api.tookanapp.com/v2/edit_task', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(updatePayload),
-        });
-        const data = await response.json();
+        const data = await tookanClient.editTask(updatePayload);
 
-        if (!response.ok || data.status !== 200) {
+        if (data.status !== 200) {
           return res.status(500).json({ status: 'error', message: data.message || 'Failed to update order' });
         }
 
@@ -4152,12 +3747,7 @@ function getApp() {
         // Optionally fetch updated task data for the response
         let updatedTaskData = {};
         try {
-          const getResponse = await fetch('https://api.tookanapp.com/v2/get_job_details', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ api_key: apiKey, job_ids: [numericOrderId], include_task_history: 0 })
-          });
-          const getData = await getResponse.json();
+          const getData = await tookanClient.getJobDetails({ job_ids: [numericOrderId], include_task_history: 0 });
           updatedTaskData = (getData.data && Array.isArray(getData.data)) ? getData.data[0] : (getData.data || {});
         } catch (fetchErr) {
           console.warn(`[ORDER UPDATE] get_job_details fetch failed:`, fetchErr.message);
@@ -4182,7 +3772,6 @@ function getApp() {
       try {
         const { orderId, originalOrderId, customerName, customerPhone, customerEmail, pickupAddress, deliveryAddress, codAmount, orderFees, assignedDriver, notes, pickupName, deliveryName } = req.body;
         const orderIdToUse = orderId || originalOrderId;
-        const apiKey = getApiKey();
 
         if (!orderIdToUse) {
           return res.status(400).json({ status: 'error', message: 'Original order ID is required' });
@@ -4303,7 +3892,6 @@ function getApp() {
         const effectiveDeliveryName = deliveryName || dbDeliveryName || orderData.customerName;
 
         const combinedPayload = {
-          api_key: apiKey,
           // Pickup fields (from merchant/warehouse)
           job_pickup_name: effectivePickupName,
           job_pickup_phone: orderData.customerPhone,
@@ -4348,13 +3936,7 @@ function getApp() {
         }
 
         console.log('Creating combined PICKUP + DELIVERY task for reorder (single API call)...');
-        const createResponse = await fetch('https://api.tookanapp.com/v2/create_task', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(combinedPayload)
-        });
-
-        const createData = await createResponse.json();
+        const createData = await tookanClient.createTask(combinedPayload);
 
         if (createData.status !== 200) {
           return res.status(500).json({
@@ -4500,7 +4082,6 @@ function getApp() {
       try {
         const { orderId, originalOrderId, customerName, customerPhone, customerEmail, pickupAddress, deliveryAddress, notes, pickupName, deliveryName } = req.body;
         const orderIdToUse = orderId || originalOrderId;
-        const apiKey = getApiKey();
 
         if (!orderIdToUse) {
           return res.status(400).json({ status: 'error', message: 'Order ID is required' });
@@ -4584,12 +4165,7 @@ function getApp() {
 
         // Only fetch from Tookan if addresses not provided OR coordinates not found
         if (!orderData.pickupAddress || !orderData.deliveryAddress || !originalCoordinatesFound) {
-          const getResponse = await fetch('https://api.tookanapp.com/v2/get_task_details', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ api_key: apiKey, job_id: orderIdToUse })
-          });
-          const originalData = await getResponse.json();
+          const originalData = await tookanClient.getTaskDetails({ job_id: orderIdToUse });
 
           if (originalData.status !== 200) {
             return res.status(404).json({ status: 'error', message: 'Original order not found' });
@@ -4677,7 +4253,6 @@ function getApp() {
         const effectiveDeliveryName = pickupName || dbReturnPickupName || orderData.customerName || 'Customer';
 
         const combinedPayload = {
-          api_key: apiKey,
           // Pickup fields (from customer location - original delivery address)
           job_pickup_name: effectivePickupName,
           job_pickup_phone: orderData.customerPhone || '',
@@ -4720,13 +4295,7 @@ function getApp() {
 
         console.log('Creating combined PICKUP + DELIVERY task for return order (single API call)...');
 
-        const createResponse = await fetch('https://api.tookanapp.com/v2/create_task', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(combinedPayload)
-        });
-
-        const createData = await createResponse.json();
+        const createData = await tookanClient.createTask(combinedPayload);
 
         if (createData.status !== 200) {
           return res.status(500).json({
@@ -4996,21 +4565,13 @@ function getApp() {
         const finalAmount = parseFloat(request.final_amount || request.requested_amount || 0);
 
         if (vendorId && finalAmount > 0) {
-          const TOOKAN_API_KEY = process.env.TOOKAN_API_KEY;
           const walletPayload = {
-            api_key: TOOKAN_API_KEY,
             vendor_id: vendorId,
             amount: -Math.abs(finalAmount), // Negative for debit
             description: `Withdrawal approved (ID: ${id})`
           };
 
-          const walletResponse = await fetch('https://api.tookanapp.com/v2/addCustomerPaymentViaDashboard', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(walletPayload)
-          });
-
-          const walletData = await walletResponse.json();
+          const walletData = await tookanClient.addCustomerPaymentViaDashboard(walletPayload);
           if (walletData.status !== 200) {
             return res.status(500).json({
               status: 'error',
@@ -5316,11 +4877,7 @@ function getApp() {
           : { data: null };
 
         // 2. Get Drivers via API
-        const fleetsRes = await fetch('https://api.tookanapp.com/v2/get_all_fleets', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ api_key: getApiKey() })
-        }).then(r => r.json()).catch(() => ({ data: [] }));
+        const fleetsRes = await tookanClient.getAllFleets().catch(() => ({ data: [] }));
         const fleets = fleetsRes.data || [];
 
         // 3. Get Customers count from Supabase
@@ -5377,11 +4934,7 @@ function getApp() {
 
         // 2. Tookan API for drivers count (lightweight - just need count)
         promises.push(
-          fetch('https://api.tookanapp.com/v2/get_all_fleets', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ api_key: getApiKey() })
-          }).then(r => r.json()).catch(() => ({ status: 200, data: [] }))
+          tookanClient.getAllFleets().catch(() => ({ status: 200, data: [] }))
         );
 
         // 3. Supabase for customers count
@@ -5618,23 +5171,14 @@ function getApp() {
         console.log('\n=== GET RELATED DELIVERY ADDRESS ===');
         console.log('Job ID:', jobId);
 
-        const apiKey = getApiKey();
-
         // Step 1: Get job details to find pickup_delivery_relationship
-        const jobDetailsResponse = await fetch('https://api.tookanapp.com/v2/get_job_details', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            api_key: apiKey,
-            job_ids: [parseInt(jobId)],
-            include_task_history: 0,
-            job_additional_info: 1,
-            include_job_report: 0
-          })
+        const jobDetailsData = await tookanClient.getJobDetails({
+          job_ids: [parseInt(jobId)],
+          include_task_history: 0,
+          job_additional_info: 1,
+          include_job_report: 0
         });
 
-        const jobDetailsData = await jobDetailsResponse.json();
-
         if (jobDetailsData.status !== 200 || !jobDetailsData.data || jobDetailsData.data.length === 0) {
           return res.json({ status: 'error', message: 'Job details not found' });
         }
@@ -5647,17 +5191,10 @@ function getApp() {
         }
 
         // Step 2: Get related tasks to find the delivery address
-        const relatedTasksResponse = await fetch('https://api.tookanapp.com/v2/get_related_tasks', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            api_key: apiKey,
-            pickup_delivery_relationship: pickupDeliveryRelationship
-          })
+        const relatedTasksData = await tookanClient.getRelatedTasks({
+          pickup_delivery_relationship: pickupDeliveryRelationship
         });
 
-        const relatedTasksData = await relatedTasksResponse.json();
-
         if (relatedTasksData.status !== 200 || !relatedTasksData.data || relatedTasksData.data.length === 0) {
           return res.json({ status: 'success', data: { hasRelatedTask: false } });
         }
@@ -5697,23 +5234,14 @@ function getApp() {
         console.log('\n=== SYNC COD AMOUNT ===');
         console.log('Job ID:', jobId);
 
-        const apiKey = await getApiKey();
-
         // Fetch job details with additional info
-        const response = await fetch('https://api.tookanapp.com/v2/get_job_details', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            api_key: apiKey,
-            job_ids: [parseInt(jobId)],
-            include_task_history: 0,
-            job_additional_info: 1,
-            include_job_report: 0
-          })
+        const data = await tookanClient.getJobDetails({
+          job_ids: [parseInt(jobId)],
+          include_task_history: 0,
+          job_additional_info: 1,
+          include_job_report: 0
         });
 
-        const data = await response.json();
-
         if (data.status !== 200 || !data.data || data.data.length === 0) {
           console.log('Job details not found');
           return res.json({ status: 'error', message: 'Job details not found' });
@@ -6050,24 +5578,10 @@ function getApp() {
         let freshTask = null;
         try {
           console.log(`🔄 Vercel Webhook: Fetching fresh details for Job ID: ${jobId}`);
-          const apiKey = getApiKey();
-          const getTaskPayload = {
-            api_key: apiKey,
-            job_id: jobId
-          };
-
-          const getResponse = await fetch('https://api.tookanapp.com/v2/get_task_details', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(getTaskPayload),
-          });
-
-          if (getResponse.ok) {
-            const getData = await getResponse.json();
-            if (getData.status === 200 && getData.data) {
-              freshTask = getData.data;
-              console.log('✅ Vercel Webhook: Fresh task details fetched');
-            }
+          const getData = await tookanClient.getTaskDetails({ job_id: jobId });
+          if (getData.status === 200 && getData.data) {
+            freshTask = getData.data;
+            console.log('✅ Vercel Webhook: Fresh task details fetched');
           }
         } catch (fetchError) {
           console.error('⚠️ Vercel Webhook: Failed to fetch fresh details:', fetchError.message);
@@ -6078,45 +5592,35 @@ function getApp() {
         let tagsFromApi = null;
         try {
           console.log(`💰 Vercel Webhook: Fetching COD amount for Job ID: ${jobId}`);
-          const apiKey = getApiKey();
-
-          const codResponse = await fetch('https://api.tookanapp.com/v2/get_job_details', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              api_key: apiKey,
-              job_ids: [parseInt(jobId)],
-              include_task_history: 0,
-              job_additional_info: 1,
-              include_job_report: 0
-            }),
+          const codData = await tookanClient.getJobDetails({
+            job_ids: [parseInt(jobId)],
+            include_task_history: 0,
+            job_additional_info: 1,
+            include_job_report: 0
           });
 
-          if (codResponse.ok) {
-            const codData = await codResponse.json();
-            if (codData.status === 200 && codData.data && codData.data.length > 0) {
-              const jobData = codData.data[0];
-              const customFields = jobData.custom_field || [];
-
-              if (Array.isArray(customFields)) {
-                const codField = customFields.find(field =>
-                  field.label === 'COD_Amount' ||
-                  field.display_name === 'CASH NEEDS TO BE COLLECTED'
-                );
-
-                if (codField && codField.data) {
-                  const codValue = parseFloat(codField.data);
-                  if (!isNaN(codValue)) {
-                    codAmountFromApi = codValue;
-                    console.log('✅ Vercel Webhook: COD amount found:', codValue);
-                  }
+          if (codData.status === 200 && codData.data && codData.data.length > 0) {
+            const jobData = codData.data[0];
+            const customFields = jobData.custom_field || [];
+
+            if (Array.isArray(customFields)) {
+              const codField = customFields.find(field =>
+                field.label === 'COD_Amount' ||
+                field.display_name === 'CASH NEEDS TO BE COLLECTED'
+              );
+
+              if (codField && codField.data) {
+                const codValue = parseFloat(codField.data);
+                if (!isNaN(codValue)) {
+                  codAmountFromApi = codValue;
+                  console.log('✅ Vercel Webhook: COD amount found:', codValue);
                 }
               }
+            }
 
-              // Also get tags if available
-              if (jobData.tags) {
-                tagsFromApi = jobData.tags;
-              }
+            // Also get tags if available
+            if (jobData.tags) {
+              tagsFromApi = jobData.tags;
             }
           }
         } catch (codFetchError) {
@@ -6427,22 +5931,15 @@ function getApp() {
         console.log('\n=== ASSIGN DRIVER (Vercel) ===');
         const { jobId } = req.params;
         const { fleet_id, notes } = req.body;
-        const apiKey = getApiKey();
 
         // Update in Tookan
         const tookanPayload = {
-          api_key: apiKey,
           job_id: parseInt(jobId),
           fleet_id: fleet_id ? parseInt(fleet_id) : null
         };
         if (notes !== undefined) tookanPayload.job_description = notes;
 
-        const response = await fetch('https://api.tookanapp.com/v2/edit_task', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(tookanPayload)
-        });
-        const data = await response.json();
+        const data = await tookanClient.editTask(tookanPayload);
 
         if (data.status !== 200) {
           return res.status(500).json({ status: 'error', message: data.message });
@@ -6467,17 +5964,11 @@ function getApp() {
     app.post('/api/tookan/customer/add', authenticate, requireRole('admin'), async (req, res) => {
       try {
         console.log('\n=== ADD CUSTOMER (Vercel) ===');
-        const apiKey = getApiKey();
         const { name, phone } = req.body;
         if (!name || !phone) {
           return res.status(400).json({ status: 'error', message: 'Name and phone required' });
         }
-        const response = await fetch('https://api.tookanapp.com/v2/customer/add', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ api_key: apiKey, user_type: 0, name, phone })
-        });
-        const data = await response.json();
+        const data = await tookanClient.addCustomer({ user_type: 0, name, phone });
         if (data.status !== 200) {
           return res.status(500).json({ status: 'error', message: data.message });
         }
@@ -6491,25 +5982,18 @@ function getApp() {
     app.post('/api/tookan/fleet/add', authenticate, requireRole('admin'), async (req, res) => {
       try {
         console.log('\n=== ADD FLEET (Vercel) ===');
-        const apiKey = getApiKey();
         const { name, email, phone, password, username, transport_type } = req.body;
         if (!name || !phone) {
           return res.status(400).json({ status: 'error', message: 'Name and phone required' });
         }
-        const response = await fetch('https://api.tookanapp.com/v2/add_agent', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            api_key: apiKey,
-            fleet_name: name,
-            email: email || '',
-            phone,
-            password: password || phone,
-            username: username || name.toLowerCase().replace(/\s/g, '_'),
-            transport_type: transport_type || 0
-          })
+        const data = await tookanClient.addAgent({
+          fleet_name: name,
+          email: email || '',
+          phone,
+          password: password || phone,
+          username: username || name.toLowerCase().replace(/\s/g, '_'),
+          transport_type: transport_type || 0
         });
-        const data = await response.json();
         if (data.status !== 200) {
           return res.status(500).json({ status: 'error', message: data.message });
         }
@@ -6526,17 +6010,11 @@ function getApp() {
     // POST Driver Wallet Balance
     app.post('/api/tookan/driver-wallet/balance', authenticate, async (req, res) => {
       try {
-        const apiKey = getApiKey();
         const { fleet_id } = req.body;
         if (!fleet_id) {
           return res.status(400).json({ status: 'error', message: 'fleet_id required' });
         }
-        const response = await fetch('https://api.tookanapp.com/v2/get_fleet_wallet', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ api_key: apiKey, fleet_id })
-        });
-        const data = await response.json();
+        const data = await tookanClient.getFleetWallet({ fleet_id });
         res.json({ status: 'success', data });
       } catch (error) {
         res.status(500).json({ status: 'error', message: error.message, data: { balance: 0 } });
@@ -6546,17 +6024,11 @@ function getApp() {
     // GET Customer Wallet Details
     app.get('/api/tookan/customer-wallet/details', authenticate, async (req, res) => {
       try {
-        const apiKey = getApiKey();
         const { vendor_id } = req.query;
         if (!vendor_id) {
           return res.status(400).json({ status: 'error', message: 'vendor_id required' });
         }
-        const response = await fetch('https://api.tookanapp.com/v2/get_customer_wallet', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ api_key: apiKey, vendor_id })
-        });
-        const data = await response.json();
+        const data = await tookanClient.getCustomerWallet({ vendor_id });
         res.json({ status: 'success', data });
       } catch (error) {
         res.status(500).json({ status: 'error', message: error.message });
@@ -6590,7 +6062,6 @@ function getApp() {
         console.log('\n=== UPDATE TASK COD (Vercel) ===');
         const { jobId } = req.params;
         const { cod_amount, cod_collected } = req.body;
-        const apiKey = getApiKey();
         const numericJobId = parseInt(jobId);
 
         // Build meta_data for Tookan
@@ -6600,18 +6071,12 @@ function getApp() {
         }
 
         const tookanPayload = {
-          api_key: apiKey,
           job_id: numericJobId,
           custom_field_template: 'Same_day'
         };
         if (metaData.length > 0) tookanPayload.meta_data = metaData;
 
-        const response = await fetch('https://api.tookanapp.com/v2/edit_task', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(tookanPayload)
-        });
-        const data = await response.json();
+        const data = await tookanClient.editTask(tookanPayload);
 
         // Update database
         if (isSupabaseConfigured && supabase) {
@@ -6714,34 +6179,23 @@ function getApp() {
         connectedJobIds = [...new Set(connectedJobIds)];
         console.log(`📋 Updating status for tasks: ${connectedJobIds.join(', ')}`);
 
-        const apiKey = getApiKey();
         const results = [];
 
         // 3. Call Tookan API for each connected task
         for (const id of connectedJobIds) {
-          let tookanResponse;
+          let data;
 
           if (numericStatus === 9) {
             // Deleted — use delete_task endpoint
-            tookanResponse = await fetch('https://api.tookanapp.com/v2/delete_task', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ api_key: apiKey, job_id: String(id) })
-            });
+            data = await tookanClient.deleteTask({ job_id: String(id) });
           } else {
             // Successful (2) or Failed (3) — use update_task_status endpoint
-            tookanResponse = await fetch('https://api.tookanapp.com/v2/update_task_status', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({
-                api_key: apiKey,
-                job_id: String(id),
-                job_status: numericStatus
-              })
+            data = await tookanClient.updateTaskStatus({
+              job_id: String(id),
+              job_status: numericStatus
             });
           }
 
-          const data = await tookanResponse.json();
           results.push({ id, tookanStatus: data.status, message: data.message });
           console.log(`  Task ${id}: Tookan response status=${data.status}, message=${data.message}`);
         }
@@ -6822,17 +6276,11 @@ function getApp() {
         connectedJobIds = [...new Set(connectedJobIds)];
         console.log(`🗑️ Deleting tasks: ${connectedJobIds.join(', ')}`);
 
-        const apiKey = getApiKey();
         const results = [];
 
         // 3. Delete from Tookan (Loop through IDs)
         for (const id of connectedJobIds) {
-          const response = await fetch('https://api.tookanapp.com/v2/delete_task', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ api_key: apiKey, job_id: String(id) })
-          });
-          const data = await response.json();
+          const data = await tookanClient.deleteTask({ job_id: String(id) });
           results.push({ id, status: data.status, message: data.message });
         }
 
@@ -7611,7 +7059,6 @@ function getApp() {
           return res.status(500).json({ status: 'error', message: 'Database not configured' });
         }
 
-        const TOOKAN_API_KEY = getApiKey();
         const limit = 50;
         let offset = 0;
         let allMerchants = [];
@@ -7619,19 +7066,12 @@ function getApp() {
 
         // Paginate through all merchants
         while (true) {
-          const response = await fetch('https://api.tookanapp.com/v2/viewCustomersWithPagination', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              api_key: TOOKAN_API_KEY,
-              userType: 1,
-              limit,
-              offset
-            })
+          const data = await tookanClient.viewCustomersWithPagination({
+            userType: 1,
+            limit,
+            offset
           });
 
-          const data = await response.json();
-
           if (data.status !== 200 || !data.data?.customerData) {
             if (allMerchants.length === 0) {
               return res.status(400).json({ status: 'error', message: data.message || 'Failed to fetch merchants from Tookan' });
@@ -7708,219 +7148,10 @@ function getApp() {
     // EDI API Routes (Token-authenticated)
     // ==========================================
 
-    // EDI Token validation middleware (Bearer token from api_tokens table)
-    const validateEdiToken = async (req, res, next) => {
-      try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader) {
-          return res.status(401).json({ status: 'error', message: 'Missing Authorization header' });
-        }
-
-        const token = authHeader.replace('Bearer ', '');
-        if (!token || !token.startsWith('edi_')) {
-          return res.status(401).json({ status: 'error', message: 'Invalid token format' });
-        }
-
-        const hash = crypto.createHash('sha256').update(token).digest('hex');
-        const { data, error } = await supabase
-          .from('api_tokens')
-          .select('*')
-          .eq('token_hash', hash)
-          .eq('is_active', true)
-          .single();
-
-        if (error || !data) {
-          return res.status(401).json({ status: 'error', message: 'Invalid or revoked API token' });
-        }
-
-        // Update last used timestamp (fire and forget)
-        supabase
-          .from('api_tokens')
-          .update({ last_used_at: new Date().toISOString() })
-          .eq('id', data.id)
-          .then(() => { });
-
-        // Attach merchant info to request
-        req.merchant = {
-          id: data.merchant_id,
-          token_name: data.name
-        };
-
-        next();
-      } catch (error) {
-        console.error('EDI Token validation error:', error);
-        res.status(500).json({ status: 'error', message: 'Internal server error during authentication' });
-      }
-    };
-
-    // POST /api/edi/orders/create - Create a task via EDI
-    app.post('/api/edi/orders/create', validateEdiToken, async (req, res) => {
-      try {
-        const orderData = req.body;
-
-        // Basic validation
-        if (!orderData.pickup_address || !orderData.delivery_address || !orderData.order_reference) {
-          return res.status(400).json({
-            status: 'error',
-            message: 'Missing required fields: pickup_address, delivery_address, order_reference'
-          });
-        }
-
-        const TOOKAN_API_KEY = getApiKey();
-        const merchantId = req.merchant.id;
-
-        // Build meta_data
-        const metaData = [
-          { label: 'Merchant_ID', data: String(merchantId) },
-          { label: 'Source', data: 'EDI' },
-        ];
-        if (orderData.cod_amount) {
-          metaData.push({ label: 'COD_Amount', data: String(orderData.cod_amount) });
-        }
-
-        // Build Tookan payload
-        const payload = {
-          api_key: TOOKAN_API_KEY,
-          order_id: orderData.order_reference,
-          job_description: orderData.delivery_instructions || '',
-
-          // Pickup
-          job_pickup_name: orderData.pickup_name || '',
-          job_pickup_phone: orderData.pickup_phone || '',
-          job_pickup_address: orderData.pickup_address,
-          job_pickup_datetime: orderData.pickup_datetime || '',
-
-          // Delivery (customer = delivery recipient = merchant)
-          customer_username: orderData.delivery_name || '',
-          customer_phone: orderData.delivery_phone || '',
-          customer_email: orderData.delivery_email || '',
-          customer_address: orderData.delivery_address,
-          job_delivery_datetime: orderData.delivery_datetime || '',
-
-          // Task config
-          has_pickup: '1',
-          has_delivery: '1',
-          layout_type: 0,
-          timezone: '-180',
-          custom_field_template: 'Same_day',
-
-          // Meta data
-          meta_data: metaData,
-        };
-
-        // Optional tags (comma-separated string for agent auto-assignment filtering)
-        if (orderData.tags) {
-          payload.tags = orderData.tags;
-        }
-
-        // Optional coordinates (pickup)
-        if (orderData.pickup_latitude) {
-          payload.job_pickup_latitude = String(orderData.pickup_latitude);
-        }
-        if (orderData.pickup_longitude) {
-          payload.job_pickup_longitude = String(orderData.pickup_longitude);
-        }
-
-        // Optional coordinates (delivery)
-        if (orderData.delivery_latitude) {
-          payload.latitude = String(orderData.delivery_latitude);
-        }
-        if (orderData.delivery_longitude) {
-          payload.longitude = String(orderData.delivery_longitude);
-        }
-
-        console.log('EDI Create Task payload:', JSON.stringify(payload, null, 2));
-
-        const response = await fetch('https://api.tookanapp.com/v2/create_task', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload)
-        });
-
-        const data = await response.json();
-
-        if (data.status === 200) {
-          res.json({
-            status: 'success',
-            data: {
-              ...data.data,
-              message: 'Order created successfully'
-            }
-          });
-        } else {
-          console.error('Tookan API Error:', data.message, JSON.stringify(data));
-          res.status(400).json({
-            status: 'error',
-            message: data.message || 'Failed to create order in Tookan'
-          });
-        }
-      } catch (error) {
-        console.error('EDI Create Order Error:', error);
-        res.status(500).json({
-          status: 'error',
-          message: 'Internal server error processing EDI order'
-        });
-      }
-    });
-
-    // GET /api/edi/orders/status/:jobId - Get task status via EDI
-    app.get('/api/edi/orders/status/:jobId', validateEdiToken, async (req, res) => {
-      try {
-        const { jobId } = req.params;
-
-        const TOOKAN_API_KEY = getApiKey();
-
-        // Status code to human-readable string
-        const STATUS_MAP = {
-          0: 'Assigned', 1: 'Started', 2: 'Successful', 3: 'Failed',
-          4: 'InProgress/Arrived', 6: 'Unassigned', 7: 'Accepted/Acknowledged',
-          8: 'Decline', 9: 'Cancel', 10: 'Deleted'
-        };
-
-        const payload = {
-          api_key: TOOKAN_API_KEY,
-          job_ids: [jobId],
-          include_task_history: 0,
-          job_additional_info: 1,
-          include_job_report: 0
-        };
-
-        const response = await fetch('https://api.tookanapp.com/v2/get_job_details', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload)
-        });
-
-        const data = await response.json();
-
-        if (data.status === 200 && data.data && data.data.length > 0) {
-          const job = data.data[0];
-          res.json({
-            status: 'success',
-            data: {
-              status: STATUS_MAP[job.job_status] || 'Unknown',
-              fleet_id: job.fleet_id,
-              fleet_name: job.fleet_name,
-              job_status: job.job_status,
-              job_id: job.job_id,
-              job_delivery_datetime: job.job_delivery_datetime,
-              job_type: job.job_type
-            }
-          });
-        } else {
-          res.status(404).json({
-            status: 'error',
-            message: data.message || 'Order not found'
-          });
-        }
-      } catch (error) {
-        console.error('EDI Get Status Error:', error);
-        res.status(500).json({
-          status: 'error',
-          message: 'Internal server error retrieving status'
-        });
-      }
-    });
+    // Same router as the standalone server: token auth, scopes, rate limits, idempotent
+    // create, bulk/import/quote, cancel/update and merchant webhook subscriptions
+    const ediRoutes = require('../server/routes/ediRoutes');
+    app.use('/api/edi', ediRoutes);
 
     // ============================================================
     // CACHED ORDERS ROUTE (Vercel) - Database-first paginated orders
@@ -8454,11 +7685,42 @@ module.exports = (req, res) => {
 };
 
 // Start server when run directly (Hostinger)
+// Unlike Vercel this is a long-lived process, so it also runs the webhook worker
+// that applies the events /api/tookan/webhook queues, and the retries of the EDI
+// merchant status webhooks those events trigger
 if (require.main === module) {
   const PORT = process.env.PORT || 3000;
   const expressApp = getApp();
-  expressApp.listen(PORT, () => {
+  const webhookProcessor = require('../server/webhookProcessor');
+  const merchantWebhookService = require('../server/services/merchantWebhookService');
+  const server = expressApp.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
+
+    if (isSupabaseConfigured) {
+      merchantWebhookService.startDeliveryWorker();
+
+      if (process.env.WEBHOOK_WORKER_ENABLED !== 'false') {
+        webhookProcessor.startWebhookWorker();
+      }
+    }
   });
+
+  // Graceful shutdown: stop accepting requests and let webhook events in flight finish
+  let shuttingDown = false;
+  const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`\n${signal} received, shutting down...`);
+
+    server.close();
+    const { drained } = await webhookProcessor.stopWebhookWorker();
+    if (!drained) {
+      console.warn('Webhook events still in flight; their leases will expire and be retried');
+    }
+    process.exit(0);
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
 }
 
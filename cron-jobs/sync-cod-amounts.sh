@@ -1,2 +0,0 @@
-#!/bin/sh
-cd /home/u386004739/domains/api.bhdt.live/nodejs && /opt/alt/alt-nodejs24/root/usr/bin/node --env-file=/home/u386004739/.env sync-cod-amounts.js --today >> /home/u386004739/cron-jobs/logs/cod.log 2>&1
\ No newline at end of file
@@ -1,20 +1,12 @@
 require('dotenv').config();
-const fetch = require('node-fetch');
-
-const TOOKAN_API_KEY = process.env.TOOKAN_API_KEY;
+const tookanClient = require('./server/services/tookanClient');
 
 async function testTags() {
-    const response = await fetch('https://api.tookanapp.com/v2/get_job_details', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-            api_key: TOOKAN_API_KEY,
-            job_ids: [590611470],
-            job_additional_info: 1
-        })
+    const data = await tookanClient.getJobDetails({
+        job_ids: [590611470],
+        job_additional_info: 1
     });
 
-    const data = await response.json();
     console.log('Status:', data.status);
     if (data.data) { // get_job_details returns a single job object directly under data, not an array
         const task = data.data;
@@ -10,9 +10,9 @@
 
 require('dotenv').config();
 const fetch = require('node-fetch');
+const tookanClient = require('./server/services/tookanClient');
 
 const API_KEY = process.env.TOOKAN_API_KEY;
-const TOOKAN_API_BASE = 'https://api.tookanapp.com/v2';
 const BACKEND_URL = process.env.VITE_API_BASE_URL || 'http://localhost:3001';
 
 if (!API_KEY) {
@@ -41,8 +41,7 @@ async function fetchAllTasks() {
     };
 
     // Try method 1: With date range
-    let payload = {
-      api_key: API_KEY,
+    const payload = {
       start_date: formatDate(startDate),
       end_date: formatDate(endDate),
       is_pagination: 1,
@@ -51,26 +50,9 @@ async function fetchAllTasks() {
     };
 
     console.log(`   Trying with date range: ${payload.start_date} to ${payload.end_date}`);
-    let response = await fetch(`${TOOKAN_API_BASE}/get_all_tasks`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload),
-    });
-
-    let textResponse = await response.text();
-    let data;
-
-    try {
-      data = JSON.parse(textResponse);
-    } catch (parseError) {
-      console.error(`❌ Failed to parse response: ${textResponse.substring(0, 200)}`);
-      // Try without date range
-      return await fetchAllTasksWithoutDate();
-    }
+    const data = await tookanClient.getAllTasks(payload);
 
-    if (data.status === 200 && data.data) {
+    if (tookanClient.isSuccess(data) && data.data) {
       const tasks = Array.isArray(data.data) ? data.data : (data.data.data || []);
       console.log(`✅ Found ${tasks.length} tasks with date range`);
       return tasks;
@@ -92,32 +74,13 @@ async function fetchAllTasksWithoutDate() {
   try {
     console.log(`   Trying without date range...`);
     
-    const payload = {
-      api_key: API_KEY,
+    const data = await tookanClient.getAllTasks({
       is_pagination: 1,
       off_set: 0,
       limit: 50
-    };
-
-    const response = await fetch(`${TOOKAN_API_BASE}/get_all_tasks`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload),
     });
 
-    const textResponse = await response.text();
-    let data;
-
-    try {
-      data = JSON.parse(textResponse);
-    } catch (parseError) {
-      console.error(`❌ Failed to parse response: ${textResponse.substring(0, 200)}`);
-      return null;
-    }
-
-    if (data.status === 200 && data.data) {
+    if (tookanClient.isSuccess(data) && data.data) {
       const tasks = Array.isArray(data.data) ? data.data : (data.data.data || []);
       console.log(`✅ Found ${tasks.length} tasks without date range`);
       return tasks;
@@ -138,30 +101,9 @@ async function fetchTaskDetails(jobId) {
   try {
     console.log(`\n📋 Fetching task details for job_id: ${jobId}...`);
     
-    const payload = {
-      api_key: API_KEY,
-      job_id: jobId
-    };
-
-    const response = await fetch(`${TOOKAN_API_BASE}/get_task_details`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload),
-    });
-
-    const textResponse = await response.text();
-    let data;
-
-    try {
-      data = JSON.parse(textResponse);
-    } catch (parseError) {
-      console.error(`❌ Failed to parse response: ${textResponse.substring(0, 200)}`);
-      return null;
-    }
+    const data = await tookanClient.getTaskDetails({ job_id: jobId });
 
-    if (data.status === 200 && data.data) {
+    if (tookanClient.isSuccess(data) && data.data) {
       console.log(`✅ Task details fetched successfully`);
       return data.data;
     } else {
@@ -241,7 +183,7 @@ async function main() {
   console.log('TOOKAN TASKS FETCHER');
   console.log('='.repeat(60));
   console.log(`API Key: ${API_KEY.substring(0, 10)}...`);
-  console.log(`Tookan API Base: ${TOOKAN_API_BASE}`);
+  console.log(`Tookan API Base: ${tookanClient.TOOKAN_API_BASE}`);
   console.log(`Backend URL: ${BACKEND_URL}`);
   console.log('='.repeat(60));
 
@@ -8,10 +8,9 @@
  */
 
 require('dotenv').config();
-const fetch = require('node-fetch');
+const tookanClient = require('./server/services/tookanClient');
 
 const TOOKAN_API_KEY = process.env.TOOKAN_API_KEY;
-const TOOKAN_API_BASE = 'https://api.tookanapp.com/v2';
 
 if (!TOOKAN_API_KEY) {
   console.error('❌ Error: TOOKAN_API_KEY not found in environment variables');
@@ -45,39 +44,15 @@ async function fetchTookanUsers() {
   // Fetch Drivers/Fleets
   log('📦 Fetching Drivers/Fleets...', 'blue');
   try {
-    const fleetPayload = {
-      api_key: TOOKAN_API_KEY
-    };
-
-    let fleetResponse = await fetch(`${TOOKAN_API_BASE}/get_all_agents`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(fleetPayload),
-    });
-
-    if (!fleetResponse.ok) {
-      fleetResponse = await fetch(`${TOOKAN_API_BASE}/get_all_fleets`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(fleetPayload),
-      });
-    }
-
-    const fleetTextResponse = await fleetResponse.text();
     let fleetData;
-
     try {
-      fleetData = JSON.parse(fleetTextResponse);
-    } catch (e) {
-      log(`   ⚠️  Could not parse response`, 'yellow');
-      fleetData = null;
+      fleetData = await tookanClient.getAllAgents();
+    } catch (error) {
+      if (error.code !== 'http') throw error;
+      fleetData = await tookanClient.getAllFleets();
     }
 
-    if (fleetResponse.ok && fleetData) {
+    if (fleetData) {
       let fleets = [];
       
       if (fleetData.status === 200 && Array.isArray(fleetData.data)) {
@@ -126,34 +101,13 @@ async function fetchTookanUsers() {
   // Fetch Customers/Merchants
   log('🏪 Fetching Customers/Merchants...', 'blue');
   try {
-    const customerPayload = {
-      api_key: TOOKAN_API_KEY
-    };
-
-    const customerResponse = await fetch(`${TOOKAN_API_BASE}/fetch_customers_wallet`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        ...customerPayload,
-        is_pagination: 1,
-        off_set: 0,
-        limit: 100
-      }),
+    const customerData = await tookanClient.fetchCustomersWallet({
+      is_pagination: 1,
+      off_set: 0,
+      limit: 100
     });
 
-    const customerTextResponse = await customerResponse.text();
-    let customerData;
-
-    try {
-      customerData = JSON.parse(customerTextResponse);
-    } catch (e) {
-      log(`   ⚠️  Could not parse response`, 'yellow');
-      customerData = null;
-    }
-
-    if (customerResponse.ok && customerData) {
+    if (customerData) {
       let customers = [];
       
       if (customerData.status === 200 && Array.isArray(customerData.data)) {
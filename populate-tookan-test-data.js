@@ -9,13 +9,23 @@
  * 
  * Environment Variables Required:
  *   TOOKAN_API_KEY - Your Tookan API key
+ *
+ * Optional:
+ *   TOOKAN_API_BASE - Tookan API base URL. Defaults to the local simulator
+ *                     (http://localhost:4010/v2, see `npm run simulator`), so
+ *                     test data only reaches a real Tookan account when it is
+ *                     set explicitly (e.g. https://api.tookanapp.com/v2).
  */
 
 require('dotenv').config();
+
+// Set before tookanClient is loaded, as it reads TOOKAN_API_BASE once
+process.env.TOOKAN_API_BASE = process.env.TOOKAN_API_BASE || 'http://localhost:4010/v2';
+
 const fetch = require('node-fetch');
+const tookanClient = require('./server/services/tookanClient');
 
 const API_KEY = process.env.TOOKAN_API_KEY;
-const TOOKAN_API_BASE = 'https://api.tookanapp.com/v2';
 const BACKEND_URL = process.env.VITE_API_BASE_URL || 'http://localhost:3001';
 
 if (!API_KEY) {
@@ -95,32 +105,13 @@ async function addTestCustomer(customerData) {
   try {
     log(`\n📦 Adding test customer: ${customerData.name}...`, 'blue');
     
-    const payload = {
-      api_key: API_KEY,
+    const data = await tookanClient.addCustomer({
       user_type: 0, // 0 for customer/merchant
       name: customerData.name.trim(),
       phone: customerData.phone.trim()
-    };
-
-    const response = await fetch(`${TOOKAN_API_BASE}/customer/add`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload),
     });
 
-    const textResponse = await response.text();
-    let data;
-
-    try {
-      data = JSON.parse(textResponse);
-    } catch (parseError) {
-      log(`❌ Failed to parse response: ${textResponse.substring(0, 200)}`, 'red');
-      return null;
-    }
-
-    if (response.ok && data.status === 200) {
+    if (tookanClient.isSuccess(data)) {
       const vendorId = data.data?.vendor_id || data.data?.data?.vendor_id || data.data?.customer_id || data.data?.id;
       log(`✅ Test customer added successfully!`, 'green');
       log(`   Name: ${customerData.name}`, 'reset');
@@ -153,28 +144,16 @@ async function addTestAgent(agentData) {
     };
 
     // Try direct Tookan API first
-    const tookanPayload = {
-      api_key: API_KEY,
-      ...payload
-    };
-
-    let response = await fetch(`${TOOKAN_API_BASE}/fleet/add`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(tookanPayload),
-    });
-
-    let textResponse = await response.text();
     let data;
-
     try {
-      data = JSON.parse(textResponse);
-    } catch (parseError) {
+      data = await tookanClient.addFleet(payload);
+    } catch (error) {
+      if (!(error instanceof tookanClient.TookanApiError) || error.code !== 'invalid_response') {
+        throw error;
+      }
       // If direct API fails, try backend endpoint
       log(`   ⚠️  Direct API failed, trying backend endpoint...`, 'yellow');
-      response = await fetch(`${BACKEND_URL}/api/tookan/fleet/add`, {
+      const response = await fetch(`${BACKEND_URL}/api/tookan/fleet/add`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -182,7 +161,7 @@ async function addTestAgent(agentData) {
         },
         body: JSON.stringify(payload),
       });
-      textResponse = await response.text();
+      const textResponse = await response.text();
       try {
         data = JSON.parse(textResponse);
       } catch (e) {
@@ -191,7 +170,7 @@ async function addTestAgent(agentData) {
       }
     }
 
-    if (response.ok && (data.status === 200 || data.status === 'success')) {
+    if (tookanClient.isSuccess(data) || data.status === 'success') {
       const fleetId = data.data?.fleet_id || data.data?.data?.fleet_id || data.data?.id;
       log(`✅ Test agent added successfully!`, 'green');
       log(`   Name: ${agentData.fleet_name}`, 'reset');
@@ -242,7 +221,6 @@ async function createTestTask(taskData) {
     };
 
     const payload = {
-      api_key: API_KEY,
       job_type: 0, // 0 = delivery task
       customer_name: taskData.customer_name,
       customer_phone: taskData.customer_phone,
@@ -271,25 +249,9 @@ async function createTestTask(taskData) {
       payload.fleet_id = taskData.fleet_id;
     }
 
-    const response = await fetch(`${TOOKAN_API_BASE}/create_task`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload),
-    });
+    const data = await tookanClient.createTask(payload);
 
-    const textResponse = await response.text();
-    let data;
-
-    try {
-      data = JSON.parse(textResponse);
-    } catch (parseError) {
-      log(`❌ Failed to parse response: ${textResponse.substring(0, 200)}`, 'red');
-      return null;
-    }
-
-    if (response.ok && data.status === 200) {
+    if (tookanClient.isSuccess(data)) {
       const jobId = data.data?.job_id || data.data?.jobId || data.job_id;
       log(`✅ Test order created successfully!`, 'green');
       log(`   Job ID: ${jobId}`, 'reset');
@@ -344,34 +306,15 @@ async function addDriverWalletTransaction(fleetId, amount, description, transact
     }
     
     // Fallback to direct Tookan API
-    const payload = {
-      api_key: API_KEY,
+    const data = await tookanClient.createFleetWalletTransaction({
       fleet_id: fleetId,
       amount: Math.abs(amount),
       description: description,
       transaction_type: transactionType === 'debit' ? 1 : 2, // 1=debit, 2=credit
       wallet_type: 1 // 1=wallet, 2=credits
-    };
-
-    const response = await fetch(`${TOOKAN_API_BASE}/fleet/wallet/create_transaction`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload),
     });
 
-    const textResponse = await response.text();
-    let data;
-
-    try {
-      data = JSON.parse(textResponse);
-    } catch (parseError) {
-      log(`❌ Failed to parse response: ${textResponse.substring(0, 200)}`, 'red');
-      return false;
-    }
-
-    if (response.ok && data.status === 200) {
+    if (tookanClient.isSuccess(data)) {
       log(`✅ Wallet transaction added successfully!`, 'green');
       return true;
     } else {
@@ -421,32 +364,13 @@ async function addCustomerWalletPayment(vendorId, amount, description) {
     }
     
     // Fallback to direct Tookan API
-    const payload = {
-      api_key: API_KEY,
+    const data = await tookanClient.addCustomerPaymentViaDashboard({
       vendor_id: vendorId,
       amount: Math.abs(amount),
       description: description
-    };
-
-    const response = await fetch(`${TOOKAN_API_BASE}/addCustomerPaymentViaDashboard`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload),
     });
 
-    const textResponse = await response.text();
-    let data;
-
-    try {
-      data = JSON.parse(textResponse);
-    } catch (parseError) {
-      log(`❌ Failed to parse response: ${textResponse.substring(0, 200)}`, 'red');
-      return false;
-    }
-
-    if (response.ok && data.status === 200) {
+    if (tookanClient.isSuccess(data)) {
       log(`✅ Wallet payment added successfully!`, 'green');
       return true;
     } else {
@@ -465,7 +389,7 @@ async function addCustomerWalletPayment(vendorId, amount, description) {
 async function main() {
   logSection('🚀 POPULATING TOOKAN ACCOUNT WITH TEST DATA');
   log(`API Key: ${API_KEY.substring(0, 10)}...`, 'cyan');
-  log(`Tookan API Base: ${TOOKAN_API_BASE}`, 'cyan');
+  log(`Tookan API Base: ${tookanClient.TOOKAN_API_BASE}`, 'cyan');
   log(`Backend URL: ${BACKEND_URL}`, 'cyan');
   log(`Timestamp: ${new Date().toISOString()}`, 'cyan');
 
@@ -499,14 +423,8 @@ async function main() {
   
   // Fetch existing fleets to get real fleet_ids
   try {
-    const fleetResponse = await fetch(`${TOOKAN_API_BASE}/get_all_agents`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ api_key: API_KEY }),
-    });
-    
-    const fleetData = await fleetResponse.json();
-    if (fleetData.status === 200 && fleetData.data) {
+    const fleetData = await tookanClient.getAllAgents();
+    if (tookanClient.isSuccess(fleetData) && fleetData.data) {
       const fleets = Array.isArray(fleetData.data) ? fleetData.data : [];
       log(`Found ${fleets.length} existing agents in Tookan`, 'cyan');
       
@@ -527,19 +445,12 @@ async function main() {
 
   // Fetch existing customers to get real vendor_ids
   try {
-    const customerResponse = await fetch(`${TOOKAN_API_BASE}/fetch_customers_wallet`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ 
-        api_key: API_KEY,
-        is_pagination: 1,
-        off_set: 0,
-        limit: 100
-      }),
+    const customerData = await tookanClient.fetchCustomersWallet({
+      is_pagination: 1,
+      off_set: 0,
+      limit: 100
     });
-    
-    const customerData = await customerResponse.json();
-    if (customerData.status === 200 && customerData.data) {
+    if (tookanClient.isSuccess(customerData) && customerData.data) {
       const customers = Array.isArray(customerData.data) ? customerData.data : [];
       log(`Found ${customers.length} existing customers in Tookan`, 'cyan');
       
@@ -16,13 +16,63 @@ const TEMPLATE_FIELDS = {
 
 /**
  * Webhook event types from Tookan
+ * Each one has a handler in services/webhookHandlers.js
  */
 const WEBHOOK_EVENTS = {
   TASK_CREATED: 'task_created',
   TASK_UPDATED: 'task_updated',
   TASK_COMPLETED: 'task_completed',
   TASK_ASSIGNED: 'task_assigned',
-  TASK_STATUS_CHANGED: 'task_status_changed'
+  TASK_STATUS_CHANGED: 'task_status_changed',
+  TASK_ACCEPTED: 'task_accepted',
+  TASK_STARTED: 'task_started',
+  TASK_ARRIVED: 'task_arrived',
+  TASK_FAILED: 'task_failed',
+  TASK_DECLINED: 'task_declined',
+  TASK_CANCELLED: 'task_cancelled',
+  TASK_DELETED: 'task_deleted',
+  AGENT_CREATED: 'agent_created',
+  AGENT_UPDATED: 'agent_updated',
+  AGENT_DELETED: 'agent_deleted',
+  CUSTOMER_CREATED: 'customer_created',
+  CUSTOMER_UPDATED: 'customer_updated',
+  CUSTOMER_DELETED: 'customer_deleted'
+};
+
+/**
+ * Event implied by a Tookan job_status, for task webhooks that carry no event_type
+ * (Tookan's own webhook templates only send the task fields)
+ */
+const STATUS_EVENTS = {
+  0: WEBHOOK_EVENTS.TASK_ASSIGNED,
+  1: WEBHOOK_EVENTS.TASK_STARTED,
+  2: WEBHOOK_EVENTS.TASK_COMPLETED,
+  3: WEBHOOK_EVENTS.TASK_FAILED,
+  4: WEBHOOK_EVENTS.TASK_ARRIVED,
+  6: WEBHOOK_EVENTS.TASK_UPDATED,
+  7: WEBHOOK_EVENTS.TASK_ACCEPTED,
+  8: WEBHOOK_EVENTS.TASK_DECLINED,
+  9: WEBHOOK_EVENTS.TASK_CANCELLED,
+  10: WEBHOOK_EVENTS.TASK_DELETED
+};
+
+/**
+ * Short event names some Tookan webhook templates send as event_type
+ */
+const EVENT_TYPE_ALIASES = {
+  created: WEBHOOK_EVENTS.TASK_CREATED,
+  updated: WEBHOOK_EVENTS.TASK_UPDATED,
+  assigned: WEBHOOK_EVENTS.TASK_ASSIGNED,
+  accepted: WEBHOOK_EVENTS.TASK_ACCEPTED,
+  started: WEBHOOK_EVENTS.TASK_STARTED,
+  arrived: WEBHOOK_EVENTS.TASK_ARRIVED,
+  successful: WEBHOOK_EVENTS.TASK_COMPLETED,
+  completed: WEBHOOK_EVENTS.TASK_COMPLETED,
+  failed: WEBHOOK_EVENTS.TASK_FAILED,
+  declined: WEBHOOK_EVENTS.TASK_DECLINED,
+  cancelled: WEBHOOK_EVENTS.TASK_CANCELLED,
+  canceled: WEBHOOK_EVENTS.TASK_CANCELLED,
+  deleted: WEBHOOK_EVENTS.TASK_DELETED
 };
 
 /**
@@ -39,6 +89,8 @@ const TASK_STATUS = {
 module.exports = {
   TEMPLATE_FIELDS,
   WEBHOOK_EVENTS,
+  STATUS_EVENTS,
+  EVENT_TYPE_ALIASES,
   TASK_STATUS
 };
 
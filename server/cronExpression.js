@@ -0,0 +1,218 @@
+/**
+ * Cron Expressions
+ *
+ * Standard five-field cron expressions, evaluated in a given timezone:
+ *
+ *   minute hour day-of-month month day-of-week
+ *   *\/15 * * * *          every 15 minutes
+ *   0 2 * * *             02:00 every day
+ *   30 8-18/2 * * 0-4     08:30, 10:30 ... 18:30 Sunday to Thursday
+ *   0 0 1,15 * *          midnight on the 1st and the 15th
+ *
+ * Fields accept *, numbers, ranges (a-b), lists (a,b) and steps (* /n, a-b/n).
+ * Day-of-week is 0-7 with both 0 and 7 meaning Sunday. As in cron, when both
+ * day-of-month and day-of-week are restricted a day matching either one matches.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// nextRun() gives up after this many steps (several years of day skips)
+const MAX_SEARCH_STEPS = 5000;
+
+const formatters = new Map();
+
+function parseNumber(value, field) {
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} value '${value}'`);
+  }
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} must be between ${field.min} and ${field.max}, got ${number}`);
+  }
+  return number;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    if (extra !== undefined || range === '') {
+      throw new Error(`Invalid ${field.name} '${part}'`);
+    }
+
+    let step = 1;
+    if (stepText !== undefined) {
+      if (!/^\d+$/.test(stepText) || parseInt(stepText, 10) === 0) {
+        throw new Error(`Invalid ${field.name} step '${stepText}'`);
+      }
+      step = parseInt(stepText, 10);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseNumber(from, field);
+      end = parseNumber(to, field);
+      if (start > end) {
+        throw new Error(`Invalid ${field.name} range '${range}'`);
+      }
+    } else {
+      start = parseNumber(range, field);
+      // 'n/step' means from n to the end of the field
+      end = stepText !== undefined ? field.max : start;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse an expression
+ * @throws {Error} With a readable message if the expression is invalid
+ */
+function parse(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Cron expression is required');
+  }
+
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have ${FIELDS.length} fields (minute hour day-of-month month day-of-week), got ${parts.length}`);
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(parts[index], field);
+  });
+
+  if (parsed.dayOfWeek.has(7)) {
+    parsed.dayOfWeek.delete(7);
+    parsed.dayOfWeek.add(0);
+  }
+
+  parsed.dayOfMonthRestricted = parts[2] !== '*';
+  parsed.dayOfWeekRestricted = parts[4] !== '*';
+  return parsed;
+}
+
+/**
+ * Validate an expression
+ * @returns {string|null} The error message, or null if valid
+ */
+function validate(expression) {
+  try {
+    parse(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Wall-clock fields of a moment in a timezone
+ * @returns {Object} { minute, hour, dayOfMonth, month, dayOfWeek }
+ */
+function getLocalFields(date, timezone) {
+  let formatter = formatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    });
+    formatters.set(timezone, formatter);
+  }
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    minute: parseInt(parts.minute, 10),
+    hour: parseInt(parts.hour, 10),
+    dayOfMonth: parseInt(parts.day, 10),
+    month: parseInt(parts.month, 10),
+    dayOfWeek: WEEKDAY_INDEX[parts.weekday]
+  };
+}
+
+function matchesDay(parsed, fields) {
+  if (!parsed.month.has(fields.month)) return false;
+
+  const dayOfMonth = parsed.dayOfMonth.has(fields.dayOfMonth);
+  const dayOfWeek = parsed.dayOfWeek.has(fields.dayOfWeek);
+  if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Whether an expression fires in the minute of a moment
+ * @param {string|Object} expression - Expression or parse() result
+ */
+function matches(expression, date, timezone) {
+  const parsed = typeof expression === 'string' ? parse(expression) : expression;
+  const fields = getLocalFields(date, timezone);
+  return matchesDay(parsed, fields)
+    && parsed.hour.has(fields.hour)
+    && parsed.minute.has(fields.minute);
+}
+
+/**
+ * The first minute after a moment that an expression fires in
+ * @param {string|Object} expression - Expression or parse() result
+ * @returns {Date|null} null if it never fires (e.g. '0 0 31 2 *')
+ */
+function nextRun(expression, from, timezone) {
+  const parsed = typeof expression === 'string' ? parse(expression) : expression;
+  const candidate = new Date(from);
+  candidate.setUTCSeconds(0, 0);
+  candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+
+  for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+    const fields = getLocalFields(candidate, timezone);
+
+    if (!matchesDay(parsed, fields)) {
+      // Jump to the next local midnight
+      candidate.setUTCMinutes(candidate.getUTCMinutes() + (23 - fields.hour) * 60 + (60 - fields.minute));
+    } else if (!parsed.hour.has(fields.hour)) {
+      candidate.setUTCMinutes(candidate.getUTCMinutes() + (60 - fields.minute));
+    } else if (!parsed.minute.has(fields.minute)) {
+      candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+    } else {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parse,
+  validate,
+  matches,
+  nextRun
+};
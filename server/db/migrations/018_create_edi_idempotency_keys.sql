@@ -0,0 +1,27 @@
+-- Migration 018: Create edi_idempotency_keys table
+-- Remembers the outcome of EDI order creation per merchant + key so that
+-- client retries return the original job instead of creating a duplicate task.
+-- The key is the Idempotency-Key header, or "ref:<order_reference>" as fallback.
+
+CREATE TABLE IF NOT EXISTS edi_idempotency_keys (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  merchant_id TEXT NOT NULL,
+  idempotency_key TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed')),
+  job_id BIGINT,
+  response JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  UNIQUE (merchant_id, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_edi_idempotency_keys_job_id ON edi_idempotency_keys(job_id);
+CREATE INDEX IF NOT EXISTS idx_edi_idempotency_keys_created_at ON edi_idempotency_keys(created_at DESC);
+
+ALTER TABLE edi_idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all for service role" ON edi_idempotency_keys
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
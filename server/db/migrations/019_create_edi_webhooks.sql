@@ -0,0 +1,56 @@
+-- Migration 019: Outbound EDI status webhooks
+-- edi_webhook_subscriptions: callback URLs registered per merchant (optionally per API token)
+-- edi_webhook_deliveries: one row per event per subscription, with retry state and last response
+
+CREATE TABLE IF NOT EXISTS edi_webhook_subscriptions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  merchant_id TEXT NOT NULL,
+  api_token_id UUID REFERENCES api_tokens(id) ON DELETE SET NULL,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  description TEXT,
+  is_active BOOLEAN DEFAULT true,
+  created_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_edi_webhook_subscriptions_merchant_id ON edi_webhook_subscriptions(merchant_id);
+
+CREATE TABLE IF NOT EXISTS edi_webhook_deliveries (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  subscription_id UUID REFERENCES edi_webhook_subscriptions(id) ON DELETE CASCADE,
+  merchant_id TEXT NOT NULL,
+  event_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  event_version TEXT NOT NULL,
+  job_id BIGINT,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+  attempt_count INTEGER DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+  last_attempt_at TIMESTAMPTZ,
+  response_status INTEGER,
+  response_body TEXT,
+  error_message TEXT,
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_edi_webhook_deliveries_due ON edi_webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_edi_webhook_deliveries_merchant_id ON edi_webhook_deliveries(merchant_id);
+CREATE INDEX IF NOT EXISTS idx_edi_webhook_deliveries_job_id ON edi_webhook_deliveries(job_id);
+CREATE INDEX IF NOT EXISTS idx_edi_webhook_deliveries_created_at ON edi_webhook_deliveries(created_at DESC);
+
+ALTER TABLE edi_webhook_subscriptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE edi_webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all for service role" ON edi_webhook_subscriptions
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow all for service role" ON edi_webhook_deliveries
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
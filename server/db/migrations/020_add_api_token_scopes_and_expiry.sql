@@ -0,0 +1,15 @@
+-- Migration 020: Scopes, expiry and rotation for EDI API tokens
+-- scopes: what the token may do (orders:create, orders:read, ...). Existing tokens
+-- are backfilled with orders:create and orders:read, which is what they could do
+-- before scopes; anything more has to be granted explicitly.
+-- expires_at: optional hard expiry; also set on the old token during rotation
+-- so it keeps working for a grace period. replaced_by / rotated_from link the pair.
+
+ALTER TABLE api_tokens ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE api_tokens ADD COLUMN IF NOT EXISTS scopes JSONB NOT NULL
+  DEFAULT '["orders:create", "orders:read"]';
+ALTER TABLE api_tokens ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+ALTER TABLE api_tokens ADD COLUMN IF NOT EXISTS rotated_from UUID REFERENCES api_tokens(id) ON DELETE SET NULL;
+ALTER TABLE api_tokens ADD COLUMN IF NOT EXISTS replaced_by UUID REFERENCES api_tokens(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_expires_at ON api_tokens(expires_at) WHERE expires_at IS NOT NULL;
@@ -0,0 +1,96 @@
+-- Migration 021: Per-token rate limits and daily usage metering for the EDI API
+-- rate_limit_per_minute / orders_per_day: per-token overrides; NULL falls back to the
+-- server defaults (EDI_RATE_LIMIT_PER_MINUTE, EDI_ORDERS_PER_DAY).
+-- api_token_usage holds one row per token per UTC day.
+-- api_token_rate_windows holds each token's request count for the current
+-- one-minute window, shared by every server instance (and serverless invocation).
+
+ALTER TABLE api_tokens ADD COLUMN IF NOT EXISTS rate_limit_per_minute INTEGER CHECK (rate_limit_per_minute > 0);
+ALTER TABLE api_tokens ADD COLUMN IF NOT EXISTS orders_per_day INTEGER CHECK (orders_per_day > 0);
+
+CREATE TABLE IF NOT EXISTS api_token_usage (
+  token_id UUID NOT NULL REFERENCES api_tokens(id) ON DELETE CASCADE,
+  usage_date DATE NOT NULL,
+  merchant_id TEXT NOT NULL,
+  request_count INTEGER NOT NULL DEFAULT 0,
+  order_count INTEGER NOT NULL DEFAULT 0,
+  rejected_count INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (token_id, usage_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_token_usage_merchant_date ON api_token_usage(merchant_id, usage_date DESC);
+
+CREATE TABLE IF NOT EXISTS api_token_rate_windows (
+  token_id UUID NOT NULL REFERENCES api_tokens(id) ON DELETE CASCADE,
+  window_start TIMESTAMPTZ NOT NULL,
+  request_count INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (token_id, window_start)
+);
+
+ALTER TABLE api_token_usage ENABLE ROW LEVEL SECURITY;
+ALTER TABLE api_token_rate_windows ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all for service role" ON api_token_usage
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow all for service role" ON api_token_rate_windows
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+-- Count a request in the token's current fixed window and return the new count
+-- Windows start on multiples of p_window_seconds since the epoch; the token's
+-- finished windows are dropped on the way.
+CREATE OR REPLACE FUNCTION hit_api_token_rate_window(
+  p_token_id UUID,
+  p_window_seconds INTEGER DEFAULT 60
+)
+RETURNS TABLE (request_count INTEGER, window_start TIMESTAMPTZ)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_window_start TIMESTAMPTZ := to_timestamp(floor(extract(epoch FROM NOW()) / p_window_seconds) * p_window_seconds);
+BEGIN
+  DELETE FROM api_token_rate_windows w
+    WHERE w.token_id = p_token_id AND w.window_start < v_window_start;
+
+  RETURN QUERY
+  INSERT INTO api_token_rate_windows AS w (token_id, window_start, request_count)
+  VALUES (p_token_id, v_window_start, 1)
+  ON CONFLICT (token_id, window_start) DO UPDATE SET
+    request_count = w.request_count + 1
+  RETURNING w.request_count, w.window_start;
+END;
+$$;
+
+-- Atomically add to a token's counters for a day and return the new totals
+CREATE OR REPLACE FUNCTION increment_api_token_usage(
+  p_token_id UUID,
+  p_merchant_id TEXT,
+  p_usage_date DATE,
+  p_requests INTEGER DEFAULT 0,
+  p_orders INTEGER DEFAULT 0,
+  p_rejected INTEGER DEFAULT 0
+)
+RETURNS SETOF api_token_usage
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  RETURN QUERY
+  INSERT INTO api_token_usage (token_id, usage_date, merchant_id, request_count, order_count, rejected_count, updated_at)
+  VALUES (p_token_id, p_usage_date, p_merchant_id, p_requests, p_orders, p_rejected, NOW())
+  ON CONFLICT (token_id, usage_date) DO UPDATE SET
+    request_count = api_token_usage.request_count + EXCLUDED.request_count,
+    order_count = api_token_usage.order_count + EXCLUDED.order_count,
+    rejected_count = api_token_usage.rejected_count + EXCLUDED.rejected_count,
+    updated_at = NOW()
+  RETURNING *;
+END;
+$$;
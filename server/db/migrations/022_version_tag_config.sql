@@ -0,0 +1,38 @@
+-- Migration 022: Versioned tag configuration
+-- tag_config becomes append-only: every save inserts a new version, the highest
+-- version is the active one, and a rollback inserts a copy of an older version.
+
+ALTER TABLE public.tag_config ADD COLUMN IF NOT EXISTS version INTEGER;
+ALTER TABLE public.tag_config ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE public.tag_config ADD COLUMN IF NOT EXISTS created_by TEXT;
+ALTER TABLE public.tag_config ADD COLUMN IF NOT EXISTS created_by_name TEXT;
+ALTER TABLE public.tag_config ADD COLUMN IF NOT EXISTS change_note TEXT;
+ALTER TABLE public.tag_config ADD COLUMN IF NOT EXISTS diff JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE public.tag_config ADD COLUMN IF NOT EXISTS rolled_back_from INTEGER;
+
+-- Number existing rows in the order they were written
+UPDATE public.tag_config t
+SET version = numbered.version,
+    created_at = COALESCE(t.updated_at, NOW())
+FROM (
+  SELECT id, ROW_NUMBER() OVER (ORDER BY id) AS version
+  FROM public.tag_config
+) numbered
+WHERE t.id = numbered.id AND t.version IS NULL;
+
+ALTER TABLE public.tag_config ALTER COLUMN version SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tag_config_version ON public.tag_config(version);
+
+-- Versions are immutable
+DROP TRIGGER IF EXISTS update_tag_config_updated_at ON public.tag_config;
+
+CREATE OR REPLACE FUNCTION prevent_tag_config_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'tag_config versions are immutable; insert a new version instead';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_tag_config_changes ON public.tag_config;
+CREATE TRIGGER prevent_tag_config_changes BEFORE UPDATE OR DELETE ON public.tag_config
+  FOR EACH ROW EXECUTE FUNCTION prevent_tag_config_changes();
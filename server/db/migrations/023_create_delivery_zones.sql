@@ -0,0 +1,68 @@
+-- Migration 023: Delivery zones
+-- delivery_zones: named GeoJSON polygons used to resolve the pickup and delivery zone
+-- of an order from its coordinates (tag rules, quote surcharges and reports).
+-- tasks.pickup_zone / tasks.delivery_zone: zone codes resolved when tasks are synced.
+
+CREATE TABLE IF NOT EXISTS delivery_zones (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  code TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  description TEXT,
+  -- GeoJSON Polygon or MultiPolygon geometry, coordinates as [longitude, latitude]
+  geometry JSONB NOT NULL,
+  -- Where zones overlap, the highest priority wins
+  priority INTEGER NOT NULL DEFAULT 0,
+  -- Added to the plan's delivery fee for orders delivered into this zone
+  delivery_surcharge NUMERIC(10, 3) NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_delivery_zones_is_active ON delivery_zones(is_active);
+
+ALTER TABLE delivery_zones ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all for service role" ON delivery_zones
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+ALTER TABLE public.tasks ADD COLUMN IF NOT EXISTS pickup_zone TEXT;
+ALTER TABLE public.tasks ADD COLUMN IF NOT EXISTS delivery_zone TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_delivery_zone ON public.tasks(delivery_zone);
+
+-- Orders, COD and fees per delivery zone for a date range (delivery tasks only)
+CREATE OR REPLACE FUNCTION get_zone_order_summary(
+  p_date_from TIMESTAMPTZ DEFAULT NULL,
+  p_date_to TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS TABLE (
+  delivery_zone TEXT,
+  order_count INTEGER,
+  completed_count INTEGER,
+  cod_total NUMERIC,
+  fees_total NUMERIC
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    t.delivery_zone,
+    COUNT(*)::INTEGER AS order_count,
+    COUNT(*) FILTER (WHERE t.status = 2)::INTEGER AS completed_count,
+    COALESCE(SUM(t.cod_amount), 0)::NUMERIC AS cod_total,
+    COALESCE(SUM(t.order_fees), 0)::NUMERIC AS fees_total
+  FROM tasks t
+  WHERE (t.job_type IS NULL OR t.job_type <> 0)
+    AND (p_date_from IS NULL OR t.creation_datetime >= p_date_from)
+    AND (p_date_to IS NULL OR t.creation_datetime <= p_date_to)
+  GROUP BY t.delivery_zone
+  ORDER BY order_count DESC;
+END;
+$$;
@@ -0,0 +1,19 @@
+-- Migration 024: Public holidays
+-- public_holidays: the business holiday calendar. Tag rules can test whether an order
+-- is created, picked up or delivered on a holiday (orderIsHoliday, deliveryIsHoliday, ...).
+
+CREATE TABLE IF NOT EXISTS public_holidays (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  -- Calendar date in the business timezone
+  holiday_date DATE NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  created_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE public_holidays ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all for service role" ON public_holidays
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
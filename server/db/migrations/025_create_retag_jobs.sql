@@ -0,0 +1,57 @@
+-- Migration 025: Re-tag jobs
+-- retag_jobs: runs that re-evaluate the current tag rules for open tasks and push
+-- the resulting tags to Tookan (or only report them, for a dry run).
+-- retag_job_tasks: one row per selected task with its tags before and after.
+
+CREATE TABLE IF NOT EXISTS retag_jobs (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  -- pending, running, completed, failed, cancelled
+  status TEXT NOT NULL DEFAULT 'pending',
+  dry_run BOOLEAN NOT NULL DEFAULT false,
+  -- Task selection: { dateFrom, dateTo, statuses, vendorIds, jobIds }
+  filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+  config_version INTEGER,
+  total_tasks INTEGER NOT NULL DEFAULT 0,
+  processed_tasks INTEGER NOT NULL DEFAULT 0,
+  changed_tasks INTEGER NOT NULL DEFAULT 0,
+  unchanged_tasks INTEGER NOT NULL DEFAULT 0,
+  failed_tasks INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  created_by TEXT,
+  created_by_name TEXT,
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_retag_jobs_created_at ON retag_jobs(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_retag_jobs_status ON retag_jobs(status);
+
+CREATE TABLE IF NOT EXISTS retag_job_tasks (
+  id BIGSERIAL PRIMARY KEY,
+  retag_job_id UUID NOT NULL REFERENCES retag_jobs(id) ON DELETE CASCADE,
+  job_id BIGINT NOT NULL,
+  -- pending, updated, would_update (dry run), unchanged, failed
+  status TEXT NOT NULL DEFAULT 'pending',
+  before_tags JSONB,
+  after_tags JSONB,
+  error TEXT,
+  processed_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_retag_job_tasks_job ON retag_job_tasks(retag_job_id, job_id);
+CREATE INDEX IF NOT EXISTS idx_retag_job_tasks_job_status ON retag_job_tasks(retag_job_id, status);
+
+ALTER TABLE retag_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE retag_job_tasks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all for service role" ON retag_jobs
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow all for service role" ON retag_job_tasks
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,12 @@
+-- Migration 026: Verification and replay protection for Tookan task webhooks
+-- payload_hash: SHA-256 of job_id, job_status and delivery timestamp, used to drop
+-- duplicate deliveries that arrive within the replay window.
+-- rejection_reason: why a delivery was refused (status 'rejected'), e.g.
+-- invalid_secret, stale_timestamp or duplicate.
+
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS payload_hash TEXT;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_payload_hash
+  ON webhook_events(payload_hash, created_at DESC)
+  WHERE payload_hash IS NOT NULL;
@@ -0,0 +1,18 @@
+-- Migration 027: Dead-letter state for Tookan webhook events
+-- Events that use up their retries move to status 'dead_letter' instead of staying
+-- 'failed'. An admin either replays them (back to 'pending') or discards them
+-- (status 'discarded') with a reason; both actions are also written to audit_logs.
+
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS dead_lettered_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS discarded_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS discarded_by UUID;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS discard_reason TEXT;
+
+-- Failed events that had already exhausted their retries
+UPDATE webhook_events
+  SET status = 'dead_letter', dead_lettered_at = COALESCE(last_retry_at, updated_at)
+  WHERE status = 'failed' AND retry_count >= 3;
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_dead_letter
+  ON webhook_events(dead_lettered_at DESC)
+  WHERE status = 'dead_letter';
@@ -0,0 +1,67 @@
+-- Migration 028: Scheduling and leasing for the in-process Tookan webhook worker
+-- next_retry_at: when the event may next be processed (receipt + processing delay,
+-- then the backoff schedule after each failure).
+-- locked_by / locked_until: lease held by the worker instance processing the event,
+-- so two server instances never pick up the same event. An expired lease is free again.
+
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS next_retry_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS locked_by TEXT;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS processing_started_at TIMESTAMP WITH TIME ZONE;
+
+-- Queued events keep the backoff they were already in (1 minute doubling per retry)
+UPDATE webhook_events
+  SET next_retry_at = CASE
+    WHEN last_retry_at IS NULL THEN created_at
+    ELSE last_retry_at + make_interval(secs => 60 * power(2, retry_count))
+  END
+  WHERE status IN ('pending', 'failed') AND next_retry_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_queue
+  ON webhook_events(next_retry_at, created_at)
+  WHERE status IN ('pending', 'failed');
+
+-- Lease up to p_limit due events to one worker
+-- Only the oldest unfinished event of each job_id is eligible, so events of one job
+-- are processed one at a time and in the order they were received.
+CREATE OR REPLACE FUNCTION claim_webhook_events(
+  p_worker_id TEXT,
+  p_limit INTEGER,
+  p_lease_seconds INTEGER,
+  p_max_retries INTEGER
+)
+RETURNS SETOF webhook_events
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  RETURN QUERY
+  WITH candidates AS (
+    SELECT e.id
+    FROM webhook_events e
+    WHERE e.status IN ('pending', 'failed')
+      AND e.retry_count < p_max_retries
+      AND COALESCE(e.next_retry_at, e.created_at) <= NOW()
+      AND (e.locked_until IS NULL OR e.locked_until < NOW())
+      AND (e.job_id IS NULL OR NOT EXISTS (
+        SELECT 1 FROM webhook_events older
+        WHERE older.job_id = e.job_id
+          AND older.status IN ('pending', 'failed')
+          AND older.retry_count < p_max_retries
+          AND (older.created_at, older.id) < (e.created_at, e.id)
+      ))
+    ORDER BY e.created_at, e.id
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  UPDATE webhook_events w
+    SET locked_by = p_worker_id,
+        locked_until = NOW() + make_interval(secs => p_lease_seconds),
+        processing_started_at = NOW(),
+        updated_at = NOW()
+    FROM candidates c
+    WHERE w.id = c.id
+  RETURNING w.*;
+END;
+$$;
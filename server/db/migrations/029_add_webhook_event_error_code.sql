@@ -0,0 +1,6 @@
+-- Migration 029: Error code of failed Tookan webhook events
+-- Set when the event failed in a way retrying cannot fix, so it went straight to the
+-- dead-letter queue: 'unknown_event_type' (no handler for the event type) or
+-- 'invalid_payload' (required fields missing). NULL for ordinary processing errors.
+
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS error_code TEXT;
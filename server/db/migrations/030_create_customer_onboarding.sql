@@ -0,0 +1,44 @@
+-- Migration 030: Customer onboarding
+-- customer_onboarding: one row per Tookan customer first seen through the customer
+-- webhook, with the plan, withdrawal fee and tags the onboarding rules gave it and
+-- whether each step succeeded. Ops mark rows reviewed once they have checked the sign-up.
+-- The rules live in settings under 'customer_onboarding_rules' (JSON).
+
+CREATE TABLE IF NOT EXISTS customer_onboarding (
+  id BIGSERIAL PRIMARY KEY,
+  vendor_id BIGINT NOT NULL UNIQUE,
+  customer_name TEXT,
+  customer_email TEXT,
+  customer_phone TEXT,
+  -- pending, completed, partial (some steps failed), failed
+  status TEXT NOT NULL DEFAULT 'pending',
+  -- Name of the onboarding rule that matched, NULL when the defaults applied
+  matched_rule TEXT,
+  plan_id UUID REFERENCES plans(id) ON DELETE SET NULL,
+  withdraw_fees NUMERIC,
+  tags JSONB,
+  -- Per step: [{ step: 'plan' | 'withdraw_fees' | 'tags' | 'tookan_tags', status: 'applied' | 'skipped' | 'failed', detail }]
+  actions JSONB NOT NULL DEFAULT '[]'::jsonb,
+  error TEXT,
+  reviewed_at TIMESTAMPTZ,
+  reviewed_by TEXT,
+  review_note TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_onboarding_created_at ON customer_onboarding(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_customer_onboarding_unreviewed
+  ON customer_onboarding(created_at DESC)
+  WHERE reviewed_at IS NULL;
+
+ALTER TABLE customer_onboarding ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all for service role" ON customer_onboarding
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+INSERT INTO settings (key, value)
+VALUES ('customer_onboarding_rules', '{"enabled":true,"pushTags":true,"defaultPlanId":null,"defaultWithdrawFee":null,"rules":[]}')
+ON CONFLICT (key) DO NOTHING;
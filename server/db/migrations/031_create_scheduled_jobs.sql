@@ -0,0 +1,100 @@
+-- Migration 031: In-process job scheduler (replaces cron-jobs/*.sh)
+-- Schedules are stored in settings under 'job_schedules':
+--   { "<job name>": { "cron": "*/15 * * * *", "paused": false }, ... }
+-- Cron expressions are evaluated in the business timezone (BUSINESS_TIMEZONE).
+-- scheduled_job_locks: one row per job. locked_by / locked_until is the lease of the
+-- server instance running it, so a job never overlaps itself across instances;
+-- last_scheduled_for is the latest schedule slot taken, so each slot runs once.
+-- scheduled_job_runs: history of every run with duration, record counts and errors.
+
+CREATE TABLE IF NOT EXISTS scheduled_job_locks (
+  job_name TEXT PRIMARY KEY,
+  locked_by TEXT,
+  locked_until TIMESTAMPTZ,
+  last_scheduled_for TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS scheduled_job_runs (
+  id BIGSERIAL PRIMARY KEY,
+  job_name TEXT NOT NULL,
+  -- schedule, manual
+  trigger TEXT NOT NULL,
+  -- running, succeeded, failed, skipped (the previous run still held the lock)
+  status TEXT NOT NULL DEFAULT 'running',
+  scheduled_for TIMESTAMPTZ,
+  worker_id TEXT,
+  triggered_by TEXT,
+  started_at TIMESTAMPTZ DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  duration_ms INTEGER,
+  records_processed INTEGER,
+  records_failed INTEGER,
+  result JSONB,
+  error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_job_runs_job ON scheduled_job_runs(job_name, started_at DESC);
+
+ALTER TABLE scheduled_job_locks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scheduled_job_runs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all for service role" ON scheduled_job_locks
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow all for service role" ON scheduled_job_runs
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+-- Take the lease of a job
+-- p_scheduled_for is the schedule slot being run (NULL for a manual trigger).
+-- Returns 'acquired', 'locked' (another run holds the lease) or 'already_run'
+-- (another instance already took this slot). Only the first instance to see a
+-- slot gets 'locked', so an overlap is reported once.
+CREATE OR REPLACE FUNCTION acquire_job_lock(
+  p_job_name TEXT,
+  p_worker_id TEXT,
+  p_lease_seconds INTEGER,
+  p_scheduled_for TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_lock scheduled_job_locks%ROWTYPE;
+BEGIN
+  INSERT INTO scheduled_job_locks (job_name) VALUES (p_job_name)
+    ON CONFLICT (job_name) DO NOTHING;
+
+  SELECT * INTO v_lock FROM scheduled_job_locks WHERE job_name = p_job_name FOR UPDATE;
+
+  IF p_scheduled_for IS NOT NULL AND v_lock.last_scheduled_for IS NOT NULL
+     AND v_lock.last_scheduled_for >= p_scheduled_for THEN
+    RETURN 'already_run';
+  END IF;
+
+  IF v_lock.locked_until IS NOT NULL AND v_lock.locked_until > NOW() THEN
+    UPDATE scheduled_job_locks
+      SET last_scheduled_for = COALESCE(p_scheduled_for, last_scheduled_for), updated_at = NOW()
+      WHERE job_name = p_job_name;
+    RETURN 'locked';
+  END IF;
+
+  UPDATE scheduled_job_locks
+    SET locked_by = p_worker_id,
+        locked_until = NOW() + make_interval(secs => p_lease_seconds),
+        last_scheduled_for = COALESCE(p_scheduled_for, last_scheduled_for),
+        updated_at = NOW()
+    WHERE job_name = p_job_name;
+  RETURN 'acquired';
+END;
+$$;
+
+INSERT INTO settings (key, value)
+VALUES ('job_schedules', '{"sync_tookan_orders":{"cron":"*/15 * * * *","paused":false},"sync_cod_amounts":{"cron":"5,35 * * * *","paused":false},"sync_merchants":{"cron":"0 */6 * * *","paused":false},"sync_tags_backfill":{"cron":"10,40 * * * *","paused":false}}')
+ON CONFLICT (key) DO NOTHING;
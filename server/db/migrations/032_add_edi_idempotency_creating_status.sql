@@ -0,0 +1,10 @@
+-- Migration 032: 'creating' status for EDI idempotency keys
+-- in_progress: reserved, the order has not been sent to Tookan yet. An abandoned
+--              reservation in this state may be taken over by a retry.
+-- creating:    the order was sent to Tookan. The task may exist, so the key is
+--              never taken over; it stays here only if storing the response failed.
+-- completed:   the response is stored and replayed to retries.
+
+ALTER TABLE edi_idempotency_keys DROP CONSTRAINT IF EXISTS edi_idempotency_keys_status_check;
+ALTER TABLE edi_idempotency_keys
+  ADD CONSTRAINT edi_idempotency_keys_status_check CHECK (status IN ('in_progress', 'creating', 'completed'));
@@ -0,0 +1,18 @@
+-- Migration 033: Unique payload hash for accepted Tookan webhook events
+-- Deliveries are deduplicated by inserting with ON CONFLICT (payload_hash) DO NOTHING,
+-- so two copies arriving at the same time cannot both be queued. Rejected deliveries
+-- no longer store the hash; it is cleared on existing ones, and on all but the first
+-- of any accepted duplicates, before the unique index is built.
+
+UPDATE webhook_events SET payload_hash = NULL
+  WHERE status = 'rejected' AND payload_hash IS NOT NULL;
+
+UPDATE webhook_events e SET payload_hash = NULL
+  WHERE e.payload_hash IS NOT NULL
+    AND EXISTS (
+      SELECT 1 FROM webhook_events o
+      WHERE o.payload_hash = e.payload_hash AND o.id < e.id
+    );
+
+DROP INDEX IF EXISTS idx_webhook_events_payload_hash;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_events_payload_hash ON webhook_events(payload_hash);
@@ -0,0 +1,50 @@
+-- Migration 034: Atomic daily order quota for EDI tokens
+-- The daily order limit used to read a token's order_count and add to it in a second
+-- call, so concurrent requests could all pass the check. reserve_api_token_orders
+-- checks and adds in one statement; orders that end up not being created are given
+-- back with increment_api_token_usage and a negative p_orders.
+
+-- Add p_orders to a token's order count for a day unless that would exceed p_limit
+-- Returns whether the orders were reserved and the day's order count afterwards.
+-- A refused reservation counts as one rejected request.
+CREATE OR REPLACE FUNCTION reserve_api_token_orders(
+  p_token_id UUID,
+  p_merchant_id TEXT,
+  p_usage_date DATE,
+  p_orders INTEGER,
+  p_limit INTEGER
+)
+RETURNS TABLE (reserved BOOLEAN, order_count INTEGER)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_order_count INTEGER;
+BEGIN
+  INSERT INTO api_token_usage (token_id, usage_date, merchant_id, updated_at)
+  VALUES (p_token_id, p_usage_date, p_merchant_id, NOW())
+  ON CONFLICT (token_id, usage_date) DO NOTHING;
+
+  UPDATE api_token_usage u SET
+    order_count = u.order_count + p_orders,
+    updated_at = NOW()
+  WHERE u.token_id = p_token_id
+    AND u.usage_date = p_usage_date
+    AND u.order_count + p_orders <= p_limit
+  RETURNING u.order_count INTO v_order_count;
+
+  IF FOUND THEN
+    RETURN QUERY SELECT TRUE, v_order_count;
+    RETURN;
+  END IF;
+
+  UPDATE api_token_usage u SET
+    rejected_count = u.rejected_count + 1,
+    updated_at = NOW()
+  WHERE u.token_id = p_token_id AND u.usage_date = p_usage_date
+  RETURNING u.order_count INTO v_order_count;
+
+  RETURN QUERY SELECT FALSE, v_order_count;
+END;
+$$;
@@ -0,0 +1,167 @@
+/**
+ * API Token Usage Model
+ * 
+ * Database operations for api_token_usage (per-token daily EDI counters) and
+ * api_token_rate_windows (per-token request counts of the current minute).
+ * Days are UTC calendar days.
+ */
+
+const { supabase, isConfigured } = require('../supabase');
+
+/**
+ * Today's usage_date (UTC) as YYYY-MM-DD
+ */
+function getUsageDate(date = new Date()) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Add to a token's counters for a day (today unless usage_date is given)
+ * Negative orders give back reserved orders that were not created.
+ * @returns {Object|null} The updated usage row
+ */
+async function incrementUsage({ token_id, merchant_id, usage_date = getUsageDate(), requests = 0, orders = 0, rejected = 0 }) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase.rpc('increment_api_token_usage', {
+    p_token_id: token_id,
+    p_merchant_id: String(merchant_id),
+    p_usage_date: usage_date,
+    p_requests: requests,
+    p_orders: orders,
+    p_rejected: rejected
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return Array.isArray(data) ? data[0] || null : data;
+}
+
+/**
+ * Add orders to a token's count for today unless that would go over its daily limit
+ * Check and increment happen in one statement (reserve_api_token_orders, migration 034);
+ * a refused reservation counts as a rejected request instead.
+ * @returns {Object} { reserved, order_count, usage_date } - order_count is the day's count afterwards
+ */
+async function reserveOrders({ token_id, merchant_id, orders, limit }) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const usageDate = getUsageDate();
+  const { data, error } = await supabase.rpc('reserve_api_token_orders', {
+    p_token_id: token_id,
+    p_merchant_id: String(merchant_id),
+    p_usage_date: usageDate,
+    p_orders: orders,
+    p_limit: limit
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  const row = Array.isArray(data) ? data[0] : data;
+  return { reserved: !!row.reserved, order_count: row.order_count, usage_date: usageDate };
+}
+
+/**
+ * Count a request in the token's current rate limit window
+ * @returns {Object} { count, resetAt } - requests so far in the window, and when it ends (ms)
+ */
+async function hitRateWindow(tokenId, windowSeconds) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase.rpc('hit_api_token_rate_window', {
+    p_token_id: tokenId,
+    p_window_seconds: windowSeconds
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  const row = Array.isArray(data) ? data[0] : data;
+  return {
+    count: row.request_count,
+    resetAt: new Date(row.window_start).getTime() + windowSeconds * 1000
+  };
+}
+
+/**
+ * Get a token's usage for one day (defaults to today)
+ * @returns {Object} Usage row, with zero counts when nothing was recorded yet
+ */
+async function getUsage(tokenId, usageDate = getUsageDate()) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('api_token_usage')
+    .select('*')
+    .eq('token_id', tokenId)
+    .eq('usage_date', usageDate)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+
+  return data || { token_id: tokenId, usage_date: usageDate, request_count: 0, order_count: 0, rejected_count: 0 };
+}
+
+/**
+ * List daily usage rows with filters
+ * @param {Object} filters - { merchantId, tokenIds, dateFrom, dateTo, limit }
+ */
+async function listUsage(filters = {}) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  let query = supabase.from('api_token_usage').select('*');
+
+  if (filters.merchantId) {
+    query = query.eq('merchant_id', String(filters.merchantId));
+  }
+
+  if (filters.tokenIds && filters.tokenIds.length > 0) {
+    query = query.in('token_id', filters.tokenIds);
+  }
+
+  if (filters.dateFrom) {
+    query = query.gte('usage_date', filters.dateFrom);
+  }
+
+  if (filters.dateTo) {
+    query = query.lte('usage_date', filters.dateTo);
+  }
+
+  query = query
+    .order('usage_date', { ascending: false })
+    .limit(parseInt(filters.limit) || 500);
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+module.exports = {
+  getUsageDate,
+  incrementUsage,
+  reserveOrders,
+  hitRateWindow,
+  getUsage,
+  listUsage
+};
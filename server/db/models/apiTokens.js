@@ -1,6 +1,25 @@
 const { supabase } = require('../supabase');
 const crypto = require('crypto');
 
+// Everything a token can be allowed to do
+const TOKEN_SCOPES = [
+    'orders:create',
+    'orders:read',
+    'orders:update',
+    'orders:cancel',
+    'webhooks:manage'
+];
+
+// Granted when none are requested: what EDI tokens could do before scopes existed
+const DEFAULT_TOKEN_SCOPES = ['orders:create', 'orders:read'];
+
+// Columns safe to return to admins (never the hash)
+const TOKEN_COLUMNS = 'id, name, description, prefix, merchant_id, scopes, expires_at, rate_limit_per_minute, orders_per_day, created_by, created_at, last_used_at, is_active, revoked_at, rotated_from, replaced_by';
+
+// How long a rotated-out token keeps working unless told otherwise
+const DEFAULT_ROTATION_GRACE_HOURS = 24;
+const MAX_ROTATION_GRACE_HOURS = 24 * 7;
+
 /**
  * Generate a secure API token
  * Returns { token, hash, prefix }
@@ -16,10 +35,36 @@ function generateToken() {
     return { token: rawToken, hash, prefix };
 }
 
+/**
+ * Check a requested scope list
+ * @returns {string|null} Error message, or null when every scope is known
+ */
+function validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return 'scopes must be a non-empty array';
+    }
+
+    const unknown = scopes.filter(scope => !TOKEN_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+        return `Unknown scopes: ${unknown.join(', ')}. Allowed: ${TOKEN_SCOPES.join(', ')}`;
+    }
+
+    return null;
+}
+
+/**
+ * Check whether a token row is past its expiry
+ */
+function isExpired(token, now = new Date()) {
+    return Boolean(token.expires_at) && new Date(token.expires_at) <= now;
+}
+
 /**
  * Create a new API token
+ * scopes default to DEFAULT_TOKEN_SCOPES; expires_at is optional (null = never expires).
+ * rate_limit_per_minute / orders_per_day are optional (null = server defaults).
  */
-async function createToken({ merchant_id, name, created_by }) {
+async function createToken({ merchant_id, name, description, scopes, expires_at, rate_limit_per_minute, orders_per_day, created_by, rotated_from }) {
     const { token, hash, prefix } = generateToken();
 
     const { data, error } = await supabase
@@ -27,8 +72,14 @@ async function createToken({ merchant_id, name, created_by }) {
         .insert({
             merchant_id,
             name,
+            description: description || null,
             token_hash: hash,
             prefix,
+            scopes: scopes || DEFAULT_TOKEN_SCOPES,
+            expires_at: expires_at || null,
+            rate_limit_per_minute: rate_limit_per_minute || null,
+            orders_per_day: orders_per_day || null,
+            rotated_from: rotated_from || null,
             created_by,
             is_active: true
         })
@@ -58,6 +109,9 @@ async function validateToken(rawToken) {
 
     if (error || !data) return null;
 
+    // Expired tokens (including rotated-out tokens past their grace period) are rejected
+    if (isExpired(data)) return null;
+
     // Update last used timestamp (fire and forget)
     supabase
         .from('api_tokens')
@@ -82,13 +136,96 @@ async function revokeToken(id) {
     return data;
 }
 
+/**
+ * Get a single token by ID
+ */
+async function getToken(id) {
+    const { data, error } = await supabase
+        .from('api_tokens')
+        .select(TOKEN_COLUMNS)
+        .eq('id', id)
+        .single();
+
+    if (error) {
+        if (error.code === 'PGRST116') return null;
+        throw error;
+    }
+    return data;
+}
+
+/**
+ * Change the scopes, expiry and/or limits of a token
+ * @param {string} id - Token ID
+ * @param {Object} updates - { scopes?, expires_at?, rate_limit_per_minute?, orders_per_day? }
+ * (null removes the expiry or falls back to the default limit)
+ */
+async function updateToken(id, updates) {
+    const changes = {};
+    ['scopes', 'expires_at', 'rate_limit_per_minute', 'orders_per_day'].forEach(field => {
+        if (updates[field] !== undefined) changes[field] = updates[field];
+    });
+
+    const { data, error } = await supabase
+        .from('api_tokens')
+        .update(changes)
+        .eq('id', id)
+        .select(TOKEN_COLUMNS)
+        .single();
+
+    if (error) {
+        if (error.code === 'PGRST116') return null;
+        throw error;
+    }
+    return data;
+}
+
+/**
+ * Rotate a token: issue a replacement with the same merchant, scopes, expiry and limits,
+ * and let the old token keep working until the grace period ends.
+ * @param {string} id - Token ID to rotate
+ * @param {Object} options - { grace_hours, created_by }
+ * @returns {Object|null} The new token (with raw_token) and the old token's new expiry,
+ * or null when the token does not exist or is no longer usable
+ */
+async function rotateToken(id, { grace_hours = DEFAULT_ROTATION_GRACE_HOURS, created_by } = {}) {
+    const current = await getToken(id);
+    if (!current || !current.is_active || isExpired(current)) return null;
+
+    const newToken = await createToken({
+        merchant_id: current.merchant_id,
+        name: current.name,
+        description: current.description,
+        scopes: current.scopes,
+        expires_at: current.expires_at,
+        rate_limit_per_minute: current.rate_limit_per_minute,
+        orders_per_day: current.orders_per_day,
+        created_by,
+        rotated_from: current.id
+    });
+
+    // Never extend an expiry that was already sooner than the grace period
+    const graceEnd = new Date(Date.now() + grace_hours * 60 * 60 * 1000);
+    const oldExpiry = current.expires_at && new Date(current.expires_at) < graceEnd
+        ? current.expires_at
+        : graceEnd.toISOString();
+
+    const { error } = await supabase
+        .from('api_tokens')
+        .update({ expires_at: oldExpiry, replaced_by: newToken.id })
+        .eq('id', current.id);
+
+    if (error) throw error;
+
+    return { token: newToken, previous_token_expires_at: oldExpiry };
+}
+
 /**
  * List tokens for a merchant
  */
 async function listTokens(merchant_id) {
     const { data, error } = await supabase
         .from('api_tokens')
-        .select('id, name, prefix, created_at, last_used_at, is_active')
+        .select(TOKEN_COLUMNS)
         .eq('merchant_id', merchant_id)
         .order('created_at', { ascending: false });
 
@@ -97,8 +234,17 @@ async function listTokens(merchant_id) {
 }
 
 module.exports = {
+    TOKEN_SCOPES,
+    DEFAULT_TOKEN_SCOPES,
+    DEFAULT_ROTATION_GRACE_HOURS,
+    MAX_ROTATION_GRACE_HOURS,
+    validateScopes,
+    isExpired,
     createToken,
     validateToken,
+    getToken,
+    updateToken,
+    rotateToken,
     revokeToken,
     listTokens
 };
@@ -0,0 +1,121 @@
+/**
+ * Customer Onboarding Model
+ *
+ * Database operations for the customer_onboarding table: what the onboarding rules
+ * did for each new Tookan customer, and the ops review of it.
+ */
+
+const { supabase, isConfigured } = require('../supabase');
+
+/**
+ * Start the onboarding record of a customer
+ * @returns {Object|null} The new record, or null if the customer was already onboarded
+ */
+async function createRecord(record) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  // vendor_id is unique: a duplicate webhook must not onboard the customer twice
+  const { data, error } = await supabase
+    .from('customer_onboarding')
+    .upsert(record, { onConflict: 'vendor_id', ignoreDuplicates: true })
+    .select();
+
+  if (error) {
+    throw error;
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Update a record
+ */
+async function updateRecord(id, updates) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('customer_onboarding')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * List records, newest first
+ * @param {Object} filters - { reviewed (true/false, omitted for all), status, limit, offset }
+ * @returns {Object} { records, total }
+ */
+async function listRecords(filters = {}) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const limit = filters.limit || 50;
+  const offset = filters.offset || 0;
+
+  let query = supabase
+    .from('customer_onboarding')
+    .select('*', { count: 'exact' });
+
+  if (filters.reviewed === true) {
+    query = query.not('reviewed_at', 'is', null);
+  } else if (filters.reviewed === false) {
+    query = query.is('reviewed_at', null);
+  }
+  if (filters.status) {
+    query = query.eq('status', filters.status);
+  }
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    throw error;
+  }
+
+  return { records: data || [], total: count || 0 };
+}
+
+/**
+ * Mark records reviewed
+ * Records already reviewed are left unchanged.
+ * @returns {Array<Object>} The records marked
+ */
+async function markReviewed(ids, reviewedBy, note = null) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('customer_onboarding')
+    .update({ reviewed_at: now, reviewed_by: reviewedBy, review_note: note, updated_at: now })
+    .in('id', ids)
+    .is('reviewed_at', null)
+    .select();
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+module.exports = {
+  createRecord,
+  updateRecord,
+  listRecords,
+  markReviewed
+};
@@ -0,0 +1,201 @@
+/**
+ * Delivery Zones Model
+ * 
+ * Database operations for delivery_zones table.
+ * Zones are GeoJSON polygons identified by a short code (used in tag rules and reports).
+ */
+
+const { supabase, isConfigured } = require('../supabase');
+
+// Fields callers may set
+const ZONE_FIELDS = ['code', 'name', 'description', 'geometry', 'priority', 'delivery_surcharge', 'is_active'];
+
+/**
+ * Keep only the writable zone fields
+ */
+function pickZoneFields(zone) {
+  const fields = {};
+  ZONE_FIELDS.forEach(field => {
+    if (zone[field] !== undefined) {
+      fields[field] = zone[field];
+    }
+  });
+  return fields;
+}
+
+/**
+ * List zones, highest priority first
+ * @param {Object} filters - { activeOnly }
+ */
+async function listZones(filters = {}) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  let query = supabase
+    .from('delivery_zones')
+    .select('*');
+
+  if (filters.activeOnly) {
+    query = query.eq('is_active', true);
+  }
+
+  const { data, error } = await query
+    .order('priority', { ascending: false })
+    .order('code', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Get zone by ID
+ */
+async function getZone(id) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('delivery_zones')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') return null;
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Create a zone
+ */
+async function createZone(zone, createdBy = null) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('delivery_zones')
+    .insert({
+      ...pickZoneFields(zone),
+      created_by: createdBy
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Update a zone
+ */
+async function updateZone(id, updates) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('delivery_zones')
+    .update({
+      ...pickZoneFields(updates),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') return null;
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Create or update zones by code (import)
+ */
+async function upsertZones(zones, createdBy = null) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('delivery_zones')
+    .upsert(zones.map(zone => ({
+      ...pickZoneFields(zone),
+      created_by: createdBy,
+      updated_at: now
+    })), { onConflict: 'code' })
+    .select();
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Delete a zone
+ */
+async function deleteZone(id) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { error } = await supabase
+    .from('delivery_zones')
+    .delete()
+    .eq('id', id);
+
+  if (error) {
+    throw error;
+  }
+
+  return true;
+}
+
+/**
+ * Orders, COD and fees per delivery zone (delivery tasks only)
+ * @param {string} [dateFrom] - ISO timestamp
+ * @param {string} [dateTo] - ISO timestamp
+ */
+async function getZoneOrderSummary(dateFrom = null, dateTo = null) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase.rpc('get_zone_order_summary', {
+    p_date_from: dateFrom || null,
+    p_date_to: dateTo || null
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+module.exports = {
+  listZones,
+  getZone,
+  createZone,
+  updateZone,
+  upsertZones,
+  deleteZone,
+  getZoneOrderSummary
+};
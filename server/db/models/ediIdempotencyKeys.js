@@ -0,0 +1,148 @@
+/**
+ * EDI Idempotency Keys Model
+ * 
+ * Database operations for edi_idempotency_keys table.
+ * A key is reserved before the Tookan task is created, marked 'creating' just before
+ * the order is sent and completed with the original response afterwards, so retried
+ * requests can be answered from here.
+ */
+
+const { supabase, isConfigured } = require('../supabase');
+
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Get a key record for a merchant
+ */
+async function getKey(merchantId, idempotencyKey) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('edi_idempotency_keys')
+    .select('*')
+    .eq('merchant_id', String(merchantId))
+    .eq('idempotency_key', idempotencyKey)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+
+  return data || null;
+}
+
+/**
+ * Reserve a key before creating the order
+ * Returns { reserved: true, record } for a fresh key, or
+ * { reserved: false, record } with the existing record when the key is taken.
+ */
+async function reserveKey(merchantId, idempotencyKey, requestHash) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('edi_idempotency_keys')
+    .insert({
+      merchant_id: String(merchantId),
+      idempotency_key: idempotencyKey,
+      request_hash: requestHash,
+      status: 'in_progress'
+    })
+    .select()
+    .single();
+
+  if (!error) {
+    return { reserved: true, record: data };
+  }
+
+  if (error.code === UNIQUE_VIOLATION) {
+    const existing = await getKey(merchantId, idempotencyKey);
+    return { reserved: false, record: existing };
+  }
+
+  throw error;
+}
+
+/**
+ * Mark a reserved key as sent to Tookan
+ * From here on the task may exist, so the key must never be taken over.
+ * @returns {boolean} false if the reservation was no longer in_progress
+ */
+async function markCreating(id) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('edi_idempotency_keys')
+    .update({ status: 'creating' })
+    .eq('id', id)
+    .eq('status', 'in_progress')
+    .select('id');
+
+  if (error) {
+    throw error;
+  }
+
+  return !!(data && data.length > 0);
+}
+
+/**
+ * Store the successful response against a reserved key
+ */
+async function completeKey(id, jobId, response) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('edi_idempotency_keys')
+    .update({
+      status: 'completed',
+      job_id: jobId || null,
+      response,
+      completed_at: new Date().toISOString()
+    })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Release a reserved key (order creation failed, so the client may retry)
+ * @param {Array<string>} statuses - Only release the key while in one of these statuses
+ */
+async function releaseKey(id, statuses = ['in_progress', 'creating']) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { error } = await supabase
+    .from('edi_idempotency_keys')
+    .delete()
+    .eq('id', id)
+    .in('status', statuses);
+
+  if (error) {
+    throw error;
+  }
+
+  return true;
+}
+
+module.exports = {
+  getKey,
+  reserveKey,
+  markCreating,
+  completeKey,
+  releaseKey
+};
@@ -0,0 +1,288 @@
+/**
+ * EDI Webhooks Model
+ * 
+ * Database operations for edi_webhook_subscriptions and edi_webhook_deliveries.
+ * Subscriptions hold the merchant callback URL and its signing secret;
+ * deliveries are the outbound event log with retry state.
+ */
+
+const crypto = require('crypto');
+const { supabase, isConfigured } = require('../supabase');
+
+// Columns safe to return to callers (never the signing secret)
+const SUBSCRIPTION_PUBLIC_COLUMNS = 'id, merchant_id, api_token_id, url, description, is_active, created_by, created_at, updated_at';
+
+/**
+ * Generate a signing secret for a subscription
+ */
+function generateSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Register a callback URL
+ * The secret is returned here once so the merchant can verify signatures.
+ */
+async function createSubscription({ merchant_id, api_token_id, url, description, created_by }) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('edi_webhook_subscriptions')
+    .insert({
+      merchant_id: String(merchant_id),
+      api_token_id: api_token_id || null,
+      url,
+      secret: generateSecret(),
+      description: description || null,
+      created_by: created_by || null,
+      is_active: true
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * List subscriptions, optionally for one merchant
+ */
+async function listSubscriptions(merchantId = null) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  let query = supabase
+    .from('edi_webhook_subscriptions')
+    .select(SUBSCRIPTION_PUBLIC_COLUMNS)
+    .order('created_at', { ascending: false });
+
+  if (merchantId) {
+    query = query.eq('merchant_id', String(merchantId));
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Get active subscriptions for a merchant, including secrets (for signing)
+ */
+async function getActiveSubscriptions(merchantId) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('edi_webhook_subscriptions')
+    .select('*')
+    .eq('merchant_id', String(merchantId))
+    .eq('is_active', true);
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Get a subscription by ID, including its secret
+ */
+async function getSubscription(id) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('edi_webhook_subscriptions')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+
+  return data || null;
+}
+
+/**
+ * Deactivate a subscription
+ * When merchantId is given the subscription must belong to that merchant.
+ */
+async function deactivateSubscription(id, merchantId = null) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  let query = supabase
+    .from('edi_webhook_subscriptions')
+    .update({ is_active: false, updated_at: new Date().toISOString() })
+    .eq('id', id);
+
+  if (merchantId) {
+    query = query.eq('merchant_id', String(merchantId));
+  }
+
+  const { data, error } = await query.select(SUBSCRIPTION_PUBLIC_COLUMNS);
+
+  if (error) {
+    throw error;
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Insert delivery records
+ */
+async function createDeliveries(deliveries) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  if (!deliveries || deliveries.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('edi_webhook_deliveries')
+    .insert(deliveries)
+    .select();
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Get a delivery by ID
+ */
+async function getDelivery(id) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('edi_webhook_deliveries')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+
+  return data || null;
+}
+
+/**
+ * Get pending deliveries whose next attempt is due
+ */
+async function getDueDeliveries(limit = 50) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('edi_webhook_deliveries')
+    .select('*')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Update delivery state after an attempt
+ */
+async function updateDelivery(id, updates) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('edi_webhook_deliveries')
+    .update(updates)
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * List deliveries with filters (delivery log)
+ */
+async function listDeliveries(filters = {}) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  let query = supabase
+    .from('edi_webhook_deliveries')
+    .select('*', { count: 'exact' });
+
+  if (filters.merchantId) {
+    query = query.eq('merchant_id', String(filters.merchantId));
+  }
+
+  if (filters.subscriptionId) {
+    query = query.eq('subscription_id', filters.subscriptionId);
+  }
+
+  if (filters.status) {
+    query = query.eq('status', filters.status);
+  }
+
+  if (filters.jobId) {
+    query = query.eq('job_id', filters.jobId);
+  }
+
+  const limit = parseInt(filters.limit) || 50;
+  const offset = parseInt(filters.offset) || 0;
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    throw error;
+  }
+
+  return { deliveries: data || [], total: count || 0 };
+}
+
+module.exports = {
+  createSubscription,
+  listSubscriptions,
+  getActiveSubscriptions,
+  getSubscription,
+  deactivateSubscription,
+  createDeliveries,
+  getDelivery,
+  getDueDeliveries,
+  updateDelivery,
+  listDeliveries
+};
@@ -0,0 +1,114 @@
+/**
+ * Public Holidays Model
+ * 
+ * Database operations for public_holidays table.
+ * One row per calendar date (business timezone) with the holiday name.
+ */
+
+const { supabase, isConfigured } = require('../supabase');
+
+/**
+ * List holidays, oldest first
+ * @param {Object} filters - { from, to } (YYYY-MM-DD, inclusive)
+ */
+async function listHolidays(filters = {}) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  let query = supabase
+    .from('public_holidays')
+    .select('*');
+
+  if (filters.from) {
+    query = query.gte('holiday_date', filters.from);
+  }
+  if (filters.to) {
+    query = query.lte('holiday_date', filters.to);
+  }
+
+  const { data, error } = await query.order('holiday_date', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Get holiday by ID
+ */
+async function getHoliday(id) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('public_holidays')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') return null;
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Add or rename holidays, matched on date
+ * @param {Array<{holiday_date: string, name: string}>} holidays
+ * @param {string|null} createdBy - User who made the change
+ */
+async function upsertHolidays(holidays, createdBy = null) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const rows = holidays.map(holiday => ({
+    holiday_date: holiday.holiday_date,
+    name: holiday.name,
+    created_by: createdBy
+  }));
+
+  const { data, error } = await supabase
+    .from('public_holidays')
+    .upsert(rows, { onConflict: 'holiday_date' })
+    .select();
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Delete holiday
+ */
+async function deleteHoliday(id) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { error } = await supabase
+    .from('public_holidays')
+    .delete()
+    .eq('id', id);
+
+  if (error) {
+    throw error;
+  }
+
+  return true;
+}
+
+module.exports = {
+  listHolidays,
+  getHoliday,
+  upsertHolidays,
+  deleteHoliday
+};
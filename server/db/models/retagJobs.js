@@ -0,0 +1,211 @@
+/**
+ * Re-tag Jobs Model
+ * 
+ * Database operations for retag_jobs and retag_job_tasks tables.
+ * A re-tag job re-applies the tag rules to a selection of open tasks; each selected
+ * task has a retag_job_tasks row with its tags before and after.
+ */
+
+const { supabase, isConfigured } = require('../supabase');
+
+// Inserts and updates of task rows are sent in chunks of this size
+const TASK_WRITE_CHUNK = 500;
+
+/**
+ * Create a job
+ */
+async function createJob(job) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('retag_jobs')
+    .insert(job)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Get job by ID
+ */
+async function getJob(id) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('retag_jobs')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') return null;
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * List jobs, newest first
+ * @param {Object} filters - { statuses, limit, offset }
+ * @returns {Object} { jobs, total }
+ */
+async function listJobs(filters = {}) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const limit = filters.limit || 20;
+  const offset = filters.offset || 0;
+
+  let query = supabase
+    .from('retag_jobs')
+    .select('*', { count: 'exact' });
+
+  if (filters.statuses) {
+    query = query.in('status', filters.statuses);
+  }
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    throw error;
+  }
+
+  return { jobs: data || [], total: count || 0 };
+}
+
+/**
+ * Update job
+ */
+async function updateJob(id, updates) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('retag_jobs')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Add the selected tasks of a job
+ * @param {string} retagJobId - Job ID
+ * @param {Array<number>} jobIds - Tookan job IDs
+ */
+async function addTasks(retagJobId, jobIds) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  for (let i = 0; i < jobIds.length; i += TASK_WRITE_CHUNK) {
+    const rows = jobIds.slice(i, i + TASK_WRITE_CHUNK).map(jobId => ({
+      retag_job_id: retagJobId,
+      job_id: jobId
+    }));
+
+    const { error } = await supabase
+      .from('retag_job_tasks')
+      .insert(rows);
+
+    if (error) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Record the outcome for tasks of a job
+ * @param {string} retagJobId - Job ID
+ * @param {Array<Object>} results - { job_id, status, before_tags, after_tags, error }
+ */
+async function updateTasks(retagJobId, results) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const processedAt = new Date().toISOString();
+  const rows = results.map(result => ({
+    retag_job_id: retagJobId,
+    job_id: result.job_id,
+    status: result.status,
+    before_tags: result.before_tags,
+    after_tags: result.after_tags,
+    error: result.error || null,
+    processed_at: processedAt
+  }));
+
+  for (let i = 0; i < rows.length; i += TASK_WRITE_CHUNK) {
+    const { error } = await supabase
+      .from('retag_job_tasks')
+      .upsert(rows.slice(i, i + TASK_WRITE_CHUNK), { onConflict: 'retag_job_id,job_id' });
+
+    if (error) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * List the tasks of a job
+ * @param {string} retagJobId - Job ID
+ * @param {Object} filters - { status, limit, offset }
+ * @returns {Object} { tasks, total }
+ */
+async function listTasks(retagJobId, filters = {}) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const limit = filters.limit || 100;
+  const offset = filters.offset || 0;
+
+  let query = supabase
+    .from('retag_job_tasks')
+    .select('*', { count: 'exact' })
+    .eq('retag_job_id', retagJobId);
+
+  if (filters.status) {
+    query = query.eq('status', filters.status);
+  }
+
+  const { data, error, count } = await query
+    .order('id', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    throw error;
+  }
+
+  return { tasks: data || [], total: count || 0 };
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  listJobs,
+  updateJob,
+  addTasks,
+  updateTasks,
+  listTasks
+};
@@ -0,0 +1,248 @@
+/**
+ * Scheduled Jobs Model
+ *
+ * Database operations for the job scheduler (services/jobScheduler.js):
+ * scheduled_job_locks holds the lease that keeps a job from overlapping itself,
+ * scheduled_job_runs the history of every run.
+ */
+
+const { supabase, isConfigured } = require('../supabase');
+
+/**
+ * Take the lease of a job
+ * @param {Date|null} scheduledFor - The schedule slot being run, null for a manual trigger
+ * @returns {string} 'acquired', 'locked' or 'already_run' (see acquire_job_lock)
+ */
+async function acquireLock(jobName, workerId, leaseSeconds, scheduledFor = null) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase.rpc('acquire_job_lock', {
+    p_job_name: jobName,
+    p_worker_id: workerId,
+    p_lease_seconds: leaseSeconds,
+    p_scheduled_for: scheduledFor ? scheduledFor.toISOString() : null
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Extend the lease of a job this worker holds
+ * @returns {boolean} false if the lease was lost (expired and taken by another worker)
+ */
+async function renewLock(jobName, workerId, leaseSeconds) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('scheduled_job_locks')
+    .update({
+      locked_until: new Date(Date.now() + leaseSeconds * 1000).toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('job_name', jobName)
+    .eq('locked_by', workerId)
+    .select('job_name');
+
+  if (error) {
+    throw error;
+  }
+
+  return !!(data && data.length > 0);
+}
+
+/**
+ * Release the lease of a job this worker holds
+ */
+async function releaseLock(jobName, workerId) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { error } = await supabase
+    .from('scheduled_job_locks')
+    .update({ locked_by: null, locked_until: null, updated_at: new Date().toISOString() })
+    .eq('job_name', jobName)
+    .eq('locked_by', workerId);
+
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * The locks of all jobs
+ * @returns {Array<Object>}
+ */
+async function getLocks() {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('scheduled_job_locks')
+    .select('*');
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Record a run
+ */
+async function createRun(run) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('scheduled_job_runs')
+    .insert(run)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Record the outcome of a run
+ */
+async function finishRun(id, outcome) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('scheduled_job_runs')
+    .update({ ...outcome, finished_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Fail the runs of a job left 'running' by a server that stopped mid-run
+ * Only call while holding the job's lease: no other run of the job can be live.
+ * @returns {number} Runs marked failed
+ */
+async function failInterruptedRuns(jobName, exceptId = null) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  let query = supabase
+    .from('scheduled_job_runs')
+    .update({
+      status: 'failed',
+      error: 'Interrupted: the server stopped before the run finished',
+      finished_at: new Date().toISOString()
+    })
+    .eq('job_name', jobName)
+    .eq('status', 'running');
+
+  if (exceptId) {
+    query = query.neq('id', exceptId);
+  }
+
+  const { data, error } = await query.select('id');
+
+  if (error) {
+    throw error;
+  }
+
+  return data ? data.length : 0;
+}
+
+/**
+ * List the runs of a job, newest first
+ * @param {Object} filters - { status, limit, offset }
+ * @returns {Object} { runs, total }
+ */
+async function listRuns(jobName, filters = {}) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const limit = filters.limit || 50;
+  const offset = filters.offset || 0;
+
+  let query = supabase
+    .from('scheduled_job_runs')
+    .select('*', { count: 'exact' })
+    .eq('job_name', jobName);
+
+  if (filters.status) {
+    query = query.eq('status', filters.status);
+  }
+
+  const { data, error, count } = await query
+    .order('started_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    throw error;
+  }
+
+  return { runs: data || [], total: count || 0 };
+}
+
+/**
+ * The latest run of each job
+ * @returns {Object} job name -> run (jobs that never ran are left out)
+ */
+async function getLastRuns(jobNames) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const results = await Promise.all(jobNames.map(jobName => supabase
+    .from('scheduled_job_runs')
+    .select('*')
+    .eq('job_name', jobName)
+    .order('started_at', { ascending: false })
+    .limit(1)));
+
+  const lastRuns = {};
+  results.forEach(({ data, error }, index) => {
+    if (error) {
+      throw error;
+    }
+    if (data && data.length > 0) {
+      lastRuns[jobNames[index]] = data[0];
+    }
+  });
+
+  return lastRuns;
+}
+
+module.exports = {
+  acquireLock,
+  renewLock,
+  releaseLock,
+  getLocks,
+  createRun,
+  finishRun,
+  failInterruptedRuns,
+  listRuns,
+  getLastRuns
+};
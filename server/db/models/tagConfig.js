@@ -2,13 +2,18 @@
  * Tag Config Model
  * 
  * Database operations for tag_config table.
- * Stores tag configuration for delivery charges.
+ * Stores tag configuration for delivery charges as immutable versions:
+ * every save inserts a new row and the highest version is the active one.
  */
 
 const { supabase, isConfigured } = require('../supabase');
 
+// Listing columns (the full config is only loaded for a single version)
+const VERSION_SUMMARY_COLUMNS = 'id, version, created_at, created_by, created_by_name, change_note, diff, rolled_back_from';
+
 /**
- * Get tag configuration
+ * Get the active (latest) tag configuration version
+ * @returns {Object|null} Version row, or null when no version exists yet
  */
 async function getConfig() {
   if (!isConfigured()) {
@@ -18,7 +23,7 @@ async function getConfig() {
   const { data, error } = await supabase
     .from('tag_config')
     .select('*')
-    .order('updated_at', { ascending: false })
+    .order('version', { ascending: false })
     .limit(1)
     .single();
 
@@ -26,68 +31,98 @@ async function getConfig() {
     throw error;
   }
 
-  return data || { config: {} };
+  return data || null;
 }
 
 /**
- * Update tag configuration
+ * Get one tag configuration version
+ * @param {number} version - Version number
+ * @returns {Object|null} Version row, or null when it does not exist
  */
-async function updateConfig(config) {
+async function getVersion(version) {
   if (!isConfigured()) {
     throw new Error('Supabase not configured');
   }
 
-  // Get existing config ID if exists
-  const existing = await supabase
+  const { data, error } = await supabase
     .from('tag_config')
-    .select('id')
-    .limit(1)
+    .select('*')
+    .eq('version', version)
     .single();
 
-  let query;
-  if (existing.data?.id) {
-    // Update existing
-    query = supabase
-      .from('tag_config')
-      .update({
-        config: config,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', existing.data.id)
-      .select()
-      .single();
-  } else {
-    // Insert new
-    query = supabase
-      .from('tag_config')
-      .insert({
-        config: config
-      })
-      .select()
-      .single();
-  }
-
-  const { data, error } = await query;
-
   if (error) {
+    if (error.code === 'PGRST116') return null;
     throw error;
   }
 
   return data;
 }
 
-module.exports = {
-  getConfig,
-  updateConfig
-};
-
-
+/**
+ * List tag configuration versions, newest first
+ * @param {Object} options - { limit, offset }
+ * @returns {Object} { versions, total }
+ */
+async function listVersions({ limit = 50, offset = 0 } = {}) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
 
+  const { data, error, count } = await supabase
+    .from('tag_config')
+    .select(VERSION_SUMMARY_COLUMNS, { count: 'exact' })
+    .order('version', { ascending: false })
+    .range(offset, offset + limit - 1);
 
+  if (error) {
+    throw error;
+  }
 
+  return { versions: data || [], total: count || 0 };
+}
 
+/**
+ * Save tag configuration as a new version
+ * @param {Object} config - Full configuration
+ * @param {Object} details - { created_by, created_by_name, change_note, diff, rolled_back_from }
+ * @returns {Object} The inserted version row
+ */
+async function updateConfig(config, details = {}) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
 
+  const latest = await getConfig();
+  const version = latest ? latest.version + 1 : 1;
 
+  const { data, error } = await supabase
+    .from('tag_config')
+    .insert({
+      version,
+      config,
+      created_by: details.created_by || null,
+      created_by_name: details.created_by_name || null,
+      change_note: details.change_note || null,
+      diff: details.diff || [],
+      rolled_back_from: details.rolled_back_from || null
+    })
+    .select()
+    .single();
 
+  if (error) {
+    // Another save took this version number first
+    if (error.code === '23505') {
+      throw new Error('Tag configuration was changed by someone else. Reload and try again.');
+    }
+    throw error;
+  }
 
+  return data;
+}
 
+module.exports = {
+  getConfig,
+  getVersion,
+  listVersions,
+  updateConfig
+};
@@ -697,6 +697,8 @@ async function getCachedOrders(filters = {}) {
       addresses: `${task.pickup_address || ''} → ${task.delivery_address || ''}`,
       pickup_address: task.pickup_address,
       delivery_address: task.delivery_address,
+      pickupZone: task.pickup_zone || null,
+      deliveryZone: task.delivery_zone || null,
       notes: task.notes,
       source: task.source,
       raw_data: task.raw_data
@@ -707,6 +709,53 @@ async function getCachedOrders(filters = {}) {
   }
 }
 
+/**
+ * Get a page of delivery tasks created in a date range, oldest first
+ * Pickup tasks (job_type 0) are skipped so each order is counted once.
+ * @param {Object} filters - { dateFrom, dateTo, statuses, vendorIds, jobIds, columns, offset, limit }
+ * @returns {Array} Task rows
+ */
+async function getDeliveryTasksInRange(filters = {}) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const offset = filters.offset || 0;
+  const limit = filters.limit || 1000;
+
+  let query = supabase
+    .from('tasks')
+    .select(filters.columns || '*')
+    .or('job_type.is.null,job_type.neq.0');
+
+  if (filters.dateFrom) {
+    query = query.gte('creation_datetime', filters.dateFrom);
+  }
+  if (filters.dateTo) {
+    query = query.lte('creation_datetime', filters.dateTo);
+  }
+  if (filters.statuses) {
+    query = query.in('status', filters.statuses);
+  }
+  if (filters.vendorIds) {
+    query = query.in('vendor_id', filters.vendorIds);
+  }
+  if (filters.jobIds) {
+    query = query.in('job_id', filters.jobIds);
+  }
+
+  const { data, error } = await query
+    .order('creation_datetime', { ascending: true })
+    .order('job_id', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
 /**
  * Convert status code to text
  */
@@ -741,6 +790,7 @@ module.exports = {
   isCacheFresh,
   getCachedTaskCount,
   getCachedOrders,
+  getDeliveryTasksInRange,
   getStatusText
 };
 
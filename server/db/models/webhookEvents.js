@@ -9,6 +9,8 @@ const { supabase, isConfigured } = require('../supabase');
 
 /**
  * Create webhook event
+ * With a payload_hash the insert skips on conflict (unique, see migration 033).
+ * @returns {Object|null} The event, or null when one with the same payload_hash exists
  */
 async function createEvent(eventData) {
   if (!isConfigured()) {
@@ -22,23 +24,32 @@ async function createEvent(eventData) {
     status: 'pending'
   };
 
-  const { data, error } = await supabase
-    .from('webhook_events')
-    .insert(eventRecord)
-    .select()
-    .single();
+  if (eventData.payload_hash) {
+    eventRecord.payload_hash = eventData.payload_hash;
+  }
+  if (eventData.next_retry_at) {
+    eventRecord.next_retry_at = eventData.next_retry_at;
+  }
+
+  const table = supabase.from('webhook_events');
+  const { data, error } = await (eventRecord.payload_hash
+    ? table.upsert(eventRecord, { onConflict: 'payload_hash', ignoreDuplicates: true })
+    : table.insert(eventRecord)
+  ).select();
 
   if (error) {
     throw error;
   }
 
-  return data;
+  return data && data.length > 0 ? data[0] : null;
 }
 
 /**
- * Mark event as processed
+ * Mark a leased event as processed
+ * Returns null when the worker no longer holds the lease (it expired and another
+ * worker claimed the event), in which case nothing is changed.
  */
-async function markProcessed(id) {
+async function markProcessed(id, workerId) {
   if (!isConfigured()) {
     throw new Error('Supabase not configured');
   }
@@ -48,11 +59,14 @@ async function markProcessed(id) {
     .update({
       status: 'processed',
       processed_at: new Date().toISOString(),
+      locked_by: null,
+      locked_until: null,
       updated_at: new Date().toISOString()
     })
     .eq('id', id)
+    .eq('locked_by', workerId)
     .select()
-    .single();
+    .maybeSingle();
 
   if (error) {
     throw error;
@@ -62,31 +76,44 @@ async function markProcessed(id) {
 }
 
 /**
- * Mark event as failed
+ * Record a failed attempt of a leased event, in a single update
+ * Returns null when the worker no longer holds the lease, in which case nothing is changed.
+ * @param {Object} event - The leased event ({ id, retry_count })
+ * @param {string} workerId - The worker holding the lease
+ * @param {string} errorMessage
+ * @param {Object} [options]
+ * @param {string|null} [options.nextRetryAt] - ISO time the event may be processed again
+ * @param {string|null} [options.errorCode] - Set for failures retrying cannot fix (see webhookHandlers)
+ * @param {boolean} [options.deadLetter] - Move the event to the dead-letter queue instead of rescheduling it
  */
-async function markFailed(id, errorMessage) {
+async function markFailed(event, workerId, errorMessage, { nextRetryAt = null, errorCode = null, deadLetter = false } = {}) {
   if (!isConfigured()) {
     throw new Error('Supabase not configured');
   }
 
-  const { data: event } = await supabase
-    .from('webhook_events')
-    .select('retry_count')
-    .eq('id', id)
-    .single();
+  const now = new Date().toISOString();
+  const update = {
+    status: deadLetter ? 'dead_letter' : 'failed',
+    retry_count: (event.retry_count || 0) + 1,
+    last_retry_at: now,
+    next_retry_at: deadLetter ? null : nextRetryAt,
+    error_message: errorMessage,
+    error_code: errorCode,
+    locked_by: null,
+    locked_until: null,
+    updated_at: now
+  };
+  if (deadLetter) {
+    update.dead_lettered_at = now;
+  }
 
   const { data, error } = await supabase
     .from('webhook_events')
-    .update({
-      status: 'failed',
-      retry_count: (event?.retry_count || 0) + 1,
-      last_retry_at: new Date().toISOString(),
-      error_message: errorMessage,
-      updated_at: new Date().toISOString()
-    })
-    .eq('id', id)
+    .update(update)
+    .eq('id', event.id)
+    .eq('locked_by', workerId)
     .select()
-    .single();
+    .maybeSingle();
 
   if (error) {
     throw error;
@@ -118,6 +145,175 @@ async function getPendingEvents(maxRetries = 3) {
   return data || [];
 }
 
+/**
+ * Lease due events to a worker (see claim_webhook_events in migration 028)
+ * Only the oldest unfinished event of each job is returned, so a job's events are
+ * processed one at a time in the order received.
+ */
+async function claimEvents(workerId, { limit = 10, leaseSeconds = 300, maxRetries = 3 } = {}) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase.rpc('claim_webhook_events', {
+    p_worker_id: workerId,
+    p_limit: limit,
+    p_lease_seconds: leaseSeconds,
+    p_max_retries: maxRetries
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Queue size: events waiting, due now, currently leased, and dead-lettered
+ */
+async function getBacklogStats(maxRetries = 3) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const now = new Date().toISOString();
+  const queued = () => supabase
+    .from('webhook_events')
+    .select('id', { count: 'exact', head: true })
+    .in('status', ['pending', 'failed'])
+    .lt('retry_count', maxRetries);
+
+  const [waiting, due, leased, deadLetter, oldest] = await Promise.all([
+    queued(),
+    queued().lte('next_retry_at', now),
+    queued().gt('locked_until', now),
+    supabase.from('webhook_events').select('id', { count: 'exact', head: true }).eq('status', 'dead_letter'),
+    supabase
+      .from('webhook_events')
+      .select('created_at')
+      .in('status', ['pending', 'failed'])
+      .lt('retry_count', maxRetries)
+      .order('created_at', { ascending: true })
+      .limit(1)
+  ]);
+
+  const failedQuery = [waiting, due, leased, deadLetter, oldest].find(result => result.error);
+  if (failedQuery) {
+    throw failedQuery.error;
+  }
+
+  return {
+    queued: waiting.count || 0,
+    due: due.count || 0,
+    leased: leased.count || 0,
+    dead_letter: deadLetter.count || 0,
+    oldest_queued_at: oldest.data && oldest.data.length > 0 ? oldest.data[0].created_at : null
+  };
+}
+
+/**
+ * Get dead-lettered events, most recent first
+ */
+async function getDeadLetterEvents(limit = 500) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .select('*')
+    .eq('status', 'dead_letter')
+    .order('dead_lettered_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Get a single event by ID
+ */
+async function getEventById(id) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Send dead-lettered events back to the processor with a fresh retry budget
+ * @returns {Promise<Array>} the events that were replayed
+ */
+async function replayDeadLetters(ids) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .update({
+      status: 'pending',
+      retry_count: 0,
+      last_retry_at: null,
+      next_retry_at: new Date().toISOString(),
+      dead_lettered_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .in('id', ids)
+    .eq('status', 'dead_letter')
+    .select();
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Close dead-lettered events without processing them
+ * @returns {Promise<Array>} the events that were discarded
+ */
+async function discardDeadLetters(ids, reason, userId = null) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .update({
+      status: 'discarded',
+      discarded_at: new Date().toISOString(),
+      discarded_by: userId,
+      discard_reason: reason,
+      updated_at: new Date().toISOString()
+    })
+    .in('id', ids)
+    .eq('status', 'dead_letter')
+    .select();
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
 /**
  * Get failed events
  */
@@ -152,6 +348,9 @@ async function resetForRetry(id) {
     .from('webhook_events')
     .update({
       status: 'pending',
+      next_retry_at: new Date().toISOString(),
+      locked_by: null,
+      locked_until: null,
       updated_at: new Date().toISOString()
     })
     .eq('id', id)
@@ -165,11 +364,71 @@ async function resetForRetry(id) {
   return data;
 }
 
+/**
+ * Record a delivery that was refused before processing
+ * The payload hash is not stored: it is unique to the accepted event.
+ * @param {Object} eventData - { event_type, job_id, payload, reason }
+ */
+async function createRejectedEvent(eventData) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .insert({
+      event_type: eventData.event_type,
+      job_id: eventData.job_id,
+      payload: eventData.payload || {},
+      status: 'rejected',
+      rejection_reason: eventData.reason,
+      processed_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Get rejected events
+ */
+async function getRejectedEvents(limit = 100) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .select('*')
+    .eq('status', 'rejected')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
 module.exports = {
   createEvent,
+  createRejectedEvent,
+  getRejectedEvents,
   markProcessed,
   markFailed,
+  getDeadLetterEvents,
+  getEventById,
+  replayDeadLetters,
+  discardDeadLetters,
   getPendingEvents,
+  claimEvents,
+  getBacklogStats,
   getFailedEvents,
   resetForRetry
 };
@@ -13,18 +13,34 @@ const withdrawalRequestsModel = require('./db/models/withdrawalRequests');
 const taskModel = require('./db/models/tasks');
 const userModel = require('./db/models/users');
 const webhookEventsModel = require('./db/models/webhookEvents');
+const webhookProcessor = require('./webhookProcessor');
+const webhookHandlers = require('./services/webhookHandlers');
+const jobScheduler = require('./services/jobScheduler');
 const { supabase, supabaseAnon, isConfigured } = require('./db/supabase');
 const { authenticate, optionalAuth, requirePermission, requirePermissionAny, requireRole, requireSuperadmin, checkUserStatus, isSuperadmin, SUPERADMIN_EMAIL } = require('./middleware/auth');
 const auditLogger = require('./middleware/auditLogger');
+const { verifyTookanWebhook, respondDuplicate } = require('./middleware/tookanWebhookAuth');
 // Order sync service for 6-month caching
 const orderSyncService = require('./services/orderSyncService');
 // Agent sync service for caching drivers/fleets
 const agentSyncService = require('./services/agentSyncService');
 const customerSyncService = require('./services/customerSyncService');
+const tookanClient = require('./services/tookanClient');
 const agentModel = require('./db/models/agents');
 const customerModel = require('./db/models/customers');
 const adminTokenRoutes = require('./routes/adminTokenRoutes');
 const ediRoutes = require('./routes/ediRoutes');
+const ediWebhookAdminRoutes = require('./routes/ediWebhookAdminRoutes');
+const orderImportRoutes = require('./routes/orderImportRoutes');
+const deliveryZoneRoutes = require('./routes/deliveryZoneRoutes');
+const holidayRoutes = require('./routes/holidayRoutes');
+const customerOnboardingRoutes = require('./routes/customerOnboardingRoutes');
+const retagJobRoutes = require('./routes/retagJobRoutes');
+const webhookDeadLetterRoutes = require('./routes/webhookDeadLetterRoutes');
+const jobSchedulerRoutes = require('./routes/jobSchedulerRoutes');
+const quoteService = require('./services/quoteService');
+const tagSimulationService = require('./services/tagSimulationService');
+const merchantWebhookService = require('./services/merchantWebhookService');
 const path = require('path');
 // const killSwitch = require('./middleware/killSwitch'); // KILLSWITCH DISABLED
 
@@ -34,7 +50,14 @@ const PORT = process.env.PORT || 3001;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Raised body limit so EDI bulk uploads (up to 500 orders) fit in one request
+// Raw body kept for webhook signature verification
+app.use(express.json({
+  limit: '5mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.static(path.join(__dirname, '../dist')));
 
 // app.use(killSwitch); // KILLSWITCH DISABLED
@@ -46,6 +69,24 @@ app.use('/api/edi', ediRoutes);
 // Mount Admin Token Management Routes (Protected by existing auth)
 app.use('/api/admin/tokens', authenticate, adminTokenRoutes);
 
+// Mount EDI merchant webhook admin routes (subscriptions, delivery log, redeliver)
+app.use('/api/admin/edi-webhooks', authenticate, requireSuperadmin(), ediWebhookAdminRoutes);
+
+// Mount spreadsheet order import (preview + create) for ops staff
+app.use('/api/orders/import', authenticate, requirePermission('panel_order_editor'), orderImportRoutes);
+app.use('/api/delivery-zones', authenticate, deliveryZoneRoutes);
+app.use('/api/holidays', authenticate, holidayRoutes);
+app.use('/api/tookan/tags/retag-jobs', authenticate, requirePermission('panel_order_editor'), retagJobRoutes);
+
+// Mount Tookan webhook dead-letter queue (grouped failures, bulk replay/discard)
+app.use('/api/webhooks/dead-letter', authenticate, requireRole('admin'), webhookDeadLetterRoutes);
+
+// Mount new customer onboarding review and onboarding rules (default plan, fee, tags)
+app.use('/api/customers/onboarding', authenticate, requireRole('admin'), customerOnboardingRoutes);
+
+// Mount scheduled sync jobs (schedules, run history, pause/resume/trigger)
+app.use('/api/admin/jobs', authenticate, requireRole('admin'), jobSchedulerRoutes);
+
 // Merchant Plans APIs
 app.get('/api/merchant-plans', authenticate, async (req, res) => {
   try {
@@ -117,6 +158,39 @@ app.delete('/api/merchant-plans/:id', authenticate, async (req, res) => {
   }
 });
 
+// Quote the delivery fee of an order draft with a merchant's assigned plan
+app.post('/api/merchant-plans/quote', authenticate, async (req, res) => {
+  try {
+    const { merchant_id, ...draft } = req.body || {};
+
+    if (!merchant_id) {
+      return res.status(400).json({ status: 'error', message: 'Missing required field: merchant_id' });
+    }
+
+    const errors = quoteService.validateDraft(draft);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid order draft: ${errors.map(e => e.message).join(', ')}`,
+        errors
+      });
+    }
+
+    const result = await quoteService.quoteOrder(draft, merchant_id);
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 422).json({ status: 'error', message: result.message });
+    }
+
+    res.json({ status: 'success', data: result.quote });
+  } catch (error) {
+    console.error('Quote error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Failed to calculate quote'
+    });
+  }
+});
+
 // Get customer counts per plan
 
 // List all merchants from the merchants table
@@ -908,29 +982,17 @@ app.post('/api/fleet/wallet/transaction-history', authenticate, async (req, res)
       return res.status(400).json({ status: 'error', message: 'fleet_id is required' });
     }
 
-    const tookanApiKey = process.env.TOOKAN_API_KEY;
-    if (!tookanApiKey) {
-      return res.status(500).json({ status: 'error', message: 'Tookan API key not configured' });
-    }
-
     // Default to last 30 days
     const endDate = new Date().toISOString().split('T')[0];
     const startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
 
-    const response = await fetch('https://api.tookanapp.com/v2/fleet/wallet/read_transaction_history', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        api_key: tookanApiKey,
-        fleet_id: parseInt(fleet_id),
-        wallet_type: 1,
-        starting_date: startDate,
-        ending_date: endDate
-      })
+    const data = await tookanClient.readFleetWalletTransactionHistory({
+      fleet_id: parseInt(fleet_id),
+      wallet_type: 1,
+      starting_date: startDate,
+      ending_date: endDate
     });
 
-    const data = await response.json();
-
     if (data.status !== 200) {
       return res.status(500).json({ status: 'error', message: data.message || 'Failed to fetch transaction history' });
     }
@@ -960,11 +1022,6 @@ app.post('/api/fleet/wallet/batch-balances', authenticate, async (req, res) => {
       return res.status(400).json({ status: 'error', message: 'fleet_ids array is required' });
     }
 
-    const tookanApiKey = process.env.TOOKAN_API_KEY;
-    if (!tookanApiKey) {
-      return res.status(500).json({ status: 'error', message: 'Tookan API key not configured' });
-    }
-
     const endDate = new Date().toISOString().split('T')[0];
     const startDate = new Date(Date.now() - 1 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
 
@@ -975,18 +1032,12 @@ app.post('/api/fleet/wallet/batch-balances', authenticate, async (req, res) => {
       const batch = fleet_ids.slice(i, i + CONCURRENCY);
       const results = await Promise.allSettled(
         batch.map(async (fid) => {
-          const response = await fetch('https://api.tookanapp.com/v2/fleet/wallet/read_transaction_history', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              api_key: tookanApiKey,
-              fleet_id: parseInt(fid),
-              wallet_type: 1,
-              starting_date: startDate,
-              ending_date: endDate
-            })
+          const data = await tookanClient.readFleetWalletTransactionHistory({
+            fleet_id: parseInt(fid),
+            wallet_type: 1,
+            starting_date: startDate,
+            ending_date: endDate
           });
-          const data = await response.json();
           if (data.status === 200 && data.data?.wallet_balance) {
             const wb = data.data.wallet_balance.find(w => w.wallet_type === 1);
             return { fleet_id: fid, balance: wb?.wallet_balance || 0 };
@@ -1016,25 +1067,13 @@ app.post('/api/merchant/wallet/batch-balances', authenticate, async (req, res) =
       return res.status(400).json({ status: 'error', message: 'vendor_ids array is required' });
     }
 
-    const tookanApiKey = process.env.TOOKAN_API_KEY;
-    if (!tookanApiKey) {
-      return res.status(500).json({ status: 'error', message: 'Tookan API key not configured' });
-    }
-
-    const response = await fetch('https://api.tookanapp.com/v2/fetch_customers_wallet', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        api_key: tookanApiKey,
-        vendor_ids: vendor_ids.map(id => parseInt(id)),
-        is_pagination: 1,
-        off_set: 0,
-        limit: vendor_ids.length + 10
-      })
+    const data = await tookanClient.fetchCustomersWallet({
+      vendor_ids: vendor_ids.map(id => parseInt(id)),
+      is_pagination: 1,
+      off_set: 0,
+      limit: vendor_ids.length + 10
     });
 
-    const data = await response.json();
-
     if (data.status !== 200) {
       return res.status(500).json({ status: 'error', message: data.message || 'Failed to fetch merchant wallets' });
     }
@@ -1150,15 +1189,6 @@ app.put('/api/customers/:vendor_id/plan', authenticate, async (req, res) => {
   }
 });
 
-// Get API key from environment variable
-const getApiKey = () => {
-  const apiKey = process.env.TOOKAN_API_KEY;
-  if (!apiKey) {
-    throw new Error('TOOKAN_API_KEY not configured in environment variables');
-  }
-  return apiKey;
-};
-
 // Get webhook secret
 const getWebhookSecret = () => {
   const secret = process.env.TOOKAN_WEBHOOK_SECRET;
@@ -1177,7 +1207,6 @@ app.post('/api/tookan/driver-wallet/transaction', authenticate, requirePermissio
     console.log('Request received at:', new Date().toISOString());
     console.log('Request body:', JSON.stringify(req.body, null, 2));
 
-    const apiKey = getApiKey();
     const { fleet_id, amount, description, transaction_type } = req.body;
 
     console.log('Extracted values:');
@@ -1212,7 +1241,6 @@ app.post('/api/tookan/driver-wallet/transaction', authenticate, requirePermissio
     console.log('  finalAmount:', finalAmount);
 
     const tookanPayload = {
-      api_key: apiKey,
       fleet_id,
       amount: finalAmount,
       description: description.trim(),
@@ -1220,39 +1248,14 @@ app.post('/api/tookan/driver-wallet/transaction', authenticate, requirePermissio
       wallet_type: walletType, // Tookan API requires: 1=wallet, 2=credits (as number)
     };
 
-    console.log('Calling Tookan API: https://api.tookanapp.com/v2/fleet/wallet/create_transaction');
-    console.log('Tookan API payload:', JSON.stringify({ ...tookanPayload, api_key: '***HIDDEN***' }, null, 2));
-
-    const response = await fetch('https://api.tookanapp.com/v2/fleet/wallet/create_transaction', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(tookanPayload),
-    });
-
-    console.log('Tookan API response status:', response.status, response.statusText);
-
-    const textResponse = await response.text();
-    console.log('Tookan API response (first 500 chars):', textResponse.substring(0, 500));
-
-    let data;
+    console.log('Tookan API payload:', JSON.stringify(tookanPayload, null, 2));
 
-    try {
-      data = JSON.parse(textResponse);
-      console.log('Tookan API parsed response:', JSON.stringify(data, null, 2));
-    } catch (parseError) {
-      console.log('âŒ Failed to parse Tookan API response as JSON');
-      return res.status(500).json({
-        status: 'error',
-        message: `API returned non-JSON response: ${textResponse.substring(0, 200)}`,
-        data: {}
-      });
-    }
+    const data = await tookanClient.createFleetWalletTransaction(tookanPayload);
+    console.log('Tookan API parsed response:', JSON.stringify(data, null, 2));
 
-    if (!response.ok || data.status !== 200) {
+    if (data.status !== 200) {
       console.log('âŒ Tookan API returned error');
-      return res.status(response.status || 500).json({
+      return res.status(500).json({
         status: 'error',
         message: data.message || 'Failed to process driver wallet transaction',
         data
@@ -1499,7 +1502,6 @@ app.get('/api/agents/:fleetId/daily-cod', authenticate, async (req, res) => {
 // Driver Wallet - Get Balance/Transactions
 app.post('/api/tookan/driver-wallet/balance', authenticate, async (req, res) => {
   try {
-    const apiKey = getApiKey();
     const { fleet_id } = req.body;
 
     if (!fleet_id) {
@@ -1513,40 +1515,23 @@ app.post('/api/tookan/driver-wallet/balance', authenticate, async (req, res) =>
     // This endpoint attempts to get wallet transactions/balance
     // If the endpoint doesn't exist, we'll return a helpful error
 
-    const response = await fetch('https://api.tookanapp.com/v2/get_fleet_wallet_balance', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        api_key: apiKey,
-        fleet_id,
-      }),
-    });
-
-    const textResponse = await response.text();
     let data;
-
     try {
-      data = JSON.parse(textResponse);
-    } catch (parseError) {
-      // If endpoint doesn't exist or returns non-JSON, return helpful error
-      if (textResponse.includes('Cannot POST') || textResponse.includes('404') || !response.ok) {
+      data = await tookanClient.getFleetWalletBalance({ fleet_id });
+    } catch (error) {
+      // The endpoint is missing from some Tookan API versions
+      if (tookanClient.isEndpointMissing(error)) {
         return res.status(404).json({
           status: 'error',
           message: 'Tookan API endpoint for driver wallet balance not available. The endpoint /v2/get_fleet_wallet_balance may not exist in your Tookan API version.',
           data: { balance: 0 }
         });
       }
-      return res.status(500).json({
-        status: 'error',
-        message: `API returned non-JSON response: ${textResponse.substring(0, 200)}`,
-        data: { balance: 0 }
-      });
+      throw error;
     }
 
-    if (!response.ok || (data.status !== 200 && data.status !== 'success')) {
-      return res.status(response.status || 500).json({
+    if (data.status !== 200 && data.status !== 'success') {
+      return res.status(500).json({
         status: 'error',
         message: data.message || 'Failed to fetch driver wallet balance',
         data: { balance: 0 }
@@ -1573,7 +1558,6 @@ app.post('/api/tookan/driver-wallet/balance', authenticate, async (req, res) =>
 // Customer Wallet - Add Payment
 app.post('/api/tookan/customer-wallet/payment', authenticate, requirePermission('panel_financial'), async (req, res) => {
   try {
-    const apiKey = getApiKey();
     const { vendor_id, vendor_ids, amount, description, transaction_type } = req.body;
 
     if ((!vendor_id && !vendor_ids) || !amount) {
@@ -1587,7 +1571,6 @@ app.post('/api/tookan/customer-wallet/payment', authenticate, requirePermission(
     const finalAmount = transaction_type === 'debit' ? -Math.abs(amount) : Math.abs(amount);
 
     const payload = {
-      api_key: apiKey,
       amount: finalAmount,
     };
 
@@ -1601,29 +1584,10 @@ app.post('/api/tookan/customer-wallet/payment', authenticate, requirePermission(
       payload.description = description.trim();
     }
 
-    const response = await fetch('https://api.tookanapp.com/v2/addCustomerPaymentViaDashboard', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload),
-    });
+    const data = await tookanClient.addCustomerPaymentViaDashboard(payload);
 
-    const textResponse = await response.text();
-    let data;
-
-    try {
-      data = JSON.parse(textResponse);
-    } catch (parseError) {
+    if (data.status !== 200) {
       return res.status(500).json({
-        status: 'error',
-        message: `API returned non-JSON response: ${textResponse.substring(0, 200)}`,
-        data: {}
-      });
-    }
-
-    if (!response.ok || data.status !== 200) {
-      return res.status(response.status || 500).json({
         status: 'error',
         message: data.message || 'Failed to add customer wallet payment',
         data
@@ -1660,7 +1624,6 @@ app.post('/api/tookan/customer-wallet/payment', authenticate, requirePermission(
 // Customer Wallet - Get Wallet Details
 app.post('/api/tookan/customer-wallet/details', authenticate, async (req, res) => {
   try {
-    const apiKey = getApiKey();
     const { vendor_id, vendor_ids, is_pagination, off_set, limit, total_used_credit, tags } = req.body;
 
     if (!vendor_id && !vendor_ids) {
@@ -1670,9 +1633,7 @@ app.post('/api/tookan/customer-wallet/details', authenticate, async (req, res) =
       });
     }
 
-    const payload = {
-      api_key: apiKey,
-    };
+    const payload = {};
 
     if (vendor_id) {
       payload.vendor_id = vendor_id;
@@ -1686,29 +1647,10 @@ app.post('/api/tookan/customer-wallet/details', authenticate, async (req, res) =
     if (total_used_credit !== undefined) payload.total_used_credit = total_used_credit;
     if (tags) payload.tags = tags;
 
-    const response = await fetch('https://api.tookanapp.com/v2/fetch_customers_wallet', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload),
-    });
+    const data = await tookanClient.fetchCustomersWallet(payload);
 
-    const textResponse = await response.text();
-    let data;
-
-    try {
-      data = JSON.parse(textResponse);
-    } catch (parseError) {
+    if (data.status !== 200) {
       return res.status(500).json({
-        status: 'error',
-        message: `API returned non-JSON response: ${textResponse.substring(0, 200)}`,
-        data: {}
-      });
-    }
-
-    if (!response.ok || data.status !== 200) {
-      return res.status(response.status || 500).json({
         status: 'error',
         message: data.message || 'Failed to fetch customer wallet details',
         data: {}
@@ -1850,7 +1792,6 @@ app.post('/api/cod/queue/settle', authenticate, requirePermission('panel_financi
     console.log('Request received at:', new Date().toISOString());
     console.log('Request body:', JSON.stringify(req.body, null, 2));
 
-    const apiKey = getApiKey();
     const { driverId, paidAmount, date, note, codId } = req.body;
 
     if (!driverId || !paidAmount) {
@@ -2379,7 +2320,6 @@ app.post('/api/tookan/fleet/add', authenticate, requireRole('admin'), async (req
     console.log('\n=== ADD FLEET/AGENT REQUEST ===');
     console.log('Request body:', JSON.stringify(req.body, null, 2));
 
-    const apiKey = getApiKey();
     // Accept both formats: fleet_name/fleet_phone or name/phone
     const { fleet_name, fleet_phone, fleet_email, fleet_password, fleet_type = 1, name, phone, email, password } = req.body;
 
@@ -2399,7 +2339,6 @@ app.post('/api/tookan/fleet/add', authenticate, requireRole('admin'), async (req
     // Note: Tookan may not have /v2/fleet/add endpoint
     // Try alternative endpoints or return error suggesting manual addition
     const payload = {
-      api_key: apiKey,
       fleet_name: finalName.trim(),
       fleet_phone: finalPhone.trim(),
       fleet_email: finalEmail.trim(),
@@ -2408,33 +2347,16 @@ app.post('/api/tookan/fleet/add', authenticate, requireRole('admin'), async (req
       timezone: '+0300' // Bahrain timezone
     };
 
-    console.log('âš ï¸  Attempting to call Tookan API: https://api.tookanapp.com/v2/fleet/add');
     console.log('âš ï¸  Note: This endpoint may not exist in Tookan API');
     console.log('Tookan API payload:', JSON.stringify({ ...payload, fleet_password: '***HIDDEN***' }, null, 2));
 
-    const response = await fetch('https://api.tookanapp.com/v2/fleet/add', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload),
-    });
-
-    const textResponse = await response.text();
     let data;
-
     try {
-      data = JSON.parse(textResponse);
-    } catch (parseError) {
-      return res.status(500).json({
-        status: 'error',
-        message: `API returned non-JSON response: ${textResponse.substring(0, 200)}`,
-        data: {}
-      });
-    }
-
-    // Check if endpoint exists (404 or 405 means endpoint doesn't exist)
-    if (response.status === 404 || response.status === 405) {
+      data = await tookanClient.addFleet(payload);
+    } catch (error) {
+      if (!tookanClient.isEndpointMissing(error)) {
+        throw error;
+      }
       console.log('âš ï¸  Fleet/add endpoint not found in Tookan API');
       console.log('=== END REQUEST (ENDPOINT NOT AVAILABLE) ===\n');
       return res.status(501).json({
@@ -2449,8 +2371,8 @@ app.post('/api/tookan/fleet/add', authenticate, requireRole('admin'), async (req
       });
     }
 
-    if (!response.ok || data.status !== 200) {
-      return res.status(response.status || 500).json({
+    if (data.status !== 200) {
+      return res.status(500).json({
         status: 'error',
         message: data.message || 'Failed to add fleet/agent',
         data: {}
@@ -2491,7 +2413,6 @@ app.post('/api/tookan/customer/add', authenticate, requireRole('admin'), async (
     console.log('Request received at:', new Date().toISOString());
     console.log('Request body:', JSON.stringify(req.body, null, 2));
 
-    const apiKey = getApiKey();
     const { name, phone } = req.body;
 
     if (!name || !phone) {
@@ -2503,49 +2424,18 @@ app.post('/api/tookan/customer/add', authenticate, requireRole('admin'), async (
 
     // Prepare Tookan API payload
     const tookanPayload = {
-      api_key: apiKey,
       user_type: 0, // Required: 0 for customer
       name: name,
       phone: phone
     };
 
-    console.log('Calling Tookan API: https://api.tookanapp.com/v2/customer/add');
     console.log('Tookan API payload:', JSON.stringify(tookanPayload, null, 2));
 
     // Call Tookan API
-    const response = await fetch('https://api.tookanapp.com/v2/customer/add', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(tookanPayload),
-    });
-
-    const responseText = await response.text();
-    console.log('Tookan API response status:', response.status);
-    console.log('Tookan API response:', responseText);
-
-    let responseData;
-    try {
-      responseData = JSON.parse(responseText);
-    } catch (parseError) {
-      console.error('Failed to parse Tookan API response as JSON:', parseError);
-      // Handle non-JSON responses
-      if (responseText.includes('session expired') || responseText.toLowerCase().includes('expired')) {
-        return res.status(401).json({
-          status: 'error',
-          message: 'Session expired. Please check your API key.',
-          data: {}
-        });
-      }
-      return res.status(500).json({
-        status: 'error',
-        message: 'Invalid response from Tookan API',
-        data: { rawResponse: responseText }
-      });
-    }
+    const responseData = await tookanClient.addCustomer(tookanPayload);
+    console.log('Tookan API response:', JSON.stringify(responseData));
 
-    if (response.ok && responseData.status === 200) {
+    if (responseData.status === 200) {
       console.log('âœ… Customer added successfully');
       console.log('=== END REQUEST (SUCCESS) ===\n');
       res.json({
@@ -2556,7 +2446,7 @@ app.post('/api/tookan/customer/add', authenticate, requireRole('admin'), async (
     } else {
       console.error('âŒ Tookan API error:', responseData.message || responseData);
       console.log('=== END REQUEST (ERROR) ===\n');
-      res.status(response.status || 500).json({
+      res.status(500).json({
         status: 'error',
         message: responseData.message || 'Failed to add customer',
         data: responseData
@@ -2585,7 +2475,6 @@ app.get('/api/tookan/order/:orderId', authenticate, async (req, res) => {
     console.log('Order ID:', req.params.orderId);
     console.log('Request received at:', new Date().toISOString());
 
-    const apiKey = getApiKey();
     const orderId = req.params.orderId;
 
     if (!orderId) {
@@ -2598,36 +2487,15 @@ app.get('/api/tookan/order/:orderId', authenticate, async (req, res) => {
 
     // Call Tookan API to get task details
     const tookanPayload = {
-      api_key: apiKey,
       job_id: orderId
     };
 
-    console.log('Calling Tookan API: https://api.tookanapp.com/v2/get_task_details');
-    console.log('Tookan API payload:', JSON.stringify({ ...tookanPayload, api_key: '***HIDDEN***' }, null, 2));
-
-    const response = await fetch('https://api.tookanapp.com/v2/get_task_details', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(tookanPayload),
-    });
+    console.log('Tookan API payload:', JSON.stringify(tookanPayload, null, 2));
 
-    const textResponse = await response.text();
-    let data;
+    const data = await tookanClient.getTaskDetails(tookanPayload);
 
-    try {
-      data = JSON.parse(textResponse);
-    } catch (parseError) {
+    if (data.status !== 200) {
       return res.status(500).json({
-        status: 'error',
-        message: `API returned non-JSON response: ${textResponse.substring(0, 200)}`,
-        data: {}
-      });
-    }
-
-    if (!response.ok || data.status !== 200) {
-      return res.status(response.status || 500).json({
         status: 'error',
         message: data.message || 'Failed to fetch order details',
         data: {}
@@ -2699,7 +2567,6 @@ app.put('/api/tookan/order/:orderId', authenticate, requirePermission('panel_ord
     console.log('Order ID:', req.params.orderId);
     console.log('Request body:', JSON.stringify(req.body, null, 2));
 
-    const apiKey = getApiKey();
     const orderId = req.params.orderId;
     const { codAmount, orderFees, assignedDriver, notes } = req.body;
 
@@ -2713,32 +2580,13 @@ app.put('/api/tookan/order/:orderId', authenticate, requirePermission('panel_ord
 
     // First, fetch current order to check status
     const getTaskPayload = {
-      api_key: apiKey,
       job_id: orderId
     };
 
-    const getResponse = await fetch('https://api.tookanapp.com/v2/get_task_details', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(getTaskPayload),
-    });
+    const getData = await tookanClient.getTaskDetails(getTaskPayload);
 
-    const getTextResponse = await getResponse.text();
-    let getData;
-    try {
-      getData = JSON.parse(getTextResponse);
-    } catch (parseError) {
+    if (getData.status !== 200) {
       return res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch order for validation',
-        data: {}
-      });
-    }
-
-    if (!getResponse.ok || getData.status !== 200) {
-      return res.status(getResponse.status || 500).json({
         status: 'error',
         message: getData.message || 'Order not found',
         data: {}
@@ -2790,7 +2638,6 @@ app.put('/api/tookan/order/:orderId', authenticate, requirePermission('panel_ord
 
     // Build Tookan payload with custom_field_template
     const updatePayload = {
-      api_key: apiKey,
       job_id: numericOrderId,
       custom_field_template: 'Same_day'
     };
@@ -2810,34 +2657,14 @@ app.put('/api/tookan/order/:orderId', authenticate, requirePermission('panel_ord
       updatePayload.fleet_id = assignedDriver;
     }
 
-    console.log('Calling Tookan API: https://api.tookanapp.com/v2/edit_task');
     console.log('Template:', updatePayload.custom_field_template);
     console.log('Meta Data:', JSON.stringify(metaData, null, 2));
     console.log('Notes:', notes !== undefined ? notes : '(not changed)');
 
-    const response = await fetch('https://api.tookanapp.com/v2/edit_task', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(updatePayload),
-    });
-
-    const textResponse = await response.text();
-    let data;
+    const data = await tookanClient.editTask(updatePayload);
 
-    try {
-      data = JSON.parse(textResponse);
-    } catch (parseError) {
+    if (data.status !== 200) {
       return res.status(500).json({
-        status: 'error',
-        message: `API returned non-JSON response: ${textResponse.substring(0, 200)}`,
-        data: {}
-      });
-    }
-
-    if (!response.ok || data.status !== 200) {
-      return res.status(response.status || 500).json({
         status: 'error',
         message: data.message || 'Failed to update order',
         data: {}
@@ -2866,19 +2693,10 @@ app.put('/api/tookan/order/:orderId', authenticate, requirePermission('panel_ord
     }
 
     // Fetch updated order to return complete data
-    const updatedGetResponse = await fetch('https://api.tookanapp.com/v2/get_task_details', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(getTaskPayload),
-    });
-
-    const updatedTextResponse = await updatedGetResponse.text();
     let updatedData;
     try {
-      updatedData = JSON.parse(updatedTextResponse);
-    } catch (parseError) {
+      updatedData = await tookanClient.getTaskDetails(getTaskPayload);
+    } catch (fetchError) {
       // If we can't fetch updated data, return success with update confirmation
       // Audit log with available data
       const oldValue = {
@@ -3032,7 +2850,6 @@ app.post('/api/tookan/order/reorder', authenticate, requirePermission('panel_ord
 
     const { orderId, originalOrderId, customerName, customerPhone, customerEmail, pickupAddress, deliveryAddress, codAmount, orderFees, assignedDriver, notes, pickupName, deliveryName, timezoneOffset } = req.body;
     const orderIdToUse = orderId || originalOrderId;
-    const apiKey = getApiKey();
 
     if (!orderIdToUse) {
       return res.status(400).json({ status: 'error', message: 'Original order ID is required' });
@@ -3161,9 +2978,11 @@ app.post('/api/tookan/order/reorder', authenticate, requirePermission('panel_ord
       customerPhone: orderData.customerPhone,
       pickupAddress: orderData.pickupAddress,
       deliveryAddress: orderData.deliveryAddress,
+      pickupDatetime: pickupTime,
+      deliveryDatetime: deliveryTime,
       ...orderData
     };
-    const tags = tagService.getTagsForTask(taskDataForTags);
+    const tags = await tagService.getTagsForTask(taskDataForTags);
 
     // ========== SINGLE API CALL: Combined Pickup + Delivery ==========
     // Using Tookan's create_task API with has_pickup=1 and has_delivery=1
@@ -3174,7 +2993,6 @@ app.post('/api/tookan/order/reorder', authenticate, requirePermission('panel_ord
     const effectiveDeliveryName = deliveryName || dbDeliveryName || orderData.customerName;
 
     const combinedPayload = {
-      api_key: apiKey,
       // Pickup fields (from merchant/warehouse)
       job_pickup_name: effectivePickupName,
       job_pickup_phone: orderData.customerPhone,
@@ -3227,13 +3045,7 @@ app.post('/api/tookan/order/reorder', authenticate, requirePermission('panel_ord
     if (orderData.assignedDriver) combinedPayload.fleet_id = orderData.assignedDriver;
 
     console.log('Creating combined PICKUP + DELIVERY task for reorder (single API call)...');
-    const createResponse = await fetch('https://api.tookanapp.com/v2/create_task', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(combinedPayload)
-    });
-
-    const createData = await createResponse.json();
+    const createData = await tookanClient.createTask(combinedPayload);
 
     if (createData.status !== 200) {
       return res.status(500).json({
@@ -3384,7 +3196,6 @@ app.post('/api/tookan/order/return', authenticate, requirePermission('panel_orde
     console.log('\n=== RETURN ORDER REQUEST ===');
     console.log('Request body:', JSON.stringify(req.body, null, 2));
 
-    const apiKey = getApiKey();
     const { orderId, customerName, customerPhone, customerEmail, pickupAddress, deliveryAddress, notes, pickupName, deliveryName, timezoneOffset } = req.body;
 
     if (!orderId) {
@@ -3480,33 +3291,10 @@ app.post('/api/tookan/order/return', authenticate, requirePermission('panel_orde
     // Fetch from Tookan if missing addresses OR missing coordinates
     if (!orderData.pickupAddress || !orderData.deliveryAddress || !originalCoordinatesFound) {
       console.log('📋 Fetching order data/coordinates from Tookan for return...');
-      const getTaskPayload = {
-        api_key: apiKey,
-        job_id: orderId
-      };
-
-      const getResponse = await fetch('https://api.tookanapp.com/v2/get_task_details', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(getTaskPayload),
-      });
+      const getData = await tookanClient.getTaskDetails({ job_id: orderId });
 
-      const getTextResponse = await getResponse.text();
-      let getData;
-      try {
-        getData = JSON.parse(getTextResponse);
-      } catch (parseError) {
+      if (getData.status !== 200) {
         return res.status(500).json({
-          status: 'error',
-          message: 'Failed to fetch order for return',
-          data: {}
-        });
-      }
-
-      if (!getResponse.ok || getData.status !== 200) {
-        return res.status(getResponse.status || 500).json({
           status: 'error',
           message: getData.message || 'Order not found',
           data: {}
@@ -3532,16 +3320,6 @@ app.post('/api/tookan/order/return', authenticate, requirePermission('panel_orde
       }
     }
 
-    // Get tags for return order
-    const returnTaskData = {
-      customerName: orderData.customerName,
-      customerPhone: orderData.customerPhone,
-      pickupAddress: orderData.deliveryAddress, // Reversed
-      deliveryAddress: orderData.pickupAddress, // Reversed
-      ...orderData
-    };
-    const tags = tagService.getTagsForTask(returnTaskData);
-
     // Get original addresses (from request body or merged data)
     const originalPickupAddr = (orderData.pickupAddress || '').trim();
     const originalDeliveryAddr = (orderData.deliveryAddress || '').trim();
@@ -3596,6 +3374,18 @@ app.post('/api/tookan/order/return', authenticate, requirePermission('panel_orde
     // Timezone for Tookan API = client's timezone offset
     const timezone = String(clientTzOffset);
 
+    // Get tags for return order
+    const returnTaskData = {
+      customerName: orderData.customerName,
+      customerPhone: orderData.customerPhone,
+      pickupAddress: orderData.deliveryAddress, // Reversed
+      deliveryAddress: orderData.pickupAddress, // Reversed
+      pickupDatetime: pickupTime,
+      deliveryDatetime: deliveryTime,
+      ...orderData
+    };
+    const tags = await tagService.getTagsForTask(returnTaskData);
+
     // For return: 
     // - PICKUP from customer location (original delivery address)
     // - DELIVERY to merchant location (original pickup address)
@@ -3620,7 +3410,6 @@ app.post('/api/tookan/order/return', authenticate, requirePermission('panel_orde
     const effectiveDeliveryName = pickupName || dbPickupName || orderData.customerName || 'Customer';
 
     const combinedPayload = {
-      api_key: apiKey,
       // Pickup fields (from customer location - original delivery address)
       job_pickup_name: effectivePickupName,
       job_pickup_phone: orderData.customerPhone || '',
@@ -3667,28 +3456,12 @@ app.post('/api/tookan/order/return', authenticate, requirePermission('panel_orde
     }
 
     console.log('Creating combined PICKUP + DELIVERY task for return order (single API call)...');
-    console.log('Combined return payload:', JSON.stringify({ ...combinedPayload, api_key: '***HIDDEN***' }, null, 2));
+    console.log('Combined return payload:', JSON.stringify(combinedPayload, null, 2));
 
-    const createResponse = await fetch('https://api.tookanapp.com/v2/create_task', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(combinedPayload)
-    });
+    const createData = await tookanClient.createTask(combinedPayload);
 
-    const createTextResponse = await createResponse.text();
-    let createData;
-    try {
-      createData = JSON.parse(createTextResponse);
-    } catch (parseError) {
+    if (createData.status !== 200) {
       return res.status(500).json({
-        status: 'error',
-        message: `API returned non-JSON response: ${createTextResponse.substring(0, 200)}`,
-        data: {}
-      });
-    }
-
-    if (!createResponse.ok || createData.status !== 200) {
-      return res.status(createResponse.status || 500).json({
         status: 'error',
         message: createData.message || 'Failed to create return order task',
         data: {}
@@ -3803,7 +3576,6 @@ app.get('/api/tookan/order/:orderId/conflicts', authenticate, async (req, res) =
     console.log('Order ID:', req.params.orderId);
     console.log('Local timestamp:', req.query.localTimestamp);
 
-    const apiKey = getApiKey();
     const orderId = req.params.orderId;
     const localTimestamp = req.query.localTimestamp;
 
@@ -3824,33 +3596,10 @@ app.get('/api/tookan/order/:orderId/conflicts', authenticate, async (req, res) =
     }
 
     // Fetch order from Tookan
-    const getTaskPayload = {
-      api_key: apiKey,
-      job_id: orderId
-    };
+    const getData = await tookanClient.getTaskDetails({ job_id: orderId });
 
-    const getResponse = await fetch('https://api.tookanapp.com/v2/get_task_details', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(getTaskPayload),
-    });
-
-    const getTextResponse = await getResponse.text();
-    let getData;
-    try {
-      getData = JSON.parse(getTextResponse);
-    } catch (parseError) {
+    if (getData.status !== 200) {
       return res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch order for conflict check',
-        data: {}
-      });
-    }
-
-    if (!getResponse.ok || getData.status !== 200) {
-      return res.status(getResponse.status || 500).json({
         status: 'error',
         message: getData.message || 'Order not found',
         data: {}
@@ -3892,247 +3641,50 @@ app.get('/api/tookan/order/:orderId/conflicts', authenticate, async (req, res) =
 });
 
 // WEBHOOK Receiver
-app.post('/api/tookan/webhook', async (req, res) => {
+// Persists the event and acknowledges at once; webhookProcessor applies it to the task
+// once WEBHOOK_PROCESSING_DELAY_MS has passed, in receipt order per job_id
+app.post('/api/tookan/webhook', verifyTookanWebhook, async (req, res) => {
+  const webhookData = req.body;
+  const eventType = webhookHandlers.resolveEventType(webhookData);
+  const orderId = webhookData.job_id || webhookData.order_id || webhookData.task_id || 'unknown';
   let eventId = null;
 
-  try {
-    console.log('\n=== WEBHOOK RECEIVED ===');
-    console.log('Timestamp:', new Date().toISOString());
-    console.log('Webhook payload:', JSON.stringify(req.body, null, 2));
-
-    const webhookData = req.body;
-
-    // Log webhook event
-    const eventType = webhookData.event_type || webhookData.type || 'unknown';
-    const orderId = webhookData.job_id || webhookData.order_id || webhookData.task_id || 'unknown';
-
-    console.log('Event Type:', eventType);
-    console.log('Order ID:', orderId);
-
-    // Persist webhook event to database
-    if (isConfigured()) {
-      try {
-        const event = await webhookEventsModel.createEvent({
-          event_type: eventType,
-          job_id: orderId !== 'unknown' ? parseInt(orderId) : null,
-          payload: webhookData
-        });
-        eventId = event.id;
-        console.log('âœ… Webhook event persisted to database, ID:', eventId);
-      } catch (persistError) {
-        console.error('âš ï¸  Failed to persist webhook event:', persistError.message);
-        // Continue processing even if persistence fails
-      }
-    }
-
-    let processed = false;
-    let eventAction = 'logged';
-    let processingError = null;
-
-    // Process webhook based on event type
-    // Common events: task_created, task_updated, task_completed, task_assigned, etc.
-    if (eventType.includes('task') || eventType.includes('order') || eventType.includes('job') || orderId !== 'unknown') {
-      console.log('Processing order-related webhook event');
-      console.log('â³ Waiting 10 seconds for Tookan data propagation...');
-      await new Promise(resolve => setTimeout(resolve, 10000));
-
-      let taskDataToUpdate = webhookData;
+  console.log(`\n=== WEBHOOK RECEIVED: ${eventType} (Order ID: ${orderId}) ===`);
 
-      // Fetch fresh task details from Tookan API
-      if (orderId && orderId !== 'unknown') {
-        try {
-          console.log(`ðŸ”„ Fetching fresh details for Job ID: ${orderId}`);
-          const apiKey = getApiKey();
-          const getTaskPayload = {
-            api_key: apiKey,
-            job_id: orderId
-          };
-
-          const getResponse = await fetch('https://api.tookanapp.com/v2/get_task_details', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(getTaskPayload),
-          });
-
-          if (getResponse.ok) {
-            const getData = await getResponse.json();
-            if (getData.status === 200 && getData.data) {
-              console.log('âœ… Fresh task details fetched successfully');
-
-              // Merge fresh data with webhook data, prioritizing fresh data
-              // We keep webhook event info (type, etc.) but overwrite task properties
-              const freshTask = getData.data;
-
-              // Map Tookan's varied date fields to our standard usage
-              const completedTime = freshTask.job_completed_datetime ||
-                freshTask.completed_datetime ||
-                freshTask.job_delivered_datetime ||
-                freshTask.acknowledged_datetime ||
-                webhookData.completed_datetime;
-
-              taskDataToUpdate = {
-                ...webhookData,
-                ...freshTask,
-                // Ensure explicit fields we care about are carried over/mapped
-                completed_datetime: completedTime,
-                job_status: freshTask.job_status || freshTask.status || webhookData.job_status,
-                // Ensure template fields are preserved/merged
-                template_fields: { ...(webhookData.template_fields || {}), ...(freshTask.template_fields || {}) },
-                custom_fields: { ...(webhookData.custom_fields || {}), ...(freshTask.custom_fields || {}) }
-              };
-
-              console.log('ðŸ“… Confirmed completed_datetime:', taskDataToUpdate.completed_datetime);
-            }
-          }
-        } catch (fetchError) {
-          console.error('âš ï¸ Failed to fetch fresh task details:', fetchError.message);
-          // Fallback to original webhook data
-        }
-
-        // Fetch COD amount from get_job_details with job_additional_info
-        try {
-          console.log(`ðŸ’° Fetching COD amount for Job ID: ${orderId}`);
-          const apiKey = getApiKey();
-
-          const codResponse = await fetch('https://api.tookanapp.com/v2/get_job_details', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              api_key: apiKey,
-              job_ids: [parseInt(orderId)],
-              include_task_history: 0,
-              job_additional_info: 1,
-              include_job_report: 0
-            }),
-          });
-
-          if (codResponse.ok) {
-            const codData = await codResponse.json();
-            if (codData.status === 200 && codData.data && codData.data.length > 0) {
-              const jobData = codData.data[0];
-              const customFields = jobData.custom_field || [];
-
-              if (Array.isArray(customFields)) {
-                const codField = customFields.find(field =>
-                  field.label === 'COD_Amount' ||
-                  field.display_name === 'CASH NEEDS TO BE COLLECTED'
-                );
-
-                if (codField && codField.data) {
-                  const codValue = parseFloat(codField.data);
-                  if (!isNaN(codValue)) {
-                    taskDataToUpdate.cod_amount = codValue;
-                    console.log('âœ… COD amount found:', codValue);
-                  }
-                }
-              }
-
-              // Also merge tags if available
-              if (jobData.tags) {
-                taskDataToUpdate.tags = jobData.tags;
-              }
-            }
-          }
-        } catch (codFetchError) {
-          console.error('âš ï¸ Failed to fetch COD amount:', codFetchError.message);
-          // Continue without COD
-        }
-      }
-
-      // Update task storage with COD data from template fields
-      try {
-        const updatedTask = await taskStorage.updateTaskFromWebhook(taskDataToUpdate);
-
-        if (updatedTask) {
-          processed = true;
-          eventAction = 'task_updated';
-          console.log('âœ… Task updated in local storage');
-          console.log('  COD Amount:', updatedTask.cod_amount);
-          console.log('  COD Collected:', updatedTask.cod_collected);
-
-          // Mark event as processed
-          if (eventId && isConfigured()) {
-            try {
-              await webhookEventsModel.markProcessed(eventId);
-            } catch (markError) {
-              console.error('âš ï¸  Failed to mark event as processed:', markError.message);
-            }
-          }
-
-          // In a real implementation, you would:
-          // 1. Notify frontend if order is currently loaded (via WebSocket/SSE)
-          // 2. Trigger conflict detection if needed
-        } else {
-          console.log('âš ï¸  Could not update task (missing job_id)');
-          if (eventId && isConfigured()) {
-            try {
-              await webhookEventsModel.markProcessed(eventId);
-            } catch (markError) {
-              console.error('âš ï¸  Failed to mark event as processed:', markError.message);
-            }
-          }
-        }
-      } catch (storageError) {
-        console.error('âŒ Error updating task storage:', storageError);
-        processingError = storageError.message || 'Task storage update failed';
-
-        // Mark event as failed
-        if (eventId && isConfigured()) {
-          try {
-            await webhookEventsModel.markFailed(eventId, processingError);
-          } catch (markError) {
-            console.error('âš ï¸  Failed to mark event as failed:', markError.message);
-          }
-        }
-        // Continue processing even if storage fails
-      }
-    } else {
-      // Event not related to tasks, mark as processed
-      if (eventId && isConfigured()) {
-        try {
-          await webhookEventsModel.markProcessed(eventId);
-        } catch (markError) {
-          console.error('âš ï¸  Failed to mark event as processed:', markError.message);
-        }
+  if (isConfigured()) {
+    try {
+      const event = await webhookEventsModel.createEvent({
+        event_type: eventType,
+        job_id: orderId !== 'unknown' ? parseInt(orderId) : null,
+        payload: webhookData,
+        payload_hash: req.webhookPayloadHash,
+        next_retry_at: new Date(Date.now() + webhookProcessor.WEBHOOK_PROCESSING_DELAY_MS).toISOString()
+      });
+      if (!event) {
+        return respondDuplicate(req, res);
       }
+      eventId = event.id;
+      console.log('âœ… Webhook event queued, ID:', eventId);
+    } catch (persistError) {
+      console.error('âš ï¸  Failed to persist webhook event:', persistError.message);
     }
+  }
 
-    // Always return 200 OK to acknowledge receipt (even if processing fails)
-    console.log(`âœ… Webhook processed: ${eventAction}`);
-    console.log('=== END WEBHOOK ===\n');
-
-    res.status(200).json({
-      status: 'success',
-      message: 'Webhook received and processed',
-      data: {
-        eventType: eventType,
-        eventAction: eventAction,
-        orderId: orderId,
-        processed: processed,
-        eventId: eventId
-      },
-      note: processed ? 'Task data updated from webhook template fields.' : 'Webhook logged but no task update performed.'
-    });
-  } catch (error) {
-    console.error('âŒ Webhook processing error:', error);
-    console.error('Error stack:', error.stack);
+  // Without a stored event the worker never sees it, so process it in memory instead
+  if (!eventId) {
+    webhookProcessor.scheduleUnpersisted(webhookData);
+  }
 
-    // Mark event as failed if we have an eventId
-    if (typeof eventId !== 'undefined' && eventId !== null && isConfigured()) {
-      try {
-        await webhookEventsModel.markFailed(eventId, error.message || 'Webhook processing failed');
-      } catch (markError) {
-        console.error('âš ï¸  Failed to mark event as failed:', markError.message);
-      }
+  res.status(200).json({
+    status: 'success',
+    message: 'Webhook received',
+    data: {
+      eventType: eventType,
+      orderId: orderId,
+      eventId: eventId,
+      queued: !!eventId
     }
-
-    // Still return 200 to prevent Tookan from retrying
-    res.status(200).json({
-      status: 'error',
-      message: 'Webhook received but processing failed',
-      data: {}
-    });
-  }
+  });
 });
 
 // ============================================
@@ -4158,6 +3710,10 @@ app.get('/api/webhooks/events', authenticate, requireRole('admin'), async (req,
         events = await webhookEventsModel.getPendingEvents(3);
       } else if (status === 'failed') {
         events = await webhookEventsModel.getFailedEvents();
+      } else if (status === 'rejected') {
+        events = await webhookEventsModel.getRejectedEvents(parseInt(limit) || 100);
+      } else if (status === 'dead_letter') {
+        events = await webhookEventsModel.getDeadLetterEvents(parseInt(limit) || 100);
       } else if (status === 'processed') {
         // Get processed events (limit to recent ones)
         const { data, error } = await supabase
@@ -4197,6 +3753,27 @@ app.get('/api/webhooks/events', authenticate, requireRole('admin'), async (req,
   }
 });
 
+// GET Webhook Worker Metrics (Admin only)
+// Backlog size, in-flight events, counters and processing latency of this instance's worker
+app.get('/api/webhooks/worker/metrics', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const workerMetrics = await webhookProcessor.getWorkerMetrics();
+
+    res.json({
+      status: 'success',
+      message: 'Webhook worker metrics retrieved successfully',
+      data: workerMetrics
+    });
+  } catch (error) {
+    console.error('Get webhook worker metrics error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Failed to get webhook worker metrics',
+      data: {}
+    });
+  }
+});
+
 // GET Pending Webhook Events Count
 app.get('/api/webhooks/events/pending', authenticate, async (req, res) => {
   try {
@@ -4273,6 +3850,10 @@ app.post('/api/webhooks/events/:id/retry', authenticate, requireRole('admin'), a
     // Reset event for retry
     const event = await webhookEventsModel.resetForRetry(parseInt(id));
 
+    await auditLogger.createAuditLog(req, 'webhook_event_retry', 'webhook_event', event.id,
+      { error_message: event.error_message },
+      { status: 'pending', job_id: event.job_id, event_type: event.event_type });
+
     res.json({
       status: 'success',
       message: 'Event reset for retry successfully',
@@ -4370,7 +3951,6 @@ app.put('/api/tookan/task/:jobId/cod', authenticate, requirePermission('panel_or
     console.log('Job ID:', req.params.jobId);
     console.log('Request body:', JSON.stringify(req.body, null, 2));
 
-    const apiKey = getApiKey();
     const jobId = req.params.jobId;
     const { cod_amount, cod_collected } = req.body;
 
@@ -4449,7 +4029,6 @@ app.put('/api/tookan/task/:jobId/cod', authenticate, requirePermission('panel_or
 
       // Build Tookan payload
       const tookanPayload = {
-        api_key: apiKey,
         job_id: numericJobId,
         custom_field_template: 'Same_day',
         meta_data: metaData
@@ -4470,40 +4049,18 @@ app.put('/api/tookan/task/:jobId/cod', authenticate, requirePermission('panel_or
       }
 
       // Call Tookan edit_task endpoint
-      const response = await fetch('https://api.tookanapp.com/v2/edit_task', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(tookanPayload),
-      });
-
-      const textResponse = await response.text();
-      console.log('Tookan API Response Status:', response.status, response.statusText);
-      console.log('Tookan API Response Body:', textResponse.substring(0, 500));
-
-      let tookanData;
-
-      try {
-        tookanData = JSON.parse(textResponse);
-        console.log('Tookan API Parsed Response:', JSON.stringify(tookanData, null, 2));
-      } catch (parseError) {
-        console.warn('âš ï¸  Tookan API returned non-JSON response, template field update may not be supported');
-        console.warn('Parse Error:', parseError.message);
-        console.warn('Raw Response:', textResponse);
-        tookanData = { status: 0, message: 'Non-JSON response' };
-      }
+      const tookanData = await tookanClient.editTask(tookanPayload);
+      console.log('Tookan API Parsed Response:', JSON.stringify(tookanData, null, 2));
 
       // Check if Tookan API call was successful
       // Tookan returns status 200 even for errors, so check tookanData.status
-      const isSuccess = response.ok && tookanData.status === 200;
-      const errorMessage = tookanData.message || textResponse.substring(0, 500);
+      const isSuccess = tookanData.status === 200;
+      const errorMessage = tookanData.message || `Tookan returned status ${tookanData.status}`;
       const isJobIdError = errorMessage.toLowerCase().includes('job_id should be valid number') ||
         errorMessage.toLowerCase().includes('job_id should be valid') ||
         errorMessage.toLowerCase().includes('job_id must be');
 
       console.log('\n=== TOOKAN API RESULT ===');
-      console.log('HTTP Status:', response.status);
       console.log('Tookan Status:', tookanData.status);
       console.log('Is Success:', isSuccess);
       console.log('Error Message:', errorMessage);
@@ -4522,7 +4079,6 @@ app.put('/api/tookan/task/:jobId/cod', authenticate, requirePermission('panel_or
         });
       } else {
         console.warn('âš ï¸  Tookan API update failed or template fields not supported');
-        console.warn('Response Status:', response.status);
         console.warn('Response Message:', errorMessage);
         console.warn('Full Response:', JSON.stringify(tookanData, null, 2));
 
@@ -4535,7 +4091,6 @@ app.put('/api/tookan/task/:jobId/cod', authenticate, requirePermission('panel_or
             tookan_error: errorMessage,
             is_job_id_error: isJobIdError,
             tookan_response: tookanData,
-            tookan_http_status: response.status,
             tookan_api_status: tookanData.status,
             note: isJobIdError
               ? 'âš ï¸ job_id conversion may not be working correctly. Check server logs for details.'
@@ -4846,37 +4401,15 @@ app.get('/api/customers/wallets', authenticate, async (req, res) => {
   try {
     console.log('\n=== GET CUSTOMER WALLETS REQUEST ===');
 
-    const apiKey = getApiKey();
-
     // Fetch customer wallets from Tookan
-    const response = await fetch('https://api.tookanapp.com/v2/fetch_customers_wallet', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        api_key: apiKey,
-        is_pagination: 1,
-        off_set: 0,
-        limit: 1000 // Adjust as needed
-      }),
+    const data = await tookanClient.fetchCustomersWallet({
+      is_pagination: 1,
+      off_set: 0,
+      limit: 1000 // Adjust as needed
     });
 
-    const textResponse = await response.text();
-    let data;
-
-    try {
-      data = JSON.parse(textResponse);
-    } catch (parseError) {
+    if (data.status !== 200) {
       return res.status(500).json({
-        status: 'error',
-        message: 'Failed to parse Tookan API response',
-        data: []
-      });
-    }
-
-    if (!response.ok || data.status !== 200) {
-      return res.status(response.status || 500).json({
         status: 'error',
         message: data.message || 'Failed to fetch customer wallets',
         data: []
@@ -4974,28 +4507,18 @@ app.put('/api/cod/settle/:codId', authenticate, requirePermission('panel_financi
     });
 
     // Update merchant wallet via Tookan API
-    const apiKey = getApiKey();
     let walletUpdateResult = null;
 
     try {
-      const walletResponse = await fetch('https://api.tookanapp.com/v2/customer_wallet_transaction', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          api_key: apiKey,
-          vendor_id: vendorId,
-          transaction_type: 1, // 1 = credit
-          amount: codAmount,
-          description: `COD Settlement for Order ${orderId}`,
-          transaction_date: new Date().toISOString()
-        }),
+      const walletData = await tookanClient.customerWalletTransaction({
+        vendor_id: vendorId,
+        transaction_type: 1, // 1 = credit
+        amount: codAmount,
+        description: `COD Settlement for Order ${orderId}`,
+        transaction_date: new Date().toISOString()
       });
 
-      const walletData = await walletResponse.json();
-
-      if (walletResponse.ok && walletData.status === 200) {
+      if (walletData.status === 200) {
         walletUpdateResult = walletData.data;
         console.log('âœ… Merchant wallet updated successfully');
       } else {
@@ -5042,142 +4565,312 @@ app.put('/api/cod/settle/:codId', authenticate, requirePermission('panel_financi
       }
     });
   } catch (error) {
-    console.error('âŒ Settle COD error:', error);
+    console.error('âŒ Settle COD error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Failed to settle COD',
+      data: {}
+    });
+  }
+});
+
+// GET Task Metadata
+app.get('/api/tookan/task/:jobId/metadata', optionalAuth, async (req, res) => {
+  try {
+    const jobId = req.params.jobId;
+
+    if (!jobId) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Job ID is required',
+        data: {}
+      });
+    }
+
+    const metadata = await taskStorage.getTaskMetadata(jobId);
+
+    res.json({
+      status: 'success',
+      message: 'Task metadata retrieved successfully',
+      data: metadata
+    });
+  } catch (error) {
+    console.error('âŒ Get task metadata error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Failed to get task metadata',
+      data: {}
+    });
+  }
+});
+
+// PUT Task Metadata
+app.put('/api/tookan/task/:jobId/metadata', authenticate, requirePermission('panel_order_editor'), async (req, res) => {
+  try {
+    const jobId = req.params.jobId;
+    const metadata = req.body;
+
+    if (!jobId) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Job ID is required',
+        data: {}
+      });
+    }
+
+    if (!metadata || typeof metadata !== 'object') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Metadata must be an object',
+        data: {}
+      });
+    }
+
+    await taskStorage.setTaskMetadata(jobId, metadata);
+    const updatedMetadata = await taskStorage.getTaskMetadata(jobId);
+
+    res.json({
+      status: 'success',
+      message: 'Task metadata updated successfully',
+      data: updatedMetadata
+    });
+  } catch (error) {
+    console.error('âŒ Update task metadata error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Failed to update task metadata',
+      data: {}
+    });
+  }
+});
+
+// ============================================
+// TAG MANAGEMENT - DELIVERY CHARGE TAGS
+// ============================================
+
+// GET Tag Configuration
+app.get('/api/tookan/tags/config', authenticate, async (req, res) => {
+  try {
+    const config = await tagService.loadTagConfig();
+    res.json({
+      status: 'success',
+      message: 'Tag configuration retrieved successfully',
+      data: config
+    });
+  } catch (error) {
+    console.error('âŒ Get tag config error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Failed to get tag configuration',
+      data: {}
+    });
+  }
+});
+
+// PUT Tag Configuration
+app.put('/api/tookan/tags/config', authenticate, requirePermission('panel_order_editor'), async (req, res) => {
+  try {
+    const { changeNote, ...newConfig } = req.body || {};
+
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Configuration must be an object',
+        data: {}
+      });
+    }
+
+    const { errors: ruleErrors, warnings } = await tagService.checkTagConfig(newConfig);
+    if (ruleErrors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid tag rules: ${tagService.describeRuleErrors(ruleErrors)}`,
+        data: { errors: ruleErrors }
+      });
+    }
+
+    const previousConfig = await tagService.loadTagConfig();
+    const updatedConfig = await tagService.updateTagConfig(newConfig, {
+      user: { id: req.userId, name: req.user?.name || req.user?.email },
+      changeNote: changeNote
+    });
+
+    await auditLogger.createAuditLog(req, 'tag_config_update', 'tag_config', String(updatedConfig.version || ''), previousConfig, updatedConfig);
+
+    res.json({
+      status: 'success',
+      message: warnings.length > 0
+        ? `Tag configuration updated with ${warnings.length} conflict warning(s)`
+        : 'Tag configuration updated successfully',
+      data: updatedConfig,
+      warnings
+    });
+  } catch (error) {
+    console.error('âŒ Update tag config error:', error);
     res.status(500).json({
       status: 'error',
-      message: error.message || 'Failed to settle COD',
+      message: error.message || 'Failed to update tag configuration',
       data: {}
     });
   }
 });
 
-// GET Task Metadata
-app.get('/api/tookan/task/:jobId/metadata', optionalAuth, async (req, res) => {
+// POST Check Tag Configuration (draft, not saved)
+app.post('/api/tookan/tags/config/check', authenticate, async (req, res) => {
   try {
-    const jobId = req.params.jobId;
-
-    if (!jobId) {
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
       return res.status(400).json({
         status: 'error',
-        message: 'Job ID is required',
+        message: 'Configuration must be an object',
         data: {}
       });
     }
 
-    const metadata = await taskStorage.getTaskMetadata(jobId);
+    const { changeNote, ...draftConfig } = req.body;
+    const { errors, warnings } = await tagService.checkTagConfig(draftConfig);
 
     res.json({
       status: 'success',
-      message: 'Task metadata retrieved successfully',
-      data: metadata
+      message: errors.length > 0
+        ? `Invalid tag rules: ${tagService.describeRuleErrors(errors)}`
+        : `Tag configuration is valid${warnings.length > 0 ? ` with ${warnings.length} conflict warning(s)` : ''}`,
+      data: { valid: errors.length === 0, errors, warnings }
     });
   } catch (error) {
-    console.error('âŒ Get task metadata error:', error);
+    console.error('Check tag config error:', error);
     res.status(500).json({
       status: 'error',
-      message: error.message || 'Failed to get task metadata',
+      message: error.message || 'Failed to check tag configuration',
       data: {}
     });
   }
 });
 
-// PUT Task Metadata
-app.put('/api/tookan/task/:jobId/metadata', authenticate, requirePermission('panel_order_editor'), async (req, res) => {
+// GET Tag Configuration Versions
+app.get('/api/tookan/tags/config/versions', authenticate, async (req, res) => {
   try {
-    const jobId = req.params.jobId;
-    const metadata = req.body;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    const result = await tagService.listTagConfigVersions({ limit, offset });
 
-    if (!jobId) {
+    res.json({
+      status: 'success',
+      message: 'Tag configuration versions retrieved successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Get tag config versions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Failed to get tag configuration versions',
+      data: {}
+    });
+  }
+});
+
+// GET Tag Configuration Version Diff
+app.get('/api/tookan/tags/config/compare', authenticate, async (req, res) => {
+  try {
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+
+    if (isNaN(from) || isNaN(to)) {
       return res.status(400).json({
         status: 'error',
-        message: 'Job ID is required',
+        message: 'from and to version numbers are required',
         data: {}
       });
     }
 
-    if (!metadata || typeof metadata !== 'object') {
-      return res.status(400).json({
+    const comparison = await tagService.compareTagConfigVersions(from, to);
+    if (!comparison) {
+      return res.status(404).json({
         status: 'error',
-        message: 'Metadata must be an object',
+        message: 'Version not found',
         data: {}
       });
     }
 
-    await taskStorage.setTaskMetadata(jobId, metadata);
-    const updatedMetadata = await taskStorage.getTaskMetadata(jobId);
-
     res.json({
       status: 'success',
-      message: 'Task metadata updated successfully',
-      data: updatedMetadata
+      message: 'Tag configuration versions compared successfully',
+      data: comparison
     });
   } catch (error) {
-    console.error('âŒ Update task metadata error:', error);
+    console.error('Compare tag config versions error:', error);
     res.status(500).json({
       status: 'error',
-      message: error.message || 'Failed to update task metadata',
+      message: error.message || 'Failed to compare tag configuration versions',
       data: {}
     });
   }
 });
 
-// ============================================
-// TAG MANAGEMENT - DELIVERY CHARGE TAGS
-// ============================================
-
-// GET Tag Configuration
-app.get('/api/tookan/tags/config', authenticate, async (req, res) => {
+// GET Tag Configuration Version
+app.get('/api/tookan/tags/config/versions/:version', authenticate, async (req, res) => {
   try {
-    const config = tagService.loadTagConfig();
+    const version = await tagService.getTagConfigVersion(parseInt(req.params.version));
+    if (!version) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Version not found',
+        data: {}
+      });
+    }
+
     res.json({
       status: 'success',
-      message: 'Tag configuration retrieved successfully',
-      data: config
+      message: 'Tag configuration version retrieved successfully',
+      data: version
     });
   } catch (error) {
-    console.error('âŒ Get tag config error:', error);
+    console.error('Get tag config version error:', error);
     res.status(500).json({
       status: 'error',
-      message: error.message || 'Failed to get tag configuration',
+      message: error.message || 'Failed to get tag configuration version',
       data: {}
     });
   }
 });
 
-// PUT Tag Configuration
-app.put('/api/tookan/tags/config', authenticate, requirePermission('panel_order_editor'), async (req, res) => {
+// POST Roll Back Tag Configuration
+app.post('/api/tookan/tags/config/rollback', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    const newConfig = req.body;
+    const version = parseInt(req.body?.version);
 
-    if (!newConfig || typeof newConfig !== 'object') {
+    if (isNaN(version)) {
       return res.status(400).json({
         status: 'error',
-        message: 'Configuration must be an object',
+        message: 'version is required',
         data: {}
       });
     }
 
-    const success = tagService.updateTagConfig(newConfig);
+    const previousConfig = await tagService.loadTagConfig();
+    const result = await tagService.rollbackTagConfig(version, {
+      user: { id: req.userId, name: req.user?.name || req.user?.email }
+    });
 
-    if (success) {
-      const updatedConfig = tagService.loadTagConfig();
-      res.json({
-        status: 'success',
-        message: 'Tag configuration updated successfully',
-        data: updatedConfig
-      });
-    } else {
-      res.status(500).json({
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({
         status: 'error',
-        message: 'Failed to save tag configuration',
-        data: {}
+        message: result.message,
+        data: { errors: result.errors || [] }
       });
     }
+
+    await auditLogger.createAuditLog(req, 'tag_config_rollback', 'tag_config', String(result.config.version), previousConfig, result.config);
+
+    res.json({
+      status: 'success',
+      message: `Rolled back to version ${version}`,
+      data: result.config
+    });
   } catch (error) {
-    console.error('âŒ Update tag config error:', error);
+    console.error('Roll back tag config error:', error);
     res.status(500).json({
       status: 'error',
-      message: error.message || 'Failed to update tag configuration',
+      message: error.message || 'Failed to roll back tag configuration',
       data: {}
     });
   }
@@ -5188,14 +4881,15 @@ app.post('/api/tookan/tags/suggest', authenticate, async (req, res) => {
   try {
     const data = req.body;
 
-    const suggestedTags = tagService.suggestTags(data || {});
+    const suggestedTags = await tagService.suggestTags(data || {});
 
     res.json({
       status: 'success',
       message: 'Tags suggested successfully',
       data: {
         tags: suggestedTags,
-        input: data
+        input: data,
+        rules: await tagService.explainRules(data || {})
       }
     });
   } catch (error) {
@@ -5208,10 +4902,75 @@ app.post('/api/tookan/tags/suggest', authenticate, async (req, res) => {
   }
 });
 
+// POST Simulate Tag Configuration
+// Runs a draft config over cached orders in a date range; nothing is saved or sent to Tookan
+app.post('/api/tookan/tags/simulate', authenticate, requirePermission('panel_order_editor'), async (req, res) => {
+  try {
+    const { config, dateFrom, dateTo, sampleSize } = req.body || {};
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'config must be an object',
+        data: {}
+      });
+    }
+
+    const from = new Date(dateFrom);
+    const to = new Date(dateTo);
+    if (!dateFrom || !dateTo || isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'dateFrom and dateTo are required (YYYY-MM-DD or ISO 8601)',
+        data: {}
+      });
+    }
+
+    // A plain date includes the whole day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(dateTo)) {
+      to.setUTCHours(23, 59, 59, 999);
+    }
+    if (from > to) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'dateFrom must be before dateTo',
+        data: {}
+      });
+    }
+
+    const result = await tagSimulationService.simulateTagConfig(config, {
+      dateFrom: from.toISOString(),
+      dateTo: to.toISOString(),
+      sampleSize
+    });
+
+    if (!result.success) {
+      return res.status(400).json({
+        status: 'error',
+        message: result.message,
+        data: { errors: result.errors }
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Tag simulation completed successfully',
+      data: result.simulation
+    });
+  } catch (error) {
+    console.error('Simulate tags error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Failed to simulate tag configuration',
+      data: {}
+    });
+  }
+});
+
 // GET All Tags
 app.get('/api/tookan/tags', authenticate, async (req, res) => {
   try {
-    const tags = tagService.getAllTags();
+    const tags = await tagService.getAllTags();
     res.json({
       status: 'success',
       message: 'Tags retrieved successfully',
@@ -5335,7 +5094,6 @@ app.get('/api/tookan/orders', authenticate, async (req, res) => {
       // Fallback to Tookan API with retry logic
       console.log('ðŸ“¥ Fetching from Tookan API (cache miss or stale)...');
 
-      const apiKey = getApiKey();
       const batchLimit = 50;
       const jobTypes = [0, 1, 2, 3]; // Pickup, Delivery, Appointment, FOS
       const jobTypeNames = ['Pickup', 'Delivery', 'Appointment', 'FOS'];
@@ -5368,29 +5126,6 @@ app.get('/api/tookan/orders', authenticate, async (req, res) => {
 
       console.log(`ðŸ“… Split into ${dateBatches.length} date batches (31-day chunks)`);
 
-      // Helper function with retry logic
-      const fetchWithRetry = async (url, options, retries = 3) => {
-        for (let attempt = 1; attempt <= retries; attempt++) {
-          try {
-            const response = await fetch(url, options);
-            return response;
-          } catch (error) {
-            const isSSLError = error.message.includes('SSL') ||
-              error.message.includes('ssl') ||
-              error.message.includes('decryption') ||
-              error.message.includes('ECONNRESET');
-
-            if (isSSLError && attempt < retries) {
-              const delay = 1000 * Math.pow(2, attempt - 1);
-              console.log(`âš ï¸  Retry ${attempt}/${retries} after ${delay}ms`);
-              await new Promise(r => setTimeout(r, delay));
-              continue;
-            }
-            throw error;
-          }
-        }
-      };
-
       // Fetch tasks for each batch and job type
       const tasks = [];
 
@@ -5403,7 +5138,6 @@ app.get('/api/tookan/orders', authenticate, async (req, res) => {
 
           while (hasMore && tasks.length < 10000) {
             const payload = {
-              api_key: apiKey,
               job_type: jobType,
               start_date: batch.startDate,
               end_date: batch.endDate,
@@ -5414,13 +5148,7 @@ app.get('/api/tookan/orders', authenticate, async (req, res) => {
             };
 
             try {
-              const response = await fetchWithRetry('https://api.tookanapp.com/v2/get_all_tasks', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload),
-              });
-
-              const data = await response.json();
+              const data = await tookanClient.getAllTasks(payload);
 
               if (data.status === 200 || data.status === 1) {
                 const batchTasks = Array.isArray(data.data) ? data.data : [];
@@ -6006,23 +5734,14 @@ app.get('/api/tookan/job/:jobId/related-address', authenticate, async (req, res)
     console.log('\n=== GET RELATED DELIVERY ADDRESS ===');
     console.log('Job ID:', jobId);
 
-    const apiKey = getApiKey();
-
     // Step 1: Get job details to find pickup_delivery_relationship
-    const jobDetailsResponse = await fetch('https://api.tookanapp.com/v2/get_job_details', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        api_key: apiKey,
-        job_ids: [parseInt(jobId)],
-        include_task_history: 0,
-        job_additional_info: 1,
-        include_job_report: 0
-      })
+    const jobDetailsData = await tookanClient.getJobDetails({
+      job_ids: [parseInt(jobId)],
+      include_task_history: 0,
+      job_additional_info: 1,
+      include_job_report: 0
     });
 
-    const jobDetailsData = await jobDetailsResponse.json();
-
     if (jobDetailsData.status !== 200 || !jobDetailsData.data || jobDetailsData.data.length === 0) {
       console.log('Job details not found');
       return res.json({ status: 'error', message: 'Job details not found' });
@@ -6039,17 +5758,10 @@ app.get('/api/tookan/job/:jobId/related-address', authenticate, async (req, res)
     console.log('Found pickup_delivery_relationship:', pickupDeliveryRelationship);
 
     // Step 2: Get related tasks to find the delivery address
-    const relatedTasksResponse = await fetch('https://api.tookanapp.com/v2/get_related_tasks', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        api_key: apiKey,
-        pickup_delivery_relationship: pickupDeliveryRelationship
-      })
+    const relatedTasksData = await tookanClient.getRelatedTasks({
+      pickup_delivery_relationship: pickupDeliveryRelationship
     });
 
-    const relatedTasksData = await relatedTasksResponse.json();
-
     if (relatedTasksData.status !== 200 || !relatedTasksData.data || relatedTasksData.data.length === 0) {
       console.log('Related tasks not found');
       return res.json({ status: 'success', data: { hasRelatedTask: false } });
@@ -6119,23 +5831,14 @@ app.get('/api/orders/:jobId/sync-cod', authenticate, async (req, res) => {
     console.log('\n=== SYNC COD AMOUNT ===');
     console.log('Job ID:', jobId);
 
-    const apiKey = getApiKey();
-
     // Fetch job details with additional info
-    const response = await fetch('https://api.tookanapp.com/v2/get_job_details', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        api_key: apiKey,
-        job_ids: [parseInt(jobId)],
-        include_task_history: 0,
-        job_additional_info: 1,
-        include_job_report: 0
-      })
+    const data = await tookanClient.getJobDetails({
+      job_ids: [parseInt(jobId)],
+      include_task_history: 0,
+      job_additional_info: 1,
+      include_job_report: 0
     });
 
-    const data = await response.json();
-
     if (data.status !== 200 || !data.data || data.data.length === 0) {
       console.log('Job details not found');
       return res.json({ status: 'error', message: 'Job details not found' });
@@ -6346,16 +6049,9 @@ function getStatusText(status) {
 // GET Agents from Database
 app.get('/api/agents', authenticate, async (req, res) => {
   try {
-    const apiKey = getApiKey();
     const { isActive, teamId, search } = req.query;
 
-    const response = await fetch('https://api.tookanapp.com/v2/get_all_fleets', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ api_key: apiKey }),
-    });
-
-    const result = await response.json();
+    const result = await tookanClient.getAllFleets();
     if (result.status !== 200) {
       return res.status(500).json({ status: 'error', message: result.message || 'Tookan API Error', data: { agents: [], total: 0 } });
     }
@@ -6485,32 +6181,11 @@ app.put('/api/orders/:jobId/assign', authenticate, requirePermission('panel_orde
       });
     }
 
-    const apiKey = getApiKey();
-
     // Step 1: Fetch current task from Tookan to get existing data
     console.log('Fetching current task from Tookan...');
-    const getTaskResponse = await fetch('https://api.tookanapp.com/v2/get_task_details', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        api_key: apiKey,
-        job_id: jobId
-      }),
-    });
-
-    const getTaskText = await getTaskResponse.text();
-    let currentTaskData;
-
-    try {
-      currentTaskData = JSON.parse(getTaskText);
-    } catch (parseError) {
-      return res.status(500).json({
-        status: 'error',
-        message: 'Failed to parse task data from Tookan'
-      });
-    }
+    const currentTaskData = await tookanClient.getTaskDetails({ job_id: jobId });
 
-    if (!getTaskResponse.ok || currentTaskData.status !== 200) {
+    if (currentTaskData.status !== 200) {
       return res.status(404).json({
         status: 'error',
         message: currentTaskData.message || 'Task not found in Tookan'
@@ -6526,7 +6201,6 @@ app.put('/api/orders/:jobId/assign', authenticate, requirePermission('panel_orde
     // Step 2: Update task in Tookan using edit_task API
     console.log('Updating task in Tookan...');
     const updatePayload = {
-      api_key: apiKey,
       job_id: parseInt(jobId),
       fleet_id: fleet_id ? parseInt(fleet_id) : null,
       // Preserve existing task data
@@ -6543,26 +6217,9 @@ app.put('/api/orders/:jobId/assign', authenticate, requirePermission('panel_orde
       updatePayload.customer_comments = notes;
     }
 
-    const editResponse = await fetch('https://api.tookanapp.com/v2/edit_task', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(updatePayload),
-    });
-
-    const editText = await editResponse.text();
-    let editData;
-
-    try {
-      editData = JSON.parse(editText);
-    } catch (parseError) {
-      console.error('Failed to parse Tookan edit response:', editText.substring(0, 200));
-      return res.status(500).json({
-        status: 'error',
-        message: 'Failed to parse response from Tookan'
-      });
-    }
+    const editData = await tookanClient.editTask(updatePayload);
 
-    if (!editResponse.ok || editData.status !== 200) {
+    if (editData.status !== 200) {
       console.error('Tookan edit_task failed:', editData);
       return res.status(500).json({
         status: 'error',
@@ -6646,34 +6303,19 @@ app.get('/api/tookan/fleets', authenticate, async (req, res) => {
     console.log('\n=== GET ALL FLEETS (DRIVERS/AGENTS) REQUEST ===');
     console.log('Request received at:', new Date().toISOString());
 
-    const apiKey = getApiKey();
-
     // Call Tookan API to get all fleets (agents/drivers)
     // Note: Tookan API endpoint may be /v2/get_all_fleets or similar
-    const tookanPayload = {
-      api_key: apiKey
-    };
-
-    console.log('Calling Tookan API: https://api.tookanapp.com/v2/get_all_fleets');
-    console.log('Tookan API payload:', JSON.stringify({ ...tookanPayload, api_key: '***HIDDEN***' }, null, 2));
-
-    const response = await fetch('https://api.tookanapp.com/v2/get_all_fleets', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(tookanPayload),
-    });
 
-    const textResponse = await response.text();
     let data;
-
     try {
-      data = JSON.parse(textResponse);
-    } catch (parseError) {
+      data = await tookanClient.getAllFleets();
+    } catch (error) {
+      if (!tookanClient.isEndpointMissing(error) && error.code !== 'invalid_response') {
+        throw error;
+      }
       // If endpoint doesn't exist or returns non-JSON, return structure
       console.log('âš ï¸  Tookan API may not have get_all_fleets endpoint');
-      console.log('Response:', textResponse.substring(0, 200));
+      console.log('Response:', error.message);
       console.log('=== END REQUEST ===\n');
 
       return res.json({
@@ -6689,7 +6331,7 @@ app.get('/api/tookan/fleets', authenticate, async (req, res) => {
       });
     }
 
-    if (!response.ok || data.status !== 200) {
+    if (data.status !== 200) {
       // If endpoint fails, return empty structure
       console.log('âš ï¸  Tookan API returned error:', data.message);
       console.log('=== END REQUEST ===\n');
@@ -6990,32 +6632,16 @@ app.get('/api/reports/analytics', authenticate, async (req, res) => {
     console.log('Query params:', JSON.stringify(req.query, null, 2));
     console.log('Request received at:', new Date().toISOString());
 
-    const apiKey = getApiKey();
-
     // Fetch data from Tookan directly (like Vercel) — NOT through internal localhost
     // NOTE: We use small task limits because RPC provides accurate totals
-    const [fleetsRes, tasksRes] = await Promise.all([
-      fetch('https://api.tookanapp.com/v2/get_all_fleets', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ api_key: apiKey })
-      }),
-      fetch('https://api.tookanapp.com/v2/get_all_tasks', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          api_key: apiKey,
-          job_type: 1, // Delivery only for charts
-          job_status: '0,1,2,3,4,5,6,7,8,9',
-          limit: 100, // Small limit - RPC provides accurate totals
-          custom_fields: 1
-        })
-      })
-    ]);
-
     const [fleetsData, tasksData] = await Promise.all([
-      fleetsRes.json(),
-      tasksRes.json()
+      tookanClient.getAllFleets(),
+      tookanClient.getAllTasks({
+        job_type: 1, // Delivery only for charts
+        job_status: '0,1,2,3,4,5,6,7,8,9',
+        limit: 100, // Small limit - RPC provides accurate totals
+        custom_fields: 1
+      })
     ]);
 
     // Ensure data is always an array
@@ -7155,11 +6781,7 @@ app.get('/api/reports/totals', authenticate, async (req, res) => {
 
     // 2. Tookan API for drivers count (lightweight - just need count)
     promises.push(
-      fetch('https://api.tookanapp.com/v2/get_all_fleets', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ api_key: getApiKey() })
-      }).then(r => r.json()).catch(() => ({ status: 200, data: [] }))
+      tookanClient.getAllFleets().catch(() => ({ status: 200, data: [] }))
     );
 
     // 3. Supabase database for customers count
@@ -7862,7 +7484,6 @@ app.put('/api/withdrawal/request/:id/approve', authenticate, requirePermission('
     }
 
     // Debit the final_amount from the merchant wallet using addCustomerPaymentViaDashboard
-    const apiKey = getApiKey();
     const vendorId = request.vendor_id;
     const finalAmount = parseFloat(request.final_amount || request.requested_amount || request.amount || 0);
 
@@ -7870,19 +7491,12 @@ app.put('/api/withdrawal/request/:id/approve', authenticate, requirePermission('
     if (vendorId && finalAmount > 0) {
       try {
         const walletPayload = {
-          api_key: apiKey,
           vendor_id: vendorId,
           amount: -Math.abs(finalAmount), // Negative for debit
           description: `Withdrawal approved (ID: ${requestId})`
         };
 
-        const walletResponse = await fetch('https://api.tookanapp.com/v2/addCustomerPaymentViaDashboard', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(walletPayload)
-        });
-
-        const walletData = await walletResponse.json();
+        const walletData = await tookanClient.addCustomerPaymentViaDashboard(walletPayload);
         if (walletData.status === 200) {
           walletDebitSuccess = true;
           console.log('✅ Merchant wallet debited:', vendorId, 'Amount:', finalAmount);
@@ -8002,7 +7616,6 @@ app.post('/api/auth/login', async (req, res) => {
       });
     }
 
-    const apiKey = getApiKey();
     let tookanUser = null;
     let userType = null;
 
@@ -8096,45 +7709,18 @@ app.post('/api/auth/login', async (req, res) => {
     // First, try to find user in Tookan Agents/Fleets (Drivers)
     // Try multiple endpoints as Tookan API may use different endpoint names
     try {
-      const fleetPayload = {
-        api_key: apiKey
-      };
-
-      // Try get_all_agents first (common Tookan endpoint)
-      let fleetResponse = await fetch('https://api.tookanapp.com/v2/get_all_agents', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(fleetPayload),
-      });
-
-      // If that fails, try get_all_fleets
-      if (!fleetResponse.ok) {
-        console.log('âš ï¸  get_all_agents failed, trying get_all_fleets...');
-        fleetResponse = await fetch('https://api.tookanapp.com/v2/get_all_fleets', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(fleetPayload),
-        });
-      }
-
-      const fleetTextResponse = await fleetResponse.text();
+      // Try get_all_agents first (common Tookan endpoint), then get_all_fleets
       let fleetData;
-
       try {
-        fleetData = JSON.parse(fleetTextResponse);
-      } catch (parseError) {
-        console.log('âš ï¸  Could not parse fleet response');
-        console.log('Response text:', fleetTextResponse.substring(0, 500));
+        fleetData = await tookanClient.getAllAgents();
+      } catch (agentsError) {
+        console.log('âš ï¸  get_all_agents failed, trying get_all_fleets...');
+        fleetData = await tookanClient.getAllFleets();
       }
 
-      console.log('Fleet API Response Status:', fleetResponse.status);
       console.log('Fleet API Response Data:', JSON.stringify(fleetData, null, 2).substring(0, 1000));
 
-      if (fleetResponse.ok && fleetData) {
+      if (fleetData) {
         // Tookan API response format can vary:
         // - { status: 200, data: [...] }
         // - { data: [...] }
@@ -8221,8 +7807,6 @@ app.post('/api/auth/login', async (req, res) => {
         }
       } else {
         console.log('âš ï¸  Fleet API returned error or unexpected format');
-        console.log('Status:', fleetResponse.status);
-        console.log('Response:', fleetTextResponse.substring(0, 500));
       }
     } catch (fleetError) {
       console.error('âŒ Error fetching fleets:', fleetError.message);
@@ -8232,35 +7816,15 @@ app.post('/api/auth/login', async (req, res) => {
     // If not found in fleets, try Customers (Merchants)
     if (!tookanUser) {
       try {
-        const customerPayload = {
-          api_key: apiKey,
+        const customerData = await tookanClient.fetchCustomersWallet({
           is_pagination: 1,
           off_set: 0,
           limit: 1000
-        };
-
-        const customerResponse = await fetch('https://api.tookanapp.com/v2/fetch_customers_wallet', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(customerPayload),
         });
 
-        const customerTextResponse = await customerResponse.text();
-        let customerData;
-
-        try {
-          customerData = JSON.parse(customerTextResponse);
-        } catch (parseError) {
-          console.log('âš ï¸  Could not parse customer response');
-          console.log('Response text:', customerTextResponse.substring(0, 500));
-        }
-
-        console.log('Customer API Response Status:', customerResponse.status);
         console.log('Customer API Response Data:', JSON.stringify(customerData, null, 2).substring(0, 1000));
 
-        if (customerResponse.ok && customerData) {
+        if (customerData) {
           // Tookan API response format can vary
           let customers = [];
 
@@ -8342,8 +7906,6 @@ app.post('/api/auth/login', async (req, res) => {
           }
         } else {
           console.log('âš ï¸  Customer API returned error or unexpected format');
-          console.log('Status:', customerResponse.status);
-          console.log('Response:', customerTextResponse.substring(0, 500));
         }
       } catch (customerError) {
         console.error('âŒ Error fetching customers:', customerError.message);
@@ -9432,7 +8994,7 @@ app.post('/api/webhooks/tookan/customer', async (req, res) => {
   }
 });
 
-app.listen(PORT, async () => {
+const server = app.listen(PORT, async () => {
   console.log(`ðŸš€ Tookan API Proxy Server running on http://localhost:${PORT}`);
   console.log(`ðŸ“¡ Proxying requests to Tookan API`);
 
@@ -9464,11 +9026,48 @@ app.listen(PORT, async () => {
       .catch(err => {
         console.error('âŒ Customer sync error:', err.message);
       });
+
+    // Retry outbound EDI merchant webhooks in the background
+    merchantWebhookService.startDeliveryWorker();
+
+    // Apply queued Tookan webhook events in the background
+    if (process.env.WEBHOOK_WORKER_ENABLED !== 'false') {
+      webhookProcessor.startWebhookWorker();
+    }
+
+    // Run the periodic sync jobs on their schedules
+    if (process.env.JOB_SCHEDULER_ENABLED !== 'false') {
+      jobScheduler.startJobScheduler();
+    }
   } else {
     console.log('âš ï¸  Supabase not configured, skipping auto-sync');
   }
 });
 
+// Graceful shutdown: stop accepting requests and let webhook events and scheduled jobs in flight finish
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`\n${signal} received, shutting down...`);
+
+  server.close();
+  const [{ drained }, { drained: jobsDrained }] = await Promise.all([
+    webhookProcessor.stopWebhookWorker(),
+    jobScheduler.stopJobScheduler()
+  ]);
+  if (!drained) {
+    console.warn('Webhook events still in flight; their leases will expire and be retried');
+  }
+  if (!jobsDrained) {
+    console.warn('Scheduled jobs still running; their runs will be marked interrupted');
+  }
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 
 
 // DELETE Task (and connected task)
@@ -9520,17 +9119,11 @@ app.post('/api/tookan/delete-task', authenticate, requirePermission('panel_order
     connectedJobIds = [...new Set(connectedJobIds)];
     console.log(`ðŸ—‘ï¸ Deleting tasks: ${connectedJobIds.join(', ')}`);
 
-    const apiKey = getApiKey();
     const results = [];
 
     // 3. Delete from Tookan (Loop through IDs)
     for (const id of connectedJobIds) {
-      const response = await fetch('https://api.tookanapp.com/v2/delete_task', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ api_key: apiKey, job_id: String(id) })
-      });
-      const data = await response.json();
+      const data = await tookanClient.deleteTask({ job_id: String(id) });
       results.push({ id, status: data.status, message: data.message });
     }
 
@@ -10049,28 +9642,13 @@ app.post('/api/tookan/update-task-status', authenticate, requirePermission('pane
     connectedJobIds = [...new Set(connectedJobIds)];
     console.log(`Updating status for tasks: ${connectedJobIds.join(', ')}`);
 
-    const apiKey = getApiKey();
     const results = [];
 
     // Call Tookan API for each connected task
     for (const id of connectedJobIds) {
-      let tookanResponse;
-
-      if (numericStatus === 9) {
-        tookanResponse = await fetch('https://api.tookanapp.com/v2/delete_task', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ api_key: apiKey, job_id: String(id) })
-        });
-      } else {
-        tookanResponse = await fetch('https://api.tookanapp.com/v2/update_task_status', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ api_key: apiKey, job_id: String(id), job_status: numericStatus })
-        });
-      }
-
-      const data = await tookanResponse.json();
+      const data = numericStatus === 9
+        ? await tookanClient.deleteTask({ job_id: String(id) })
+        : await tookanClient.updateTaskStatus({ job_id: String(id), job_status: numericStatus });
       results.push({ id, tookanStatus: data.status, message: data.message });
       console.log(`  Task ${id}: Tookan response status=${data.status}, message=${data.message}`);
     }
@@ -10108,17 +9686,11 @@ app.post('/api/tookan/update-task-status', authenticate, requirePermission('pane
 // GET /api/tookan/customer-wallet/details — Get merchant wallet details
 app.get('/api/tookan/customer-wallet/details', authenticate, async (req, res) => {
   try {
-    const apiKey = getApiKey();
     const { vendor_id } = req.query;
     if (!vendor_id) {
       return res.status(400).json({ status: 'error', message: 'vendor_id required' });
     }
-    const response = await fetch('https://api.tookanapp.com/v2/get_customer_wallet', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ api_key: apiKey, vendor_id })
-    });
-    const data = await response.json();
+    const data = await tookanClient.getCustomerWallet({ vendor_id });
     res.json({ status: 'success', data });
   } catch (error) {
     res.status(500).json({ status: 'error', message: error.message });
@@ -10245,20 +9817,13 @@ app.post('/api/merchants/sync', authenticate, requireSuperadmin(), async (req, r
       return res.status(500).json({ status: 'error', message: 'Database not configured' });
     }
 
-    const apiKey = getApiKey();
     const limit = 50;
     let offset = 0;
     let allMerchants = [];
     let hasMore = true;
 
     while (hasMore) {
-      const response = await fetch('https://api.tookanapp.com/v2/get_all_customers', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ api_key: apiKey, limit, offset })
-      });
-
-      const data = await response.json();
+      const data = await tookanClient.getAllCustomers({ limit, offset });
       if (data.status === 200 && data.data && data.data.length > 0) {
         allMerchants = allMerchants.concat(data.data);
         offset += limit;
@@ -10367,7 +9932,6 @@ app.post('/api/edi/orders/create', validateEdiToken, async (req, res) => {
       });
     }
 
-    const TOOKAN_API_KEY = getApiKey();
     const merchantId = req.merchant.id;
 
     // Build meta_data
@@ -10381,7 +9945,6 @@ app.post('/api/edi/orders/create', validateEdiToken, async (req, res) => {
 
     // Build Tookan payload
     const payload = {
-      api_key: TOOKAN_API_KEY,
       order_id: orderData.order_reference,
       job_description: orderData.delivery_instructions || '',
 
@@ -10411,13 +9974,7 @@ app.post('/api/edi/orders/create', validateEdiToken, async (req, res) => {
 
     console.log('EDI Create Task payload:', JSON.stringify(payload, null, 2));
 
-    const response = await fetch('https://api.tookanapp.com/v2/create_task', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-
-    const data = await response.json();
+    const data = await tookanClient.createTask(payload);
 
     if (data.status === 200) {
       res.json({
@@ -10448,8 +10005,6 @@ app.get('/api/edi/orders/status/:jobId', validateEdiToken, async (req, res) => {
   try {
     const { jobId } = req.params;
 
-    const TOOKAN_API_KEY = getApiKey();
-
     // Status code to human-readable string
     const STATUS_MAP = {
       0: 'Assigned', 1: 'Started', 2: 'Successful', 3: 'Failed',
@@ -10458,20 +10013,13 @@ app.get('/api/edi/orders/status/:jobId', validateEdiToken, async (req, res) => {
     };
 
     const payload = {
-      api_key: TOOKAN_API_KEY,
       job_ids: [jobId],
       include_task_history: 0,
       job_additional_info: 1,
       include_job_report: 0
     };
 
-    const response = await fetch('https://api.tookanapp.com/v2/get_job_details', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-
-    const data = await response.json();
+    const data = await tookanClient.getJobDetails(payload);
 
     if (data.status === 200 && data.data && data.data.length > 0) {
       const job = data.data[0];
@@ -52,6 +52,7 @@ async function verifyToken(token) {
  */
 async function authenticate(req, res, next) {
   // Skip auth for health check and public endpoints
+  // (Tookan webhooks carry a shared secret instead, checked by verifyTookanWebhook)
   const publicPaths = ['/api/health', '/api/tookan/webhook'];
   if (publicPaths.some(path => req.path.startsWith(path))) {
     return next();
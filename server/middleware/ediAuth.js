@@ -15,15 +15,24 @@ async function validateEdiToken(req, res, next) {
         const tokenData = await apiTokens.validateToken(token);
 
         if (!tokenData) {
-            return res.status(401).json({ status: 'error', message: 'Invalid or revoked API token' });
+            return res.status(401).json({ status: 'error', message: 'Invalid, expired or revoked API token' });
         }
 
         // Attach merchant info to request for downstream use
         req.merchant = {
             id: tokenData.merchant_id,
-            token_name: tokenData.name
+            token_id: tokenData.id,
+            token_name: tokenData.name,
+            scopes: Array.isArray(tokenData.scopes) ? tokenData.scopes : [],
+            rate_limit_per_minute: tokenData.rate_limit_per_minute || null,
+            orders_per_day: tokenData.orders_per_day || null
         };
 
+        // Let integrations notice an upcoming expiry (e.g. during a rotation grace period)
+        if (tokenData.expires_at) {
+            res.set('X-Token-Expires-At', new Date(tokenData.expires_at).toISOString());
+        }
+
         next();
     } catch (error) {
         console.error('Token validation error:', error);
@@ -31,4 +40,21 @@ async function validateEdiToken(req, res, next) {
     }
 }
 
-module.exports = { validateEdiToken };
+/**
+ * Middleware factory requiring a scope on the validated EDI token
+ * Must run after validateEdiToken.
+ * @param {string} scope - e.g. 'orders:create'
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (!req.merchant || !req.merchant.scopes.includes(scope)) {
+            return res.status(403).json({
+                status: 'error',
+                message: `API token is missing the required scope: ${scope}`
+            });
+        }
+        next();
+    };
+}
+
+module.exports = { validateEdiToken, requireScope };
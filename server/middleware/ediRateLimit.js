@@ -0,0 +1,160 @@
+const apiTokenUsage = require('../db/models/apiTokenUsage');
+const { isConfigured } = require('../db/supabase');
+
+// Server-wide defaults for tokens without their own limits
+const DEFAULT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.EDI_RATE_LIMIT_PER_MINUTE) || 60;
+const DEFAULT_ORDERS_PER_DAY = parseInt(process.env.EDI_ORDERS_PER_DAY) || 5000;
+
+// Requests are counted per token in fixed one-minute windows kept in Supabase
+// (api_token_rate_windows), so the limit holds across instances and serverless invocations
+const WINDOW_SECONDS = 60;
+
+/**
+ * Effective limits for the token on the request
+ */
+function getLimits(merchant) {
+    return {
+        perMinute: merchant.rate_limit_per_minute || DEFAULT_RATE_LIMIT_PER_MINUTE,
+        ordersPerDay: merchant.orders_per_day || DEFAULT_ORDERS_PER_DAY
+    };
+}
+
+/**
+ * Add to the token's daily usage counters (fire and forget)
+ */
+function recordUsage(req, counts) {
+    if (!isConfigured()) return;
+
+    apiTokenUsage.incrementUsage({
+        token_id: req.merchant.token_id,
+        merchant_id: req.merchant.id,
+        ...counts
+    }).catch(err => console.error('API token usage error:', err.message));
+}
+
+/**
+ * Seconds until the next UTC midnight, when daily order counts reset
+ */
+function secondsUntilDailyReset(now = new Date()) {
+    const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+/**
+ * Middleware limiting requests per minute for each EDI token
+ * Must run after validateEdiToken. Sets X-RateLimit-* headers on every response
+ * and answers 429 with Retry-After once the window is used up.
+ * Fails open if the window cannot be counted.
+ */
+async function rateLimitRequests(req, res, next) {
+    if (!isConfigured()) return next();
+
+    const limit = getLimits(req.merchant).perMinute;
+
+    let window;
+    try {
+        window = await apiTokenUsage.hitRateWindow(req.merchant.token_id, WINDOW_SECONDS);
+    } catch (error) {
+        console.error('Rate limit check failed:', error.message);
+        return next();
+    }
+    const now = Date.now();
+
+    res.set({
+        'X-RateLimit-Limit': String(limit),
+        'X-RateLimit-Remaining': String(Math.max(0, limit - window.count)),
+        'X-RateLimit-Reset': String(Math.ceil(window.resetAt / 1000))
+    });
+
+    if (window.count > limit) {
+        const retryAfter = Math.max(1, Math.ceil((window.resetAt - now) / 1000));
+        res.set('Retry-After', String(retryAfter));
+        recordUsage(req, { requests: 1, rejected: 1 });
+
+        return res.status(429).json({
+            status: 'error',
+            message: `Rate limit exceeded: ${limit} requests per minute. Retry in ${retryAfter}s`
+        });
+    }
+
+    recordUsage(req, { requests: 1 });
+    next();
+}
+
+/**
+ * Middleware factory limiting orders per UTC day for each EDI token
+ * Reserves the request's orders against the daily quota in one atomic step, sets
+ * X-OrderLimit-* headers and answers 429 when the request would go over it. The route
+ * hands back what it did not create with releaseUnusedOrders. Fails open if the
+ * quota cannot be reached.
+ * @param {Function} countOrders - (req) => number of orders in the request
+ */
+function limitDailyOrders(countOrders) {
+    return async (req, res, next) => {
+        const count = countOrders(req);
+        if (!isConfigured() || !count) return next();
+
+        const limit = getLimits(req.merchant).ordersPerDay;
+
+        try {
+            const reservation = await apiTokenUsage.reserveOrders({
+                token_id: req.merchant.token_id,
+                merchant_id: req.merchant.id,
+                orders: count,
+                limit
+            });
+            const remaining = Math.max(0, limit - reservation.order_count);
+            const resetIn = secondsUntilDailyReset();
+
+            res.set({
+                'X-OrderLimit-Limit': String(limit),
+                'X-OrderLimit-Remaining': String(remaining),
+                'X-OrderLimit-Reset': String(Math.ceil(Date.now() / 1000) + resetIn)
+            });
+
+            if (!reservation.reserved) {
+                res.set('Retry-After', String(resetIn));
+
+                return res.status(429).json({
+                    status: 'error',
+                    message: `Daily order limit exceeded: ${limit} orders per day, ${remaining} remaining today`
+                });
+            }
+
+            req.reservedOrders = { count, usage_date: reservation.usage_date };
+        } catch (error) {
+            console.error('Daily order limit check failed:', error.message);
+        }
+
+        next();
+    };
+}
+
+/**
+ * Give back the orders reserved by limitDailyOrders that the request did not create
+ * (invalid, failed, conflicting or replayed orders). Safe to call more than once.
+ * @param {number} created - Orders actually created by the request
+ */
+function releaseUnusedOrders(req, created) {
+    const reservation = req.reservedOrders;
+    if (!reservation) return;
+
+    const unused = reservation.count - created;
+    reservation.count = created;
+    if (unused <= 0) return;
+
+    apiTokenUsage.incrementUsage({
+        token_id: req.merchant.token_id,
+        merchant_id: req.merchant.id,
+        usage_date: reservation.usage_date,
+        orders: -unused
+    }).catch(err => console.error('API token usage error:', err.message));
+}
+
+module.exports = {
+    DEFAULT_RATE_LIMIT_PER_MINUTE,
+    DEFAULT_ORDERS_PER_DAY,
+    rateLimitRequests,
+    limitDailyOrders,
+    releaseUnusedOrders
+};
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const webhookEventsModel = require('../db/models/webhookEvents');
+const { isConfigured } = require('../db/supabase');
+
+// How far a delivery's timestamp may be from now, and how long its hash is remembered
+const REPLAY_WINDOW_SECONDS = parseInt(process.env.TOOKAN_WEBHOOK_REPLAY_WINDOW_SECONDS) || 600;
+
+const SIGNATURE_HEADERS = ['x-tookan-signature', 'x-hook-signature', 'x-webhook-signature'];
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Whether the delivery carries the shared secret: the x-webhook-secret header, Tookan's
+ * tookan_shared_secret body field, or an HMAC-SHA256 signature of the raw body
+ */
+function hasValidSecret(req, secret) {
+    const payload = req.body || {};
+
+    if (req.headers['x-webhook-secret'] && safeEqual(req.headers['x-webhook-secret'], secret)) {
+        return true;
+    }
+    if (payload.tookan_shared_secret && safeEqual(payload.tookan_shared_secret, secret)) {
+        return true;
+    }
+
+    const signature = SIGNATURE_HEADERS.map(header => req.headers[header]).find(Boolean);
+    if (signature) {
+        const raw = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(payload);
+        const expected = crypto.createHmac('sha256', secret).update(raw).digest('hex');
+        return safeEqual(signature, expected);
+    }
+
+    return false;
+}
+
+/**
+ * When the delivery was sent, from its timestamp field (ISO string or epoch seconds/ms)
+ * @returns {Date|null}
+ */
+function getWebhookTimestamp(payload) {
+    const value = payload.timestamp;
+    if (value === undefined || value === null || value === '') return null;
+
+    const numeric = Number(value);
+    const date = Number.isFinite(numeric)
+        ? new Date(numeric < 1e12 ? numeric * 1000 : numeric)
+        : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Dedup key of a delivery: SHA-256 of job_id, job_status and timestamp
+ * Deliveries without a timestamp use the current replay window instead, so the same
+ * status can be reported again once the window has passed.
+ */
+function hashWebhookPayload(payload, now = Date.now()) {
+    const jobId = payload.job_id || payload.order_id || payload.task_id || '';
+    const status = payload.job_status !== undefined ? payload.job_status : (payload.status || '');
+    const timestamp = payload.timestamp || `window:${Math.floor(now / (REPLAY_WINDOW_SECONDS * 1000))}`;
+    return crypto.createHash('sha256').update(`${jobId}|${status}|${timestamp}`).digest('hex');
+}
+
+/**
+ * Record a refused delivery in webhook_events (best effort)
+ */
+async function recordRejection(payload, reason) {
+    if (!isConfigured()) return;
+
+    const jobId = parseInt(payload.job_id || payload.order_id || payload.task_id);
+    try {
+        await webhookEventsModel.createRejectedEvent({
+            event_type: payload.event_type || payload.type || 'unknown',
+            job_id: isNaN(jobId) ? null : jobId,
+            // Never store the secret itself
+            payload: { ...payload, tookan_shared_secret: undefined },
+            reason
+        });
+    } catch (error) {
+        console.error('Failed to record rejected webhook:', error.message);
+    }
+}
+
+/**
+ * Middleware verifying Tookan task webhooks before they are processed:
+ * - shared secret (TOOKAN_WEBHOOK_SECRET); every delivery is refused while it is not set
+ * - timestamp within TOOKAN_WEBHOOK_REPLAY_WINDOW_SECONDS of now, when the payload has one
+ * Refusals are stored in webhook_events with status 'rejected' and a rejection_reason.
+ * Sets req.webhookPayloadHash for the handler to store with the event; the store
+ * skips it when an event with the same hash exists (see respondDuplicate).
+ */
+async function verifyTookanWebhook(req, res, next) {
+    const payload = req.body || {};
+
+    try {
+        const secret = process.env.TOOKAN_WEBHOOK_SECRET;
+        if (!secret) {
+            console.error('TOOKAN_WEBHOOK_SECRET is not set; refusing Tookan webhook');
+            await recordRejection(payload, 'secret_not_configured');
+            return res.status(401).json({ status: 'error', message: 'Unauthorized' });
+        }
+        if (!hasValidSecret(req, secret)) {
+            await recordRejection(payload, 'invalid_secret');
+            return res.status(401).json({ status: 'error', message: 'Unauthorized' });
+        }
+
+        const timestamp = getWebhookTimestamp(payload);
+        if (timestamp && Math.abs(Date.now() - timestamp.getTime()) > REPLAY_WINDOW_SECONDS * 1000) {
+            await recordRejection(payload, 'stale_timestamp');
+            return res.status(400).json({ status: 'error', message: 'Webhook timestamp is outside the replay window' });
+        }
+
+        req.webhookPayloadHash = hashWebhookPayload(payload);
+        next();
+    } catch (error) {
+        console.error('Webhook verification error:', error);
+        res.status(500).json({ status: 'error', message: 'Internal server error during webhook verification' });
+    }
+}
+
+/**
+ * Answer a delivery whose payload hash is already stored: recorded as a 'duplicate'
+ * rejection, with 200 so Tookan stops redelivering an event that is already handled
+ */
+async function respondDuplicate(req, res) {
+    await recordRejection(req.body || {}, 'duplicate');
+    return res.json({ status: 'success', message: 'Duplicate webhook ignored' });
+}
+
+module.exports = {
+    verifyTookanWebhook,
+    respondDuplicate,
+    hashWebhookPayload,
+    getWebhookTimestamp,
+    REPLAY_WINDOW_SECONDS
+};
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const apiTokensModel = require('../db/models/apiTokens');
+const apiTokenUsageModel = require('../db/models/apiTokenUsage');
+const { DEFAULT_RATE_LIMIT_PER_MINUTE, DEFAULT_ORDERS_PER_DAY } = require('../middleware/ediRateLimit');
 
 // Middleware to ensure user is admin
 // Assumes authentication middleware is already applied upstream or will be applied here
@@ -16,21 +18,91 @@ const ensureAdmin = (req, res, next) => {
     }
 };
 
+/**
+ * Parse an expires_at value from a request body
+ * @returns {{ value?: string|null, error?: string }} ISO string, null (no expiry) or an error
+ */
+function parseExpiresAt(expiresAt) {
+    if (expiresAt === null || expiresAt === '') return { value: null };
+
+    const date = new Date(expiresAt);
+    if (isNaN(date.getTime())) {
+        return { error: 'expires_at must be a valid date' };
+    }
+    if (date <= new Date()) {
+        return { error: 'expires_at must be in the future' };
+    }
+    return { value: date.toISOString() };
+}
+
+/**
+ * Parse the optional per-token limits from a request body
+ * Only fields present in the body are returned; null resets a limit to the server default.
+ * @returns {{ value?: Object, error?: string }}
+ */
+function parseLimits(body) {
+    const value = {};
+
+    for (const field of ['rate_limit_per_minute', 'orders_per_day']) {
+        if (body[field] === undefined) continue;
+
+        if (body[field] === null || body[field] === '') {
+            value[field] = null;
+            continue;
+        }
+
+        const limit = Number(body[field]);
+        if (!Number.isInteger(limit) || limit <= 0) {
+            return { error: `${field} must be a positive integer or null` };
+        }
+        value[field] = limit;
+    }
+
+    return { value };
+}
+
 /**
  * Generate a new API token
- * Body: { merchant_id, name }
+ * Body: { merchant_id, name, description?, scopes?, expires_at?, rate_limit_per_minute?, orders_per_day? }
+ * scopes defaults to orders:create and orders:read; omit expires_at for a token that never expires,
+ * and the limits for the server defaults.
  */
 router.post('/create', ensureAdmin, async (req, res) => {
     try {
-        const { merchant_id, name } = req.body;
+        const { merchant_id, name, description, scopes, expires_at } = req.body;
 
         if (!merchant_id || !name) {
             return res.status(400).json({ status: 'error', message: 'Missing required fields: merchant_id, name' });
         }
 
+        if (scopes !== undefined) {
+            const scopeError = apiTokensModel.validateScopes(scopes);
+            if (scopeError) {
+                return res.status(400).json({ status: 'error', message: scopeError });
+            }
+        }
+
+        let expiresAt = null;
+        if (expires_at !== undefined) {
+            const parsed = parseExpiresAt(expires_at);
+            if (parsed.error) {
+                return res.status(400).json({ status: 'error', message: parsed.error });
+            }
+            expiresAt = parsed.value;
+        }
+
+        const limits = parseLimits(req.body);
+        if (limits.error) {
+            return res.status(400).json({ status: 'error', message: limits.error });
+        }
+
         const tokenData = await apiTokensModel.createToken({
             merchant_id,
             name,
+            description,
+            scopes,
+            expires_at: expiresAt,
+            ...limits.value,
             created_by: req.user.id // Assuming current user ID is available
         });
 
@@ -42,6 +114,10 @@ router.post('/create', ensureAdmin, async (req, res) => {
                 // Only return the raw token once!
                 token: tokenData.raw_token,
                 prefix: tokenData.prefix,
+                scopes: tokenData.scopes,
+                expires_at: tokenData.expires_at,
+                rate_limit_per_minute: tokenData.rate_limit_per_minute,
+                orders_per_day: tokenData.orders_per_day,
                 created_at: tokenData.created_at
             }
         });
@@ -51,6 +127,119 @@ router.post('/create', ensureAdmin, async (req, res) => {
     }
 });
 
+/**
+ * List the scopes a token can be granted
+ */
+router.get('/scopes', ensureAdmin, (req, res) => {
+    res.json({ status: 'success', data: apiTokensModel.TOKEN_SCOPES });
+});
+
+/**
+ * Change the scopes, expiry and/or limits of a token
+ * Body: { token_id, scopes?, expires_at?, rate_limit_per_minute?, orders_per_day? }
+ * (expires_at: null removes the expiry; a null limit falls back to the server default)
+ */
+router.post('/update', ensureAdmin, async (req, res) => {
+    try {
+        const { token_id, scopes, expires_at } = req.body;
+
+        if (!token_id) {
+            return res.status(400).json({ status: 'error', message: 'Missing token_id' });
+        }
+
+        const limits = parseLimits(req.body);
+        if (limits.error) {
+            return res.status(400).json({ status: 'error', message: limits.error });
+        }
+
+        const updates = { ...limits.value };
+        if (scopes === undefined && expires_at === undefined && Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Nothing to update: provide scopes, expires_at, rate_limit_per_minute and/or orders_per_day'
+            });
+        }
+
+        if (scopes !== undefined) {
+            const scopeError = apiTokensModel.validateScopes(scopes);
+            if (scopeError) {
+                return res.status(400).json({ status: 'error', message: scopeError });
+            }
+            updates.scopes = scopes;
+        }
+        if (expires_at !== undefined) {
+            const parsed = parseExpiresAt(expires_at);
+            if (parsed.error) {
+                return res.status(400).json({ status: 'error', message: parsed.error });
+            }
+            updates.expires_at = parsed.value;
+        }
+
+        const token = await apiTokensModel.updateToken(token_id, updates);
+        if (!token) {
+            return res.status(404).json({ status: 'error', message: 'Token not found' });
+        }
+
+        res.json({ status: 'success', data: token });
+    } catch (error) {
+        console.error('Error updating token:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to update token' });
+    }
+});
+
+/**
+ * Rotate an API token
+ * Body: { token_id, grace_hours? }
+ * Issues a replacement token with the same merchant and scopes. The old token keeps
+ * working for grace_hours (default 24, max 168; 0 ends it immediately).
+ */
+router.post('/rotate', ensureAdmin, async (req, res) => {
+    try {
+        const { token_id } = req.body;
+        const graceHours = req.body.grace_hours === undefined
+            ? apiTokensModel.DEFAULT_ROTATION_GRACE_HOURS
+            : Number(req.body.grace_hours);
+
+        if (!token_id) {
+            return res.status(400).json({ status: 'error', message: 'Missing token_id' });
+        }
+        if (isNaN(graceHours) || graceHours < 0 || graceHours > apiTokensModel.MAX_ROTATION_GRACE_HOURS) {
+            return res.status(400).json({
+                status: 'error',
+                message: `grace_hours must be between 0 and ${apiTokensModel.MAX_ROTATION_GRACE_HOURS}`
+            });
+        }
+
+        const result = await apiTokensModel.rotateToken(token_id, {
+            grace_hours: graceHours,
+            created_by: req.user.id
+        });
+
+        if (!result) {
+            return res.status(404).json({ status: 'error', message: 'Token not found, revoked or expired' });
+        }
+
+        res.json({
+            status: 'success',
+            data: {
+                id: result.token.id,
+                name: result.token.name,
+                // Only return the raw token once!
+                token: result.token.raw_token,
+                prefix: result.token.prefix,
+                scopes: result.token.scopes,
+                expires_at: result.token.expires_at,
+                created_at: result.token.created_at,
+                previous_token_id: token_id,
+                previous_token_expires_at: result.previous_token_expires_at
+            }
+        });
+    } catch (error) {
+        console.error('Error rotating token:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to rotate token' });
+    }
+});
+
 /**
  * Revoke an API token
  * Body: { token_id }
@@ -73,7 +262,7 @@ router.post('/revoke', ensureAdmin, async (req, res) => {
 });
 
 /**
- * List tokens for a merchant
+ * List tokens for a merchant, with their effective limits and today's usage
  * Query: ?merchant_id=...
  */
 router.get('/list', ensureAdmin, async (req, res) => {
@@ -85,10 +274,28 @@ router.get('/list', ensureAdmin, async (req, res) => {
         }
 
         const tokens = await apiTokensModel.listTokens(merchant_id);
+        const usage = await apiTokenUsageModel.listUsage({
+            merchantId: merchant_id,
+            dateFrom: apiTokenUsageModel.getUsageDate()
+        });
+
+        const data = tokens.map(token => {
+            const today = usage.find(row => row.token_id === token.id);
+            return {
+                ...token,
+                effective_rate_limit_per_minute: token.rate_limit_per_minute || DEFAULT_RATE_LIMIT_PER_MINUTE,
+                effective_orders_per_day: token.orders_per_day || DEFAULT_ORDERS_PER_DAY,
+                usage_today: {
+                    request_count: today ? today.request_count : 0,
+                    order_count: today ? today.order_count : 0,
+                    rejected_count: today ? today.rejected_count : 0
+                }
+            };
+        });
 
         res.json({
             status: 'success',
-            data: tokens
+            data
         });
     } catch (error) {
         console.error('Error listing tokens:', error);
@@ -96,4 +303,34 @@ router.get('/list', ensureAdmin, async (req, res) => {
     }
 });
 
+/**
+ * Daily usage per token (UTC days, newest first)
+ * Query: ?merchant_id=...&token_id=...&date_from=YYYY-MM-DD&date_to=YYYY-MM-DD
+ * At least one of merchant_id or token_id is required.
+ */
+router.get('/usage', ensureAdmin, async (req, res) => {
+    try {
+        const { merchant_id, token_id, date_from, date_to } = req.query;
+
+        if (!merchant_id && !token_id) {
+            return res.status(400).json({ status: 'error', message: 'Provide merchant_id or token_id' });
+        }
+
+        const usage = await apiTokenUsageModel.listUsage({
+            merchantId: merchant_id,
+            tokenIds: token_id ? [token_id] : null,
+            dateFrom: date_from,
+            dateTo: date_to
+        });
+
+        res.json({
+            status: 'success',
+            data: usage
+        });
+    } catch (error) {
+        console.error('Error loading token usage:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to load token usage' });
+    }
+});
+
 module.exports = router;
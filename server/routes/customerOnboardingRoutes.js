@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const customerOnboardingModel = require('../db/models/customerOnboarding');
+const customerOnboardingService = require('../services/customerOnboardingService');
+const auditLogger = require('../middleware/auditLogger');
+
+// Authentication and the admin role are applied where this router is mounted
+
+const MAX_REVIEW_IDS = 200;
+const STATUSES = ['pending', 'completed', 'partial', 'failed'];
+
+/**
+ * List onboarded customers, newest first
+ * Query: ?reviewed=true|false&status=completed|partial|failed|pending&limit=50&offset=0
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { reviewed, status } = req.query;
+
+        if (status && !STATUSES.includes(status)) {
+            return res.status(400).json({ status: 'error', message: `status must be one of: ${STATUSES.join(', ')}` });
+        }
+
+        const result = await customerOnboardingModel.listRecords({
+            reviewed: reviewed === 'true' ? true : reviewed === 'false' ? false : undefined,
+            status,
+            limit: Math.min(parseInt(req.query.limit) || 50, 200),
+            offset: parseInt(req.query.offset) || 0
+        });
+
+        res.json({ status: 'success', data: result });
+    } catch (error) {
+        console.error('Error listing customer onboarding:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to list customer onboarding' });
+    }
+});
+
+/**
+ * Mark onboarded customers reviewed
+ * Body: { ids: [1, 2, ...], note }
+ */
+router.post('/review', async (req, res) => {
+    try {
+        const ids = Array.isArray(req.body?.ids) ? [...new Set(req.body.ids.map(id => parseInt(id)))] : [];
+        if (ids.length === 0 || ids.length > MAX_REVIEW_IDS || !ids.every(id => Number.isInteger(id) && id > 0)) {
+            return res.status(400).json({ status: 'error', message: `ids must be a list of 1 to ${MAX_REVIEW_IDS} record IDs` });
+        }
+
+        const note = typeof req.body.note === 'string' && req.body.note.trim() ? req.body.note.trim() : null;
+        const reviewedBy = req.user?.email || req.userId || null;
+        const reviewed = await customerOnboardingModel.markReviewed(ids, reviewedBy, note);
+
+        for (const record of reviewed) {
+            await auditLogger.createAuditLog(req, 'customer_onboarding_review', 'customer', record.vendor_id,
+                { status: record.status },
+                { reviewed_at: record.reviewed_at, note });
+        }
+
+        res.json({
+            status: 'success',
+            message: `${reviewed.length} sign-up(s) marked reviewed`,
+            data: { reviewed: reviewed.map(record => record.id), skipped: ids.filter(id => !reviewed.some(record => record.id === id)) }
+        });
+    } catch (error) {
+        console.error('Error reviewing customer onboarding:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to mark sign-ups reviewed' });
+    }
+});
+
+/**
+ * The onboarding rules
+ */
+router.get('/rules', async (req, res) => {
+    try {
+        const rules = await customerOnboardingService.loadOnboardingRules();
+        res.json({ status: 'success', data: rules });
+    } catch (error) {
+        console.error('Error loading customer onboarding rules:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to load onboarding rules' });
+    }
+});
+
+/**
+ * Replace the onboarding rules
+ * Body: { enabled, pushTags, defaultPlanId, defaultWithdrawFee, rules: [{ name, condition, planId, withdrawFee, tags }] }
+ */
+router.put('/rules', async (req, res) => {
+    try {
+        const config = req.body || {};
+        const errors = await customerOnboardingService.validateOnboardingRules(config);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Invalid onboarding rules: ${errors.map(e => e.message).join(', ')}`,
+                errors
+            });
+        }
+
+        const previous = await customerOnboardingService.loadOnboardingRules();
+        const saved = await customerOnboardingService.saveOnboardingRules(config);
+
+        await auditLogger.createAuditLog(req, 'customer_onboarding_rules_update', 'settings', 'customer_onboarding_rules', previous, saved);
+
+        res.json({ status: 'success', data: saved });
+    } catch (error) {
+        console.error('Error saving customer onboarding rules:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to save onboarding rules' });
+    }
+});
+
+module.exports = router;
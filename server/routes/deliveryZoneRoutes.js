@@ -0,0 +1,231 @@
+const express = require('express');
+const router = express.Router();
+const deliveryZonesModel = require('../db/models/deliveryZones');
+const zoneService = require('../services/zoneService');
+const auditLogger = require('../middleware/auditLogger');
+const { requireRole } = require('../middleware/auth');
+
+// Authentication is applied where this router is mounted; changes require the admin role
+
+/**
+ * Send zone validation errors as a 400
+ */
+function sendValidationErrors(res, errors) {
+    return res.status(400).json({
+        status: 'error',
+        message: `Invalid zone: ${errors.map(e => e.message).join(', ')}`,
+        errors
+    });
+}
+
+/**
+ * Whether a database error is a duplicate zone code
+ */
+function isDuplicateCode(error) {
+    return error && error.code === '23505';
+}
+
+/**
+ * List zones
+ * Query: ?active=true for active zones only
+ */
+router.get('/', async (req, res) => {
+    try {
+        const zones = await deliveryZonesModel.listZones({ activeOnly: req.query.active === 'true' });
+        res.json({ status: 'success', data: zones });
+    } catch (error) {
+        console.error('Error listing delivery zones:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to list delivery zones' });
+    }
+});
+
+/**
+ * Export all zones as a GeoJSON FeatureCollection
+ */
+router.get('/export', async (req, res) => {
+    try {
+        const zones = await deliveryZonesModel.listZones();
+        res.setHeader('Content-Disposition', `attachment; filename="delivery-zones-${new Date().toISOString().split('T')[0]}.geojson"`);
+        res.json(zoneService.toFeatureCollection(zones));
+    } catch (error) {
+        console.error('Error exporting delivery zones:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to export delivery zones' });
+    }
+});
+
+/**
+ * Find the zone containing a point
+ * Query: ?lat=...&lng=...
+ */
+router.get('/lookup', async (req, res) => {
+    try {
+        const lat = parseFloat(req.query.lat);
+        const lng = parseFloat(req.query.lng);
+
+        if (isNaN(lat) || isNaN(lng)) {
+            return res.status(400).json({ status: 'error', message: 'lat and lng are required' });
+        }
+
+        const zones = await zoneService.getActiveZones();
+        const zone = zoneService.findZone(lat, lng, zones);
+
+        res.json({
+            status: 'success',
+            data: zone ? { id: zone.id, code: zone.code, name: zone.name } : null
+        });
+    } catch (error) {
+        console.error('Error looking up delivery zone:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to look up delivery zone' });
+    }
+});
+
+/**
+ * Orders, COD and fees per delivery zone
+ * Query: ?dateFrom=...&dateTo=...
+ */
+router.get('/report', async (req, res) => {
+    try {
+        const summary = await deliveryZonesModel.getZoneOrderSummary(req.query.dateFrom, req.query.dateTo);
+        res.json({ status: 'success', data: summary });
+    } catch (error) {
+        console.error('Error building delivery zone report:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to build delivery zone report' });
+    }
+});
+
+/**
+ * Get a zone
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const zone = await deliveryZonesModel.getZone(req.params.id);
+        if (!zone) {
+            return res.status(404).json({ status: 'error', message: 'Zone not found' });
+        }
+        res.json({ status: 'success', data: zone });
+    } catch (error) {
+        console.error('Error getting delivery zone:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to get delivery zone' });
+    }
+});
+
+/**
+ * Create a zone
+ * Body: { code, name, description, geometry, priority, delivery_surcharge, is_active }
+ */
+router.post('/', requireRole('admin'), async (req, res) => {
+    try {
+        const errors = zoneService.validateZone(req.body);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const zone = await deliveryZonesModel.createZone(req.body, req.user?.email || req.userId || null);
+        zoneService.clearZoneCache();
+
+        await auditLogger.createAuditLog(req, 'delivery_zone_create', 'delivery_zone', zone.id, null, { code: zone.code, name: zone.name });
+
+        res.json({ status: 'success', data: zone });
+    } catch (error) {
+        if (isDuplicateCode(error)) {
+            return res.status(409).json({ status: 'error', message: `A zone with code '${req.body.code}' already exists` });
+        }
+        console.error('Error creating delivery zone:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to create delivery zone' });
+    }
+});
+
+/**
+ * Import zones from a GeoJSON FeatureCollection
+ * Zones are matched on code (feature properties.code or feature id): existing zones
+ * are updated, new ones created. Nothing is saved if any feature is invalid.
+ */
+router.post('/import', requireRole('admin'), async (req, res) => {
+    try {
+        const { zones, errors } = zoneService.fromFeatureCollection(req.body);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Invalid GeoJSON: ${errors.length} error(s)`,
+                errors
+            });
+        }
+        if (zones.length === 0) {
+            return res.status(400).json({ status: 'error', message: 'FeatureCollection has no features' });
+        }
+
+        const existing = new Set((await deliveryZonesModel.listZones()).map(z => z.code));
+        const saved = await deliveryZonesModel.upsertZones(zones, req.user?.email || req.userId || null);
+        zoneService.clearZoneCache();
+
+        const summary = {
+            created: zones.filter(z => !existing.has(z.code)).length,
+            updated: zones.filter(z => existing.has(z.code)).length
+        };
+
+        await auditLogger.createAuditLog(req, 'delivery_zone_import', 'delivery_zone', null, null, {
+            ...summary,
+            codes: zones.map(z => z.code)
+        });
+
+        res.json({ status: 'success', data: { ...summary, zones: saved } });
+    } catch (error) {
+        console.error('Error importing delivery zones:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to import delivery zones' });
+    }
+});
+
+/**
+ * Update a zone
+ */
+router.put('/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const errors = zoneService.validateZone(req.body, true);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const previous = await deliveryZonesModel.getZone(req.params.id);
+        if (!previous) {
+            return res.status(404).json({ status: 'error', message: 'Zone not found' });
+        }
+
+        const zone = await deliveryZonesModel.updateZone(req.params.id, req.body);
+        zoneService.clearZoneCache();
+
+        await auditLogger.createAuditLog(req, 'delivery_zone_update', 'delivery_zone', zone.id, previous, zone);
+
+        res.json({ status: 'success', data: zone });
+    } catch (error) {
+        if (isDuplicateCode(error)) {
+            return res.status(409).json({ status: 'error', message: `A zone with code '${req.body.code}' already exists` });
+        }
+        console.error('Error updating delivery zone:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to update delivery zone' });
+    }
+});
+
+/**
+ * Delete a zone
+ */
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const zone = await deliveryZonesModel.getZone(req.params.id);
+        if (!zone) {
+            return res.status(404).json({ status: 'error', message: 'Zone not found' });
+        }
+
+        await deliveryZonesModel.deleteZone(req.params.id);
+        zoneService.clearZoneCache();
+
+        await auditLogger.createAuditLog(req, 'delivery_zone_delete', 'delivery_zone', zone.id, { code: zone.code, name: zone.name }, null);
+
+        res.json({ status: 'success', message: 'Zone deleted' });
+    } catch (error) {
+        console.error('Error deleting delivery zone:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to delete delivery zone' });
+    }
+});
+
+module.exports = router;
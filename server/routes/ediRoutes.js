@@ -1,30 +1,114 @@
 const express = require('express');
 const router = express.Router();
 const ediService = require('../services/ediService');
-const { validateEdiToken } = require('../middleware/ediAuth');
+const merchantWebhookService = require('../services/merchantWebhookService');
+const ediWebhooksModel = require('../db/models/ediWebhooks');
+const orderImportService = require('../services/orderImportService');
+const quoteService = require('../services/quoteService');
+const { validateEdiToken, requireScope } = require('../middleware/ediAuth');
+const { rateLimitRequests, limitDailyOrders, releaseUnusedOrders } = require('../middleware/ediRateLimit');
+const auditLogger = require('../middleware/auditLogger');
 
-// All EDI routes are protected by the token validator
+// All EDI routes are protected by the token validator and the per-token rate limit;
+// each route also requires a scope
 router.use(validateEdiToken);
+router.use(rateLimitRequests);
+
+/**
+ * Number of orders in a bulk request, for the daily order limit
+ * Malformed or oversized batches count as 0; the route rejects them without creating anything.
+ */
+function countBulkOrders(req) {
+    const orders = Array.isArray(req.body) ? req.body : req.body && req.body.orders;
+    if (!Array.isArray(orders) || orders.length > ediService.BULK_MAX_ORDERS) return 0;
+    return orders.length;
+}
+
+/**
+ * Record an attempt to reach another merchant's order
+ */
+function logSuspiciousAccess(req, jobId) {
+    console.warn(`⚠️  EDI cross-tenant access: merchant ${req.merchant.id} (token ${req.merchant.token_name}) requested job ${jobId} via ${req.method} ${req.originalUrl}`);
+
+    auditLogger.createAuditLog(req, 'edi_cross_tenant_access', 'task', jobId, null, {
+        merchant_id: req.merchant.id,
+        token_id: req.merchant.token_id,
+        token_name: req.merchant.token_name,
+        method: req.method,
+        path: req.originalUrl
+    }).catch(err => console.error('Audit log error:', err));
+}
+
+/**
+ * Tenant isolation for every route with a :jobId parameter
+ * Loads the job into req.ediJob; jobs that are missing or belong to another
+ * merchant both get the same 404 so existence is not leaked.
+ */
+router.param('jobId', async (req, res, next, jobId) => {
+    try {
+        const job = await ediService.getJob(jobId);
+
+        if (!job || !ediService.isOwnedByMerchant(job, req.merchant.id)) {
+            if (job) {
+                logSuspiciousAccess(req, jobId);
+            }
+            return res.status(404).json({
+                status: 'error',
+                message: 'Order not found'
+            });
+        }
+
+        req.ediJob = job;
+        next();
+    } catch (error) {
+        console.error('EDI Job Lookup Error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Internal server error retrieving order'
+        });
+    }
+});
 
 /**
  * Create a new order via EDI
+ * Header (optional): Idempotency-Key
  */
-router.post('/orders/create', async (req, res) => {
+router.post('/orders/create', requireScope('orders:create'), limitDailyOrders(() => 1), async (req, res) => {
+    // Only a newly created order keeps its place in the daily quota
+    let created = 0;
     try {
         const orderData = req.body;
 
-        // Basic validation
-        if (!orderData.pickup_address || !orderData.delivery_address || !orderData.order_reference) {
+        const errors = ediService.validateOrder(orderData);
+        if (errors.length > 0) {
             return res.status(400).json({
                 status: 'error',
-                message: 'Missing required fields: pickup_address, delivery_address, order_reference'
+                message: `Invalid order: ${errors.map(e => e.message).join(', ')}`,
+                errors
             });
         }
 
-        // Call service to create order in Tookan, passing the merchant ID from token
-        const result = await ediService.createOrder(orderData, req.merchant.id);
+        // Call service to create order in Tookan, passing the merchant ID from token.
+        // Retries with the same Idempotency-Key (or order_reference) return the original job.
+        const result = await ediService.createOrderIdempotent(
+            orderData,
+            req.merchant.id,
+            req.get('Idempotency-Key')
+        );
+
+        if (result.conflict) {
+            return res.status(409).json({
+                status: 'error',
+                message: result.message
+            });
+        }
 
         if (result.success) {
+            if (result.replayed) {
+                res.set('Idempotent-Replayed', 'true');
+            } else {
+                created = 1;
+            }
             res.json({
                 status: 'success',
                 data: {
@@ -46,37 +130,180 @@ router.post('/orders/create', async (req, res) => {
             status: 'error',
             message: 'Internal server error processing EDI order'
         });
+    } finally {
+        releaseUnusedOrders(req, created);
     }
 });
 
 /**
- * Retrieve order status by job_id
+ * Create many orders via EDI in one call
+ * Body: { orders: [ ...order payloads ] }
+ * Each order is validated and created independently; the response carries
+ * per-item results in request order so one bad row never fails the upload.
  */
-router.get('/orders/status/:jobId', async (req, res) => {
+router.post('/orders/bulk', requireScope('orders:create'), limitDailyOrders(countBulkOrders), async (req, res) => {
+    let created = 0;
     try {
-        const { jobId } = req.params;
+        const orders = Array.isArray(req.body) ? req.body : req.body && req.body.orders;
 
-        const statusData = await ediService.getOrderStatus(jobId);
+        if (!Array.isArray(orders) || orders.length === 0) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Body must contain a non-empty orders array'
+            });
+        }
 
-        if (statusData.success) {
-            res.json({
-                status: 'success',
-                data: {
-                    status: statusData.status,
-                    fleet_id: statusData.fleet_id,
-                    fleet_name: statusData.fleet_name,
-                    job_status: statusData.job_status,
-                    job_id: statusData.job_id,
-                    job_delivery_datetime: statusData.job_delivery_datetime,
-                    job_type: statusData.job_type
-                }
+        if (orders.length > ediService.BULK_MAX_ORDERS) {
+            return res.status(413).json({
+                status: 'error',
+                message: `A maximum of ${ediService.BULK_MAX_ORDERS} orders can be created per request`
             });
-        } else {
-            res.status(404).json({
+        }
+
+        const summary = await ediService.createOrdersBulk(orders, req.merchant.id);
+        created = summary.results.filter(r => r.status === 'success' && !r.replayed).length;
+
+        // 200 when everything was created, 207 for a partial batch, 400 when nothing was
+        let httpStatus = 200;
+        let status = 'success';
+        if (summary.failed > 0) {
+            httpStatus = summary.succeeded > 0 ? 207 : 400;
+            status = summary.succeeded > 0 ? 'partial' : 'error';
+        }
+
+        res.status(httpStatus).json({
+            status,
+            data: summary
+        });
+    } catch (error) {
+        console.error('EDI Bulk Create Error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Internal server error processing EDI bulk orders'
+        });
+    } finally {
+        releaseUnusedOrders(req, created);
+    }
+});
+
+/**
+ * Quote the delivery fee of an order draft with the merchant's plan
+ * Body: the order draft (cod_amount, pickup/delivery address and coordinates, tags, ...)
+ */
+router.post('/orders/quote', requireScope('orders:create'), async (req, res) => {
+    try {
+        const errors = quoteService.validateDraft(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Invalid order draft: ${errors.map(e => e.message).join(', ')}`,
+                errors
+            });
+        }
+
+        const result = await quoteService.quoteOrder(req.body, req.merchant.id);
+        if (!result.success) {
+            return res.status(result.notFound ? 404 : 422).json({
                 status: 'error',
-                message: statusData.message || 'Order not found'
+                message: result.message
             });
         }
+
+        res.json({
+            status: 'success',
+            data: result.quote
+        });
+    } catch (error) {
+        console.error('EDI Quote Error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Internal server error calculating quote'
+        });
+    }
+});
+
+/**
+ * Number of valid rows in a spreadsheet import, for the daily order limit
+ * Unreadable files count as 0; the route rejects them without creating anything.
+ */
+function countImportOrders(req) {
+    try {
+        const { file, column_map } = req.body || {};
+        return orderImportService.previewUpload(file, column_map).summary.valid;
+    } catch (error) {
+        return 0;
+    }
+}
+
+/**
+ * Validate a spreadsheet of orders (XLSX/CSV) without creating anything
+ * Body: { file: <base64>, column_map?: { field: column } }
+ */
+router.post('/orders/import/preview', requireScope('orders:create'), async (req, res) => {
+    try {
+        const { file, column_map } = req.body || {};
+
+        res.json({
+            status: 'success',
+            data: orderImportService.previewUpload(file, column_map)
+        });
+    } catch (error) {
+        res.status(400).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Create the valid rows of a spreadsheet as orders
+ * Body: { file: <base64>, column_map? }
+ * The response includes a result spreadsheet with job_ids and tracking links.
+ */
+router.post('/orders/import', requireScope('orders:create'), limitDailyOrders(countImportOrders), async (req, res) => {
+    const { file, column_map } = req.body || {};
+
+    let preview;
+    try {
+        preview = orderImportService.previewUpload(file, column_map);
+    } catch (error) {
+        releaseUnusedOrders(req, 0);
+        return res.status(400).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+
+    let created = 0;
+    try {
+        const result = await orderImportService.runImport(preview, req.merchant.id);
+        created = result.summary.created;
+
+        res.json({
+            status: 'success',
+            data: orderImportService.formatImportResult(result)
+        });
+    } catch (error) {
+        console.error('EDI Import Error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Internal server error importing orders'
+        });
+    } finally {
+        releaseUnusedOrders(req, created);
+    }
+});
+
+/**
+ * Retrieve order status by job_id (own orders only)
+ */
+router.get('/orders/status/:jobId', requireScope('orders:read'), async (req, res) => {
+    try {
+        // Ownership was verified by the jobId param handler
+        res.json({
+            status: 'success',
+            data: ediService.formatOrderStatus(req.ediJob)
+        });
     } catch (error) {
         console.error('EDI Get Status Error:', error);
         res.status(500).json({
@@ -86,4 +313,161 @@ router.get('/orders/status/:jobId', async (req, res) => {
     }
 });
 
+/**
+ * Respond with the outcome of an order cancel/update
+ * Locked orders (already started or closed) get 409, Tookan rejections 400.
+ */
+function sendOrderChangeResult(res, result) {
+    if (result.success) {
+        return res.json({
+            status: 'success',
+            data: result.order
+        });
+    }
+
+    res.status(result.locked ? 409 : 400).json({
+        status: 'error',
+        message: result.message
+    });
+}
+
+/**
+ * Cancel an order (own orders only, before it is started)
+ * Body (optional): { reason }
+ */
+router.post('/orders/cancel/:jobId', requireScope('orders:cancel'), async (req, res) => {
+    try {
+        const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : undefined;
+
+        const result = await ediService.cancelOrder(req.ediJob, req.merchant.id, reason);
+        sendOrderChangeResult(res, result);
+    } catch (error) {
+        console.error('EDI Cancel Order Error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Internal server error cancelling order'
+        });
+    }
+});
+
+/**
+ * Amend an order (own orders only, before it is started)
+ * Body: any of delivery_datetime, delivery_address, delivery_latitude,
+ * delivery_longitude, delivery_phone, cod_amount
+ */
+router.patch('/orders/update/:jobId', requireScope('orders:update'), async (req, res) => {
+    try {
+        const errors = ediService.validateOrderUpdate(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Invalid update: ${errors.map(e => e.message).join(', ')}`,
+                errors
+            });
+        }
+
+        const result = await ediService.updateOrder(req.ediJob, req.body, req.merchant.id);
+        sendOrderChangeResult(res, result);
+    } catch (error) {
+        console.error('EDI Update Order Error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Internal server error updating order'
+        });
+    }
+});
+
+/**
+ * List the status webhook subscriptions of the calling merchant
+ */
+router.get('/webhooks', requireScope('webhooks:manage'), async (req, res) => {
+    try {
+        const subscriptions = await ediWebhooksModel.listSubscriptions(req.merchant.id);
+
+        res.json({
+            status: 'success',
+            data: subscriptions
+        });
+    } catch (error) {
+        console.error('EDI List Webhooks Error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Internal server error listing webhooks'
+        });
+    }
+});
+
+/**
+ * Register a callback URL for order status events
+ * Body: { url, description }
+ * The signing secret is returned only in this response.
+ */
+router.post('/webhooks', requireScope('webhooks:manage'), async (req, res) => {
+    try {
+        const { url, description } = req.body || {};
+
+        const urlError = await merchantWebhookService.validateCallbackUrl(url);
+        if (urlError) {
+            return res.status(400).json({
+                status: 'error',
+                message: urlError
+            });
+        }
+
+        const subscription = await ediWebhooksModel.createSubscription({
+            merchant_id: req.merchant.id,
+            api_token_id: req.merchant.token_id,
+            url,
+            description,
+            created_by: `token:${req.merchant.token_name}`
+        });
+
+        res.json({
+            status: 'success',
+            data: {
+                id: subscription.id,
+                url: subscription.url,
+                description: subscription.description,
+                // Only returned once - used to verify X-EDI-Signature
+                secret: subscription.secret,
+                event_version: merchantWebhookService.EVENT_VERSION,
+                created_at: subscription.created_at
+            }
+        });
+    } catch (error) {
+        console.error('EDI Create Webhook Error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Internal server error registering webhook'
+        });
+    }
+});
+
+/**
+ * Remove a callback URL
+ */
+router.delete('/webhooks/:id', requireScope('webhooks:manage'), async (req, res) => {
+    try {
+        const subscription = await ediWebhooksModel.deactivateSubscription(req.params.id, req.merchant.id);
+
+        if (!subscription) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Webhook not found'
+            });
+        }
+
+        res.json({
+            status: 'success',
+            message: 'Webhook removed successfully'
+        });
+    } catch (error) {
+        console.error('EDI Delete Webhook Error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Internal server error removing webhook'
+        });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const ediWebhooksModel = require('../db/models/ediWebhooks');
+const merchantWebhookService = require('../services/merchantWebhookService');
+const auditLogger = require('../middleware/auditLogger');
+
+// Authentication and superadmin checks are applied where this router is mounted
+
+/**
+ * List webhook subscriptions
+ * Query: ?merchant_id=... (optional)
+ */
+router.get('/subscriptions', async (req, res) => {
+    try {
+        const subscriptions = await ediWebhooksModel.listSubscriptions(req.query.merchant_id || null);
+
+        res.json({ status: 'success', data: subscriptions });
+    } catch (error) {
+        console.error('Error listing EDI webhook subscriptions:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to list webhook subscriptions' });
+    }
+});
+
+/**
+ * Register a callback URL on behalf of a merchant
+ * Body: { merchant_id, url, description }
+ */
+router.post('/subscriptions', async (req, res) => {
+    try {
+        const { merchant_id, url, description } = req.body;
+
+        if (!merchant_id) {
+            return res.status(400).json({ status: 'error', message: 'Missing required field: merchant_id' });
+        }
+
+        const urlError = await merchantWebhookService.validateCallbackUrl(url);
+        if (urlError) {
+            return res.status(400).json({ status: 'error', message: urlError });
+        }
+
+        const subscription = await ediWebhooksModel.createSubscription({
+            merchant_id,
+            url,
+            description,
+            created_by: req.user?.email || req.user?.id || null
+        });
+
+        await auditLogger.createAuditLog(req, 'edi_webhook_create', 'edi_webhook_subscription', subscription.id, null, {
+            merchant_id: subscription.merchant_id,
+            url: subscription.url
+        });
+
+        res.json({
+            status: 'success',
+            data: {
+                id: subscription.id,
+                merchant_id: subscription.merchant_id,
+                url: subscription.url,
+                description: subscription.description,
+                // Only returned once
+                secret: subscription.secret,
+                created_at: subscription.created_at
+            }
+        });
+    } catch (error) {
+        console.error('Error creating EDI webhook subscription:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to create webhook subscription' });
+    }
+});
+
+/**
+ * Deactivate a subscription
+ */
+router.delete('/subscriptions/:id', async (req, res) => {
+    try {
+        const subscription = await ediWebhooksModel.deactivateSubscription(req.params.id);
+
+        if (!subscription) {
+            return res.status(404).json({ status: 'error', message: 'Subscription not found' });
+        }
+
+        await auditLogger.createAuditLog(req, 'edi_webhook_deactivate', 'edi_webhook_subscription', subscription.id);
+
+        res.json({ status: 'success', message: 'Subscription deactivated successfully' });
+    } catch (error) {
+        console.error('Error deactivating EDI webhook subscription:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to deactivate subscription' });
+    }
+});
+
+/**
+ * Delivery log
+ * Query: ?merchant_id=&status=&job_id=&limit=&offset=
+ */
+router.get('/deliveries', async (req, res) => {
+    try {
+        const { merchant_id, subscription_id, status, job_id, limit, offset } = req.query;
+
+        const result = await ediWebhooksModel.listDeliveries({
+            merchantId: merchant_id,
+            subscriptionId: subscription_id,
+            status,
+            jobId: job_id,
+            limit,
+            offset
+        });
+
+        res.json({ status: 'success', data: result });
+    } catch (error) {
+        console.error('Error listing EDI webhook deliveries:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to list webhook deliveries' });
+    }
+});
+
+/**
+ * Manually redeliver an event
+ */
+router.post('/deliveries/:id/redeliver', async (req, res) => {
+    try {
+        const delivery = await merchantWebhookService.redeliver(req.params.id);
+
+        if (!delivery) {
+            return res.status(404).json({ status: 'error', message: 'Delivery not found' });
+        }
+
+        await auditLogger.createAuditLog(req, 'edi_webhook_redeliver', 'edi_webhook_delivery', delivery.id, null, {
+            status: delivery.status,
+            response_status: delivery.response_status
+        });
+
+        res.json({
+            status: 'success',
+            message: delivery.status === 'delivered' ? 'Event redelivered successfully' : 'Redelivery attempted, endpoint did not accept it',
+            data: delivery
+        });
+    } catch (error) {
+        console.error('Error redelivering EDI webhook:', error);
+        res.status(500).json({ status: 'error', message: error.message || 'Failed to redeliver webhook' });
+    }
+});
+
+module.exports = router;
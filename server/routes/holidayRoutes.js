@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router();
+const publicHolidaysModel = require('../db/models/publicHolidays');
+const businessCalendarService = require('../services/businessCalendarService');
+const auditLogger = require('../middleware/auditLogger');
+const { requireRole } = require('../middleware/auth');
+
+// Authentication is applied where this router is mounted; changes require the admin role
+
+/**
+ * List holidays
+ * Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD
+ */
+router.get('/', async (req, res) => {
+    try {
+        const holidays = await publicHolidaysModel.listHolidays({ from: req.query.from, to: req.query.to });
+        res.json({
+            status: 'success',
+            data: {
+                timezone: businessCalendarService.BUSINESS_TIMEZONE,
+                weekend_days: businessCalendarService.WEEKEND_DAYS,
+                holidays
+            }
+        });
+    } catch (error) {
+        console.error('Error listing public holidays:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to list public holidays' });
+    }
+});
+
+/**
+ * Add holidays, or rename existing ones (matched on date)
+ * Body: { holiday_date, name } or { holidays: [{ holiday_date, name }, ...] }
+ * Nothing is saved if any holiday is invalid.
+ */
+router.post('/', requireRole('admin'), async (req, res) => {
+    try {
+        const holidays = Array.isArray(req.body.holidays) ? req.body.holidays : [req.body];
+
+        const errors = [];
+        holidays.forEach((holiday, index) => {
+            businessCalendarService.validateHoliday(holiday).forEach(error => errors.push({ index, ...error }));
+        });
+        const dates = holidays.map(h => h && h.holiday_date);
+        dates.forEach((date, index) => {
+            if (dates.indexOf(date) !== index) {
+                errors.push({ index, field: 'holiday_date', message: `Duplicate date ${date}` });
+            }
+        });
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Invalid holidays: ${errors.map(e => e.message).join(', ')}`,
+                errors
+            });
+        }
+
+        const saved = await publicHolidaysModel.upsertHolidays(
+            holidays.map(h => ({ holiday_date: h.holiday_date, name: h.name.trim() })),
+            req.user?.email || req.userId || null
+        );
+        businessCalendarService.clearHolidayCache();
+
+        await auditLogger.createAuditLog(req, 'public_holiday_save', 'public_holiday', null, null, {
+            holidays: saved.map(h => ({ holiday_date: h.holiday_date, name: h.name }))
+        });
+
+        res.json({ status: 'success', data: saved });
+    } catch (error) {
+        console.error('Error saving public holidays:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to save public holidays' });
+    }
+});
+
+/**
+ * Delete a holiday
+ */
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const holiday = await publicHolidaysModel.getHoliday(req.params.id);
+        if (!holiday) {
+            return res.status(404).json({ status: 'error', message: 'Holiday not found' });
+        }
+
+        await publicHolidaysModel.deleteHoliday(req.params.id);
+        businessCalendarService.clearHolidayCache();
+
+        await auditLogger.createAuditLog(req, 'public_holiday_delete', 'public_holiday', holiday.id, {
+            holiday_date: holiday.holiday_date,
+            name: holiday.name
+        }, null);
+
+        res.json({ status: 'success', message: 'Holiday deleted' });
+    } catch (error) {
+        console.error('Error deleting public holiday:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to delete public holiday' });
+    }
+});
+
+module.exports = router;
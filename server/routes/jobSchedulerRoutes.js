@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+const jobScheduler = require('../services/jobScheduler');
+const scheduledJobsModel = require('../db/models/scheduledJobs');
+const cronExpression = require('../cronExpression');
+const auditLogger = require('../middleware/auditLogger');
+
+// Authentication and the admin role are applied where this router is mounted
+
+const RUN_STATUSES = ['running', 'succeeded', 'failed', 'skipped'];
+
+function requireJob(req, res, next) {
+    if (!jobScheduler.isJob(req.params.name)) {
+        return res.status(404).json({ status: 'error', message: `Unknown job: ${req.params.name}` });
+    }
+    next();
+}
+
+/**
+ * List the jobs with their schedule, whether they are running, the latest run and the next run
+ */
+router.get('/', async (req, res) => {
+    try {
+        const jobs = await jobScheduler.getJobs();
+        res.json({ status: 'success', data: { jobs } });
+    } catch (error) {
+        console.error('Error listing scheduled jobs:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to list scheduled jobs' });
+    }
+});
+
+/**
+ * Run history of a job, newest first
+ * Query: ?status=running|succeeded|failed|skipped&limit=50&offset=0
+ */
+router.get('/:name/runs', requireJob, async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        if (status && !RUN_STATUSES.includes(status)) {
+            return res.status(400).json({ status: 'error', message: `status must be one of: ${RUN_STATUSES.join(', ')}` });
+        }
+
+        const result = await scheduledJobsModel.listRuns(req.params.name, {
+            status,
+            limit: Math.min(parseInt(req.query.limit) || 50, 200),
+            offset: parseInt(req.query.offset) || 0
+        });
+
+        res.json({ status: 'success', data: result });
+    } catch (error) {
+        console.error('Error listing scheduled job runs:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to list job runs' });
+    }
+});
+
+/**
+ * Change the cron expression of a job
+ * Body: { cron: "*\/15 * * * *" } (business timezone)
+ */
+router.put('/:name/schedule', requireJob, async (req, res) => {
+    try {
+        const cron = req.body?.cron;
+        const cronError = cronExpression.validate(cron);
+        if (cronError) {
+            return res.status(400).json({ status: 'error', message: `Invalid cron expression: ${cronError}` });
+        }
+
+        const { previous, schedule } = await jobScheduler.updateSchedule(req.params.name, { cron });
+
+        await auditLogger.createAuditLog(req, 'scheduled_job_schedule_update', 'scheduled_job', req.params.name, previous, schedule);
+
+        res.json({ status: 'success', data: schedule });
+    } catch (error) {
+        console.error('Error updating job schedule:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to update job schedule' });
+    }
+});
+
+/**
+ * Stop running a job on its schedule (manual triggers still work)
+ */
+router.post('/:name/pause', requireJob, async (req, res) => {
+    try {
+        const { previous, schedule } = await jobScheduler.updateSchedule(req.params.name, { paused: true });
+
+        await auditLogger.createAuditLog(req, 'scheduled_job_pause', 'scheduled_job', req.params.name, previous, schedule);
+
+        res.json({ status: 'success', data: schedule });
+    } catch (error) {
+        console.error('Error pausing job:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to pause job' });
+    }
+});
+
+/**
+ * Run a paused job on its schedule again
+ */
+router.post('/:name/resume', requireJob, async (req, res) => {
+    try {
+        const { previous, schedule } = await jobScheduler.updateSchedule(req.params.name, { paused: false });
+
+        await auditLogger.createAuditLog(req, 'scheduled_job_resume', 'scheduled_job', req.params.name, previous, schedule);
+
+        res.json({ status: 'success', data: schedule });
+    } catch (error) {
+        console.error('Error resuming job:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to resume job' });
+    }
+});
+
+/**
+ * Run a job now
+ * The job runs in the background; poll GET /:name/runs for the outcome.
+ * 409 if a run of the job is already in progress.
+ */
+router.post('/:name/trigger', requireJob, async (req, res) => {
+    try {
+        const triggeredBy = req.user?.email || req.userId || null;
+        const { outcome, run } = await jobScheduler.triggerJob(req.params.name, triggeredBy);
+
+        if (outcome === 'locked') {
+            return res.status(409).json({ status: 'error', message: `${req.params.name} is already running` });
+        }
+
+        await auditLogger.createAuditLog(req, 'scheduled_job_trigger', 'scheduled_job', req.params.name, null, { run_id: run.id });
+
+        res.status(202).json({ status: 'success', message: `${req.params.name} started`, data: run });
+    } catch (error) {
+        console.error('Error triggering job:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to trigger job' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const orderImportService = require('../services/orderImportService');
+const auditLogger = require('../middleware/auditLogger');
+
+// Authentication and the order editor permission are applied where this router is mounted
+
+/**
+ * Validate a spreadsheet and show how its rows map to orders, without creating anything
+ * Body: { file, column_map? }
+ */
+router.post('/preview', async (req, res) => {
+    try {
+        const { file, column_map } = req.body || {};
+        const preview = orderImportService.previewUpload(file, column_map);
+
+        res.json({ status: 'success', data: preview });
+    } catch (error) {
+        console.error('Order import preview error:', error.message);
+        res.status(400).json({ status: 'error', message: error.message });
+    }
+});
+
+/**
+ * Create the valid rows of a spreadsheet as orders for a merchant
+ * Body: { merchant_id, file, column_map? }
+ * Invalid rows are skipped; the response includes a result spreadsheet with
+ * job_ids and tracking links filled in.
+ */
+router.post('/', async (req, res) => {
+    const { merchant_id, file, column_map } = req.body || {};
+
+    if (!merchant_id) {
+        return res.status(400).json({ status: 'error', message: 'Missing required field: merchant_id' });
+    }
+
+    let preview;
+    try {
+        preview = orderImportService.previewUpload(file, column_map);
+    } catch (error) {
+        return res.status(400).json({ status: 'error', message: error.message });
+    }
+
+    try {
+        const result = await orderImportService.runImport(preview, merchant_id);
+
+        await auditLogger.createAuditLog(req, 'order_import', 'order', null, null, {
+            merchant_id,
+            ...result.summary,
+            job_ids: result.rows.filter(r => r.job_id).map(r => r.job_id)
+        });
+
+        res.json({ status: 'success', data: orderImportService.formatImportResult(result) });
+    } catch (error) {
+        console.error('Order import error:', error);
+        res.status(500).json({ status: 'error', message: 'Internal server error importing orders' });
+    }
+});
+
+module.exports = router;
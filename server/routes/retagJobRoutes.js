@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const retagJobsModel = require('../db/models/retagJobs');
+const retagService = require('../services/retagService');
+const auditLogger = require('../middleware/auditLogger');
+const { requireRole } = require('../middleware/auth');
+
+// Authentication is applied where this router is mounted; starting and cancelling require the admin role
+
+const TASK_STATUSES = ['pending', 'updated', 'would_update', 'unchanged', 'failed'];
+
+/**
+ * List re-tag jobs, newest first
+ * Query: ?limit=20&offset=0
+ */
+router.get('/', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const offset = parseInt(req.query.offset) || 0;
+        const result = await retagJobsModel.listJobs({ limit, offset });
+
+        res.json({ status: 'success', data: result });
+    } catch (error) {
+        console.error('Error listing re-tag jobs:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to list re-tag jobs' });
+    }
+});
+
+/**
+ * Start a re-tag job
+ * Body: { filters: { dateFrom, dateTo, statuses, vendorIds, jobIds }, dryRun }
+ */
+router.post('/', requireRole('admin'), async (req, res) => {
+    try {
+        const { filters, dryRun } = req.body || {};
+
+        if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+            return res.status(400).json({ status: 'error', message: 'filters must be an object' });
+        }
+
+        const result = await retagService.startRetagJob(filters, {
+            dryRun: dryRun === true,
+            user: { id: req.userId, name: req.user?.name || req.user?.email }
+        });
+
+        if (!result.success) {
+            return res.status(result.conflict ? 409 : 400).json({
+                status: 'error',
+                message: result.message,
+                errors: result.errors
+            });
+        }
+
+        await auditLogger.createAuditLog(req, 'retag_job_start', 'retag_job', result.job.id, null, {
+            dry_run: result.job.dry_run,
+            filters: result.job.filters,
+            total_tasks: result.job.total_tasks
+        });
+
+        res.status(202).json({ status: 'success', data: result.job });
+    } catch (error) {
+        console.error('Error starting re-tag job:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to start re-tag job' });
+    }
+});
+
+/**
+ * Get a job with its progress
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const job = await retagJobsModel.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ status: 'error', message: 'Re-tag job not found' });
+        }
+        res.json({ status: 'success', data: job });
+    } catch (error) {
+        console.error('Error getting re-tag job:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to get re-tag job' });
+    }
+});
+
+/**
+ * List the tasks of a job with their tags before and after
+ * Query: ?status=failed&limit=100&offset=0
+ */
+router.get('/:id/tasks', async (req, res) => {
+    try {
+        const { status } = req.query;
+        if (status && !TASK_STATUSES.includes(status)) {
+            return res.status(400).json({ status: 'error', message: `status must be one of: ${TASK_STATUSES.join(', ')}` });
+        }
+
+        const job = await retagJobsModel.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ status: 'error', message: 'Re-tag job not found' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        const offset = parseInt(req.query.offset) || 0;
+        const result = await retagJobsModel.listTasks(job.id, { status, limit, offset });
+
+        res.json({ status: 'success', data: result });
+    } catch (error) {
+        console.error('Error listing re-tag job tasks:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to list re-tag job tasks' });
+    }
+});
+
+/**
+ * Cancel a job; tasks already updated keep their new tags
+ */
+router.post('/:id/cancel', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await retagService.cancelRetagJob(req.params.id);
+
+        if (!result.success) {
+            return res.status(result.notFound ? 404 : 409).json({ status: 'error', message: result.message });
+        }
+
+        await auditLogger.createAuditLog(req, 'retag_job_cancel', 'retag_job', result.job.id, null, {
+            processed_tasks: result.job.processed_tasks,
+            total_tasks: result.job.total_tasks
+        });
+
+        res.json({ status: 'success', data: result.job });
+    } catch (error) {
+        console.error('Error cancelling re-tag job:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to cancel re-tag job' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const webhookEventsModel = require('../db/models/webhookEvents');
+const taskStorage = require('../taskStorage');
+const auditLogger = require('../middleware/auditLogger');
+
+// Authentication and the admin role are applied where this router is mounted
+
+const MAX_BULK_IDS = 200;
+
+/**
+ * Parse and validate the ids of a bulk action
+ * @returns {number[]|null}
+ */
+function parseIds(ids) {
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_IDS) return null;
+    const parsed = ids.map(id => parseInt(id));
+    return parsed.every(id => Number.isInteger(id) && id > 0) ? [...new Set(parsed)] : null;
+}
+
+/**
+ * List dead-lettered Tookan webhook events grouped by error message
+ * Groups are ordered by size, events inside a group newest first
+ */
+router.get('/', async (req, res) => {
+    try {
+        const events = await webhookEventsModel.getDeadLetterEvents();
+
+        const groups = new Map();
+        for (const event of events) {
+            const errorMessage = event.error_message || 'Unknown error';
+            if (!groups.has(errorMessage)) {
+                groups.set(errorMessage, {
+                    error_message: errorMessage,
+                    error_code: event.error_code || null,
+                    count: 0,
+                    latest_at: event.dead_lettered_at,
+                    events: []
+                });
+            }
+            const group = groups.get(errorMessage);
+            group.count++;
+            group.events.push(event);
+        }
+
+        res.json({
+            status: 'success',
+            data: {
+                groups: [...groups.values()].sort((a, b) => b.count - a.count),
+                total: events.length
+            }
+        });
+    } catch (error) {
+        console.error('Error listing dead-lettered webhook events:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to list dead-lettered webhook events' });
+    }
+});
+
+/**
+ * A dead-lettered event with the current local state of its task
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const event = await webhookEventsModel.getEventById(parseInt(req.params.id));
+
+        if (!event) {
+            return res.status(404).json({ status: 'error', message: 'Webhook event not found' });
+        }
+
+        const localTask = event.job_id ? await taskStorage.getTask(event.job_id) : null;
+
+        res.json({ status: 'success', data: { event, localTask } });
+    } catch (error) {
+        console.error('Error getting dead-lettered webhook event:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to get webhook event' });
+    }
+});
+
+/**
+ * Send dead-lettered events back to the webhook processor
+ * Body: { ids: [1, 2, ...] }
+ */
+router.post('/replay', async (req, res) => {
+    try {
+        const ids = parseIds(req.body?.ids);
+        if (!ids) {
+            return res.status(400).json({ status: 'error', message: `ids must be a list of 1 to ${MAX_BULK_IDS} event IDs` });
+        }
+
+        const replayed = await webhookEventsModel.replayDeadLetters(ids);
+
+        for (const event of replayed) {
+            await auditLogger.createAuditLog(req, 'webhook_dead_letter_replay', 'webhook_event', event.id,
+                { status: 'dead_letter', error_message: event.error_message },
+                { status: 'pending', job_id: event.job_id, event_type: event.event_type });
+        }
+
+        res.json({
+            status: 'success',
+            message: `${replayed.length} event(s) queued for replay`,
+            data: { replayed: replayed.map(event => event.id), skipped: ids.filter(id => !replayed.some(event => event.id === id)) }
+        });
+    } catch (error) {
+        console.error('Error replaying dead-lettered webhook events:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to replay webhook events' });
+    }
+});
+
+/**
+ * Close dead-lettered events without processing them
+ * Body: { ids: [1, 2, ...], reason }
+ */
+router.post('/discard', async (req, res) => {
+    try {
+        const ids = parseIds(req.body?.ids);
+        if (!ids) {
+            return res.status(400).json({ status: 'error', message: `ids must be a list of 1 to ${MAX_BULK_IDS} event IDs` });
+        }
+
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        if (!reason) {
+            return res.status(400).json({ status: 'error', message: 'A reason is required to discard events' });
+        }
+
+        const discarded = await webhookEventsModel.discardDeadLetters(ids, reason, req.userId || req.user?.id || null);
+
+        for (const event of discarded) {
+            await auditLogger.createAuditLog(req, 'webhook_dead_letter_discard', 'webhook_event', event.id,
+                { status: 'dead_letter', error_message: event.error_message },
+                { status: 'discarded', reason, job_id: event.job_id, event_type: event.event_type });
+        }
+
+        res.json({
+            status: 'success',
+            message: `${discarded.length} event(s) discarded`,
+            data: { discarded: discarded.map(event => event.id), skipped: ids.filter(id => !discarded.some(event => event.id === id)) }
+        });
+    } catch (error) {
+        console.error('Error discarding dead-lettered webhook events:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to discard webhook events' });
+    }
+});
+
+module.exports = router;
@@ -6,22 +6,9 @@
  */
 
 require('dotenv').config();
-const fetch = require('node-fetch');
 const { isConfigured } = require('../db/supabase');
 const agentModel = require('../db/models/agents');
-
-const TOOKAN_API_BASE = 'https://api.tookanapp.com/v2';
-
-/**
- * Get API key from environment
- */
-function getApiKey() {
-  const apiKey = process.env.TOOKAN_API_KEY;
-  if (!apiKey) {
-    throw new Error('TOOKAN_API_KEY not configured in environment variables');
-  }
-  return apiKey;
-}
+const tookanClient = require('./tookanClient');
 
 /**
  * Sleep for specified milliseconds
@@ -34,31 +21,11 @@ function sleep(ms) {
  * Fetch all fleets from Tookan API
  */
 async function fetchFleetsFromTookan() {
-  const apiKey = getApiKey();
-
   console.log('📡 Fetching fleets from Tookan API...');
 
-  const response = await fetch(`${TOOKAN_API_BASE}/get_all_fleets`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      api_key: apiKey
-    }),
-  });
-
-  const textResponse = await response.text();
-  let data;
-
-  try {
-    data = JSON.parse(textResponse);
-  } catch (parseError) {
-    console.error('❌ Failed to parse Tookan API response:', textResponse.substring(0, 200));
-    throw new Error('Tookan API returned invalid JSON');
-  }
+  const data = await tookanClient.getAllFleets();
 
-  if (!response.ok || data.status !== 200) {
+  if (data.status !== 200) {
     console.error('❌ Tookan API error:', data.message || 'Unknown error');
     throw new Error(data.message || 'Failed to fetch fleets from Tookan');
   }
@@ -0,0 +1,222 @@
+/**
+ * Business Calendar Service
+ *
+ * Local time in the business timezone, weekends and the public holiday calendar.
+ * Builds the time fields tag rules can reference (orderTime, deliveryIsWeekend,
+ * pickupIsHoliday, ...) from the order creation time and pickup/delivery times.
+ */
+
+const { isConfigured } = require('../db/supabase');
+const publicHolidaysModel = require('../db/models/publicHolidays');
+
+// IANA timezone rules are evaluated in; orders are placed and delivered in Bahrain
+const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'Asia/Bahrain';
+
+// Comma separated weekday names (Bahrain's weekend is Friday and Saturday)
+const WEEKEND_DAYS = (process.env.BUSINESS_WEEKEND_DAYS || 'friday,saturday')
+  .split(',')
+  .map(day => day.trim().toLowerCase())
+  .filter(Boolean);
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Holidays are re-read after this long, so edits on other instances are picked up
+const HOLIDAY_CACHE_TTL_MS = 5 * 60 * 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// 'YYYY-MM-DD HH:mm[:ss]' without a zone, as Tookan sends task times
+const LOCAL_DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/;
+
+const localFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: BUSINESS_TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+let holidayCache = null;
+
+/**
+ * Weekday name of a calendar date
+ */
+function weekdayOf(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+}
+
+/**
+ * Local date and time of a moment in the business timezone
+ * Strings without a timezone are taken as local times already; strings with one,
+ * Dates and epoch milliseconds are converted.
+ *
+ * @param {Date|string|number} value - Moment
+ * @returns {{date: string, time: string, weekday: string}|null} YYYY-MM-DD, HH:MM and lowercase weekday, or null when invalid
+ */
+function getLocalParts(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (typeof value === 'string') {
+    const match = LOCAL_DATETIME_PATTERN.exec(value.trim());
+    if (match) {
+      const date = `${match[1]}-${match[2]}-${match[3]}`;
+      return { date, time: `${match[4]}:${match[5]}`, weekday: weekdayOf(date) };
+    }
+  }
+
+  const moment = value instanceof Date ? value : new Date(value);
+  if (isNaN(moment.getTime())) {
+    return null;
+  }
+
+  const parts = {};
+  localFormatter.formatToParts(moment).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  return { date, time: `${parts.hour}:${parts.minute}`, weekday: weekdayOf(date) };
+}
+
+/**
+ * Whether a weekday is part of the business weekend
+ */
+function isWeekend(weekday) {
+  return WEEKEND_DAYS.includes(weekday);
+}
+
+/**
+ * Whether a string is a real calendar date (YYYY-MM-DD)
+ */
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Validate a holiday for the calendar
+ * @returns {Array<{field: string, message: string}>} Errors (empty when valid)
+ */
+function validateHoliday(holiday) {
+  const errors = [];
+
+  if (!holiday || typeof holiday !== 'object') {
+    return [{ field: 'holiday', message: 'Holiday must be an object' }];
+  }
+
+  if (!isValidDate(holiday.holiday_date)) {
+    errors.push({ field: 'holiday_date', message: 'holiday_date must be a valid date (YYYY-MM-DD)' });
+  }
+
+  if (typeof holiday.name !== 'string' || holiday.name.trim() === '') {
+    errors.push({ field: 'name', message: 'name is required' });
+  }
+
+  return errors;
+}
+
+/**
+ * Load the holiday calendar (cached)
+ * Returns no holidays when Supabase is not configured or cannot be reached, so the
+ * calendar never blocks order creation.
+ *
+ * @returns {Promise<Map<string, string>>} Holiday name keyed by YYYY-MM-DD
+ */
+async function getHolidays() {
+  if (!isConfigured()) {
+    return new Map();
+  }
+
+  if (holidayCache && Date.now() - holidayCache.loadedAt < HOLIDAY_CACHE_TTL_MS) {
+    return holidayCache.holidays;
+  }
+
+  try {
+    const rows = await publicHolidaysModel.listHolidays();
+    const holidays = new Map(rows.map(row => [row.holiday_date, row.name]));
+    holidayCache = { holidays, loadedAt: Date.now() };
+    return holidays;
+  } catch (error) {
+    console.error('Error loading public holidays:', error.message);
+    return holidayCache ? holidayCache.holidays : new Map();
+  }
+}
+
+/**
+ * Drop the cached holidays after a change
+ */
+function clearHolidayCache() {
+  holidayCache = null;
+}
+
+/**
+ * Time fields for one moment, prefixed ('order', 'pickup', 'delivery')
+ */
+function buildMomentFields(prefix, value, holidays) {
+  const parts = getLocalParts(value);
+  if (!parts) {
+    return {};
+  }
+
+  const holidayName = holidays.get(parts.date);
+  return {
+    [`${prefix}Date`]: parts.date,
+    [`${prefix}Time`]: parts.time,
+    [`${prefix}Weekday`]: parts.weekday,
+    [`${prefix}IsWeekend`]: isWeekend(parts.weekday),
+    [`${prefix}IsHoliday`]: holidayName !== undefined,
+    [`${prefix}HolidayName`]: holidayName || null
+  };
+}
+
+/**
+ * Build the time fields of a task using an already loaded holiday calendar
+ * The order time is the task's creation time, or now for an order being created.
+ * Pickup and delivery fields are only set when the task has those times.
+ *
+ * @param {Object} data - Task or order data
+ * @param {Map<string, string>} [holidays] - From getHolidays
+ * @param {Date} [now] - Current time, for orders without a creation time
+ * @returns {Object} { orderDate, orderTime, orderWeekday, orderIsWeekend, orderIsHoliday, orderHolidayName, pickup..., delivery... }
+ */
+function buildTimeFields(data = {}, holidays = new Map(), now = new Date()) {
+  const createdAt = data.creation_datetime ?? data.createdAt ?? data.created_at ?? now;
+  const pickupAt = data.job_pickup_datetime ?? data.pickup_datetime ?? data.pickupDatetime;
+  const deliveryAt = data.job_delivery_datetime ?? data.delivery_datetime ?? data.deliveryDatetime;
+
+  return {
+    ...buildMomentFields('order', createdAt, holidays),
+    ...buildMomentFields('pickup', pickupAt, holidays),
+    ...buildMomentFields('delivery', deliveryAt, holidays)
+  };
+}
+
+/**
+ * Build the time fields of a task
+ * @param {Object} data - Task or order data
+ * @returns {Promise<Object>} See buildTimeFields
+ */
+async function resolveTimeFields(data) {
+  const holidays = await getHolidays();
+  return buildTimeFields(data, holidays);
+}
+
+module.exports = {
+  BUSINESS_TIMEZONE,
+  WEEKEND_DAYS,
+  getLocalParts,
+  isWeekend,
+  validateHoliday,
+  getHolidays,
+  clearHolidayCache,
+  buildTimeFields,
+  resolveTimeFields
+};
@@ -0,0 +1,326 @@
+/**
+ * Customer Onboarding Service
+ *
+ * Applies business rules to a Tookan customer the first time it reaches the customer
+ * webhook: the onboarding rules pick a plan and withdrawal fee, the tag rules
+ * (tagService) pick its tags, the merchants row is updated and the tags are pushed
+ * to the customer in Tookan. Every step is recorded in customer_onboarding for ops review.
+ *
+ * Onboarding rules are stored in settings under 'customer_onboarding_rules':
+ *   {
+ *     enabled, pushTags,
+ *     defaultPlanId, defaultWithdrawFee,
+ *     rules: [{ name, condition, planId, withdrawFee, tags }]
+ *   }
+ * Conditions use the tag rule language (tagRules.js) over the customer's fields.
+ * The first matching rule wins; a plan or fee it does not set falls back to the default.
+ */
+
+const { supabase, isConfigured } = require('../db/supabase');
+const onboardingModel = require('../db/models/customerOnboarding');
+const plansModel = require('../db/models/plans');
+const tagService = require('../tagService');
+const tagRules = require('../tagRules');
+const tookanClient = require('./tookanClient');
+
+const SETTINGS_KEY = 'customer_onboarding_rules';
+
+const DEFAULT_ONBOARDING_RULES = {
+  enabled: true,
+  pushTags: true,
+  defaultPlanId: null,
+  defaultWithdrawFee: null,
+  rules: []
+};
+
+/**
+ * Load the onboarding rules (defaults when none are saved)
+ */
+async function loadOnboardingRules() {
+  if (!isConfigured()) {
+    return { ...DEFAULT_ONBOARDING_RULES };
+  }
+
+  const { data, error } = await supabase
+    .from('settings')
+    .select('value')
+    .eq('key', SETTINGS_KEY)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+
+  try {
+    return { ...DEFAULT_ONBOARDING_RULES, ...(data ? JSON.parse(data.value) : {}) };
+  } catch (parseError) {
+    console.error('Invalid customer onboarding rules in settings:', parseError.message);
+    return { ...DEFAULT_ONBOARDING_RULES };
+  }
+}
+
+function isValidFee(fee) {
+  return fee === null || (typeof fee === 'number' && isFinite(fee) && fee >= 0);
+}
+
+/**
+ * Validate onboarding rules
+ * @returns {Promise<Array<{rule: number|null, field: string, message: string}>>} Errors (empty when valid)
+ */
+async function validateOnboardingRules(config) {
+  const errors = [];
+  const planIds = new Set();
+
+  ['enabled', 'pushTags'].forEach(field => {
+    if (config[field] !== undefined && typeof config[field] !== 'boolean') {
+      errors.push({ rule: null, field, message: `${field} must be true or false` });
+    }
+  });
+
+  if (config.defaultPlanId !== undefined && config.defaultPlanId !== null) {
+    planIds.add(config.defaultPlanId);
+  }
+  if (config.defaultWithdrawFee !== undefined && !isValidFee(config.defaultWithdrawFee)) {
+    errors.push({ rule: null, field: 'defaultWithdrawFee', message: 'defaultWithdrawFee must be a non-negative number or null' });
+  }
+
+  if (config.rules !== undefined && !Array.isArray(config.rules)) {
+    errors.push({ rule: null, field: 'rules', message: 'rules must be an array' });
+  } else {
+    (config.rules || []).forEach((rule, index) => {
+      if (!rule || typeof rule !== 'object') {
+        errors.push({ rule: index, field: 'rule', message: 'Rule must be an object' });
+        return;
+      }
+
+      if (typeof rule.name !== 'string' || !rule.name.trim()) {
+        errors.push({ rule: index, field: 'name', message: 'name is required' });
+      }
+
+      const result = tagRules.validate(rule.condition);
+      if (!result.valid) {
+        errors.push({ rule: index, field: 'condition', message: result.error });
+      }
+
+      if (rule.planId !== undefined && rule.planId !== null) {
+        planIds.add(rule.planId);
+      }
+      if (rule.withdrawFee !== undefined && !isValidFee(rule.withdrawFee)) {
+        errors.push({ rule: index, field: 'withdrawFee', message: 'withdrawFee must be a non-negative number or null' });
+      }
+      if (rule.tags !== undefined) {
+        if (!Array.isArray(rule.tags)) {
+          errors.push({ rule: index, field: 'tags', message: 'tags must be an array' });
+        } else {
+          rule.tags.filter(tag => !tagService.validateTag(tag)).forEach(tag => {
+            errors.push({ rule: index, field: 'tags', message: `Invalid tag '${tag}' (letters, digits and underscores, up to 50 characters)` });
+          });
+        }
+      }
+    });
+  }
+
+  for (const planId of planIds) {
+    if (!await plansModel.getPlanById(planId)) {
+      errors.push({ rule: null, field: 'planId', message: `Plan ${planId} does not exist` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Save onboarding rules (validate first with validateOnboardingRules)
+ * @returns {Promise<Object>} The saved rules
+ */
+async function saveOnboardingRules(config) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const rules = {
+    enabled: config.enabled !== undefined ? config.enabled : DEFAULT_ONBOARDING_RULES.enabled,
+    pushTags: config.pushTags !== undefined ? config.pushTags : DEFAULT_ONBOARDING_RULES.pushTags,
+    defaultPlanId: config.defaultPlanId || null,
+    defaultWithdrawFee: config.defaultWithdrawFee !== undefined ? config.defaultWithdrawFee : null,
+    rules: (config.rules || []).map(rule => ({
+      name: rule.name.trim(),
+      condition: rule.condition,
+      ...(rule.planId !== undefined ? { planId: rule.planId } : {}),
+      ...(rule.withdrawFee !== undefined ? { withdrawFee: rule.withdrawFee } : {}),
+      ...(rule.tags !== undefined ? { tags: rule.tags } : {})
+    }))
+  };
+
+  const { error } = await supabase
+    .from('settings')
+    .upsert({ key: SETTINGS_KEY, value: JSON.stringify(rules), updated_at: new Date().toISOString() }, { onConflict: 'key' });
+
+  if (error) {
+    throw error;
+  }
+
+  return rules;
+}
+
+function parseTags(tags) {
+  if (Array.isArray(tags)) return tags.filter(Boolean);
+  if (typeof tags === 'string') return tags.split(',').map(tag => tag.trim()).filter(Boolean);
+  return [];
+}
+
+/**
+ * Map a Tookan customer profile (or webhook payload) to the fields rules see
+ */
+function toCustomerData(customer) {
+  const vendorId = String(customer.vendor_id || customer.customer_id);
+  const address = customer.customer_address || customer.address || '';
+
+  return {
+    customerId: vendorId,
+    vendorId,
+    customerName: customer.customer_username || customer.name || customer.first_name || '',
+    customerPhone: customer.customer_phone || customer.phone_no || customer.phone || '',
+    customerEmail: customer.customer_email || customer.email || '',
+    pickupAddress: address,
+    city: tagService.extractCityFromAddress(address)
+  };
+}
+
+/**
+ * Get the merchants row of a vendor
+ */
+async function getMerchant(vendorId) {
+  const { data, error } = await supabase
+    .from('merchants')
+    .select('customer_id, merchant_id, plan_id, withdraw_fees, tags')
+    .eq('merchant_id', vendorId)
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Onboard a customer seen for the first time
+ * A customer is onboarded once; later calls for the same vendor return null.
+ * @param {Object} customer - Tookan customer profile or customer webhook payload
+ * @returns {Promise<Object|null>} The customer_onboarding record, or null if nothing was done
+ */
+async function onboardCustomer(customer) {
+  if (!isConfigured()) return null;
+
+  const config = await loadOnboardingRules();
+  if (!config.enabled) return null;
+
+  const data = toCustomerData(customer);
+  const vendorId = parseInt(data.vendorId);
+  if (!vendorId) return null;
+
+  const record = await onboardingModel.createRecord({
+    vendor_id: vendorId,
+    customer_name: data.customerName || null,
+    customer_email: data.customerEmail || null,
+    customer_phone: data.customerPhone || null
+  });
+  if (!record) return null;
+
+  const actions = [];
+
+  try {
+    const rule = (config.rules || []).find(candidate => tagRules.evaluate(candidate.condition, data).matched) || null;
+    const planId = rule && rule.planId !== undefined ? rule.planId : config.defaultPlanId;
+    const withdrawFee = rule && rule.withdrawFee !== undefined ? rule.withdrawFee : config.defaultWithdrawFee;
+
+    const plan = planId ? await plansModel.getPlanById(planId) : null;
+    const merchant = await getMerchant(vendorId);
+    const updates = {};
+
+    // Never override a plan or fee ops already set
+    if (!plan) {
+      actions.push({ step: 'plan', status: 'skipped', detail: planId ? `Plan ${planId} not found` : 'No plan configured' });
+    } else if (merchant && merchant.plan_id) {
+      actions.push({ step: 'plan', status: 'skipped', detail: 'Merchant already has a plan' });
+    } else {
+      updates.plan_id = plan.id;
+    }
+
+    if (withdrawFee === null || withdrawFee === undefined) {
+      actions.push({ step: 'withdraw_fees', status: 'skipped', detail: 'No withdrawal fee configured' });
+    } else if (merchant && merchant.withdraw_fees !== null && merchant.withdraw_fees !== undefined) {
+      actions.push({ step: 'withdraw_fees', status: 'skipped', detail: 'Merchant already has a withdrawal fee' });
+    } else {
+      updates.withdraw_fees = withdrawFee;
+    }
+
+    const currentTags = parseTags(merchant ? merchant.tags : customer.tags);
+    // Tag rules see the plan the merchant ends up with
+    const effectivePlan = updates.plan_id ? plan : (merchant && merchant.plan_id ? await plansModel.getPlanById(merchant.plan_id) : null);
+    const ruleTags = await tagService.suggestTags({ ...data, plan: effectivePlan ? effectivePlan.name : undefined });
+    const tags = Array.from(new Set([...currentTags, ...ruleTags, ...(rule && rule.tags ? rule.tags : [])]));
+    updates.tags = tags.join(',');
+
+    const { error: merchantError } = merchant
+      ? await supabase.from('merchants').update(updates).eq('customer_id', merchant.customer_id)
+      : await supabase.from('merchants').insert({
+        customer_id: vendorId,
+        merchant_id: vendorId,
+        customer_username: data.customerName || null,
+        customer_phone: data.customerPhone || null,
+        customer_email: data.customerEmail || null,
+        customer_address: data.pickupAddress || null,
+        ...updates,
+        synced_at: new Date().toISOString()
+      });
+
+    const merchantStatus = merchantError ? 'failed' : 'applied';
+    const merchantDetail = merchantError ? merchantError.message : null;
+    if (updates.plan_id) {
+      actions.push({ step: 'plan', status: merchantStatus, detail: merchantDetail || plan.name });
+    }
+    if (updates.withdraw_fees !== undefined) {
+      actions.push({ step: 'withdraw_fees', status: merchantStatus, detail: merchantDetail || String(withdrawFee) });
+    }
+    actions.push({ step: 'tags', status: merchantStatus, detail: merchantDetail || (tags.join(', ') || 'No tags') });
+
+    if (!config.pushTags || tags.length === 0) {
+      actions.push({ step: 'tookan_tags', status: 'skipped', detail: config.pushTags ? 'No tags' : 'Pushing tags is disabled' });
+    } else {
+      try {
+        const response = await tookanClient.editCustomer({ customer_id: vendorId, tags: tags.join(',') });
+        actions.push(tookanClient.isSuccess(response)
+          ? { step: 'tookan_tags', status: 'applied', detail: null }
+          : { step: 'tookan_tags', status: 'failed', detail: response.message || `Tookan returned status ${response.status}` });
+      } catch (tookanError) {
+        actions.push({ step: 'tookan_tags', status: 'failed', detail: tookanError.message });
+      }
+    }
+
+    const failed = actions.filter(action => action.status === 'failed');
+    console.log(`👤 Onboarded customer ${vendorId}${rule ? ` (rule '${rule.name}')` : ''}: ${failed.length} failed step(s)`);
+
+    return await onboardingModel.updateRecord(record.id, {
+      status: failed.length === 0 ? 'completed' : 'partial',
+      matched_rule: rule ? rule.name : null,
+      plan_id: updates.plan_id || null,
+      withdraw_fees: updates.withdraw_fees !== undefined ? updates.withdraw_fees : null,
+      tags,
+      actions,
+      error: failed.length > 0 ? failed.map(action => `${action.step}: ${action.detail}`).join('; ') : null
+    });
+  } catch (error) {
+    console.error(`❌ Customer onboarding failed for ${vendorId}:`, error.message);
+    return onboardingModel.updateRecord(record.id, { status: 'failed', actions, error: error.message });
+  }
+}
+
+module.exports = {
+  DEFAULT_ONBOARDING_RULES,
+  loadOnboardingRules,
+  validateOnboardingRules,
+  saveOnboardingRules,
+  onboardCustomer
+};
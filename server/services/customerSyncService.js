@@ -6,22 +6,10 @@
  */
 
 require('dotenv').config();
-const fetch = require('node-fetch');
 const { isConfigured } = require('../db/supabase');
 const customerModel = require('../db/models/customers');
-
-const TOOKAN_API_BASE = 'https://api.tookanapp.com/v2';
-
-/**
- * Get API key from environment
- */
-function getApiKey() {
-    const apiKey = process.env.TOOKAN_API_KEY;
-    if (!apiKey) {
-        throw new Error('TOOKAN_API_KEY not configured');
-    }
-    return apiKey;
-}
+const tookanClient = require('./tookanClient');
+const customerOnboardingService = require('./customerOnboardingService');
 
 /**
  * Sleep helper
@@ -35,7 +23,6 @@ function sleep(ms) {
  * Uses requested_page instead of offset
  */
 async function fetchAllCustomerIds() {
-    const apiKey = getApiKey();
     const allCustomerIds = [];
     let page = 1;
     let totalPages = 1;
@@ -44,19 +31,11 @@ async function fetchAllCustomerIds() {
 
     do {
         try {
-            const response = await fetch(`${TOOKAN_API_BASE}/get_all_customers`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    api_key: apiKey,
-                    is_pagination: 1,
-                    requested_page: page
-                }),
-                timeout: 30000
+            const data = await tookanClient.getAllCustomers({
+                is_pagination: 1,
+                requested_page: page
             });
 
-            const data = await response.json();
-
             if (data.status === 200 && Array.isArray(data.data)) {
                 // Get total pages on first request
                 if (page === 1 && data.total_page_count) {
@@ -95,20 +74,8 @@ async function fetchAllCustomerIds() {
  * Response format: { data: { cust_details: [{ customer_id, customer_username, customer_phone, customer_email, customer_address, ... }] } }
  */
 async function fetchCustomerProfile(customerId) {
-    const apiKey = getApiKey();
-
     try {
-        const response = await fetch(`${TOOKAN_API_BASE}/view_customer_profile`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                api_key: apiKey,
-                customer_id: customerId
-            }),
-            timeout: 15000
-        });
-
-        const data = await response.json();
+        const data = await tookanClient.viewCustomerProfile({ customer_id: customerId }, { timeoutMs: 15000 });
 
         // API returns data.cust_details array
         if (data.status === 200 && data.data && data.data.cust_details && data.data.cust_details.length > 0) {
@@ -233,11 +200,14 @@ async function handleCustomerWebhook(payload) {
             console.log(`   ${deleted ? '✅ Deleted' : '⚠️  Not found'}: vendor_id ${vendorId}`);
             return { success: true, action: 'deleted' };
         } else {
+            const isNew = !(await customerModel.getCustomerById(vendorId));
+
             // For add/update, fetch fresh data from Tookan
             const profile = await fetchCustomerProfile(vendorId);
+            let customer;
 
             if (profile) {
-                const customer = await customerModel.upsertCustomer({
+                customer = await customerModel.upsertCustomer({
                     vendor_id: profile.customer_id,
                     customer_name: profile.customer_username || profile.first_name || null,
                     customer_phone: profile.customer_phone || profile.phone_no || null,
@@ -245,13 +215,23 @@ async function handleCustomerWebhook(payload) {
                     customer_address: profile.customer_address || profile.address || null
                 });
                 console.log(`   ✅ Upserted: vendor_id ${vendorId}`);
-                return { success: true, action: 'upserted', data: customer };
             } else {
                 // Fallback to webhook payload
-                const customer = await customerModel.upsertCustomer(payload);
+                customer = await customerModel.upsertCustomer(payload);
                 console.log(`   ✅ Upserted (from payload): vendor_id ${vendorId}`);
-                return { success: true, action: 'upserted', data: customer };
             }
+
+            // A new sign-up gets its plan, withdrawal fee and tags from the onboarding rules
+            let onboarding = null;
+            if (isNew && customer) {
+                try {
+                    onboarding = await customerOnboardingService.onboardCustomer(profile || { ...payload, vendor_id: vendorId });
+                } catch (onboardingError) {
+                    console.error(`   ⚠️  Onboarding failed for vendor_id ${vendorId}:`, onboardingError.message);
+                }
+            }
+
+            return { success: true, action: 'upserted', data: customer, onboarding };
         }
     } catch (error) {
         console.error('❌ Webhook handler error:', error.message);
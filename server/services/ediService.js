@@ -1,8 +1,22 @@
-const fetch = require('node-fetch');
+const crypto = require('crypto');
 require('dotenv').config();
+const idempotencyKeysModel = require('../db/models/ediIdempotencyKeys');
+const taskHistoryModel = require('../db/models/taskHistory');
+const orderSyncService = require('./orderSyncService');
+const tookanClient = require('./tookanClient');
+const { supabase, isConfigured } = require('../db/supabase');
 
-const TOOKAN_API_BASE = 'https://api.tookanapp.com/v2';
-const TOOKAN_API_KEY = process.env.TOOKAN_API_KEY;
+// Bulk creation limits
+const BULK_MAX_ORDERS = 500;
+const BULK_CONCURRENCY = parseInt(process.env.EDI_BULK_CONCURRENCY) || 5;
+
+const REQUIRED_FIELDS = ['pickup_address', 'delivery_address', 'order_reference'];
+
+// A reservation older than this that never reached Tookan is treated as abandoned
+// (e.g. the process died mid-request)
+const IDEMPOTENCY_IN_PROGRESS_TIMEOUT_MS = 2 * 60 * 1000;
+// Delays between attempts to store the response of a created order
+const IDEMPOTENCY_COMPLETE_RETRY_DELAYS_MS = [250, 1000, 3000];
 
 // Map internal status codes to human readable strings
 const STATUS_MAP = {
@@ -18,6 +32,104 @@ const STATUS_MAP = {
     10: 'Deleted'
 };
 
+// Once any task of an order reaches one of these statuses the merchant can no longer
+// cancel or amend it (Started, Successful, Failed, InProgress/Arrived, Cancel, Deleted)
+const LOCKED_STATUSES = [1, 2, 3, 4, 9, 10];
+
+// Tookan job_status used to cancel a task (kept in Tookan, unlike delete_task)
+const CANCEL_STATUS = 9;
+
+// Fields a merchant may amend, mapped to their Tookan edit_task field
+// cod_amount has no direct field and is sent as COD_Amount meta_data
+const EDITABLE_FIELDS = {
+    delivery_datetime: 'job_delivery_datetime',
+    delivery_address: 'customer_address',
+    delivery_latitude: 'latitude',
+    delivery_longitude: 'longitude',
+    delivery_phone: 'customer_phone',
+    cod_amount: null
+};
+
+/**
+ * Collect the template/meta_data fields of a Tookan job
+ * @param {Object} job - Tookan job
+ * @returns {Array<{label: string, data: *}>}
+ */
+function getJobFields(job) {
+    return [
+        ...(Array.isArray(job.meta_data) ? job.meta_data : []),
+        ...(Array.isArray(job.custom_field) ? job.custom_field : []),
+        ...(Array.isArray(job.pickup_meta_data) ? job.pickup_meta_data : [])
+    ].filter(f => f && f.label);
+}
+
+/**
+ * Extract the EDI merchant that created a job from its Merchant_ID meta_data
+ * Works on Tookan job payloads and on cached task rows (via raw_data).
+ * @param {Object} job - Tookan job or cached task
+ * @returns {string|null} Merchant ID or null when the job was not created via EDI
+ */
+function extractMerchantId(job) {
+    if (!job || typeof job !== 'object') return null;
+
+    const field = getJobFields(job).find(f => f.label === 'Merchant_ID' && f.data);
+    if (field) {
+        return String(field.data);
+    }
+
+    return job.raw_data ? extractMerchantId(job.raw_data) : null;
+}
+
+/**
+ * Validate an EDI order payload
+ * @param {Object} orderData - The order data from the EDI request
+ * @returns {Array<{field: string, message: string}>} Field-level errors (empty when valid)
+ */
+function validateOrder(orderData) {
+    const errors = [];
+
+    if (!orderData || typeof orderData !== 'object' || Array.isArray(orderData)) {
+        return [{ field: 'order', message: 'Order must be an object' }];
+    }
+
+    REQUIRED_FIELDS.forEach(field => {
+        const value = orderData[field];
+        if (value === undefined || value === null || String(value).trim() === '') {
+            errors.push({ field, message: `${field} is required` });
+        }
+    });
+
+    if (orderData.cod_amount !== undefined && orderData.cod_amount !== null && orderData.cod_amount !== '') {
+        const cod = Number(orderData.cod_amount);
+        if (isNaN(cod) || cod < 0) {
+            errors.push({ field: 'cod_amount', message: 'cod_amount must be a non-negative number' });
+        }
+    }
+
+    [['pickup_latitude', 90], ['delivery_latitude', 90], ['pickup_longitude', 180], ['delivery_longitude', 180]]
+        .forEach(([field, limit]) => {
+            const value = orderData[field];
+            if (value === undefined || value === null || value === '') return;
+            const num = Number(value);
+            if (isNaN(num) || Math.abs(num) > limit) {
+                errors.push({ field, message: `${field} must be a number between -${limit} and ${limit}` });
+            }
+        });
+
+    ['pickup_datetime', 'delivery_datetime'].forEach(field => {
+        const value = orderData[field];
+        if (value && isNaN(Date.parse(value))) {
+            errors.push({ field, message: `${field} must be a valid date/time (YYYY-MM-DD HH:mm:ss)` });
+        }
+    });
+
+    if (orderData.delivery_email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(orderData.delivery_email)) {
+        errors.push({ field: 'delivery_email', message: 'delivery_email must be a valid email address' });
+    }
+
+    return errors;
+}
+
 /**
  * Create a new task in Tookan
  * @param {Object} orderData - The order data from the EDI request
@@ -37,7 +149,6 @@ async function createOrder(orderData, merchantId) {
 
     // Structure the payload for Tookan v2/create_task
     const payload = {
-        api_key: TOOKAN_API_KEY,
         order_id: orderData.order_reference,
         job_description: orderData.delivery_instructions || '',
 
@@ -90,13 +201,7 @@ async function createOrder(orderData, merchantId) {
     console.log('Sending payload to Tookan:', JSON.stringify(payload, null, 2));
 
     try {
-        const response = await fetch(`${TOOKAN_API_BASE}/create_task`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
-
-        const data = await response.json();
+        const data = await tookanClient.createTask(payload);
 
         if (data.status === 200) {
             return {
@@ -118,58 +223,601 @@ async function createOrder(orderData, merchantId) {
             };
         }
     } catch (error) {
+        // Rethrow the TookanApiError as is: callers need its code to tell whether the request left
         console.error('Network Error during order creation:', error);
-        throw new Error('Network error interacting with Tookan API');
+        throw error;
     }
 }
 
 /**
- * Get the status of an order using Tookan's get_job_details
- * @param {string|number} jobId - The Tookan job_id
+ * Hash an order payload independent of key order, for idempotency comparisons
  */
-async function getOrderStatus(jobId) {
-    const payload = {
-        api_key: TOOKAN_API_KEY,
-        job_ids: [jobId],
-        include_task_history: 0,
-        job_additional_info: 1,
-        include_job_report: 0
+function hashOrderPayload(orderData) {
+    const canonical = (value) => {
+        if (Array.isArray(value)) return value.map(canonical);
+        if (value && typeof value === 'object') {
+            return Object.keys(value).sort().reduce((acc, key) => {
+                acc[key] = canonical(value[key]);
+                return acc;
+            }, {});
+        }
+        return value;
     };
 
-    try {
-        const response = await fetch(`${TOOKAN_API_BASE}/get_job_details`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
+    return crypto.createHash('sha256').update(JSON.stringify(canonical(orderData))).digest('hex');
+}
+
+/**
+ * Store the response of a created order against its key, retrying on failure
+ * If every attempt fails the key stays 'creating': retries are refused rather than
+ * creating a second task, and the created order is still returned to this caller.
+ */
+async function completeKeyWithRetry(id, result) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            await idempotencyKeysModel.completeKey(id, result.job_id, result);
+            return true;
+        } catch (error) {
+            if (attempt >= IDEMPOTENCY_COMPLETE_RETRY_DELAYS_MS.length) {
+                console.error(`Failed to store idempotent response for job ${result.job_id} (key ${id} left creating):`, error.message);
+                return false;
+            }
+            await new Promise(resolve => setTimeout(resolve, IDEMPOTENCY_COMPLETE_RETRY_DELAYS_MS[attempt]));
+        }
+    }
+}
 
-        const data = await response.json();
+/**
+ * Whether a failed Tookan call is known not to have reached Tookan
+ */
+function requestNeverSent(error) {
+    return error instanceof tookanClient.TookanApiError &&
+        (error.code === 'not_configured' || (error.code === 'network' && error.connectFailed === true));
+}
 
-        if (data.status === 200 && data.data && data.data.length > 0) {
-            const job = data.data[0];
+/**
+ * Create a task in Tookan at most once per merchant + idempotency key
+ * Falls back to the order_reference when no Idempotency-Key header was sent.
+ * A repeat with the same payload returns the original result (replayed: true);
+ * a repeat with a different payload returns { success: false, conflict: true }.
+ * @param {Object} orderData - The order data from the EDI request
+ * @param {string} merchantId - The merchant ID from the token
+ * @param {string} [idempotencyKey] - Value of the Idempotency-Key header
+ */
+async function createOrderIdempotent(orderData, merchantId, idempotencyKey) {
+    if (!isConfigured()) {
+        return createOrder(orderData, merchantId);
+    }
+
+    const key = idempotencyKey ? String(idempotencyKey) : `ref:${orderData.order_reference}`;
+    const requestHash = hashOrderPayload(orderData);
+
+    let { reserved, record } = await idempotencyKeysModel.reserveKey(merchantId, key, requestHash);
+
+    if (!reserved && record) {
+        if (record.request_hash !== requestHash) {
             return {
-                success: true,
-                status: STATUS_MAP[job.job_status] || 'Unknown',
-                fleet_id: job.fleet_id,
-                fleet_name: job.fleet_name,
-                job_status: job.job_status,
-                job_id: job.job_id,
-                job_delivery_datetime: job.job_delivery_datetime,
-                job_type: job.job_type
+                success: false,
+                conflict: true,
+                message: `Idempotency key "${key}" was already used with a different payload`
             };
-        } else {
+        }
+
+        if (record.status === 'completed') {
+            return { ...record.response, success: true, replayed: true };
+        }
+
+        const age = Date.now() - new Date(record.created_at).getTime();
+        if (record.status === 'creating' && age >= IDEMPOTENCY_IN_PROGRESS_TIMEOUT_MS) {
+            // Sent to Tookan but the outcome was never stored: the task may exist
             return {
                 success: false,
-                message: data.message || 'Order not found'
+                conflict: true,
+                message: `The order for idempotency key "${key}" was sent to Tookan but its result was not recorded; check the order status before retrying with a new key`
+            };
+        }
+        if (age < IDEMPOTENCY_IN_PROGRESS_TIMEOUT_MS) {
+            return {
+                success: false,
+                conflict: true,
+                message: `A request with idempotency key "${key}" is still being processed`
+            };
+        }
+
+        // Abandoned before reaching Tookan - take it over
+        await idempotencyKeysModel.releaseKey(record.id, ['in_progress']);
+        ({ reserved, record } = await idempotencyKeysModel.reserveKey(merchantId, key, requestHash));
+    }
+
+    if (!reserved || !record) {
+        return {
+            success: false,
+            conflict: true,
+            message: `A request with idempotency key "${key}" is still being processed`
+        };
+    }
+
+    let sending;
+    try {
+        sending = await idempotencyKeysModel.markCreating(record.id);
+    } catch (error) {
+        await idempotencyKeysModel.releaseKey(record.id, ['in_progress'])
+            .catch(err => console.error('Failed to release idempotency key:', err.message));
+        throw error;
+    }
+    if (!sending) {
+        // Taken over by another request in the meantime
+        return {
+            success: false,
+            conflict: true,
+            message: `A request with idempotency key "${key}" is still being processed`
+        };
+    }
+
+    let result;
+    try {
+        result = await createOrder(orderData, merchantId);
+    } catch (error) {
+        if (!requestNeverSent(error)) {
+            // Tookan may have created the task (e.g. timeout): keep the key 'creating' so retries
+            // get the "sent to Tookan but its result was not recorded" conflict instead of a duplicate
+            console.error(`Order for idempotency key "${key}" may have reached Tookan (key ${record.id} left creating):`, error.message);
+            throw error;
+        }
+        await idempotencyKeysModel.releaseKey(record.id, ['in_progress', 'creating'])
+            .catch(err => console.error('Failed to release idempotency key:', err.message));
+        throw error;
+    }
+
+    if (result.success) {
+        await completeKeyWithRetry(record.id, result);
+    } else {
+        // Nothing was created, so let the partner retry with the same key
+        await idempotencyKeysModel.releaseKey(record.id)
+            .catch(err => console.error('Failed to release idempotency key:', err.message));
+    }
+
+    return result;
+}
+
+/**
+ * Run an async worker over items with at most `limit` in flight
+ */
+async function runWithConcurrency(items, limit, worker) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const item = items[next++];
+            await worker(item);
+        }
+    });
+    await Promise.all(runners);
+}
+
+/**
+ * Create many tasks in Tookan, validating each order independently
+ * Invalid rows and Tookan failures are reported per item and never abort the batch.
+ * Rows whose order_reference was already created are replayed, not duplicated.
+ * @param {Array<Object>} orders - Order payloads from the EDI request
+ * @param {string} merchantId - The merchant ID from the token
+ * @returns {Object} { total, succeeded, failed, results[] } with results in request order
+ */
+async function createOrdersBulk(orders, merchantId) {
+    const results = new Array(orders.length);
+    const seenReferences = new Set();
+    const pending = [];
+
+    orders.forEach((orderData, index) => {
+        const errors = validateOrder(orderData);
+        const reference = orderData && orderData.order_reference ? String(orderData.order_reference) : null;
+
+        if (reference) {
+            if (seenReferences.has(reference)) {
+                errors.push({ field: 'order_reference', message: 'Duplicate order_reference within this batch' });
+            }
+            seenReferences.add(reference);
+        }
+
+        if (errors.length > 0) {
+            results[index] = { index, order_reference: reference, status: 'error', errors };
+        } else {
+            pending.push(index);
+        }
+    });
+
+    await runWithConcurrency(pending, BULK_CONCURRENCY, async (index) => {
+        const orderData = orders[index];
+        const reference = String(orderData.order_reference);
+
+        try {
+            // Bulk items have no per-item header, so order_reference is the idempotency key
+            const result = await createOrderIdempotent(orderData, merchantId);
+            if (result.success) {
+                results[index] = {
+                    index,
+                    order_reference: reference,
+                    status: 'success',
+                    job_id: result.job_id,
+                    pickup_job_id: result.pickup_job_id,
+                    tracking_link: result.tracking_link,
+                    pickup_tracking_link: result.pickup_tracking_link,
+                    replayed: !!result.replayed
+                };
+            } else {
+                results[index] = {
+                    index,
+                    order_reference: reference,
+                    status: 'error',
+                    errors: [{ field: result.conflict ? 'order_reference' : 'tookan', message: result.message }]
+                };
+            }
+        } catch (error) {
+            results[index] = {
+                index,
+                order_reference: reference,
+                status: 'error',
+                errors: [{ field: 'tookan', message: error.message }]
             };
         }
+    });
+
+    const succeeded = results.filter(r => r.status === 'success').length;
+
+    return {
+        total: orders.length,
+        succeeded,
+        failed: orders.length - succeeded,
+        results
+    };
+}
+
+/**
+ * Fetch a single job from Tookan's get_job_details
+ * @param {string|number} jobId - The Tookan job_id
+ * @returns {Object|null} The Tookan job, or null when it does not exist
+ */
+async function getJob(jobId) {
+    try {
+        const data = await tookanClient.getJobDetails({
+            job_ids: [jobId],
+            include_task_history: 0,
+            job_additional_info: 1,
+            include_job_report: 0
+        });
+
+        if (data.status === 200 && data.data && data.data.length > 0) {
+            return data.data[0];
+        }
+        return null;
     } catch (error) {
         console.error('Error fetching order status:', error);
         throw new Error('Failed to fetch order status');
     }
 }
 
+/**
+ * Check whether a job belongs to a merchant
+ * Matches the Merchant_ID meta_data set on EDI creation, or the Tookan vendor/customer ID.
+ * @param {Object} job - Tookan job
+ * @param {string} merchantId - The merchant ID from the token
+ */
+function isOwnedByMerchant(job, merchantId) {
+    if (!job || merchantId === undefined || merchantId === null) return false;
+
+    const owner = String(merchantId);
+    if (extractMerchantId(job) === owner) return true;
+
+    const vendorId = job.vendor_id || job.customer_id;
+    return vendorId !== undefined && vendorId !== null && String(vendorId) === owner;
+}
+
+/**
+ * Shape a Tookan job into the EDI status response
+ */
+function formatOrderStatus(job) {
+    return {
+        status: STATUS_MAP[job.job_status] || 'Unknown',
+        fleet_id: job.fleet_id,
+        fleet_name: job.fleet_name,
+        job_status: job.job_status,
+        job_id: job.job_id,
+        job_delivery_datetime: job.job_delivery_datetime,
+        job_type: job.job_type
+    };
+}
+
+/**
+ * Get the status of an order owned by a merchant
+ * Orders of other merchants are reported exactly like missing ones.
+ * @param {string|number} jobId - The Tookan job_id
+ * @param {string} merchantId - The merchant ID from the token
+ */
+async function getOrderStatus(jobId, merchantId) {
+    const job = await getJob(jobId);
+
+    if (!job) {
+        return { success: false, message: 'Order not found' };
+    }
+
+    if (!isOwnedByMerchant(job, merchantId)) {
+        return { success: false, forbidden: true, message: 'Order not found' };
+    }
+
+    return { success: true, ...formatOrderStatus(job) };
+}
+
+/**
+ * Read the current value of an editable EDI field from a Tookan job
+ */
+function getOrderField(job, field) {
+    switch (field) {
+        case 'delivery_datetime':
+            return job.job_delivery_datetime || null;
+        case 'delivery_address':
+            return job.job_address || job.customer_address || null;
+        case 'delivery_latitude':
+            return job.job_latitude || job.latitude || null;
+        case 'delivery_longitude':
+            return job.job_longitude || job.longitude || null;
+        case 'delivery_phone':
+            return job.customer_phone || job.job_delivery_phone || null;
+        case 'cod_amount': {
+            const cod = getJobFields(job).find(f => f.label === 'COD_Amount');
+            return cod && cod.data !== '' ? cod.data : null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Shape a Tookan job into the full EDI order response (status plus amendable fields)
+ */
+function formatOrder(job) {
+    const order = {
+        ...formatOrderStatus(job),
+        order_reference: job.order_id
+    };
+
+    Object.keys(EDITABLE_FIELDS).forEach(field => {
+        order[field] = getOrderField(job, field);
+    });
+
+    return order;
+}
+
+/**
+ * Validate an EDI order amendment
+ * @param {Object} updates - Fields to change (keys of EDITABLE_FIELDS)
+ * @returns {Array<{field: string, message: string}>} Field-level errors (empty when valid)
+ */
+function validateOrderUpdate(updates) {
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+        return [{ field: 'order', message: 'Update must be an object' }];
+    }
+
+    const fields = Object.keys(updates);
+    if (fields.length === 0) {
+        return [{ field: 'order', message: `Provide at least one of: ${Object.keys(EDITABLE_FIELDS).join(', ')}` }];
+    }
+
+    const errors = fields
+        .filter(field => !(field in EDITABLE_FIELDS))
+        .map(field => ({ field, message: `${field} cannot be changed` }));
+
+    ['delivery_address', 'delivery_phone', 'delivery_datetime', 'cod_amount'].forEach(field => {
+        if (field in updates && (updates[field] === null || String(updates[field]).trim() === '')) {
+            errors.push({ field, message: `${field} cannot be empty` });
+        }
+    });
+
+    if (('delivery_latitude' in updates) !== ('delivery_longitude' in updates)) {
+        errors.push({ field: 'delivery_latitude', message: 'delivery_latitude and delivery_longitude must be changed together' });
+    }
+
+    // Reuse the create-time format checks for the fields being changed
+    validateOrder(updates)
+        .filter(error => fields.includes(error.field) && !errors.some(e => e.field === error.field))
+        .forEach(error => errors.push(error));
+
+    return errors;
+}
+
+/**
+ * Load every task of the order a job belongs to (pickup + delivery pair)
+ * Siblings are found through the cached tasks table and re-read from Tookan
+ * so their status is current. Jobs of other merchants are never included.
+ * @param {Object} job - Tookan job already owned by the merchant
+ * @param {string} merchantId - The merchant ID from the token
+ * @returns {Array<Object>} The job followed by its connected jobs
+ */
+async function getOrderJobs(job, merchantId) {
+    const relationshipId = job.pickup_delivery_relationship;
+    if (!relationshipId || !isConfigured()) {
+        return [job];
+    }
+
+    const { data, error } = await supabase
+        .from('tasks')
+        .select('job_id')
+        .eq('raw_data->>pickup_delivery_relationship', String(relationshipId));
+
+    if (error) {
+        console.warn('Failed to load connected tasks:', error.message);
+        return [job];
+    }
+
+    const siblingIds = [...new Set((data || []).map(task => String(task.job_id)))]
+        .filter(id => id !== String(job.job_id));
+    const siblings = await Promise.all(siblingIds.map(id => getJob(id)));
+
+    return [job, ...siblings.filter(sibling => sibling && isOwnedByMerchant(sibling, merchantId))];
+}
+
+/**
+ * Explain why an order can no longer be changed
+ * @returns {string|null} Reason, or null while every task is still editable
+ */
+function getLockReason(jobs, action) {
+    const locked = jobs.find(job => LOCKED_STATUSES.includes(parseInt(job.job_status)));
+    return locked
+        ? `Order cannot be ${action} once it is ${STATUS_MAP[locked.job_status] || 'closed'}`
+        : null;
+}
+
+/**
+ * Record an EDI change in task_history
+ * History is best effort: Tookan already holds the change, so failures are only logged.
+ */
+async function recordHistory(jobId, field, oldValue, newValue) {
+    if (!isConfigured()) return;
+
+    try {
+        await taskHistoryModel.addHistoryEntry(jobId, {
+            field,
+            old_value: oldValue,
+            new_value: newValue,
+            source: 'edi'
+        });
+    } catch (error) {
+        console.warn(`Failed to record EDI history for job ${jobId}:`, error.message);
+    }
+}
+
+/**
+ * Amend an order that has not been started yet
+ * Delivery fields are applied to the delivery task of the order.
+ * @param {Object} job - Tookan job already owned by the merchant
+ * @param {Object} updates - Validated fields to change (see EDITABLE_FIELDS)
+ * @param {string} merchantId - The merchant ID from the token
+ * @returns {Object} { success, order } or { success: false, locked?, message }
+ */
+async function updateOrder(job, updates, merchantId) {
+    const jobs = await getOrderJobs(job, merchantId);
+
+    const lockReason = getLockReason(jobs, 'updated');
+    if (lockReason) {
+        return { success: false, locked: true, message: lockReason };
+    }
+
+    const target = jobs.find(j => parseInt(j.job_type) === 1) || job;
+    const payload = { job_id: parseInt(target.job_id) };
+
+    Object.entries(updates).forEach(([field, value]) => {
+        if (EDITABLE_FIELDS[field]) {
+            payload[EDITABLE_FIELDS[field]] = String(value);
+        }
+    });
+
+    if ('cod_amount' in updates) {
+        // edit_task replaces the template data, so resend the other fields (Merchant_ID, Source)
+        const metaData = getJobFields(target)
+            .filter(f => f.label !== 'COD_Amount' && f.data !== undefined)
+            .map(f => ({ label: f.label, data: f.data }));
+        metaData.push({ label: 'COD_Amount', data: String(updates.cod_amount) });
+
+        payload.custom_field_template = 'Same_day';
+        payload.meta_data = metaData;
+    }
+
+    const data = await tookanClient.editTask(payload);
+    if (data.status !== 200) {
+        console.error('Tookan edit_task Error:', data.message, JSON.stringify(data));
+        return { success: false, message: data.message || 'Failed to update order in Tookan' };
+    }
+
+    const oldValues = {};
+    const newValues = {};
+    Object.keys(updates).forEach(field => {
+        oldValues[field] = getOrderField(target, field);
+        newValues[field] = updates[field];
+    });
+    await recordHistory(target.job_id, 'edi_update', oldValues, newValues);
+
+    const updated = await getJob(target.job_id) || target;
+    await refreshCachedJobs([updated]);
+
+    return { success: true, order: formatOrder(updated) };
+}
+
+/**
+ * Cancel every task of an order that has not been started yet
+ * Uses update_task_status so the order stays readable with status Cancel.
+ * @param {Object} job - Tookan job already owned by the merchant
+ * @param {string} merchantId - The merchant ID from the token
+ * @param {string} [reason] - Optional cancellation reason from the merchant
+ * @returns {Object} { success, order } or { success: false, locked?, message }
+ */
+async function cancelOrder(job, merchantId, reason) {
+    const jobs = await getOrderJobs(job, merchantId);
+
+    const lockReason = getLockReason(jobs, 'cancelled');
+    if (lockReason) {
+        return { success: false, locked: true, message: lockReason };
+    }
+
+    const cancelled = [];
+    for (const orderJob of jobs) {
+        const data = await tookanClient.updateTaskStatus({
+            job_id: String(orderJob.job_id),
+            job_status: CANCEL_STATUS
+        });
+
+        if (data.status !== 200) {
+            console.error(`Tookan cancel Error for job ${orderJob.job_id}:`, data.message);
+            return {
+                success: false,
+                message: cancelled.length > 0
+                    ? `Order partially cancelled (jobs ${cancelled.join(', ')}); job ${orderJob.job_id} failed: ${data.message}`
+                    : data.message || 'Failed to cancel order in Tookan'
+            };
+        }
+
+        cancelled.push(orderJob.job_id);
+        await recordHistory(
+            orderJob.job_id,
+            'status',
+            { job_status: orderJob.job_status, status: STATUS_MAP[orderJob.job_status] || 'Unknown' },
+            { job_status: CANCEL_STATUS, status: STATUS_MAP[CANCEL_STATUS], reason: reason || null }
+        );
+    }
+
+    const refreshed = (await Promise.all(jobs.map(j => getJob(j.job_id)))).filter(Boolean);
+    await refreshCachedJobs(refreshed);
+
+    const updated = refreshed.find(j => String(j.job_id) === String(job.job_id))
+        || { ...job, job_status: CANCEL_STATUS };
+
+    return { success: true, order: formatOrder(updated) };
+}
+
+/**
+ * Write fresh Tookan jobs to the local tasks cache (best effort)
+ */
+async function refreshCachedJobs(jobs) {
+    if (!isConfigured() || jobs.length === 0) return;
+
+    try {
+        await orderSyncService.bulkUpsertTasks(jobs);
+    } catch (error) {
+        console.warn('Failed to refresh cached tasks after EDI change:', error.message);
+    }
+}
+
 module.exports = {
+    STATUS_MAP,
+    BULK_MAX_ORDERS,
+    extractMerchantId,
+    validateOrder,
     createOrder,
-    getOrderStatus
+    createOrderIdempotent,
+    createOrdersBulk,
+    getJob,
+    isOwnedByMerchant,
+    formatOrderStatus,
+    formatOrder,
+    getOrderStatus,
+    validateOrderUpdate,
+    updateOrder,
+    cancelOrder
 };
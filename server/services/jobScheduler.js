@@ -0,0 +1,383 @@
+/**
+ * Job Scheduler
+ *
+ * Runs the periodic sync jobs inside the server (they used to be crontab entries
+ * calling the sync-*.js scripts).
+ *
+ * Schedules are cron expressions in the business timezone, stored in settings under
+ * 'job_schedules':
+ *   { "sync_tookan_orders": { "cron": "*\/15 * * * *", "paused": false }, ... }
+ * Jobs missing from the setting run on their default schedule.
+ *
+ * Every server instance runs the scheduler. A run first takes the job's lease in
+ * scheduled_job_locks (acquire_job_lock), so a job never overlaps itself and each
+ * schedule slot runs on one instance only. A slot that comes up while the previous
+ * run still holds the lease is recorded as 'skipped'. Every run is recorded in
+ * scheduled_job_runs with its duration, record counts and error.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const { supabase, isConfigured } = require('../db/supabase');
+const scheduledJobsModel = require('../db/models/scheduledJobs');
+const cronExpression = require('../cronExpression');
+const { BUSINESS_TIMEZONE, getLocalParts } = require('./businessCalendarService');
+const orderSyncService = require('./orderSyncService');
+const { syncCodAmounts } = require('../../sync-cod-amounts');
+const { syncMerchants } = require('../../sync-merchants');
+
+const SETTINGS_KEY = 'job_schedules';
+const TICK_INTERVAL_MS = 30000;
+// Renewed every LEASE_SECONDS / 3 while the job runs; an expired lease can be taken again
+const LEASE_SECONDS = parseInt(process.env.JOB_SCHEDULER_LEASE_SECONDS) || 300;
+const SHUTDOWN_TIMEOUT_MS = 30000;
+
+/**
+ * The jobs. run() receives the business-local date and returns
+ * { processed, failed, result }; a thrown error fails the run.
+ */
+const JOBS = {
+  sync_tookan_orders: {
+    description: "Sync today's orders from Tookan",
+    defaultCron: '*/15 * * * *',
+    async run({ today }) {
+      const result = await orderSyncService.syncOrders({ dateFrom: today, dateTo: today });
+      if (!result.success) {
+        throw new Error(result.message);
+      }
+      return { processed: result.stats.totalSynced, failed: result.stats.totalErrors, result: result.stats };
+    }
+  },
+  sync_cod_amounts: {
+    description: "Fill in missing COD amounts of today's orders",
+    defaultCron: '5,35 * * * *',
+    async run({ today }) {
+      const result = await syncCodAmounts({ dateFrom: today, dateTo: today });
+      return { processed: result.updated, failed: result.errors, result };
+    }
+  },
+  sync_merchants: {
+    description: 'Sync merchants from Tookan customers',
+    defaultCron: '0 */6 * * *',
+    async run() {
+      const result = await syncMerchants();
+      return { processed: result.upserted, failed: result.errors, result };
+    }
+  },
+  sync_tags_backfill: {
+    description: "Backfill tags of today's orders",
+    defaultCron: '10,40 * * * *',
+    async run({ today }) {
+      const result = await orderSyncService.syncTaskTags({ dateFrom: today, dateTo: today });
+      if (!result.success) {
+        throw new Error(result.message);
+      }
+      return { processed: result.stats.totalUpdated, failed: result.stats.totalErrors, result: result.stats };
+    }
+  }
+};
+
+const scheduler = {
+  id: `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`,
+  timer: null,
+  ticking: false,
+  lastSlot: null,
+  running: new Map() // job name -> run promise
+};
+
+/**
+ * Load the schedules (defaults for jobs not in settings)
+ * @returns {Object} job name -> { cron, paused }
+ */
+async function loadSchedules() {
+  let saved = {};
+
+  if (isConfigured()) {
+    const { data, error } = await supabase
+      .from('settings')
+      .select('value')
+      .eq('key', SETTINGS_KEY)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    try {
+      saved = data ? JSON.parse(data.value) : {};
+    } catch (parseError) {
+      console.error('Invalid job schedules in settings:', parseError.message);
+    }
+  }
+
+  const schedules = {};
+  for (const [name, job] of Object.entries(JOBS)) {
+    const entry = saved[name] || {};
+    schedules[name] = {
+      cron: entry.cron && !cronExpression.validate(entry.cron) ? entry.cron : job.defaultCron,
+      paused: entry.paused === true
+    };
+  }
+  return schedules;
+}
+
+async function saveSchedules(schedules) {
+  const { error } = await supabase
+    .from('settings')
+    .upsert({ key: SETTINGS_KEY, value: JSON.stringify(schedules), updated_at: new Date().toISOString() }, { onConflict: 'key' });
+
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * Take the lease and record the run
+ * @returns {Object} { outcome: 'started'|'locked'|'already_run', run, done }
+ *   done resolves with the finished run once the job completes.
+ */
+async function startRun(name, { trigger, scheduledFor = null, triggeredBy = null }) {
+  const lock = await scheduledJobsModel.acquireLock(name, scheduler.id, LEASE_SECONDS, scheduledFor);
+
+  if (lock === 'already_run') {
+    return { outcome: 'already_run' };
+  }
+
+  if (lock === 'locked') {
+    let run = null;
+    // Record the overlap once per slot; a manual trigger is refused instead
+    if (trigger === 'schedule') {
+      const now = new Date().toISOString();
+      run = await scheduledJobsModel.createRun({
+        job_name: name,
+        trigger,
+        status: 'skipped',
+        scheduled_for: scheduledFor ? scheduledFor.toISOString() : null,
+        worker_id: scheduler.id,
+        started_at: now,
+        finished_at: now,
+        duration_ms: 0,
+        error: 'Previous run still in progress'
+      });
+      console.warn(`⏭️  Job ${name} skipped: previous run still in progress`);
+    }
+    return { outcome: 'locked', run };
+  }
+
+  let run;
+  try {
+    run = await scheduledJobsModel.createRun({
+      job_name: name,
+      trigger,
+      status: 'running',
+      scheduled_for: scheduledFor ? scheduledFor.toISOString() : null,
+      worker_id: scheduler.id,
+      triggered_by: triggeredBy
+    });
+    await scheduledJobsModel.failInterruptedRuns(name, run.id);
+  } catch (error) {
+    await scheduledJobsModel.releaseLock(name, scheduler.id).catch(() => {});
+    throw error;
+  }
+
+  const done = executeRun(name, run).finally(() => scheduler.running.delete(name));
+  scheduler.running.set(name, done);
+
+  return { outcome: 'started', run, done };
+}
+
+async function executeRun(name, run) {
+  const startedAt = Date.now();
+  console.log(`▶️  Job ${name} started (run ${run.id}, ${run.trigger})`);
+
+  const heartbeat = setInterval(() => {
+    scheduledJobsModel.renewLock(name, scheduler.id, LEASE_SECONDS)
+      .then(held => {
+        if (!held) console.warn(`⚠️  Job ${name} lost its lease; another run may start`);
+      })
+      .catch(error => console.error(`Failed to renew lease of job ${name}:`, error.message));
+  }, LEASE_SECONDS * 1000 / 3);
+
+  let outcome;
+  try {
+    const today = getLocalParts(new Date()).date;
+    const result = await JOBS[name].run({ today });
+    outcome = {
+      status: 'succeeded',
+      records_processed: result.processed ?? null,
+      records_failed: result.failed ?? null,
+      result: result.result ?? null
+    };
+    console.log(`✅ Job ${name} succeeded in ${Date.now() - startedAt}ms (${outcome.records_processed ?? 0} processed, ${outcome.records_failed ?? 0} failed)`);
+  } catch (error) {
+    outcome = { status: 'failed', error: error.message };
+    console.error(`❌ Job ${name} failed:`, error.message);
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  outcome.duration_ms = Date.now() - startedAt;
+
+  let finished = { ...run, ...outcome };
+  try {
+    finished = await scheduledJobsModel.finishRun(run.id, outcome);
+  } catch (error) {
+    console.error(`Failed to record run ${run.id} of job ${name}:`, error.message);
+  }
+
+  try {
+    await scheduledJobsModel.releaseLock(name, scheduler.id);
+  } catch (error) {
+    console.error(`Failed to release lease of job ${name}:`, error.message);
+  }
+
+  return finished;
+}
+
+/**
+ * Start the jobs due in the current minute
+ */
+async function tick() {
+  if (scheduler.ticking) return;
+  scheduler.ticking = true;
+
+  try {
+    const slot = new Date();
+    slot.setUTCSeconds(0, 0);
+    // Ticks run twice a minute; each minute is handled once
+    if (scheduler.lastSlot === slot.getTime()) return;
+    scheduler.lastSlot = slot.getTime();
+
+    const schedules = await loadSchedules();
+    for (const [name, schedule] of Object.entries(schedules)) {
+      if (schedule.paused || !cronExpression.matches(schedule.cron, slot, BUSINESS_TIMEZONE)) continue;
+
+      startRun(name, { trigger: 'schedule', scheduledFor: slot })
+        .catch(error => console.error(`Failed to start job ${name}:`, error.message));
+    }
+  } catch (error) {
+    console.error('Job scheduler tick failed:', error.message);
+  } finally {
+    scheduler.ticking = false;
+  }
+}
+
+/**
+ * Start the scheduler
+ */
+function startJobScheduler({ intervalMs = TICK_INTERVAL_MS } = {}) {
+  if (scheduler.timer) return scheduler.timer;
+
+  scheduler.timer = setInterval(tick, intervalMs);
+  tick();
+
+  console.log(`⏰ Job scheduler ${scheduler.id} started (${Object.keys(JOBS).join(', ')})`);
+  return scheduler.timer;
+}
+
+/**
+ * Stop starting jobs and wait for the running ones
+ * Runs still going after timeoutMs keep their lease until it expires.
+ * @returns {Promise<{ drained: boolean }>}
+ */
+async function stopJobScheduler(timeoutMs = SHUTDOWN_TIMEOUT_MS) {
+  if (scheduler.timer) {
+    clearInterval(scheduler.timer);
+    scheduler.timer = null;
+  }
+
+  if (scheduler.running.size === 0) return { drained: true };
+
+  console.log(`⏳ Waiting for ${scheduler.running.size} scheduled job(s) to finish...`);
+  let timeout;
+  const drained = await Promise.race([
+    Promise.allSettled([...scheduler.running.values()]).then(() => true),
+    new Promise(resolve => { timeout = setTimeout(() => resolve(false), timeoutMs); })
+  ]);
+  clearTimeout(timeout);
+
+  return { drained };
+}
+
+function isJob(name) {
+  return Object.prototype.hasOwnProperty.call(JOBS, name);
+}
+
+/**
+ * The jobs with their schedule, lease and latest run
+ */
+async function getJobs() {
+  const names = Object.keys(JOBS);
+  const [schedules, locks, lastRuns] = await Promise.all([
+    loadSchedules(),
+    scheduledJobsModel.getLocks(),
+    scheduledJobsModel.getLastRuns(names)
+  ]);
+
+  const now = new Date();
+  return names.map(name => {
+    const lock = locks.find(row => row.job_name === name);
+    const locked = !!(lock && lock.locked_until && new Date(lock.locked_until) > now);
+    const nextRun = schedules[name].paused ? null : cronExpression.nextRun(schedules[name].cron, now, BUSINESS_TIMEZONE);
+
+    return {
+      name,
+      description: JOBS[name].description,
+      cron: schedules[name].cron,
+      defaultCron: JOBS[name].defaultCron,
+      paused: schedules[name].paused,
+      running: locked,
+      lockedBy: locked ? lock.locked_by : null,
+      lockedUntil: locked ? lock.locked_until : null,
+      lastRun: lastRuns[name] || null,
+      nextRunAt: nextRun ? nextRun.toISOString() : null
+    };
+  });
+}
+
+/**
+ * Run a job now, in the background
+ * @returns {Object} { outcome: 'started'|'locked', run }
+ */
+async function triggerJob(name, triggeredBy = null) {
+  const { outcome, run, done } = await startRun(name, { trigger: 'manual', triggeredBy });
+  if (done) {
+    done.catch(error => console.error(`Job ${name} failed:`, error.message));
+  }
+  return { outcome, run };
+}
+
+/**
+ * Change a job's schedule
+ * @param {Object} changes - { cron, paused }; cron must pass cronExpression.validate
+ * @returns {Object} { previous, schedule }
+ */
+async function updateSchedule(name, changes) {
+  if (changes.cron !== undefined) {
+    const cronError = cronExpression.validate(changes.cron);
+    if (cronError) {
+      throw new Error(cronError);
+    }
+  }
+
+  const schedules = await loadSchedules();
+  const previous = { ...schedules[name] };
+  schedules[name] = {
+    cron: changes.cron !== undefined ? changes.cron.trim().split(/\s+/).join(' ') : previous.cron,
+    paused: changes.paused !== undefined ? changes.paused === true : previous.paused
+  };
+
+  await saveSchedules(schedules);
+  return { previous, schedule: schedules[name] };
+}
+
+module.exports = {
+  JOBS,
+  loadSchedules,
+  startJobScheduler,
+  stopJobScheduler,
+  isJob,
+  getJobs,
+  triggerJob,
+  updateSchedule
+};
@@ -0,0 +1,389 @@
+/**
+ * Merchant Webhook Service
+ * 
+ * Pushes signed, versioned order status events to the callback URLs that
+ * EDI merchants register, so they no longer have to poll the status endpoint.
+ * 
+ * Every delivery is logged in edi_webhook_deliveries. Failed attempts are
+ * retried on a fixed backoff schedule by the delivery worker, and admins can
+ * redeliver any event manually.
+ * 
+ * Signature: X-EDI-Signature = "sha256=" + HMAC_SHA256(secret, `${timestamp}.${body}`)
+ * where timestamp is the X-EDI-Timestamp header (unix seconds).
+ *
+ * Callback URLs may only reach public addresses: loopback, private, link-local,
+ * metadata and other reserved hosts are refused when the URL is registered and
+ * again, on the resolved IP, every time a delivery connects.
+ */
+
+const fetch = require('node-fetch');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const ediWebhooksModel = require('../db/models/ediWebhooks');
+const { STATUS_MAP, extractMerchantId } = require('./ediService');
+const { isConfigured } = require('../db/supabase');
+
+const EVENT_VERSION = '1';
+const EVENT_TYPE_STATUS_CHANGED = 'order.status_changed';
+const DELIVERY_TIMEOUT_MS = 10000;
+// Delay before retry N (after the Nth failed attempt); exhausted => failed
+const RETRY_SCHEDULE_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000, 6 * 60 * 60 * 1000];
+const WORKER_INTERVAL_MS = parseInt(process.env.EDI_WEBHOOK_WORKER_INTERVAL_MS) || 30000;
+
+// Local development only: lets callbacks point at localhost / the LAN
+const ALLOW_PRIVATE_URLS = process.env.EDI_WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+const BLOCKED_HOSTNAMES = ['localhost', 'metadata.google.internal', 'metadata'];
+
+// Addresses a merchant callback must never reach (loopback, private, link-local
+// incl. cloud metadata 169.254.169.254, CGNAT, multicast and other reserved ranges)
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+let workerTimer = null;
+let workerRunning = false;
+
+/**
+ * Sign a request body for a subscription
+ */
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Whether an IP address is one callbacks must not reach
+ */
+function isBlockedAddress(address) {
+  if (ALLOW_PRIVATE_URLS) return false;
+
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  // BlockList also matches IPv4-mapped IPv6 (::ffff:10.0.0.1) against the IPv4 ranges
+  return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check the host of a callback URL without resolving it
+ * @returns {string|null} Error message, or null when allowed
+ */
+function checkCallbackHost(hostname) {
+  if (ALLOW_PRIVATE_URLS) return null;
+
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase().replace(/\.$/, '');
+  if (BLOCKED_HOSTNAMES.includes(host) || host.endsWith('.localhost') || host.endsWith('.internal')) {
+    return 'url must not point to a local or internal host';
+  }
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    return 'url must not point to a private, loopback or reserved address';
+  }
+  return null;
+}
+
+/**
+ * dns.lookup that refuses private addresses
+ * Used as the connection lookup of deliveries, so the IP checked is the IP connected to.
+ */
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Callback host ${hostname} resolves to a blocked address (${blocked.address})`));
+    }
+
+    if (options && options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const deliveryAgents = {
+  'http:': new http.Agent({ lookup: safeLookup }),
+  'https:': new https.Agent({ lookup: safeLookup })
+};
+
+/**
+ * Validate a callback URL
+ * Literal and resolved addresses are both checked.
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+async function validateCallbackUrl(url) {
+  if (!url || typeof url !== 'string') {
+    return 'url is required';
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return 'url must be a valid absolute URL';
+  }
+
+  const allowHttp = process.env.NODE_ENV !== 'production';
+  if (parsed.protocol !== 'https:' && !(allowHttp && parsed.protocol === 'http:')) {
+    return 'url must use https';
+  }
+
+  if (parsed.username || parsed.password) {
+    return 'url must not contain credentials';
+  }
+
+  const hostError = checkCallbackHost(parsed.hostname);
+  if (hostError) {
+    return hostError;
+  }
+
+  if (!net.isIP(parsed.hostname.replace(/^\[|\]$/g, ''))) {
+    try {
+      await new Promise((resolve, reject) => {
+        safeLookup(parsed.hostname, {}, error => (error ? reject(error) : resolve()));
+      });
+    } catch (error) {
+      // DNS failures carry a code; blocked addresses do not
+      return error.code
+        ? 'url host could not be resolved'
+        : 'url must not point to a private, loopback or reserved address';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build a versioned status event from a task
+ */
+function buildStatusEvent(task, previousStatus) {
+  const status = task.job_status !== undefined && task.job_status !== null ? task.job_status : task.status;
+
+  return {
+    id: 'evt_' + crypto.randomUUID(),
+    type: EVENT_TYPE_STATUS_CHANGED,
+    version: EVENT_VERSION,
+    created_at: new Date().toISOString(),
+    data: {
+      job_id: parseInt(task.job_id) || task.job_id,
+      order_reference: task.order_id && String(task.order_id) !== String(task.job_id) ? task.order_id : null,
+      status: STATUS_MAP[status] || 'Unknown',
+      job_status: status !== undefined && status !== null ? parseInt(status) : null,
+      previous_status: previousStatus !== undefined && previousStatus !== null ? (STATUS_MAP[previousStatus] || 'Unknown') : null,
+      previous_job_status: previousStatus !== undefined && previousStatus !== null ? parseInt(previousStatus) : null,
+      fleet_id: task.fleet_id || null,
+      fleet_name: task.fleet_name || null,
+      completed_datetime: task.completed_datetime || null
+    }
+  };
+}
+
+/**
+ * Attempt one delivery and record the outcome
+ */
+async function attemptDelivery(delivery, subscription) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attemptCount = (delivery.attempt_count || 0) + 1;
+  const attemptedAt = new Date().toISOString();
+
+  let responseStatus = null;
+  let responseBody = null;
+  let errorMessage = null;
+
+  try {
+    // Re-checked on every attempt: the host may have been re-pointed since registration
+    const parsed = new URL(subscription.url);
+    const hostError = checkCallbackHost(parsed.hostname);
+    if (hostError) {
+      throw new Error(hostError);
+    }
+
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Turbo-EDI-Webhooks/1',
+        'X-EDI-Event-Id': delivery.event_id,
+        'X-EDI-Event-Type': delivery.event_type,
+        'X-EDI-Event-Version': delivery.event_version,
+        'X-EDI-Timestamp': String(timestamp),
+        'X-EDI-Signature': signPayload(subscription.secret, timestamp, body)
+      },
+      body,
+      timeout: DELIVERY_TIMEOUT_MS,
+      // Connect through safeLookup, and never follow a redirect to another host
+      agent: deliveryAgents[parsed.protocol],
+      redirect: 'manual'
+    });
+
+    responseStatus = response.status;
+    responseBody = (await response.text()).substring(0, 1000);
+    if (!response.ok) {
+      errorMessage = `Endpoint responded with HTTP ${response.status}`;
+    }
+  } catch (error) {
+    errorMessage = error.message || 'Delivery failed';
+  }
+
+  const updates = {
+    attempt_count: attemptCount,
+    last_attempt_at: attemptedAt,
+    response_status: responseStatus,
+    response_body: responseBody,
+    error_message: errorMessage
+  };
+
+  if (!errorMessage) {
+    updates.status = 'delivered';
+    updates.delivered_at = attemptedAt;
+  } else if (attemptCount > RETRY_SCHEDULE_MS.length) {
+    updates.status = 'failed';
+    console.error(`⚠️  EDI webhook delivery ${delivery.id} failed after ${attemptCount} attempts: ${errorMessage}`);
+  } else {
+    updates.status = 'pending';
+    updates.next_attempt_at = new Date(Date.now() + RETRY_SCHEDULE_MS[attemptCount - 1]).toISOString();
+  }
+
+  return ediWebhooksModel.updateDelivery(delivery.id, updates);
+}
+
+/**
+ * Queue and send a status event when a merchant-owned task changes status
+ * @param {Object} task - Task data after the update
+ * @param {Object|null} previousTask - Task data before the update
+ */
+async function notifyTaskStatusChange(task, previousTask) {
+  if (!isConfigured() || !task) return [];
+
+  const newStatus = task.job_status !== undefined && task.job_status !== null ? task.job_status : task.status;
+  const previousStatus = previousTask
+    ? (previousTask.job_status !== undefined && previousTask.job_status !== null ? previousTask.job_status : previousTask.status)
+    : null;
+
+  if (newStatus === undefined || newStatus === null || String(newStatus) === String(previousStatus)) {
+    return [];
+  }
+
+  const merchantId = extractMerchantId(task) || extractMerchantId(previousTask);
+  if (!merchantId) return [];
+
+  const subscriptions = await ediWebhooksModel.getActiveSubscriptions(merchantId);
+  if (subscriptions.length === 0) return [];
+
+  const event = buildStatusEvent(task, previousStatus);
+  const deliveries = await ediWebhooksModel.createDeliveries(subscriptions.map(subscription => ({
+    subscription_id: subscription.id,
+    merchant_id: merchantId,
+    event_id: event.id,
+    event_type: event.type,
+    event_version: event.version,
+    job_id: event.data.job_id,
+    payload: event,
+    status: 'pending'
+  })));
+
+  console.log(`📤 Queued ${deliveries.length} EDI webhook delivery(ies) for job ${event.data.job_id} (merchant ${merchantId})`);
+
+  // First attempt right away; failures are picked up by the worker
+  await Promise.all(deliveries.map(delivery => {
+    const subscription = subscriptions.find(s => s.id === delivery.subscription_id);
+    return attemptDelivery(delivery, subscription)
+      .catch(err => console.error(`EDI webhook delivery ${delivery.id} error:`, err.message));
+  }));
+
+  return deliveries;
+}
+
+/**
+ * Retry all pending deliveries that are due
+ */
+async function processDueDeliveries() {
+  if (!isConfigured()) return { processed: 0 };
+
+  const due = await ediWebhooksModel.getDueDeliveries();
+  const subscriptions = {};
+  let processed = 0;
+
+  for (const delivery of due) {
+    if (!(delivery.subscription_id in subscriptions)) {
+      subscriptions[delivery.subscription_id] = await ediWebhooksModel.getSubscription(delivery.subscription_id);
+    }
+    const subscription = subscriptions[delivery.subscription_id];
+
+    if (!subscription || !subscription.is_active) {
+      await ediWebhooksModel.updateDelivery(delivery.id, {
+        status: 'failed',
+        error_message: 'Subscription no longer active'
+      });
+      continue;
+    }
+
+    await attemptDelivery(delivery, subscription)
+      .catch(err => console.error(`EDI webhook delivery ${delivery.id} error:`, err.message));
+    processed++;
+  }
+
+  return { processed };
+}
+
+/**
+ * Manually redeliver an event (admin action)
+ * Resets the retry schedule and attempts delivery immediately.
+ */
+async function redeliver(deliveryId) {
+  const delivery = await ediWebhooksModel.getDelivery(deliveryId);
+  if (!delivery) return null;
+
+  const subscription = await ediWebhooksModel.getSubscription(delivery.subscription_id);
+  if (!subscription || !subscription.is_active) {
+    throw new Error('Subscription no longer active');
+  }
+
+  const reset = await ediWebhooksModel.updateDelivery(delivery.id, {
+    status: 'pending',
+    attempt_count: 0,
+    next_attempt_at: new Date().toISOString()
+  });
+
+  return attemptDelivery(reset, subscription);
+}
+
+/**
+ * Start the background retry worker
+ */
+function startDeliveryWorker(intervalMs = WORKER_INTERVAL_MS) {
+  if (workerTimer) return workerTimer;
+
+  workerTimer = setInterval(async () => {
+    if (workerRunning) return;
+    workerRunning = true;
+    try {
+      await processDueDeliveries();
+    } catch (error) {
+      console.error('❌ EDI webhook worker error:', error.message);
+    } finally {
+      workerRunning = false;
+    }
+  }, intervalMs);
+
+  return workerTimer;
+}
+
+module.exports = {
+  EVENT_VERSION,
+  signPayload,
+  validateCallbackUrl,
+  buildStatusEvent,
+  notifyTaskStatusChange,
+  processDueDeliveries,
+  redeliver,
+  startDeliveryWorker
+};
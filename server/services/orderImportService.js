@@ -0,0 +1,314 @@
+/**
+ * Order Import Service
+ *
+ * Turns merchant spreadsheets (XLSX/CSV) into EDI orders: maps columns to the
+ * EDI order fields, validates every row for a preview, creates the valid rows
+ * through ediService and builds a result spreadsheet with job_ids and tracking links.
+ */
+
+const XLSX = require('xlsx');
+const ediService = require('./ediService');
+const { generateExcel } = require('../exportUtils');
+
+// One import is one EDI bulk batch
+const MAX_IMPORT_ROWS = ediService.BULK_MAX_ORDERS;
+
+// Accepted header spellings per EDI field, compared after normalizeHeader()
+const COLUMN_ALIASES = {
+  order_reference: ['orderreference', 'orderref', 'reference', 'ref', 'orderid', 'orderno', 'ordernumber'],
+  pickup_name: ['pickupname', 'sendername', 'shopname'],
+  pickup_phone: ['pickupphone', 'senderphone', 'shopphone'],
+  pickup_address: ['pickupaddress', 'senderaddress', 'shopaddress', 'from'],
+  pickup_datetime: ['pickupdatetime', 'pickuptime', 'pickupdate'],
+  delivery_name: ['deliveryname', 'customername', 'recipientname', 'recipient', 'customer', 'name'],
+  delivery_phone: ['deliveryphone', 'customerphone', 'recipientphone', 'phone', 'mobile'],
+  delivery_email: ['deliveryemail', 'customeremail', 'email'],
+  delivery_address: ['deliveryaddress', 'customeraddress', 'recipientaddress', 'address', 'to'],
+  delivery_datetime: ['deliverydatetime', 'deliverytime', 'deliverydate'],
+  delivery_instructions: ['deliveryinstructions', 'instructions', 'notes', 'note', 'description'],
+  cod_amount: ['codamount', 'cod', 'cashondelivery', 'collectamount'],
+  tags: ['tags', 'tag'],
+  pickup_latitude: ['pickuplatitude', 'pickuplat'],
+  pickup_longitude: ['pickuplongitude', 'pickuplng', 'pickuplon'],
+  delivery_latitude: ['deliverylatitude', 'deliverylat', 'latitude', 'lat'],
+  delivery_longitude: ['deliverylongitude', 'deliverylng', 'deliverylon', 'longitude', 'lng', 'lon']
+};
+
+/**
+ * Normalize a header for alias matching ("Order Ref #" -> "orderref")
+ */
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Decode an uploaded file sent as base64 (a data: URL prefix is accepted)
+ * @returns {Buffer}
+ */
+function decodeUpload(file) {
+  if (typeof file !== 'string' || file.trim() === '') {
+    throw new Error('file is required (base64-encoded XLSX or CSV)');
+  }
+
+  const buffer = Buffer.from(file.replace(/^data:[^,]*,/, ''), 'base64');
+  if (buffer.length === 0) {
+    throw new Error('file is empty or not valid base64');
+  }
+
+  return buffer;
+}
+
+/**
+ * Read the first sheet of an XLSX/CSV file
+ * @param {Buffer} buffer - File contents
+ * @returns {{ columns: string[], rows: Array<{ row: number, values: Object }> }}
+ */
+function parseSpreadsheet(buffer) {
+  let workbook;
+  try {
+    workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true, raw: true });
+  } catch (error) {
+    throw new Error(`Could not read spreadsheet: ${error.message}`);
+  }
+
+  const sheetName = workbook.SheetNames[0];
+  if (!sheetName) {
+    throw new Error('Spreadsheet has no sheets');
+  }
+
+  const sheet = workbook.Sheets[sheetName];
+
+  // Show date cells in Tookan's format instead of whatever display format the file uses
+  Object.keys(sheet).forEach(address => {
+    const cell = sheet[address];
+    if (address[0] !== '!' && cell.t === 'd') {
+      cell.z = 'yyyy-mm-dd hh:mm:ss';
+      delete cell.w;
+    }
+  });
+  const [headerRow = []] = XLSX.utils.sheet_to_json(sheet, { header: 1, blankrows: false });
+  const columns = headerRow.map(h => String(h).trim()).filter(Boolean);
+
+  // raw: false returns every value as displayed text
+  const rows = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false, blankrows: false })
+    .map(values => ({ row: values.__rowNum__ + 1, values })) // Spreadsheet row number, as users see it
+    .filter(({ values }) => Object.values(values).some(v => String(v).trim() !== ''));
+
+  return { columns, rows };
+}
+
+/**
+ * Work out which spreadsheet column feeds each EDI field
+ * @param {string[]} columns - Spreadsheet headers
+ * @param {Object} [overrides] - { field: column } chosen by the user; '' unmaps a field
+ * @returns {Object} { field: column }
+ */
+function buildColumnMap(columns, overrides = {}) {
+  const columnMap = {};
+  const used = new Set();
+
+  // Explicit choices first, so auto-detection never steals their columns
+  Object.entries(overrides || {}).forEach(([field, column]) => {
+    if (!(field in COLUMN_ALIASES)) return;
+    if (column && columns.includes(column)) {
+      columnMap[field] = column;
+      used.add(column);
+    } else {
+      columnMap[field] = null;
+    }
+  });
+
+  Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+    if (field in columnMap) return;
+
+    // Earlier aliases are more specific, so they win
+    const column = aliases
+      .map(alias => columns.find(c => !used.has(c) && normalizeHeader(c) === alias))
+      .find(Boolean);
+
+    columnMap[field] = column || null;
+    if (column) used.add(column);
+  });
+
+  return columnMap;
+}
+
+/**
+ * Build an EDI order from a spreadsheet row
+ */
+function mapRow(values, columnMap) {
+  const order = {};
+
+  Object.entries(columnMap).forEach(([field, column]) => {
+    if (!column) return;
+    const value = String(values[column] === undefined ? '' : values[column]).trim();
+    if (value !== '') {
+      order[field] = value;
+    }
+  });
+
+  return order;
+}
+
+/**
+ * Parse, map and validate a spreadsheet without creating anything
+ * @param {Buffer} buffer - File contents
+ * @param {Object} [options] - { columnMap: { field: column } overrides }
+ * @returns {Object} { columns, column_map, unmapped_columns, rows, summary }
+ */
+function previewImport(buffer, options = {}) {
+  const { columns, rows } = parseSpreadsheet(buffer);
+
+  if (rows.length === 0) {
+    throw new Error('Spreadsheet has no data rows');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`A maximum of ${MAX_IMPORT_ROWS} rows can be imported at once (found ${rows.length})`);
+  }
+
+  const columnMap = buildColumnMap(columns, options.columnMap);
+  const mappedColumns = new Set(Object.values(columnMap).filter(Boolean));
+  const seenReferences = new Map();
+
+  const previewRows = rows.map(({ row, values }) => {
+    const order = mapRow(values, columnMap);
+    const errors = ediService.validateOrder(order);
+
+    if (order.order_reference) {
+      const firstRow = seenReferences.get(order.order_reference);
+      if (firstRow) {
+        errors.push({ field: 'order_reference', message: `Duplicate order_reference (also on row ${firstRow})` });
+      } else {
+        seenReferences.set(order.order_reference, row);
+      }
+    }
+
+    return { row, values, order, errors };
+  });
+
+  const valid = previewRows.filter(r => r.errors.length === 0).length;
+
+  return {
+    columns,
+    column_map: columnMap,
+    unmapped_columns: columns.filter(c => !mappedColumns.has(c)),
+    rows: previewRows,
+    summary: {
+      total: previewRows.length,
+      valid,
+      invalid: previewRows.length - valid
+    }
+  };
+}
+
+/**
+ * Preview an uploaded file (base64 XLSX/CSV as sent by the API clients)
+ * @param {string} file - Base64 file contents
+ * @param {Object} [columnMap] - { field: column } overrides
+ */
+function previewUpload(file, columnMap) {
+  return previewImport(decodeUpload(file), { columnMap });
+}
+
+/**
+ * Import a previewed spreadsheet: create the valid rows as orders for a merchant
+ * Invalid rows are skipped and reported. Re-importing the same file is safe:
+ * rows whose order_reference was already created return the original job.
+ * @param {Object} preview - Result of previewImport()
+ * @param {string} merchantId - Merchant the orders are created for
+ * @returns {Object} { summary, rows, file } where file is the result XLSX buffer
+ */
+async function runImport(preview, merchantId) {
+  const validRows = preview.rows.filter(r => r.errors.length === 0);
+
+  const bulk = validRows.length > 0
+    ? await ediService.createOrdersBulk(validRows.map(r => r.order), merchantId)
+    : { results: [] };
+
+  const resultsByRow = new Map(validRows.map((r, i) => [r.row, bulk.results[i]]));
+
+  const rows = preview.rows.map(r => {
+    const result = resultsByRow.get(r.row);
+
+    if (!result) {
+      return { row: r.row, values: r.values, status: 'invalid', errors: r.errors };
+    }
+    if (result.status !== 'success') {
+      return { row: r.row, values: r.values, status: 'failed', errors: result.errors };
+    }
+    return {
+      row: r.row,
+      values: r.values,
+      status: result.replayed ? 'already_imported' : 'created',
+      errors: [],
+      job_id: result.job_id,
+      pickup_job_id: result.pickup_job_id,
+      tracking_link: result.tracking_link,
+      pickup_tracking_link: result.pickup_tracking_link
+    };
+  });
+
+  const created = rows.filter(r => r.status === 'created').length;
+  const alreadyImported = rows.filter(r => r.status === 'already_imported').length;
+
+  return {
+    summary: {
+      total: rows.length,
+      created,
+      already_imported: alreadyImported,
+      failed: rows.filter(r => r.status === 'failed').length,
+      invalid: rows.filter(r => r.status === 'invalid').length
+    },
+    rows,
+    file: buildResultFile(preview.columns, rows)
+  };
+}
+
+/**
+ * Build the result spreadsheet: the original columns plus the import outcome
+ */
+function buildResultFile(columns, rows) {
+  const data = rows.map(r => {
+    const record = {};
+    columns.forEach(column => {
+      record[column] = r.values[column];
+    });
+
+    record['Import Status'] = r.status;
+    record['Job ID'] = r.job_id || '';
+    record['Tracking Link'] = r.tracking_link || '';
+    record['Pickup Job ID'] = r.pickup_job_id || '';
+    record['Pickup Tracking Link'] = r.pickup_tracking_link || '';
+    record['Errors'] = r.errors.map(e => e.message).join('; ');
+    return record;
+  });
+
+  return generateExcel(data, 'order-import-results');
+}
+
+/**
+ * Shape an import result for a JSON response (result spreadsheet as base64)
+ */
+function formatImportResult(result) {
+  return {
+    summary: result.summary,
+    rows: result.rows.map(({ values, ...row }) => row),
+    result_file: {
+      filename: `order-import-results-${new Date().toISOString().split('T')[0]}.xlsx`,
+      content_type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      content_base64: result.file.toString('base64')
+    }
+  };
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  COLUMN_ALIASES,
+  decodeUpload,
+  parseSpreadsheet,
+  buildColumnMap,
+  previewImport,
+  previewUpload,
+  runImport,
+  formatImportResult
+};
@@ -2,17 +2,18 @@
  * Order Sync Service
  * 
  * Fetches orders from Tookan API for the last 6 months and stores them in Supabase.
- * Handles batching (31-day chunks), retry logic for SSL errors, and progress tracking.
+ * Handles batching (31-day chunks) and progress tracking; Tookan calls go through tookanClient,
+ * which retries transient failures.
  */
 
 require('dotenv').config();
-const fetch = require('node-fetch');
 const { supabase, isConfigured } = require('../db/supabase');
+const zoneService = require('./zoneService');
+const tookanClient = require('./tookanClient');
 
-const TOOKAN_API_BASE = 'https://api.tookanapp.com/v2';
 const MAX_DAYS_PER_BATCH = 1; // 1 day per batch for granular progress tracking
-const MAX_RETRIES = 5;
-const INITIAL_RETRY_DELAY = 1000; // 1 second
+// Sync calls run unattended, so they ride out longer Tookan outages than interactive ones
+const SYNC_MAX_ATTEMPTS = 5;
 const JOB_TYPES = [0, 1, 2, 3]; // Pickup, Delivery, Appointment, FOS
 
 /**
@@ -26,17 +27,6 @@ function normalizeTimestamp(value) {
   return isNaN(d.getTime()) ? null : d.toISOString();
 }
 
-/**
- * Get API key from environment
- */
-function getApiKey() {
-  const apiKey = process.env.TOOKAN_API_KEY;
-  if (!apiKey) {
-    throw new Error('TOOKAN_API_KEY not configured in environment variables');
-  }
-  return apiKey;
-}
-
 /**
  * Format date to YYYY-MM-DD
  */
@@ -63,38 +53,6 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-/**
- * Fetch with retry logic for SSL/network errors
- */
-async function fetchWithRetry(url, options, retries = MAX_RETRIES) {
-  let lastError;
-
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const response = await fetch(url, options);
-      return response;
-    } catch (error) {
-      lastError = error;
-      const isSSLError = error.message.includes('SSL') ||
-        error.message.includes('ssl') ||
-        error.message.includes('decryption') ||
-        error.message.includes('ECONNRESET') ||
-        error.message.includes('ETIMEDOUT');
-
-      if (isSSLError && attempt < retries) {
-        const delay = INITIAL_RETRY_DELAY * Math.pow(2, attempt - 1); // Exponential backoff
-        console.log(`⚠️  Retry ${attempt}/${retries} after ${delay}ms due to: ${error.message}`);
-        await sleep(delay);
-        continue;
-      }
-
-      throw error;
-    }
-  }
-
-  throw lastError;
-}
-
 /**
  * Generate date batches (31-day chunks) for the last 6 months
  */
@@ -131,10 +89,7 @@ function generateDateBatches(customStartDate, customEndDate) {
  * Fetch tasks for a specific date range and job type
  */
 async function fetchTasksBatch(startDate, endDate, jobType, page = 1) {
-  const apiKey = getApiKey();
-
-  const payload = {
-    api_key: apiKey,
+  const data = await tookanClient.getAllTasks({
     job_type: jobType,
     job_status: '0,1,2,3,4,5,6,7,8,9', // include all statuses
     start_date: startDate,
@@ -142,37 +97,21 @@ async function fetchTasksBatch(startDate, endDate, jobType, page = 1) {
     is_pagination: 1,
     requested_page: page,
     custom_fields: 1
-  };
-
-  const response = await fetchWithRetry(`${TOOKAN_API_BASE}/get_all_tasks`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(payload),
-    timeout: 45000
-  });
+  }, { timeoutMs: 45000, maxAttempts: SYNC_MAX_ATTEMPTS });
 
-  const text = await response.text();
-
-  try {
-    const data = JSON.parse(text);
-
-    if (data.status === 200 || data.status === 1) {
-      const tasks = Array.isArray(data.data) ? data.data : [];
-      const totalPages = parseInt(data.total_page_count) || 1;
-      return { tasks, totalPages };
-    }
-
-    // Some error statuses are expected (no data)
-    if (data.message && data.message.includes('No task')) {
-      return { tasks: [], totalPages: 0 };
-    }
+  if (data.status === 200 || data.status === 1) {
+    const tasks = Array.isArray(data.data) ? data.data : [];
+    const totalPages = parseInt(data.total_page_count) || 1;
+    return { tasks, totalPages };
+  }
 
-    console.log(`⚠️  API response: ${data.message || 'Unknown status'}`);
+  // Some error statuses are expected (no data)
+  if (data.message && data.message.includes('No task')) {
     return { tasks: [], totalPages: 0 };
-  } catch (parseError) {
-    console.error(`❌ Failed to parse response: ${text.substring(0, 200)}`);
-    throw parseError;
   }
+
+  console.log(`⚠️  API response: ${data.message || 'Unknown status'}`);
+  return { tasks: [], totalPages: 0 };
 }
 
 /**
@@ -183,22 +122,13 @@ async function fetchTasksBatch(startDate, endDate, jobType, page = 1) {
 async function fetchJobDetailsForJobIds(jobIds) {
   if (!jobIds || jobIds.length === 0) return {};
 
-  const apiKey = getApiKey();
   try {
-    const response = await fetchWithRetry(`${TOOKAN_API_BASE}/get_job_details`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        api_key: apiKey,
-        job_ids: jobIds, // Array of job IDs
-        include_task_history: 0,
-        job_additional_info: 1,
-        include_job_report: 0
-      }),
-      timeout: 30000
-    });
-
-    const data = await response.json();
+    const data = await tookanClient.getJobDetails({
+      job_ids: jobIds, // Array of job IDs
+      include_task_history: 0,
+      job_additional_info: 1,
+      include_job_report: 0
+    }, { maxAttempts: SYNC_MAX_ATTEMPTS });
     const detailsMap = {};
 
     const extractCodFromCustomField = (job) => {
@@ -425,6 +355,14 @@ async function bulkUpsertTasks(tasks) {
 
   const records = tasks.map(transformTaskToRecord);
 
+  // Stamp the resolved pickup/delivery zone codes for zone reports
+  const zones = await zoneService.getActiveZones();
+  records.forEach(record => {
+    const { pickupZone, deliveryZone } = zoneService.resolveTaskZonesWith(record, zones);
+    record.pickup_zone = pickupZone ? pickupZone.code : null;
+    record.delivery_zone = deliveryZone ? deliveryZone.code : null;
+  });
+
   // Process in smaller chunks to avoid payload size limits
   const CHUNK_SIZE = 50; // Smaller chunks for better reliability
   const MAX_RETRIES = 3;
@@ -848,21 +786,13 @@ async function syncTaskTags(options = {}) {
  */
 async function syncTask(jobId) {
   console.log(`\n📥 Syncing single task: ${jobId}`);
-  const apiKey = getApiKey();
 
   try {
-    const response = await fetchWithRetry(`${TOOKAN_API_BASE}/get_job_details`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        api_key: apiKey,
-        job_ids: [jobId],
-        include_task_history: 0,
-        job_additional_info: 1
-      })
+    const data = await tookanClient.getJobDetails({
+      job_ids: [jobId],
+      include_task_history: 0,
+      job_additional_info: 1
     });
-
-    const data = await response.json();
     if (data.status !== 200 || !data.data) {
       console.error(`❌ Failed to fetch task ${jobId}: ${data.message}`);
       return { success: false, message: data.message };
@@ -890,7 +820,6 @@ module.exports = {
   syncTaskTags,
   getSyncStatus,
   updateSyncStatus,
-  fetchWithRetry,
   generateDateBatches,
   getSixMonthsAgo,
   formatDate,
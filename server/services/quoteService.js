@@ -0,0 +1,207 @@
+/**
+ * Quote Service
+ *
+ * Prices an order draft with the merchant's assigned plan (merchants.plan_id)
+ * before it is submitted: delivery fee (plus any delivery zone and tag
+ * surcharges), withdrawal fee and the net amount payable to the merchant, with
+ * a breakdown of the rules that applied.
+ */
+
+const { supabase, isConfigured } = require('../db/supabase');
+const plansModel = require('../db/models/plans');
+const zoneService = require('./zoneService');
+const tagService = require('../tagService');
+
+// Bahraini dinar amounts carry three decimals
+const CURRENCY = 'BHD';
+const CURRENCY_DECIMALS = 3;
+
+/**
+ * Round to the currency precision
+ */
+function roundAmount(value) {
+  const factor = Math.pow(10, CURRENCY_DECIMALS);
+  return Math.round((Number(value) + Number.EPSILON) * factor) / factor;
+}
+
+/**
+ * Tags of an order draft: a comma-separated string (as EDI orders send them) or an array
+ */
+function getDraftTags(draft) {
+  const tags = Array.isArray(draft.tags) ? draft.tags : String(draft.tags || '').split(',');
+  return [...new Set(tags.map(tag => String(tag).trim()).filter(Boolean))];
+}
+
+/**
+ * Validate an order draft for quoting
+ * @returns {Array<{field: string, message: string}>} Field-level errors (empty when valid)
+ */
+function validateDraft(draft) {
+  if (!draft || typeof draft !== 'object' || Array.isArray(draft)) {
+    return [{ field: 'order', message: 'Order draft must be an object' }];
+  }
+
+  const errors = [];
+
+  if (draft.cod_amount !== undefined && draft.cod_amount !== null && draft.cod_amount !== '') {
+    const cod = Number(draft.cod_amount);
+    if (isNaN(cod) || cod < 0) {
+      errors.push({ field: 'cod_amount', message: 'cod_amount must be a non-negative number' });
+    }
+  }
+
+  if (draft.tags !== undefined && draft.tags !== null && typeof draft.tags !== 'string'
+    && !(Array.isArray(draft.tags) && draft.tags.every(tag => typeof tag === 'string'))) {
+    errors.push({ field: 'tags', message: 'tags must be a comma-separated string or an array of strings' });
+  }
+
+  return errors;
+}
+
+/**
+ * Load the merchant with its assigned plan and withdrawal fee
+ * @param {string|number} merchantId - merchants.merchant_id (Tookan vendor ID)
+ * @returns {Object|null} { merchant, plan } or null when the merchant does not exist
+ */
+async function getMerchantPricing(merchantId) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data: merchant, error } = await supabase
+    .from('merchants')
+    .select('merchant_id, customer_username, plan_id, withdraw_fees')
+    .eq('merchant_id', parseInt(merchantId))
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') return null;
+    throw error;
+  }
+
+  const plan = merchant.plan_id ? await plansModel.getPlanById(merchant.plan_id) : null;
+
+  return { merchant, plan };
+}
+
+/**
+ * Price an order draft with a plan
+ * The delivery fee comes from the plan: a fixed amount per order, or a percentage
+ * of the COD amount. The delivery zone and each tag of the draft with a surcharge
+ * in the tag configuration add to it. The merchant's withdrawal fee is charged once
+ * per withdrawal request; it is included so the quote shows the worst case for a
+ * single order.
+ * @param {Object} draft - { cod_amount, pickup/delivery address and coordinates, tags }
+ * @param {Object} plan - plans row ({ id, name, type, amount })
+ * @param {number|null} withdrawFee - merchants.withdraw_fees
+ * @param {Object} [zones] - Resolved { pickupZone, deliveryZone } delivery_zones rows
+ * @param {Object} [tagSurcharges] - { TAG: amount } from the tag configuration
+ * @returns {Object} Quote with amounts and breakdown
+ */
+function calculateQuote(draft, plan, withdrawFee, zones = {}, tagSurcharges = {}) {
+  const codAmount = roundAmount(Number(draft.cod_amount) || 0);
+  const planAmount = Number(plan.amount) || 0;
+  const breakdown = [];
+
+  let deliveryFee;
+  if (plan.type === 'percentage') {
+    deliveryFee = roundAmount((codAmount * planAmount) / 100);
+    breakdown.push({
+      rule: 'plan_percentage',
+      plan_id: plan.id,
+      plan_name: plan.name,
+      description: `${planAmount}% of COD amount ${codAmount.toFixed(CURRENCY_DECIMALS)}`,
+      amount: deliveryFee
+    });
+  } else {
+    deliveryFee = roundAmount(planAmount);
+    breakdown.push({
+      rule: 'plan_fixed',
+      plan_id: plan.id,
+      plan_name: plan.name,
+      description: `Fixed fee of ${deliveryFee.toFixed(CURRENCY_DECIMALS)} per order`,
+      amount: deliveryFee
+    });
+  }
+
+  const deliveryZone = zones.deliveryZone || null;
+  const surcharge = deliveryZone ? roundAmount(Number(deliveryZone.delivery_surcharge) || 0) : 0;
+  if (surcharge > 0) {
+    deliveryFee = roundAmount(deliveryFee + surcharge);
+    breakdown.push({
+      rule: 'zone_surcharge',
+      zone: deliveryZone.code,
+      description: `Delivery zone ${deliveryZone.name} surcharge`,
+      amount: surcharge
+    });
+  }
+
+  const tags = getDraftTags(draft);
+  tags.forEach(tag => {
+    const tagSurcharge = roundAmount(Number(tagSurcharges[tag]) || 0);
+    if (tagSurcharge <= 0) return;
+    deliveryFee = roundAmount(deliveryFee + tagSurcharge);
+    breakdown.push({
+      rule: 'tag_surcharge',
+      tag,
+      description: `Tag ${tag} surcharge`,
+      amount: tagSurcharge
+    });
+  });
+
+  const withdrawalFee = roundAmount(Number(withdrawFee) || 0);
+  if (withdrawalFee > 0) {
+    breakdown.push({
+      rule: 'withdrawal_fee',
+      description: `Withdrawal fee of ${withdrawalFee.toFixed(CURRENCY_DECIMALS)}, charged once per withdrawal request`,
+      amount: withdrawalFee
+    });
+  }
+
+  return {
+    currency: CURRENCY,
+    cod_amount: codAmount,
+    delivery_fee: deliveryFee,
+    withdrawal_fee: withdrawalFee,
+    net_payable_to_merchant: roundAmount(codAmount - deliveryFee - withdrawalFee),
+    plan: { id: plan.id, name: plan.name, type: plan.type, amount: planAmount },
+    pickup_zone: zones.pickupZone ? zones.pickupZone.code : null,
+    delivery_zone: deliveryZone ? deliveryZone.code : null,
+    tags,
+    breakdown
+  };
+}
+
+/**
+ * Quote an order draft for a merchant
+ * @param {Object} draft - Order draft (same fields as an EDI order)
+ * @param {string|number} merchantId - merchants.merchant_id
+ * @returns {Object} { success, quote } or { success: false, notFound?, message }
+ */
+async function quoteOrder(draft, merchantId) {
+  const pricing = await getMerchantPricing(merchantId);
+
+  if (!pricing) {
+    return { success: false, notFound: true, message: 'Merchant not found' };
+  }
+  if (!pricing.plan) {
+    return { success: false, message: 'No pricing plan is assigned to this merchant' };
+  }
+
+  const zones = await zoneService.resolveTaskZones(draft);
+  const tagConfig = await tagService.loadTagConfig();
+
+  return {
+    success: true,
+    quote: {
+      merchant_id: pricing.merchant.merchant_id,
+      ...calculateQuote(draft, pricing.plan, pricing.merchant.withdraw_fees, zones, tagConfig.tagSurcharges || {})
+    }
+  };
+}
+
+module.exports = {
+  validateDraft,
+  calculateQuote,
+  quoteOrder
+};
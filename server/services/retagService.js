@@ -0,0 +1,436 @@
+/**
+ * Re-tag Service
+ *
+ * Re-applies the current tag rules to open tasks after the rules change. A job
+ * selects tasks from the cache (tasks table), evaluates the rules through
+ * tagService, and updates the tags in Tookan in rate-limited batches, recording
+ * each task's tags before and after. A dry run only records what would change.
+ *
+ * Tags that no rule manages (added by hand in Tookan) are kept.
+ */
+
+require('dotenv').config();
+const { supabase, isConfigured } = require('../db/supabase');
+const tasksModel = require('../db/models/tasks');
+const retagJobsModel = require('../db/models/retagJobs');
+const tagService = require('../tagService');
+const zoneService = require('./zoneService');
+const businessCalendarService = require('./businessCalendarService');
+const orderSyncService = require('./orderSyncService');
+const tookanClient = require('./tookanClient');
+const { TASK_COLUMNS, loadMerchants, toTaskData } = require('./tagSimulationService');
+
+// Open tasks: Assigned, Started, InProgress/Arrived, Unassigned, Accepted/Acknowledged
+const OPEN_STATUSES = [0, 1, 4, 6, 7];
+
+// Tasks per job; larger selections must be narrowed with filters
+const MAX_RETAG_TASKS = 5000;
+
+// Tasks read from Tookan (get_job_details) and written per batch
+const BATCH_SIZE = 50;
+
+// Pause between edit_task calls, to stay under Tookan's rate limit
+const REQUEST_DELAY_MS = parseInt(process.env.RETAG_REQUEST_DELAY_MS) || 300;
+
+// A running job that has not reported progress for this long was interrupted (e.g. a restart)
+const STALE_JOB_MS = 10 * 60 * 1000;
+
+const ACTIVE_STATUSES = ['pending', 'running'];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Read a Tookan tags value ("A,B" or an array) as a list
+ */
+function parseTags(tags) {
+  if (Array.isArray(tags)) {
+    return tags.map(tag => String(tag).trim()).filter(Boolean);
+  }
+  if (typeof tags === 'string') {
+    return tags.split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+  return [];
+}
+
+/**
+ * Every tag the config manages: rule tags, default tags, group tags and listed tags
+ */
+function getManagedTags(config) {
+  const tags = new Set();
+  (Array.isArray(config.rules) ? config.rules : []).forEach(rule => {
+    (Array.isArray(rule.tags) ? rule.tags : []).forEach(tag => tags.add(tag));
+  });
+  (Array.isArray(config.defaultTags) ? config.defaultTags : []).forEach(tag => tags.add(tag));
+  (Array.isArray(config.tagGroups) ? config.tagGroups : []).forEach(group => {
+    (Array.isArray(group.tags) ? group.tags : []).forEach(tag => tags.add(tag));
+  });
+  (Array.isArray(config.tags) ? config.tags : []).forEach(tag => tags.add(tag));
+  return tags;
+}
+
+/**
+ * The tags a task should have: its unmanaged tags plus what the rules give now
+ */
+function mergeTags(beforeTags, ruleTags, managedTags) {
+  const kept = beforeTags.filter(tag => !managedTags.has(tag));
+  return Array.from(new Set([...kept, ...ruleTags]));
+}
+
+/**
+ * Whether two tag lists hold the same tags, in any order
+ */
+function sameTags(a, b) {
+  const set = new Set(a);
+  return set.size === new Set(b).size && b.every(tag => set.has(tag));
+}
+
+/**
+ * Validate and normalize job filters
+ * @param {Object} filters - { dateFrom, dateTo, statuses, vendorIds, jobIds }
+ * @returns {Object} { filters } or { errors }
+ */
+function normalizeFilters(filters = {}) {
+  const errors = [];
+  const normalized = {};
+
+  ['dateFrom', 'dateTo'].forEach(field => {
+    if (filters[field] === undefined || filters[field] === null || filters[field] === '') return;
+    const date = new Date(filters[field]);
+    if (isNaN(date.getTime())) {
+      errors.push({ field, message: `${field} must be a date (YYYY-MM-DD or ISO 8601)` });
+      return;
+    }
+    // A plain end date includes the whole day
+    if (field === 'dateTo' && /^\d{4}-\d{2}-\d{2}$/.test(filters[field])) {
+      date.setUTCHours(23, 59, 59, 999);
+    }
+    normalized[field] = date.toISOString();
+  });
+
+  if (filters.statuses !== undefined) {
+    const statuses = Array.isArray(filters.statuses) ? filters.statuses.map(Number) : [];
+    if (statuses.length === 0 || statuses.some(status => !OPEN_STATUSES.includes(status))) {
+      errors.push({ field: 'statuses', message: `statuses must be a non-empty list of open statuses (${OPEN_STATUSES.join(', ')})` });
+    }
+    normalized.statuses = statuses;
+  } else {
+    normalized.statuses = OPEN_STATUSES;
+  }
+
+  ['vendorIds', 'jobIds'].forEach(field => {
+    if (filters[field] === undefined) return;
+    const ids = Array.isArray(filters[field]) ? filters[field].map(id => parseInt(id)) : [];
+    if (ids.length === 0 || ids.some(isNaN)) {
+      errors.push({ field, message: `${field} must be a non-empty list of numeric IDs` });
+    }
+    normalized[field] = ids;
+  });
+
+  if (!normalized.dateFrom && !normalized.jobIds) {
+    errors.push({ field: 'dateFrom', message: 'dateFrom or jobIds is required' });
+  }
+
+  return errors.length > 0 ? { errors } : { filters: normalized };
+}
+
+/**
+ * Load the tasks a job selects
+ * @returns {Array} Task rows (TASK_COLUMNS), at most MAX_RETAG_TASKS + 1
+ */
+async function selectTasks(filters) {
+  const tasks = [];
+  const pageSize = 1000;
+
+  for (let offset = 0; tasks.length <= MAX_RETAG_TASKS; offset += pageSize) {
+    const page = await tasksModel.getDeliveryTasksInRange({
+      ...filters,
+      columns: TASK_COLUMNS,
+      offset,
+      limit: pageSize
+    });
+    tasks.push(...page);
+    if (page.length < pageSize) break;
+  }
+
+  return tasks;
+}
+
+/**
+ * Set a task's tags in Tookan
+ * @returns {Object} { success, message? }
+ */
+async function updateTookanTags(jobId, tags) {
+  try {
+    // Setting the same tags twice is harmless, so the edit may be retried like a read
+    const data = await tookanClient.editTask(
+      { job_id: parseInt(jobId), tags: tags.join(',') },
+      { idempotent: true }
+    );
+
+    if (data.status !== 200) {
+      return { success: false, message: data.message || `Tookan returned status ${data.status}` };
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+}
+
+/**
+ * Re-tag one batch of tasks
+ * @returns {Array<Object>} Per task: { job_id, status, before_tags, after_tags, error }
+ */
+async function processBatch(job, tasks, context) {
+  const merchants = await loadMerchants(
+    Array.from(new Set(tasks.map(t => t.vendor_id).filter(id => id !== null && id !== undefined)))
+  );
+  // Current tags come from Tookan; the cached tags may be stale
+  const details = await orderSyncService.fetchJobDetailsForJobIds(tasks.map(t => parseInt(t.job_id)));
+  const results = [];
+
+  for (const task of tasks) {
+    const current = details[String(task.job_id)];
+    if (!current) {
+      results.push({ job_id: task.job_id, status: 'failed', before_tags: null, after_tags: null, error: 'Could not read current tags from Tookan' });
+      continue;
+    }
+
+    const beforeTags = parseTags(current.tags);
+    const data = toTaskData(task, merchants.get(String(task.vendor_id)), context.zones, context.holidays);
+    const afterTags = mergeTags(beforeTags, tagService.getTagsForConfig(context.config, data), context.managedTags);
+    const result = { job_id: task.job_id, before_tags: beforeTags, after_tags: afterTags };
+
+    if (sameTags(beforeTags, afterTags)) {
+      results.push({ ...result, status: 'unchanged' });
+      continue;
+    }
+    if (job.dry_run) {
+      results.push({ ...result, status: 'would_update' });
+      continue;
+    }
+
+    const update = await updateTookanTags(task.job_id, afterTags);
+    if (update.success) {
+      results.push({ ...result, status: 'updated' });
+      const { error } = await supabase
+        .from('tasks')
+        .update({ tags: afterTags.join(','), updated_at: new Date().toISOString() })
+        .eq('job_id', task.job_id);
+      if (error) {
+        console.warn(`Re-tag: failed to update cached tags for job ${task.job_id}:`, error.message);
+      }
+    } else {
+      results.push({ ...result, status: 'failed', error: update.message });
+    }
+    await sleep(REQUEST_DELAY_MS);
+  }
+
+  return results;
+}
+
+/**
+ * Bring a single task's tags in line with the current rules, outside a job
+ * Used when Tookan reports a task created elsewhere (e.g. in the Tookan dashboard).
+ * @param {Object} task - Task data with the TASK_COLUMNS fields and its current Tookan tags
+ * @returns {Object} { status: 'updated' | 'unchanged' | 'failed', before_tags, after_tags, error? }
+ */
+async function retagTask(task) {
+  const config = await tagService.loadTagConfig();
+  const [zones, holidays, merchants] = await Promise.all([
+    zoneService.getActiveZones(),
+    businessCalendarService.getHolidays(),
+    loadMerchants(task.vendor_id !== null && task.vendor_id !== undefined ? [task.vendor_id] : [])
+  ]);
+
+  const beforeTags = parseTags(task.tags);
+  const data = toTaskData(task, merchants.get(String(task.vendor_id)), zones, holidays);
+  const afterTags = mergeTags(beforeTags, tagService.getTagsForConfig(config, data), getManagedTags(config));
+  const result = { before_tags: beforeTags, after_tags: afterTags };
+
+  if (sameTags(beforeTags, afterTags)) {
+    return { ...result, status: 'unchanged' };
+  }
+
+  const update = await updateTookanTags(task.job_id, afterTags);
+  if (!update.success) {
+    return { ...result, status: 'failed', error: update.message };
+  }
+
+  if (isConfigured()) {
+    const { error } = await supabase
+      .from('tasks')
+      .update({ tags: afterTags.join(','), updated_at: new Date().toISOString() })
+      .eq('job_id', task.job_id);
+    if (error) {
+      console.warn(`Re-tag: failed to update cached tags for job ${task.job_id}:`, error.message);
+    }
+  }
+
+  return { ...result, status: 'updated' };
+}
+
+/**
+ * Run a job to the end (or until it is cancelled)
+ * Progress is saved after every batch.
+ */
+async function runRetagJob(job, tasks) {
+  const counts = { processed_tasks: 0, changed_tasks: 0, unchanged_tasks: 0, failed_tasks: 0 };
+
+  try {
+    const config = await tagService.loadTagConfig();
+    const context = {
+      config,
+      managedTags: getManagedTags(config),
+      zones: await zoneService.getActiveZones(),
+      holidays: await businessCalendarService.getHolidays()
+    };
+
+    await retagJobsModel.updateJob(job.id, {
+      status: 'running',
+      config_version: config.version || null,
+      started_at: new Date().toISOString()
+    });
+
+    for (let i = 0; i < tasks.length; i += BATCH_SIZE) {
+      const current = await retagJobsModel.getJob(job.id);
+      if (!current || current.status === 'cancelled') {
+        console.log(`Re-tag job ${job.id} cancelled after ${counts.processed_tasks} tasks`);
+        return;
+      }
+
+      const results = await processBatch(job, tasks.slice(i, i + BATCH_SIZE), context);
+      await retagJobsModel.updateTasks(job.id, results);
+
+      results.forEach(result => {
+        counts.processed_tasks++;
+        if (result.status === 'failed') counts.failed_tasks++;
+        else if (result.status === 'unchanged') counts.unchanged_tasks++;
+        else counts.changed_tasks++;
+      });
+      await retagJobsModel.updateJob(job.id, counts);
+    }
+
+    // A cancel that arrived during the last batch still counts
+    const finished = await retagJobsModel.getJob(job.id);
+    if (finished && finished.status === 'cancelled') {
+      return;
+    }
+
+    await retagJobsModel.updateJob(job.id, {
+      ...counts,
+      status: 'completed',
+      finished_at: new Date().toISOString()
+    });
+    console.log(`Re-tag job ${job.id} completed: ${counts.changed_tasks} changed, ${counts.unchanged_tasks} unchanged, ${counts.failed_tasks} failed`);
+  } catch (error) {
+    console.error(`Re-tag job ${job.id} failed:`, error);
+    await retagJobsModel.updateJob(job.id, {
+      ...counts,
+      status: 'failed',
+      error: error.message,
+      finished_at: new Date().toISOString()
+    }).catch(updateError => console.error('Failed to record re-tag job failure:', updateError.message));
+  }
+}
+
+/**
+ * Mark running jobs that stopped reporting progress as failed
+ */
+async function failStaleJobs() {
+  const { jobs } = await retagJobsModel.listJobs({ statuses: ACTIVE_STATUSES, limit: 50 });
+  const now = Date.now();
+
+  for (const job of jobs) {
+    if (now - new Date(job.updated_at).getTime() > STALE_JOB_MS) {
+      await retagJobsModel.updateJob(job.id, {
+        status: 'failed',
+        error: 'Interrupted (no progress reported)',
+        finished_at: new Date().toISOString()
+      });
+    }
+  }
+}
+
+/**
+ * Start a re-tag job
+ * Tasks are selected now; the job then runs in the background.
+ * @param {Object} filters - { dateFrom, dateTo, statuses, vendorIds, jobIds }
+ * @param {Object} options - { dryRun, user: { id, name } }
+ * @returns {Object} { success, job } or { success: false, conflict?, message, errors? }
+ */
+async function startRetagJob(filters, options = {}) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const normalized = normalizeFilters(filters);
+  if (normalized.errors) {
+    return {
+      success: false,
+      message: `Invalid filters: ${normalized.errors.map(e => e.message).join(', ')}`,
+      errors: normalized.errors
+    };
+  }
+
+  await failStaleJobs();
+  const { jobs: active } = await retagJobsModel.listJobs({ statuses: ACTIVE_STATUSES, limit: 1 });
+  if (active.length > 0) {
+    return { success: false, conflict: true, message: `Re-tag job ${active[0].id} is still running` };
+  }
+
+  const tasks = await selectTasks(normalized.filters);
+  if (tasks.length > MAX_RETAG_TASKS) {
+    return {
+      success: false,
+      message: `More than ${MAX_RETAG_TASKS} tasks match; narrow the filters`
+    };
+  }
+
+  const user = options.user || {};
+  const job = await retagJobsModel.createJob({
+    status: 'pending',
+    dry_run: options.dryRun === true,
+    filters: normalized.filters,
+    total_tasks: tasks.length,
+    created_by: user.id ? String(user.id) : null,
+    created_by_name: user.name || null
+  });
+  await retagJobsModel.addTasks(job.id, tasks.map(t => t.job_id));
+
+  runRetagJob(job, tasks);
+
+  return { success: true, job };
+}
+
+/**
+ * Cancel a pending or running job; tasks already updated in Tookan keep their new tags
+ * @returns {Object} { success, job } or { success: false, notFound?, message }
+ */
+async function cancelRetagJob(id) {
+  const job = await retagJobsModel.getJob(id);
+  if (!job) {
+    return { success: false, notFound: true, message: 'Re-tag job not found' };
+  }
+  if (!ACTIVE_STATUSES.includes(job.status)) {
+    return { success: false, message: `Re-tag job is already ${job.status}` };
+  }
+
+  const cancelled = await retagJobsModel.updateJob(id, {
+    status: 'cancelled',
+    finished_at: new Date().toISOString()
+  });
+  return { success: true, job: cancelled };
+}
+
+module.exports = {
+  OPEN_STATUSES,
+  MAX_RETAG_TASKS,
+  parseTags,
+  mergeTags,
+  normalizeFilters,
+  startRetagJob,
+  cancelRetagJob,
+  retagTask
+};
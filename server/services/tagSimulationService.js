@@ -0,0 +1,250 @@
+/**
+ * Tag Simulation Service
+ *
+ * Runs a draft tag configuration over cached orders (the tasks table) and reports
+ * how tagging would change compared with the active configuration: per tag, the
+ * orders that would gain or lose it, the merchants affected and sample job_ids.
+ * Read-only: nothing is written to Tookan or the database.
+ */
+
+const { supabase, isConfigured } = require('../db/supabase');
+const tasksModel = require('../db/models/tasks');
+const tagService = require('../tagService');
+const zoneService = require('./zoneService');
+const businessCalendarService = require('./businessCalendarService');
+
+// Orders scanned per simulation; larger ranges are reported as truncated
+const MAX_SIMULATION_ORDERS = 20000;
+const PAGE_SIZE = 1000;
+const DEFAULT_SAMPLE_SIZE = 10;
+const MAX_SAMPLE_SIZE = 50;
+const MAX_MERCHANTS_PER_TAG = 50;
+
+const TASK_COLUMNS = 'job_id, vendor_id, customer_name, customer_phone, customer_email, pickup_name, pickup_address, delivery_address, notes, cod_amount, order_fees, creation_datetime, job_pickup_latitude, job_pickup_longitude, job_latitude, job_longitude, '
+  + 'job_pickup_datetime:raw_data->>job_pickup_datetime, job_delivery_datetime:raw_data->>job_delivery_datetime';
+
+/**
+ * Map a cached task row to the task data tag rules see at order creation
+ */
+function toTaskData(task, merchant, zones, holidays) {
+  return tagService.buildTaskCustomerData({
+    customerName: task.customer_name,
+    customerPhone: task.customer_phone,
+    customerEmail: task.customer_email,
+    pickupAddress: task.pickup_address,
+    deliveryAddress: task.delivery_address,
+    notes: task.notes,
+    codAmount: task.cod_amount,
+    orderFees: task.order_fees,
+    vendor_id: task.vendor_id,
+    plan: merchant ? merchant.plan : undefined,
+    creation_datetime: task.creation_datetime,
+    job_pickup_datetime: task.job_pickup_datetime,
+    job_delivery_datetime: task.job_delivery_datetime
+  }, zoneService.resolveTaskZonesWith(task, zones), holidays);
+}
+
+/**
+ * Load merchant names and plan names for the vendors in a batch of tasks
+ * @returns {Map<string, {name: string|null, plan: string|undefined}>} Keyed by vendor_id
+ */
+async function loadMerchants(vendorIds) {
+  const merchants = new Map();
+  if (vendorIds.length === 0) {
+    return merchants;
+  }
+
+  const { data, error } = await supabase
+    .from('merchants')
+    .select('merchant_id, customer_username, plan_id')
+    .in('merchant_id', vendorIds);
+
+  if (error) {
+    throw error;
+  }
+
+  const planIds = Array.from(new Set((data || []).map(m => m.plan_id).filter(Boolean)));
+  const planNames = new Map();
+  if (planIds.length > 0) {
+    const { data: plans, error: plansError } = await supabase
+      .from('plans')
+      .select('id, name')
+      .in('id', planIds);
+
+    if (plansError) {
+      throw plansError;
+    }
+    (plans || []).forEach(plan => planNames.set(plan.id, plan.name));
+  }
+
+  (data || []).forEach(m => {
+    merchants.set(String(m.merchant_id), {
+      name: m.customer_username || null,
+      plan: m.plan_id ? planNames.get(m.plan_id) : undefined
+    });
+  });
+
+  return merchants;
+}
+
+/**
+ * Get (or start) the per-tag tally
+ */
+function getTagStats(stats, tag) {
+  if (!stats.has(tag)) {
+    stats.set(tag, {
+      tag,
+      orders_before: 0,
+      orders_after: 0,
+      gained: 0,
+      lost: 0,
+      merchants: new Map(),
+      sample_job_ids: { gained: [], lost: [] }
+    });
+  }
+  return stats.get(tag);
+}
+
+/**
+ * Record that an order gained or lost a tag
+ */
+function recordChange(tagStats, change, task, merchant, sampleSize) {
+  tagStats[change]++;
+
+  if (tagStats.sample_job_ids[change].length < sampleSize) {
+    tagStats.sample_job_ids[change].push(task.job_id);
+  }
+
+  const merchantId = task.vendor_id !== null && task.vendor_id !== undefined ? String(task.vendor_id) : null;
+  const key = merchantId || 'unknown';
+  if (!tagStats.merchants.has(key)) {
+    tagStats.merchants.set(key, {
+      merchant_id: merchantId,
+      name: merchant ? merchant.name : task.pickup_name || null,
+      gained: 0,
+      lost: 0
+    });
+  }
+  tagStats.merchants.get(key)[change]++;
+}
+
+/**
+ * Simulate a draft tag configuration over cached orders
+ * @param {Object} draftConfig - Draft config, merged over the active config like a save
+ * @param {Object} options - { dateFrom, dateTo, sampleSize }
+ * @returns {Object} { success, simulation } or { success: false, message, errors? }
+ * The simulation includes the draft's conflict warnings (tagService.findTagConflicts).
+ */
+async function simulateTagConfig(draftConfig, options = {}) {
+  if (!isConfigured()) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { config, errors, warnings } = await tagService.checkTagConfig(draftConfig);
+  if (errors.length > 0) {
+    return {
+      success: false,
+      message: `Invalid tag rules: ${tagService.describeRuleErrors(errors)}`,
+      errors
+    };
+  }
+
+  const activeConfig = await tagService.loadTagConfig();
+  const zones = await zoneService.getActiveZones();
+  const holidays = await businessCalendarService.getHolidays();
+  const sampleSize = Math.min(Math.max(parseInt(options.sampleSize) || DEFAULT_SAMPLE_SIZE, 1), MAX_SAMPLE_SIZE);
+
+  const stats = new Map();
+  const affectedMerchants = new Set();
+  let scanned = 0;
+  let changed = 0;
+  let truncated = false;
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const tasks = await tasksModel.getDeliveryTasksInRange({
+      dateFrom: options.dateFrom,
+      dateTo: options.dateTo,
+      columns: TASK_COLUMNS,
+      offset,
+      limit: PAGE_SIZE
+    });
+
+    const vendorIds = Array.from(new Set(tasks.map(t => t.vendor_id).filter(id => id !== null && id !== undefined)));
+    const merchants = await loadMerchants(vendorIds);
+
+    for (const task of tasks) {
+      if (scanned >= MAX_SIMULATION_ORDERS) {
+        truncated = true;
+        break;
+      }
+      scanned++;
+
+      const merchant = merchants.get(String(task.vendor_id));
+      const data = toTaskData(task, merchant, zones, holidays);
+      const before = new Set(tagService.getTagsForConfig(activeConfig, data));
+      const after = new Set(tagService.getTagsForConfig(config, data));
+
+      before.forEach(tag => getTagStats(stats, tag).orders_before++);
+      after.forEach(tag => getTagStats(stats, tag).orders_after++);
+
+      let orderChanged = false;
+      after.forEach(tag => {
+        if (!before.has(tag)) {
+          recordChange(getTagStats(stats, tag), 'gained', task, merchant, sampleSize);
+          orderChanged = true;
+        }
+      });
+      before.forEach(tag => {
+        if (!after.has(tag)) {
+          recordChange(getTagStats(stats, tag), 'lost', task, merchant, sampleSize);
+          orderChanged = true;
+        }
+      });
+
+      if (orderChanged) {
+        changed++;
+        affectedMerchants.add(task.vendor_id !== null && task.vendor_id !== undefined ? String(task.vendor_id) : 'unknown');
+      }
+    }
+
+    if (truncated || tasks.length < PAGE_SIZE) {
+      break;
+    }
+  }
+
+  const tags = Array.from(stats.values())
+    .map(tagStats => {
+      const merchants = Array.from(tagStats.merchants.values())
+        .sort((a, b) => (b.gained + b.lost) - (a.gained + a.lost));
+
+      return {
+        ...tagStats,
+        merchants_affected: merchants.length,
+        merchants: merchants.slice(0, MAX_MERCHANTS_PER_TAG)
+      };
+    })
+    .sort((a, b) => (b.gained + b.lost) - (a.gained + a.lost) || a.tag.localeCompare(b.tag));
+
+  return {
+    success: true,
+    simulation: {
+      date_from: options.dateFrom,
+      date_to: options.dateTo,
+      active_version: activeConfig.version || null,
+      orders_scanned: scanned,
+      orders_changed: changed,
+      merchants_affected: affectedMerchants.size,
+      truncated,
+      warnings,
+      tags
+    }
+  };
+}
+
+module.exports = {
+  MAX_SIMULATION_ORDERS,
+  TASK_COLUMNS,
+  loadMerchants,
+  toTaskData,
+  simulateTagConfig
+};
@@ -0,0 +1,423 @@
+/**
+ * Tookan API Client
+ *
+ * The one place the server talks to https://api.tookanapp.com/v2. Every call shares:
+ * - the API key (TOOKAN_API_KEY), added to each payload
+ * - a per-attempt timeout
+ * - retries with exponential backoff and full jitter on network errors, timeouts,
+ *   HTTP 429 and 5xx (calls that create or change data are only retried when the
+ *   request never reached Tookan or was rate limited, so they are not applied twice)
+ * - a process-wide concurrency and request rate limit
+ * - normalised errors (TookanApiError) and one log line per call with a correlation ID
+ *
+ * Methods resolve with Tookan's response body ({ status, message, data }). A Tookan
+ * level failure (status other than 200 in the body) is returned as is for the caller
+ * to handle; timeouts, network errors, HTTP errors and unreadable bodies throw.
+ */
+
+const fetch = require('node-fetch');
+const crypto = require('crypto');
+
+const TOOKAN_API_BASE = process.env.TOOKAN_API_BASE || 'https://api.tookanapp.com/v2';
+
+const TIMEOUT_MS = parseInt(process.env.TOOKAN_TIMEOUT_MS) || 30000;
+const MAX_ATTEMPTS = parseInt(process.env.TOOKAN_MAX_ATTEMPTS) || 3;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 8000;
+const MAX_CONCURRENCY = parseInt(process.env.TOOKAN_MAX_CONCURRENCY) || 5;
+const MAX_REQUESTS_PER_SECOND = parseInt(process.env.TOOKAN_MAX_REQUESTS_PER_SECOND) || 10;
+
+// Tookan's success status in the response body
+const SUCCESS_STATUS = 200;
+
+// Errors raised before anything was sent, so even non-idempotent calls can be retried
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+/**
+ * A failed call to the Tookan API
+ * code: 'not_configured' | 'timeout' | 'network' | 'rate_limited' | 'http' | 'invalid_response'
+ * body is the parsed response body, when there was one.
+ */
+class TookanApiError extends Error {
+  constructor(message, { code, endpoint, httpStatus = null, body = null, correlationId = null, attempts = 1, cause } = {}) {
+    super(message);
+    this.name = 'TookanApiError';
+    this.code = code;
+    this.endpoint = endpoint;
+    this.httpStatus = httpStatus;
+    this.body = body;
+    this.correlationId = correlationId;
+    this.attempts = attempts;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+let activeRequests = 0;
+const waitingRequests = [];
+let nextRequestAt = 0;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait for a free slot under the concurrency limit, then for the next slot under the rate limit
+ */
+async function acquireSlot() {
+  if (activeRequests >= MAX_CONCURRENCY) {
+    await new Promise(resolve => waitingRequests.push(resolve));
+  } else {
+    activeRequests++;
+  }
+
+  const now = Date.now();
+  const startAt = Math.max(now, nextRequestAt);
+  nextRequestAt = startAt + Math.ceil(1000 / MAX_REQUESTS_PER_SECOND);
+  if (startAt > now) {
+    await sleep(startAt - now);
+  }
+}
+
+/**
+ * Hand the slot to the next waiting request (the active count stays the same) or free it
+ */
+function releaseSlot() {
+  const next = waitingRequests.shift();
+  if (next) {
+    next();
+  } else {
+    activeRequests--;
+  }
+}
+
+/**
+ * Delay before the next attempt: full jitter over an exponential backoff
+ */
+function retryDelay(attempt) {
+  const cap = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1));
+  return Math.floor(Math.random() * cap);
+}
+
+function getApiKey(endpoint, correlationId) {
+  const apiKey = process.env.TOOKAN_API_KEY;
+  if (!apiKey) {
+    throw new TookanApiError('TOOKAN_API_KEY not configured in environment variables', {
+      code: 'not_configured',
+      endpoint,
+      correlationId,
+      attempts: 0
+    });
+  }
+  return apiKey;
+}
+
+/**
+ * Send one attempt and parse the response body
+ * @returns {Promise<{ httpStatus: number, body: Object }>}
+ */
+async function sendOnce(endpoint, payload, timeoutMs, correlationId) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  let response;
+  let text;
+  try {
+    response = await fetch(`${TOOKAN_API_BASE}/${endpoint}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: controller.signal
+    });
+    text = await response.text();
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new TookanApiError(`Tookan ${endpoint} timed out after ${timeoutMs}ms`, {
+        code: 'timeout',
+        endpoint,
+        correlationId,
+        cause: error
+      });
+    }
+    const connectFailed = CONNECT_ERROR_CODES.includes(error.code);
+    const networkError = new TookanApiError(`Network error calling Tookan ${endpoint}: ${error.message}`, {
+      code: 'network',
+      endpoint,
+      correlationId,
+      cause: error
+    });
+    networkError.connectFailed = connectFailed;
+    throw networkError;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  let body = null;
+  try {
+    body = JSON.parse(text);
+  } catch (parseError) {
+    body = null;
+  }
+
+  if (!response.ok) {
+    const rateLimited = response.status === 429;
+    throw new TookanApiError(rateLimited
+      ? `Tookan ${endpoint} rate limited the request`
+      : `Tookan ${endpoint} returned HTTP ${response.status}`, {
+      code: rateLimited ? 'rate_limited' : 'http',
+      endpoint,
+      httpStatus: response.status,
+      body,
+      correlationId
+    });
+  }
+
+  if (!body || typeof body !== 'object') {
+    throw new TookanApiError(`Tookan ${endpoint} returned invalid JSON: ${String(text).substring(0, 200)}`, {
+      code: 'invalid_response',
+      endpoint,
+      httpStatus: response.status,
+      correlationId
+    });
+  }
+
+  return { httpStatus: response.status, body };
+}
+
+/**
+ * Whether a failed attempt may be retried
+ */
+function isRetryable(error, idempotent) {
+  if (error.code === 'rate_limited') return true;
+  if (error.code === 'network' && error.connectFailed) return true;
+  if (!idempotent) return false;
+  return error.code === 'timeout' || error.code === 'network' || (error.code === 'http' && error.httpStatus >= 500);
+}
+
+/**
+ * Call a Tookan endpoint
+ * @param {string} endpoint - Path under /v2, e.g. 'get_job_details' or 'fleet/wallet/create_transaction'
+ * @param {Object} [payload] - Request body without api_key
+ * @param {Object} [options]
+ * @param {boolean} [options.idempotent=true] - false for calls that create or change data
+ * @param {number} [options.timeoutMs] - Per attempt
+ * @param {number} [options.maxAttempts]
+ * @param {string} [options.correlationId] - Shown in the log line and on errors
+ * @returns {Promise<Object>} Tookan response body
+ * @throws {TookanApiError} When no usable response was received
+ */
+async function call(endpoint, payload = {}, options = {}) {
+  const correlationId = options.correlationId || crypto.randomBytes(6).toString('hex');
+  const idempotent = options.idempotent !== false;
+  const timeoutMs = options.timeoutMs || TIMEOUT_MS;
+  const maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+  const apiKey = getApiKey(endpoint, correlationId);
+  const startedAt = Date.now();
+
+  for (let attempt = 1; ; attempt++) {
+    await acquireSlot();
+    let result;
+    let failure;
+    try {
+      result = await sendOnce(endpoint, { ...payload, api_key: apiKey }, timeoutMs, correlationId);
+    } catch (error) {
+      failure = error;
+    } finally {
+      releaseSlot();
+    }
+
+    if (result) {
+      console.log(`[tookan ${correlationId}] ${endpoint} -> ${result.body.status} (HTTP ${result.httpStatus}) in ${Date.now() - startedAt}ms, attempt ${attempt}`);
+      return result.body;
+    }
+
+    failure.attempts = attempt;
+    if (attempt >= maxAttempts || !isRetryable(failure, idempotent)) {
+      console.error(`[tookan ${correlationId}] ${endpoint} failed after ${attempt} attempt(s) in ${Date.now() - startedAt}ms: ${failure.message}`);
+      throw failure;
+    }
+
+    const delay = retryDelay(attempt);
+    console.warn(`[tookan ${correlationId}] ${endpoint} attempt ${attempt}/${maxAttempts} failed (${failure.code}), retrying in ${delay}ms`);
+    await sleep(delay);
+  }
+}
+
+/**
+ * Whether a Tookan response body reports success
+ */
+function isSuccess(body) {
+  return !!body && body.status === SUCCESS_STATUS;
+}
+
+/**
+ * Whether an error means the endpoint does not exist in this Tookan API version (HTTP 404 or 405)
+ */
+function isEndpointMissing(error) {
+  return error instanceof TookanApiError && (error.httpStatus === 404 || error.httpStatus === 405);
+}
+
+// Tasks
+
+/** Create a task or pickup and delivery pair ({ job_description, job_pickup_address, customer_address, tags, ... }) */
+function createTask(task, options) {
+  return call('create_task', task, { idempotent: false, ...options });
+}
+
+/** Edit a task ({ job_id, ...fields }) */
+function editTask(task, options) {
+  return call('edit_task', task, { idempotent: false, ...options });
+}
+
+/** Delete a task ({ job_id }) */
+function deleteTask(params, options) {
+  return call('delete_task', params, { idempotent: false, ...options });
+}
+
+/** Set a task's status ({ job_id, job_status }) */
+function updateTaskStatus(params, options) {
+  return call('update_task_status', params, { idempotent: false, ...options });
+}
+
+/** Details of one task ({ job_id }) */
+function getTaskDetails(params, options) {
+  return call('get_task_details', params, options);
+}
+
+/** Details of several jobs ({ job_ids, include_task_history? }) */
+function getJobDetails(params, options) {
+  return call('get_job_details', params, options);
+}
+
+/** Tasks linked to a task, e.g. its pickup/delivery pair ({ job_id }) */
+function getRelatedTasks(params, options) {
+  return call('get_related_tasks', params, options);
+}
+
+/** List tasks ({ job_type, start_date, end_date, job_status?, requested_page?, ... }) */
+function getAllTasks(params, options) {
+  return call('get_all_tasks', params, options);
+}
+
+// Fleets (drivers)
+
+/** List fleets */
+function getAllFleets(params = {}, options) {
+  return call('get_all_fleets', params, options);
+}
+
+/** List agents */
+function getAllAgents(params = {}, options) {
+  return call('get_all_agents', params, options);
+}
+
+/** Add a fleet */
+function addFleet(fleet, options) {
+  return call('fleet/add', fleet, { idempotent: false, ...options });
+}
+
+/** Add an agent */
+function addAgent(agent, options) {
+  return call('add_agent', agent, { idempotent: false, ...options });
+}
+
+/** A fleet's wallet */
+function getFleetWallet(params, options) {
+  return call('get_fleet_wallet', params, options);
+}
+
+/** A fleet's wallet balance */
+function getFleetWalletBalance(params, options) {
+  return call('get_fleet_wallet_balance', params, options);
+}
+
+/** Fleet wallet transactions */
+function readFleetWalletTransactionHistory(params, options) {
+  return call('fleet/wallet/read_transaction_history', params, options);
+}
+
+/** Credit or debit a fleet wallet */
+function createFleetWalletTransaction(transaction, options) {
+  return call('fleet/wallet/create_transaction', transaction, { idempotent: false, ...options });
+}
+
+// Customers (merchants)
+
+/** List customers */
+function getAllCustomers(params = {}, options) {
+  return call('get_all_customers', params, options);
+}
+
+/** List customers a page at a time */
+function viewCustomersWithPagination(params, options) {
+  return call('viewCustomersWithPagination', params, options);
+}
+
+/** One customer's profile */
+function viewCustomerProfile(params, options) {
+  return call('view_customer_profile', params, options);
+}
+
+/** Add a customer */
+function addCustomer(customer, options) {
+  return call('customer/add', customer, { idempotent: false, ...options });
+}
+
+/** Edit a customer (profile fields and tags) */
+function editCustomer(customer, options) {
+  return call('customer/edit', customer, { idempotent: false, ...options });
+}
+
+/** Customer wallets (one customer with vendor_ids, or a page of all) */
+function fetchCustomersWallet(params, options) {
+  return call('fetch_customers_wallet', params, options);
+}
+
+/** A customer's wallet */
+function getCustomerWallet(params, options) {
+  return call('get_customer_wallet', params, options);
+}
+
+/** Credit or debit a customer wallet */
+function customerWalletTransaction(transaction, options) {
+  return call('customer_wallet_transaction', transaction, { idempotent: false, ...options });
+}
+
+/** Record a customer payment as the dashboard does */
+function addCustomerPaymentViaDashboard(payment, options) {
+  return call('addCustomerPaymentViaDashboard', payment, { idempotent: false, ...options });
+}
+
+module.exports = {
+  TOOKAN_API_BASE,
+  TookanApiError,
+  call,
+  isSuccess,
+  isEndpointMissing,
+  createTask,
+  editTask,
+  deleteTask,
+  updateTaskStatus,
+  getTaskDetails,
+  getJobDetails,
+  getRelatedTasks,
+  getAllTasks,
+  getAllFleets,
+  getAllAgents,
+  addFleet,
+  addAgent,
+  getFleetWallet,
+  getFleetWalletBalance,
+  readFleetWalletTransactionHistory,
+  createFleetWalletTransaction,
+  getAllCustomers,
+  viewCustomersWithPagination,
+  viewCustomerProfile,
+  addCustomer,
+  editCustomer,
+  fetchCustomersWallet,
+  getCustomerWallet,
+  customerWalletTransaction,
+  addCustomerPaymentViaDashboard
+};
@@ -0,0 +1,370 @@
+/**
+ * Tookan Webhook Handlers
+ *
+ * One handler per Tookan event type (tookanConfig.WEBHOOK_EVENTS). Each handler
+ * validates the payload fields it needs, then applies the event and its side effects:
+ * - task events update the local task and notify the owning EDI merchant of status changes
+ * - task_created applies the tag rules to tasks created outside this server
+ * - task_completed adds the delivery's COD to the driver's COD queue
+ * - task_deleted removes the cached task
+ * - agent and customer events keep the agents and customers tables in sync
+ *
+ * An event type without a handler, or a payload missing required fields, raises a
+ * WebhookEventError; retrying cannot fix either, so the processor dead-letters them.
+ */
+
+const taskStorage = require('../taskStorage');
+const codQueue = require('../codQueue');
+const tookanClient = require('./tookanClient');
+const merchantWebhookService = require('./merchantWebhookService');
+const retagService = require('./retagService');
+const customerSyncService = require('./customerSyncService');
+const agentModel = require('../db/models/agents');
+const taskModel = require('../db/models/tasks');
+const { WEBHOOK_EVENTS, STATUS_EVENTS, EVENT_TYPE_ALIASES } = require('../config/tookanConfig');
+const { isConfigured } = require('../db/supabase');
+
+// Tookan statuses a task does not leave (Successful, Failed, Cancel, Deleted)
+const FINAL_STATUSES = [2, 3, 9, 10];
+const DELETED_STATUS = 10;
+const DELIVERY_JOB_TYPE = 1;
+
+const handlers = new Map();
+
+class WebhookEventError extends Error {
+  /**
+   * @param {string} message
+   * @param {'unknown_event_type'|'invalid_payload'} code
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'WebhookEventError';
+    this.code = code;
+  }
+}
+
+function getJobId(payload) {
+  return payload.job_id || payload.order_id || payload.task_id || null;
+}
+
+function isDeletedFlag(payload) {
+  return payload.is_deleted === 1 || payload.is_deleted === '1' || payload.is_deleted === true;
+}
+
+/**
+ * The event type of a payload: its event_type (short names like 'successful' mapped
+ * through EVENT_TYPE_ALIASES), or for task webhooks whose event type is missing or
+ * has no handler, the event implied by job_status
+ */
+function resolveEventType(payload = {}) {
+  const explicit = payload.event_type || payload.type;
+  if (explicit) {
+    const eventType = String(explicit).toLowerCase();
+    const resolved = EVENT_TYPE_ALIASES[eventType] || eventType;
+    if (handlers.has(resolved) || !getJobId(payload)) return resolved;
+  }
+
+  if (getJobId(payload)) {
+    if (isDeletedFlag(payload)) return WEBHOOK_EVENTS.TASK_DELETED;
+    const status = parseInt(payload.job_status ?? payload.status);
+    return STATUS_EVENTS[status] || WEBHOOK_EVENTS.TASK_UPDATED;
+  }
+
+  return 'unknown';
+}
+
+/**
+ * Register the handler of an event type
+ * @param {string} eventType - A tookanConfig.WEBHOOK_EVENTS value
+ * @param {Object} handler - { validate(payload) => error message | null, handle(payload, context) => action }
+ */
+function registerHandler(eventType, handler) {
+  handlers.set(eventType, handler);
+}
+
+function getEventTypes() {
+  return [...handlers.keys()];
+}
+
+function requireField(...names) {
+  return payload => (names.some(name => payload[name] !== undefined && payload[name] !== null && payload[name] !== '')
+    ? null
+    : `${names.join(' or ')} is required`);
+}
+
+const requireJobId = requireField('job_id', 'order_id', 'task_id');
+
+// ============================================
+// TASK EVENTS
+// ============================================
+
+/**
+ * Merge the webhook payload with fresh task details and the COD amount from Tookan
+ * Tookan lookups are best effort: the webhook data is used when they fail.
+ */
+async function buildTaskUpdate(webhookData, jobId) {
+  let taskDataToUpdate = webhookData;
+
+  try {
+    console.log(`🔄 Fetching fresh details for Job ID: ${jobId}`);
+    const getData = await tookanClient.getTaskDetails({ job_id: jobId });
+    if (getData.status === 200 && getData.data) {
+      const freshTask = getData.data;
+
+      // Map Tookan's varied date fields to our standard usage
+      const completedTime = freshTask.job_completed_datetime ||
+        freshTask.completed_datetime ||
+        freshTask.job_delivered_datetime ||
+        freshTask.acknowledged_datetime ||
+        webhookData.completed_datetime;
+
+      // Keep webhook event info (type, etc.) but prefer fresh task properties
+      taskDataToUpdate = {
+        ...webhookData,
+        ...freshTask,
+        completed_datetime: completedTime,
+        job_status: freshTask.job_status || freshTask.status || webhookData.job_status,
+        template_fields: { ...(webhookData.template_fields || {}), ...(freshTask.template_fields || {}) },
+        custom_fields: { ...(webhookData.custom_fields || {}), ...(freshTask.custom_fields || {}) }
+      };
+    }
+  } catch (fetchError) {
+    console.error('⚠️ Failed to fetch fresh task details:', fetchError.message);
+  }
+
+  try {
+    const codData = await tookanClient.getJobDetails({
+      job_ids: [parseInt(jobId)],
+      include_task_history: 0,
+      job_additional_info: 1,
+      include_job_report: 0
+    });
+
+    if (codData.status === 200 && codData.data && codData.data.length > 0) {
+      const jobData = codData.data[0];
+      const customFields = jobData.custom_field || [];
+
+      if (Array.isArray(customFields)) {
+        const codField = customFields.find(field =>
+          field.label === 'COD_Amount' ||
+          field.display_name === 'CASH NEEDS TO BE COLLECTED'
+        );
+
+        if (codField && codField.data) {
+          const codValue = parseFloat(codField.data);
+          if (!isNaN(codValue)) {
+            taskDataToUpdate.cod_amount = codValue;
+          }
+        }
+      }
+
+      if (jobData.tags) {
+        taskDataToUpdate.tags = jobData.tags;
+      }
+    }
+  } catch (codFetchError) {
+    console.error('⚠️ Failed to fetch COD amount:', codFetchError.message);
+  }
+
+  return taskDataToUpdate;
+}
+
+/**
+ * Never let a late event move a task out of a final status
+ * (e.g. an "assigned" delivered after "completed")
+ */
+function keepFinalStatus(taskData, previousTask) {
+  if (!previousTask) return taskData;
+
+  const currentStatus = parseInt(previousTask.job_status ?? previousTask.status);
+  const incomingStatus = parseInt(taskData.job_status ?? taskData.status);
+
+  if (FINAL_STATUSES.includes(currentStatus) && !isNaN(incomingStatus) && !FINAL_STATUSES.includes(incomingStatus)) {
+    console.log(`⏭️  Keeping final status ${currentStatus} for job ${previousTask.job_id} (event had ${incomingStatus})`);
+    return { ...taskData, job_status: currentStatus, status: currentStatus };
+  }
+
+  return taskData;
+}
+
+/**
+ * Queue the owning EDI merchant's status webhook
+ * Best effort: on a retry the task already has the new status, so a failed notify would not be repeated anyway.
+ */
+async function notifyMerchant(task, previousTask, context) {
+  try {
+    const deliveries = await merchantWebhookService.notifyTaskStatusChange(task, previousTask);
+    if (deliveries.length > 0) {
+      context.sideEffects.push('merchant_notified');
+    }
+  } catch (error) {
+    console.error('Merchant webhook notify error:', error.message);
+  }
+}
+
+/**
+ * Update the local task from the event and notify the merchant if its status changed
+ * @returns {Promise<{ task: Object, previousTask: Object|null }>}
+ */
+async function applyTaskUpdate(payload, context) {
+  const jobId = getJobId(payload);
+  const previousTask = await taskStorage.getTask(jobId);
+  const taskData = keepFinalStatus(await buildTaskUpdate(payload, jobId), previousTask);
+
+  const updatedTask = await taskStorage.updateTaskFromWebhook(taskData);
+  const task = { ...updatedTask, ...taskData };
+
+  await notifyMerchant(task, previousTask, context);
+
+  return { task, previousTask };
+}
+
+/**
+ * Put a completed delivery's COD in the driver's queue, once per job
+ */
+async function queueDriverCod(task, context) {
+  const amount = parseFloat(task.cod_amount ?? task.cod);
+  const driverId = task.fleet_id;
+  if (!driverId || !(amount > 0)) return;
+  if (task.job_type !== undefined && task.job_type !== null && parseInt(task.job_type) !== DELIVERY_JOB_TYPE) return;
+
+  const queue = await codQueue.getDriverQueue(driverId);
+  if (queue.some(entry => String(entry.orderId) === String(task.job_id))) return;
+
+  await codQueue.addCODToQueue(driverId, {
+    orderId: task.job_id,
+    amount,
+    merchantVendorId: task.vendor_id || null,
+    date: task.completed_datetime || new Date().toISOString()
+  });
+  context.sideEffects.push('cod_queued');
+}
+
+/**
+ * Apply the tag rules to a task that was created outside this server
+ */
+async function applyRuleTags(task, context) {
+  const result = await retagService.retagTask(task);
+  if (result.status === 'failed') {
+    throw new Error(`Failed to apply tags to job ${task.job_id}: ${result.error}`);
+  }
+  if (result.status === 'updated') {
+    context.sideEffects.push('tags_applied');
+  }
+}
+
+function taskHandler(afterUpdate = null) {
+  return {
+    validate: requireJobId,
+    handle: async (payload, context) => {
+      const { task } = await applyTaskUpdate(payload, context);
+      if (afterUpdate) {
+        await afterUpdate(task, context);
+      }
+      return 'task_updated';
+    }
+  };
+}
+
+[
+  WEBHOOK_EVENTS.TASK_UPDATED,
+  WEBHOOK_EVENTS.TASK_STATUS_CHANGED,
+  WEBHOOK_EVENTS.TASK_ASSIGNED,
+  WEBHOOK_EVENTS.TASK_ACCEPTED,
+  WEBHOOK_EVENTS.TASK_STARTED,
+  WEBHOOK_EVENTS.TASK_ARRIVED,
+  WEBHOOK_EVENTS.TASK_FAILED,
+  WEBHOOK_EVENTS.TASK_DECLINED,
+  WEBHOOK_EVENTS.TASK_CANCELLED
+].forEach(eventType => registerHandler(eventType, taskHandler()));
+
+registerHandler(WEBHOOK_EVENTS.TASK_CREATED, taskHandler(applyRuleTags));
+registerHandler(WEBHOOK_EVENTS.TASK_COMPLETED, taskHandler(queueDriverCod));
+
+registerHandler(WEBHOOK_EVENTS.TASK_DELETED, {
+  validate: requireJobId,
+  handle: async (payload, context) => {
+    const jobId = getJobId(payload);
+    const previousTask = await taskStorage.getTask(jobId);
+
+    if (isConfigured()) {
+      await taskModel.deleteTask(jobId);
+    }
+
+    if (previousTask) {
+      await notifyMerchant({ ...previousTask, job_status: DELETED_STATUS, status: DELETED_STATUS }, previousTask, context);
+    }
+
+    return 'task_deleted';
+  }
+});
+
+// ============================================
+// AGENT AND CUSTOMER EVENTS
+// ============================================
+
+const requireFleetId = requireField('fleet_id');
+
+registerHandler(WEBHOOK_EVENTS.AGENT_CREATED, {
+  validate: requireFleetId,
+  handle: async (payload) => {
+    const agentRecord = agentModel.transformFleetToAgent(payload);
+    await agentModel.upsertAgent(agentRecord.fleet_id, agentRecord);
+    return 'agent_upserted';
+  }
+});
+registerHandler(WEBHOOK_EVENTS.AGENT_UPDATED, handlers.get(WEBHOOK_EVENTS.AGENT_CREATED));
+
+registerHandler(WEBHOOK_EVENTS.AGENT_DELETED, {
+  validate: requireFleetId,
+  handle: async (payload) => {
+    await agentModel.deleteAgent(payload.fleet_id);
+    return 'agent_deleted';
+  }
+});
+
+const customerHandler = {
+  validate: requireField('vendor_id', 'customer_id'),
+  handle: async (payload) => {
+    const result = await customerSyncService.handleCustomerWebhook(payload);
+    if (!result.success) {
+      throw new Error(result.message || 'Customer sync failed');
+    }
+    return `customer_${result.action}`;
+  }
+};
+
+registerHandler(WEBHOOK_EVENTS.CUSTOMER_CREATED, customerHandler);
+registerHandler(WEBHOOK_EVENTS.CUSTOMER_UPDATED, customerHandler);
+registerHandler(WEBHOOK_EVENTS.CUSTOMER_DELETED, customerHandler);
+
+/**
+ * Validate a webhook payload and run its event type's handler
+ * @returns {Promise<{ eventType: string, action: string, sideEffects: string[] }>}
+ * @throws {WebhookEventError} for an unknown event type or an invalid payload
+ */
+async function handleWebhookEvent(payload = {}) {
+  const eventType = resolveEventType(payload);
+  const handler = handlers.get(eventType);
+
+  if (!handler) {
+    throw new WebhookEventError(`Unknown webhook event type: ${eventType}`, 'unknown_event_type');
+  }
+
+  const problem = handler.validate(payload);
+  if (problem) {
+    throw new WebhookEventError(`Invalid ${eventType} payload: ${problem}`, 'invalid_payload');
+  }
+
+  const context = { eventType, sideEffects: [] };
+  const action = await handler.handle(payload, context);
+  return { eventType, action, sideEffects: context.sideEffects };
+}
+
+module.exports = {
+  WebhookEventError,
+  resolveEventType,
+  registerHandler,
+  getEventTypes,
+  handleWebhookEvent
+};
@@ -0,0 +1,328 @@
+/**
+ * Delivery Zone Service
+ *
+ * Resolves which delivery zone a coordinate falls in, using the GeoJSON polygons
+ * in delivery_zones. The resolved pickup and delivery zones feed tag rules
+ * (pickupZone / deliveryZone), quote surcharges and zone reports.
+ */
+
+const { isConfigured } = require('../db/supabase');
+const deliveryZonesModel = require('../db/models/deliveryZones');
+
+// Active zones are re-read after this long, so edits on other instances are picked up
+const ZONE_CACHE_TTL_MS = 60 * 1000;
+
+const ZONE_CODE_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+
+let zoneCache = null;
+
+/**
+ * Validate a GeoJSON ring: at least four positions, closed, valid lng/lat
+ */
+function validateRing(ring, label) {
+  if (!Array.isArray(ring) || ring.length < 4) {
+    return `${label} must have at least 4 positions`;
+  }
+
+  for (const position of ring) {
+    if (!Array.isArray(position) || position.length < 2 || !position.every(n => typeof n === 'number' && isFinite(n))) {
+      return `${label} has an invalid position (expected [longitude, latitude])`;
+    }
+    const [lng, lat] = position;
+    if (lng < -180 || lng > 180 || lat < -90 || lat > 90) {
+      return `${label} has a position out of range: [${lng}, ${lat}]`;
+    }
+  }
+
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    return `${label} is not closed (first and last positions must match)`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate a GeoJSON Polygon or MultiPolygon geometry
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateGeometry(geometry) {
+  if (!geometry || typeof geometry !== 'object') {
+    return 'geometry must be a GeoJSON Polygon or MultiPolygon';
+  }
+
+  let polygons;
+  if (geometry.type === 'Polygon') {
+    polygons = [geometry.coordinates];
+  } else if (geometry.type === 'MultiPolygon') {
+    polygons = geometry.coordinates;
+  } else {
+    return `geometry type must be Polygon or MultiPolygon (got ${geometry.type})`;
+  }
+
+  if (!Array.isArray(polygons) || polygons.length === 0) {
+    return 'geometry has no coordinates';
+  }
+
+  for (let p = 0; p < polygons.length; p++) {
+    const rings = polygons[p];
+    if (!Array.isArray(rings) || rings.length === 0) {
+      return `polygon ${p} has no rings`;
+    }
+    for (let r = 0; r < rings.length; r++) {
+      const error = validateRing(rings[r], `polygon ${p} ring ${r}`);
+      if (error) return error;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a zone for create/update/import
+ * @param {Object} zone - Zone fields
+ * @param {boolean} partial - true for updates (only given fields are checked)
+ * @returns {Array<{field: string, message: string}>} Errors (empty when valid)
+ */
+function validateZone(zone, partial = false) {
+  const errors = [];
+
+  if (!zone || typeof zone !== 'object') {
+    return [{ field: 'zone', message: 'Zone must be an object' }];
+  }
+
+  if (!partial || zone.code !== undefined) {
+    if (typeof zone.code !== 'string' || !ZONE_CODE_PATTERN.test(zone.code)) {
+      errors.push({ field: 'code', message: 'code is required (letters, digits, _ and -, up to 50 characters)' });
+    }
+  }
+
+  if (!partial || zone.name !== undefined) {
+    if (typeof zone.name !== 'string' || zone.name.trim() === '') {
+      errors.push({ field: 'name', message: 'name is required' });
+    }
+  }
+
+  if (!partial || zone.geometry !== undefined) {
+    const error = validateGeometry(zone.geometry);
+    if (error) {
+      errors.push({ field: 'geometry', message: error });
+    }
+  }
+
+  if (zone.priority !== undefined && !Number.isInteger(Number(zone.priority))) {
+    errors.push({ field: 'priority', message: 'priority must be an integer' });
+  }
+
+  if (zone.delivery_surcharge !== undefined) {
+    const surcharge = Number(zone.delivery_surcharge);
+    if (isNaN(surcharge) || surcharge < 0) {
+      errors.push({ field: 'delivery_surcharge', message: 'delivery_surcharge must be a non-negative number' });
+    }
+  }
+
+  if (zone.is_active !== undefined && typeof zone.is_active !== 'boolean') {
+    errors.push({ field: 'is_active', message: 'is_active must be a boolean' });
+  }
+
+  return errors;
+}
+
+/**
+ * Ray casting test for one ring (planar; fine at city scale)
+ */
+function pointInRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = (yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Test whether a point is inside a Polygon/MultiPolygon (holes excluded)
+ */
+function pointInGeometry(lng, lat, geometry) {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+
+  return polygons.some(([outer, ...holes]) =>
+    pointInRing(lng, lat, outer) && !holes.some(hole => pointInRing(lng, lat, hole))
+  );
+}
+
+/**
+ * Parse a coordinate pair; null when either value is missing or invalid
+ */
+function toPoint(lat, lng) {
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lng);
+  if (isNaN(latitude) || isNaN(longitude) || (latitude === 0 && longitude === 0)) {
+    return null;
+  }
+  return { latitude, longitude };
+}
+
+/**
+ * Find the zone containing a point
+ * @param {number|string} lat - Latitude
+ * @param {number|string} lng - Longitude
+ * @param {Array} zones - Zones, highest priority first (as returned by getActiveZones)
+ * @returns {Object|null} Matching zone
+ */
+function findZone(lat, lng, zones) {
+  const point = toPoint(lat, lng);
+  if (!point) {
+    return null;
+  }
+  return zones.find(zone => pointInGeometry(point.longitude, point.latitude, zone.geometry)) || null;
+}
+
+/**
+ * Load active zones (cached)
+ * Returns no zones when Supabase is not configured or cannot be reached, so zone
+ * lookup never blocks order creation.
+ */
+async function getActiveZones() {
+  if (!isConfigured()) {
+    return [];
+  }
+
+  if (zoneCache && Date.now() - zoneCache.loadedAt < ZONE_CACHE_TTL_MS) {
+    return zoneCache.zones;
+  }
+
+  try {
+    const zones = await deliveryZonesModel.listZones({ activeOnly: true });
+    zoneCache = { zones, loadedAt: Date.now() };
+    return zones;
+  } catch (error) {
+    console.error('Error loading delivery zones:', error.message);
+    return zoneCache ? zoneCache.zones : [];
+  }
+}
+
+/**
+ * Drop the cached zones after a change
+ */
+function clearZoneCache() {
+  zoneCache = null;
+}
+
+/**
+ * Read pickup and delivery coordinates from task/order data
+ * Accepts Tookan (job_pickup_latitude, job_latitude), EDI (pickup_latitude,
+ * delivery_latitude) and camelCase spellings.
+ */
+function getTaskPoints(data = {}) {
+  return {
+    pickup: [
+      data.job_pickup_latitude ?? data.pickup_latitude ?? data.pickupLatitude,
+      data.job_pickup_longitude ?? data.pickup_longitude ?? data.pickupLongitude
+    ],
+    delivery: [
+      data.job_latitude ?? data.delivery_latitude ?? data.deliveryLatitude ?? data.latitude,
+      data.job_longitude ?? data.delivery_longitude ?? data.deliveryLongitude ?? data.longitude
+    ]
+  };
+}
+
+/**
+ * Resolve the pickup and delivery zones of a task using already loaded zones
+ * @returns {{ pickupZone: Object|null, deliveryZone: Object|null }}
+ */
+function resolveTaskZonesWith(data, zones) {
+  const { pickup, delivery } = getTaskPoints(data);
+  return {
+    pickupZone: findZone(pickup[0], pickup[1], zones),
+    deliveryZone: findZone(delivery[0], delivery[1], zones)
+  };
+}
+
+/**
+ * Resolve the pickup and delivery zones of a task
+ * @param {Object} data - Task or order data with coordinates
+ * @returns {Promise<{ pickupZone: Object|null, deliveryZone: Object|null }>}
+ */
+async function resolveTaskZones(data) {
+  const zones = await getActiveZones();
+  return resolveTaskZonesWith(data, zones);
+}
+
+/**
+ * Export zones as a GeoJSON FeatureCollection
+ */
+function toFeatureCollection(zones) {
+  return {
+    type: 'FeatureCollection',
+    features: zones.map(zone => ({
+      type: 'Feature',
+      id: zone.code,
+      properties: {
+        code: zone.code,
+        name: zone.name,
+        description: zone.description || null,
+        priority: zone.priority,
+        delivery_surcharge: Number(zone.delivery_surcharge) || 0,
+        is_active: zone.is_active
+      },
+      geometry: zone.geometry
+    }))
+  };
+}
+
+/**
+ * Read zones from a GeoJSON FeatureCollection (import)
+ * @returns {{ zones: Array, errors: Array<{feature: number, field: string, message: string}> }}
+ */
+function fromFeatureCollection(collection) {
+  if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+    return { zones: [], errors: [{ feature: null, field: 'type', message: 'Expected a GeoJSON FeatureCollection' }] };
+  }
+
+  const zones = [];
+  const errors = [];
+  const seenCodes = new Set();
+
+  collection.features.forEach((feature, index) => {
+    const properties = (feature && feature.properties) || {};
+    const zone = {
+      code: properties.code !== undefined ? properties.code : feature && feature.id,
+      name: properties.name,
+      description: properties.description || null,
+      geometry: feature && feature.geometry,
+      priority: properties.priority !== undefined ? Number(properties.priority) : 0,
+      delivery_surcharge: properties.delivery_surcharge !== undefined ? Number(properties.delivery_surcharge) : 0,
+      is_active: properties.is_active !== undefined ? properties.is_active : true
+    };
+
+    const zoneErrors = validateZone(zone);
+    if (zone.code && seenCodes.has(zone.code)) {
+      zoneErrors.push({ field: 'code', message: `Duplicate code '${zone.code}'` });
+    }
+    seenCodes.add(zone.code);
+
+    zoneErrors.forEach(error => errors.push({ feature: index, ...error }));
+    if (zoneErrors.length === 0) {
+      zones.push(zone);
+    }
+  });
+
+  return { zones, errors };
+}
+
+module.exports = {
+  validateGeometry,
+  validateZone,
+  pointInGeometry,
+  findZone,
+  getActiveZones,
+  clearZoneCache,
+  resolveTaskZones,
+  resolveTaskZonesWith,
+  toFeatureCollection,
+  fromFeatureCollection
+};
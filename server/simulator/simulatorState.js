@@ -0,0 +1,451 @@
+/**
+ * Tookan Simulator State
+ *
+ * In-memory stand-in for the data a Tookan account holds: tasks, fleets (drivers),
+ * customers (merchants) and both kinds of wallet. Records use Tookan's own field
+ * names so the server's existing mapping code reads them unchanged.
+ *
+ * Nothing is persisted; reset() brings the store back to the seed data.
+ */
+
+// Tookan job_status values
+const TASK_STATUS = {
+  ASSIGNED: 0,
+  STARTED: 1,
+  SUCCESSFUL: 2,
+  FAILED: 3,
+  ARRIVED: 4,
+  UNASSIGNED: 6,
+  ACCEPTED: 7,
+  DECLINED: 8,
+  CANCELLED: 9,
+  DELETED: 10
+};
+
+// Tookan job_type values
+const JOB_TYPE = {
+  PICKUP: 0,
+  DELIVERY: 1
+};
+
+// Fleet wallet transaction_type: 1 = debit, 2 = credit
+const FLEET_DEBIT = 1;
+
+// Customer wallet transaction_type: 1 = credit, 2 = debit
+const CUSTOMER_DEBIT = 2;
+
+const SEED_FLEETS = [
+  { fleet_name: 'Sim Driver One', fleet_phone: '+97330000001', email: 'driver1@simulator.local', username: 'simdriver1', wallet_balance: 0 },
+  { fleet_name: 'Sim Driver Two', fleet_phone: '+97330000002', email: 'driver2@simulator.local', username: 'simdriver2', wallet_balance: -12.5 },
+  { fleet_name: 'Sim Driver Three', fleet_phone: '+97330000003', email: 'driver3@simulator.local', username: 'simdriver3', wallet_balance: 40 }
+];
+
+const SEED_CUSTOMERS = [
+  { customer_username: 'Sim Merchant One', customer_phone: '+97339000001', customer_email: 'merchant1@simulator.local', customer_address: 'Building 1, Road 1, Manama', wallet_balance: 150 },
+  { customer_username: 'Sim Merchant Two', customer_phone: '+97339000002', customer_email: 'merchant2@simulator.local', customer_address: 'Building 2, Road 2, Muharraq', wallet_balance: 0 }
+];
+
+let tasks;
+let fleets;
+let customers;
+let fleetTransactions;
+let customerTransactions;
+let nextJobId;
+let nextFleetId;
+let nextCustomerId;
+let nextTransactionId;
+
+/**
+ * Tookan style datetime: "YYYY-MM-DD HH:mm:ss"
+ */
+function formatDateTime(date = new Date()) {
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+function round(amount) {
+  return Math.round(amount * 1000) / 1000;
+}
+
+function addFleet(fields = {}) {
+  const fleetId = nextFleetId++;
+  const fleet = {
+    fleet_id: fleetId,
+    fleet_name: fields.fleet_name || fields.name || fields.username || `Sim Driver ${fleetId}`,
+    username: fields.username || `simdriver${fleetId}`,
+    email: fields.email || null,
+    fleet_phone: fields.fleet_phone || fields.phone || null,
+    status: 1,
+    is_active: 1,
+    team_id: fields.team_id ? parseInt(fields.team_id) : 1,
+    team_name: fields.team_name || 'Simulator Team',
+    tags: fields.tags || '',
+    transport_type: fields.transport_type ? parseInt(fields.transport_type) : 2,
+    transport_desc: fields.transport_desc || 'Bike',
+    registration_status: 1,
+    latitude: '26.2235',
+    longitude: '50.5876',
+    wallet_balance: round(parseFloat(fields.wallet_balance) || 0),
+    creation_datetime: formatDateTime()
+  };
+  fleets.set(fleetId, fleet);
+  return fleet;
+}
+
+function addCustomer(fields = {}) {
+  const customerId = nextCustomerId++;
+  const customer = {
+    customer_id: customerId,
+    vendor_id: customerId,
+    customer_username: fields.customer_username || fields.name || `Sim Merchant ${customerId}`,
+    customer_phone: fields.customer_phone || fields.phone || null,
+    customer_email: fields.customer_email || fields.email || null,
+    customer_address: fields.customer_address || fields.address || null,
+    tags: fields.tags || '',
+    wallet_balance: round(parseFloat(fields.wallet_balance) || 0),
+    creation_datetime: formatDateTime()
+  };
+  customers.set(customerId, customer);
+  return customer;
+}
+
+/**
+ * Reset the store to the seed fleets and customers, with no tasks
+ */
+function reset() {
+  tasks = new Map();
+  fleets = new Map();
+  customers = new Map();
+  fleetTransactions = [];
+  customerTransactions = [];
+  nextJobId = 900000001;
+  nextFleetId = 5001;
+  nextCustomerId = 7001;
+  nextTransactionId = 1;
+
+  SEED_FLEETS.forEach(fleet => addFleet(fleet));
+  SEED_CUSTOMERS.forEach(customer => addCustomer(customer));
+}
+
+/**
+ * Turn meta_data ([{ label, data }]) into the custom_field array Tookan returns
+ */
+function toCustomFields(metaData) {
+  if (!Array.isArray(metaData)) return [];
+  return metaData
+    .filter(field => field && field.label)
+    .map(field => ({
+      label: field.label,
+      display_name: field.label,
+      data: field.data === undefined || field.data === null ? '' : String(field.data),
+      data_type: 'Text'
+    }));
+}
+
+function mergeCustomFields(existing, metaData) {
+  const merged = [...existing];
+  for (const field of toCustomFields(metaData)) {
+    const index = merged.findIndex(f => f.label === field.label);
+    if (index >= 0) {
+      merged[index] = { ...merged[index], data: field.data };
+    } else {
+      merged.push(field);
+    }
+  }
+  return merged;
+}
+
+function normalizeTags(tags) {
+  if (!tags) return '';
+  return Array.isArray(tags) ? tags.join(',') : String(tags);
+}
+
+function buildTask(jobType, fields, shared) {
+  const jobId = nextJobId++;
+  const fleet = shared.fleetId ? fleets.get(shared.fleetId) : null;
+  const isPickup = jobType === JOB_TYPE.PICKUP;
+
+  return {
+    job_id: jobId,
+    order_id: fields.order_id || '',
+    job_type: jobType,
+    job_status: fleet ? TASK_STATUS.ASSIGNED : TASK_STATUS.UNASSIGNED,
+    job_description: fields.job_description || '',
+    customer_comments: fields.customer_comments || '',
+    fleet_id: fleet ? fleet.fleet_id : null,
+    fleet_name: fleet ? fleet.fleet_name : '',
+    vendor_id: shared.vendorId,
+    customer_id: shared.vendorId,
+    customer_username: isPickup ? (fields.job_pickup_name || '') : (fields.customer_username || ''),
+    customer_phone: isPickup ? (fields.job_pickup_phone || '') : (fields.customer_phone || ''),
+    customer_email: isPickup ? (fields.job_pickup_email || '') : (fields.customer_email || ''),
+    job_address: isPickup ? (fields.job_pickup_address || '') : (fields.customer_address || ''),
+    job_pickup_name: fields.job_pickup_name || '',
+    job_pickup_phone: fields.job_pickup_phone || '',
+    job_pickup_address: fields.job_pickup_address || '',
+    job_pickup_latitude: fields.job_pickup_latitude || '',
+    job_pickup_longitude: fields.job_pickup_longitude || '',
+    job_latitude: (isPickup ? fields.job_pickup_latitude : fields.latitude) || '',
+    job_longitude: (isPickup ? fields.job_pickup_longitude : fields.longitude) || '',
+    job_pickup_datetime: fields.job_pickup_datetime || shared.now,
+    job_delivery_datetime: fields.job_delivery_datetime || shared.now,
+    creation_datetime: shared.now,
+    completed_datetime: null,
+    pickup_delivery_relationship: shared.relationship,
+    tags: normalizeTags(fields.tags),
+    custom_field_template: fields.custom_field_template || '',
+    custom_field: toCustomFields(isPickup ? (fields.pickup_meta_data || fields.meta_data) : fields.meta_data),
+    order_payment: fields.order_payment || 0,
+    tracking_link: `https://simulator.local/track/${jobId}`,
+    timezone: fields.timezone || '-180'
+  };
+}
+
+/**
+ * Create the pickup and/or delivery tasks of a create_task call
+ */
+function createTasks(fields) {
+  const hasPickup = String(fields.has_pickup) === '1';
+  const hasDelivery = String(fields.has_delivery) === '1' || !hasPickup;
+  const now = formatDateTime();
+  const fleetId = fields.fleet_id ? parseInt(fields.fleet_id) : null;
+  if (fleetId && !fleets.has(fleetId)) {
+    throw new Error(`Fleet ${fields.fleet_id} not found`);
+  }
+
+  const shared = {
+    now,
+    fleetId,
+    vendorId: fields.customer_id || fields.vendor_id ? parseInt(fields.customer_id || fields.vendor_id) : null,
+    relationship: `${Date.now()}${Math.floor(Math.random() * 1000)}`
+  };
+
+  const pickup = hasPickup ? buildTask(JOB_TYPE.PICKUP, fields, shared) : null;
+  const delivery = hasDelivery ? buildTask(JOB_TYPE.DELIVERY, fields, shared) : null;
+  [pickup, delivery].filter(Boolean).forEach(task => tasks.set(task.job_id, task));
+
+  return { pickup, delivery };
+}
+
+function getTask(jobId) {
+  return tasks.get(parseInt(jobId)) || null;
+}
+
+/**
+ * Apply edit_task fields to a task; meta_data is merged into custom_field by label
+ */
+function updateTask(jobId, fields) {
+  const task = getTask(jobId);
+  if (!task) return null;
+
+  const editable = [
+    'order_id', 'job_description', 'customer_comments', 'customer_username', 'customer_phone',
+    'customer_email', 'job_pickup_name', 'job_pickup_phone', 'job_pickup_address',
+    'job_pickup_datetime', 'job_delivery_datetime', 'custom_field_template', 'order_payment'
+  ];
+  for (const key of editable) {
+    if (fields[key] !== undefined) {
+      task[key] = fields[key];
+    }
+  }
+  if (fields.customer_address !== undefined && task.job_type === JOB_TYPE.DELIVERY) {
+    task.job_address = fields.customer_address;
+  }
+  if (fields.tags !== undefined) {
+    task.tags = normalizeTags(fields.tags);
+  }
+  if (fields.meta_data !== undefined) {
+    task.custom_field = mergeCustomFields(task.custom_field, fields.meta_data);
+  }
+  if (fields.fleet_id !== undefined && fields.fleet_id !== null && fields.fleet_id !== '') {
+    const fleet = fleets.get(parseInt(fields.fleet_id));
+    if (!fleet) {
+      throw new Error(`Fleet ${fields.fleet_id} not found`);
+    }
+    task.fleet_id = fleet.fleet_id;
+    task.fleet_name = fleet.fleet_name;
+    if (task.job_status === TASK_STATUS.UNASSIGNED) {
+      task.job_status = TASK_STATUS.ASSIGNED;
+    }
+  }
+  return task;
+}
+
+function setTaskStatus(jobId, jobStatus) {
+  const task = getTask(jobId);
+  if (!task) return null;
+
+  task.job_status = parseInt(jobStatus);
+  if (task.job_status === TASK_STATUS.SUCCESSFUL || task.job_status === TASK_STATUS.FAILED) {
+    task.completed_datetime = formatDateTime();
+  }
+  return task;
+}
+
+function deleteTask(jobId) {
+  const task = getTask(jobId);
+  if (!task) return null;
+  tasks.delete(task.job_id);
+  return { ...task, job_status: TASK_STATUS.DELETED };
+}
+
+/**
+ * Tasks filtered like get_all_tasks: job_type, comma separated job_status, fleet_id and a
+ * start_date/end_date window on job_delivery_datetime (inclusive, by day)
+ */
+function listTasks({ job_type, job_status, fleet_id, start_date, end_date, customer_id } = {}) {
+  const statuses = job_status !== undefined && job_status !== ''
+    ? String(job_status).split(',').map(s => parseInt(s.trim()))
+    : null;
+
+  return [...tasks.values()].filter(task => {
+    if (job_type !== undefined && job_type !== '' && task.job_type !== parseInt(job_type)) return false;
+    if (statuses && !statuses.includes(task.job_status)) return false;
+    if (fleet_id && task.fleet_id !== parseInt(fleet_id)) return false;
+    if (customer_id && task.customer_id !== parseInt(customer_id)) return false;
+    const day = String(task.job_delivery_datetime).substring(0, 10);
+    if (start_date && day < String(start_date).substring(0, 10)) return false;
+    if (end_date && day > String(end_date).substring(0, 10)) return false;
+    return true;
+  });
+}
+
+function relatedTasks(relationship) {
+  return [...tasks.values()].filter(task => task.pickup_delivery_relationship === String(relationship));
+}
+
+function getFleet(fleetId) {
+  return fleets.get(parseInt(fleetId)) || null;
+}
+
+function listFleets() {
+  return [...fleets.values()];
+}
+
+/**
+ * Credit (transaction_type 2) or debit (1) a fleet wallet
+ */
+function fleetWalletTransaction(fleetId, { amount, transaction_type, description, wallet_type = 1 }) {
+  const fleet = getFleet(fleetId);
+  if (!fleet) return null;
+
+  const value = Math.abs(parseFloat(amount) || 0);
+  const signed = parseInt(transaction_type) === FLEET_DEBIT ? -value : value;
+  fleet.wallet_balance = round(fleet.wallet_balance + signed);
+
+  const transaction = {
+    transaction_id: nextTransactionId++,
+    fleet_id: fleet.fleet_id,
+    amount: value,
+    transaction_type: parseInt(transaction_type) || 2,
+    wallet_type: parseInt(wallet_type) || 1,
+    description: description || '',
+    balance_after: fleet.wallet_balance,
+    creation_datetime: formatDateTime()
+  };
+  fleetTransactions.push(transaction);
+  return transaction;
+}
+
+function fleetWalletHistory(fleetId, { starting_date, ending_date } = {}) {
+  return fleetTransactions.filter(t => {
+    if (t.fleet_id !== parseInt(fleetId)) return false;
+    const day = t.creation_datetime.substring(0, 10);
+    if (starting_date && day < starting_date) return false;
+    if (ending_date && day > ending_date) return false;
+    return true;
+  }).reverse();
+}
+
+function getCustomer(customerId) {
+  return customers.get(parseInt(customerId)) || null;
+}
+
+function updateCustomer(customerId, fields) {
+  const customer = getCustomer(customerId);
+  if (!customer) return null;
+
+  const aliases = {
+    customer_username: fields.customer_username ?? fields.name,
+    customer_phone: fields.customer_phone ?? fields.phone,
+    customer_email: fields.customer_email ?? fields.email,
+    customer_address: fields.customer_address ?? fields.address
+  };
+  for (const [key, value] of Object.entries(aliases)) {
+    if (value !== undefined) {
+      customer[key] = value;
+    }
+  }
+  if (fields.tags !== undefined) {
+    customer.tags = normalizeTags(fields.tags);
+  }
+  return customer;
+}
+
+function listCustomers() {
+  return [...customers.values()];
+}
+
+/**
+ * Apply a signed amount to a customer wallet
+ */
+function customerWalletTransaction(customerId, { amount, description }) {
+  const customer = getCustomer(customerId);
+  if (!customer) return null;
+
+  const signed = parseFloat(amount) || 0;
+  customer.wallet_balance = round(customer.wallet_balance + signed);
+
+  const transaction = {
+    transaction_id: nextTransactionId++,
+    vendor_id: customer.vendor_id,
+    amount: Math.abs(signed),
+    transaction_type: signed < 0 ? CUSTOMER_DEBIT : 1,
+    description: description || '',
+    balance_after: customer.wallet_balance,
+    creation_datetime: formatDateTime()
+  };
+  customerTransactions.push(transaction);
+  return transaction;
+}
+
+/**
+ * Everything in the store, for the simulator's inspection endpoint
+ */
+function snapshot() {
+  return {
+    tasks: [...tasks.values()],
+    fleets: listFleets(),
+    customers: listCustomers(),
+    fleet_transactions: fleetTransactions,
+    customer_transactions: customerTransactions
+  };
+}
+
+reset();
+
+module.exports = {
+  TASK_STATUS,
+  JOB_TYPE,
+  FLEET_DEBIT,
+  CUSTOMER_DEBIT,
+  formatDateTime,
+  reset,
+  snapshot,
+  createTasks,
+  getTask,
+  updateTask,
+  setTaskStatus,
+  deleteTask,
+  listTasks,
+  relatedTasks,
+  addFleet,
+  getFleet,
+  listFleets,
+  fleetWalletTransaction,
+  fleetWalletHistory,
+  addCustomer,
+  getCustomer,
+  updateCustomer,
+  listCustomers,
+  customerWalletTransaction
+};
@@ -0,0 +1,439 @@
+/**
+ * Tookan Simulator
+ *
+ * A local stand-in for https://api.tookanapp.com/v2 so orders, wallets and webhooks
+ * can be exercised without touching the real Tookan account. It implements the v2
+ * endpoints tookanClient calls against the in-memory store in simulatorState, and
+ * posts Tookan style webhooks back to the server whenever a task changes.
+ *
+ * Usage:
+ *   npm run simulator
+ *   TOOKAN_API_BASE=http://localhost:4010/v2 npm run server
+ *
+ * Environment:
+ *   TOOKAN_SIMULATOR_PORT         port to listen on (default 4010)
+ *   TOOKAN_SIMULATOR_WEBHOOK_URL  where task webhooks go (default http://localhost:3001/api/tookan/webhook,
+ *                                 set to "off" to disable)
+ *   TOOKAN_SIMULATOR_API_KEY      only accept this api_key (default: any non-empty key)
+ *   TOOKAN_WEBHOOK_SECRET         sent as tookan_shared_secret, like Tookan does (the server
+ *                                 refuses webhooks without it, so set the same value for both)
+ *
+ * Besides the v2 endpoints it exposes /simulator/state, /simulator/reset and
+ * /simulator/tasks/:jobId/status to inspect the store and move tasks along.
+ */
+
+const express = require('express');
+const fetch = require('node-fetch');
+const state = require('./simulatorState');
+
+const DEFAULT_PORT = 4010;
+const DEFAULT_WEBHOOK_URL = 'http://localhost:3001/api/tookan/webhook';
+
+// Page size for requested_page pagination
+const PAGE_SIZE = 50;
+
+// Tookan response codes used in the body's status field
+const TOOKAN_STATUS = {
+  OK: 200,
+  PARAMETER_MISSING: 100,
+  INVALID_KEY: 101,
+  SHOW_ERROR_MESSAGE: 201
+};
+
+// Webhook event names per job_status
+const STATUS_EVENTS = {
+  [state.TASK_STATUS.ASSIGNED]: 'task_assigned',
+  [state.TASK_STATUS.STARTED]: 'task_started',
+  [state.TASK_STATUS.SUCCESSFUL]: 'task_completed',
+  [state.TASK_STATUS.FAILED]: 'task_failed',
+  [state.TASK_STATUS.ARRIVED]: 'task_arrived',
+  [state.TASK_STATUS.ACCEPTED]: 'task_accepted',
+  [state.TASK_STATUS.DECLINED]: 'task_declined',
+  [state.TASK_STATUS.CANCELLED]: 'task_cancelled'
+};
+
+function reply(res, status, message, data = {}, extra = {}) {
+  // Tookan answers HTTP 200 and reports failures in the body
+  res.json({ message, status, data, ...extra });
+}
+
+function missing(res, field) {
+  reply(res, TOOKAN_STATUS.PARAMETER_MISSING, `Parameter missing: ${field}`);
+}
+
+function notFound(res, what) {
+  reply(res, TOOKAN_STATUS.SHOW_ERROR_MESSAGE, `${what} not found`);
+}
+
+/**
+ * Slice a list for either requested_page or off_set/limit pagination
+ */
+function paginate(items, { is_pagination, requested_page, off_set, limit }) {
+  if (String(is_pagination) === '1' && requested_page !== undefined) {
+    const page = Math.max(parseInt(requested_page) || 1, 1);
+    return {
+      items: items.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE),
+      total_page_count: Math.max(Math.ceil(items.length / PAGE_SIZE), 1)
+    };
+  }
+  const start = parseInt(off_set) || 0;
+  const count = parseInt(limit) || items.length;
+  return { items: items.slice(start, start + count), total_page_count: 1 };
+}
+
+function customerWallet(customer) {
+  return {
+    vendor_id: customer.vendor_id,
+    customer_id: customer.customer_id,
+    customer_name: customer.customer_username,
+    customer_phone: customer.customer_phone,
+    customer_email: customer.customer_email,
+    wallet_balance: customer.wallet_balance
+  };
+}
+
+/**
+ * Build the simulator app
+ * @param {Object} options - { webhookUrl, webhookSecret, apiKey }
+ */
+function createTookanSimulator(options = {}) {
+  const webhookUrl = options.webhookUrl !== undefined
+    ? options.webhookUrl
+    : (process.env.TOOKAN_SIMULATOR_WEBHOOK_URL || DEFAULT_WEBHOOK_URL);
+  const webhookSecret = options.webhookSecret !== undefined
+    ? options.webhookSecret
+    : (process.env.TOOKAN_WEBHOOK_SECRET || '');
+  const apiKey = options.apiKey !== undefined
+    ? options.apiKey
+    : (process.env.TOOKAN_SIMULATOR_API_KEY || '');
+  const webhooksEnabled = Boolean(webhookUrl) && webhookUrl !== 'off';
+
+  /**
+   * Post a task webhook the way Tookan does; delivery failures are only logged
+   */
+  function emitWebhook(eventType, task, extra = {}) {
+    if (!webhooksEnabled) return;
+
+    const payload = {
+      ...task,
+      event_type: eventType,
+      ...extra,
+      // Delivery time, checked against the server's replay window
+      timestamp: new Date().toISOString(),
+      tookan_shared_secret: webhookSecret || undefined
+    };
+
+    fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    })
+      .then(response => console.log(`[tookan-sim] webhook ${eventType} for job ${task.job_id} -> HTTP ${response.status}`))
+      .catch(error => console.warn(`[tookan-sim] webhook ${eventType} for job ${task.job_id} failed: ${error.message}`));
+  }
+
+  const app = express();
+  app.use(express.json({ limit: '2mb' }));
+
+  const v2 = express.Router();
+
+  v2.use((req, res, next) => {
+    const key = req.body && req.body.api_key;
+    if (!key || (apiKey && key !== apiKey)) {
+      return reply(res, TOOKAN_STATUS.INVALID_KEY, 'Invalid API key');
+    }
+    console.log(`[tookan-sim] ${req.path}`);
+    next();
+  });
+
+  // ---- Tasks ----
+
+  v2.post('/create_task', (req, res) => {
+    const body = req.body;
+    if (!body.customer_address && !body.job_pickup_address) {
+      return missing(res, 'customer_address');
+    }
+
+    let created;
+    try {
+      created = state.createTasks(body);
+    } catch (error) {
+      return reply(res, TOOKAN_STATUS.SHOW_ERROR_MESSAGE, error.message);
+    }
+    const { pickup, delivery } = created;
+    const main = delivery || pickup;
+
+    [pickup, delivery].filter(Boolean).forEach(task => emitWebhook('task_created', task));
+
+    reply(res, TOOKAN_STATUS.OK, 'The task has been created.', {
+      job_id: main.job_id,
+      pickup_job_id: pickup ? pickup.job_id : undefined,
+      delivery_job_id: delivery ? delivery.job_id : undefined,
+      order_id: main.order_id,
+      job_token: `${main.job_id}sim`,
+      tracking_link: main.tracking_link,
+      pickup_tracking_link: pickup ? pickup.tracking_link : undefined,
+      delivery_tracing_link: delivery ? delivery.tracking_link : undefined,
+      pickups: pickup ? [pickup] : [],
+      deliveries: delivery ? [delivery] : []
+    });
+  });
+
+  v2.post('/edit_task', (req, res) => {
+    if (!req.body.job_id) return missing(res, 'job_id');
+
+    let task;
+    try {
+      task = state.updateTask(req.body.job_id, req.body);
+    } catch (error) {
+      return reply(res, TOOKAN_STATUS.SHOW_ERROR_MESSAGE, error.message);
+    }
+    if (!task) return notFound(res, 'Task');
+
+    emitWebhook('task_updated', task);
+    reply(res, TOOKAN_STATUS.OK, 'The task has been updated.', { job_id: task.job_id });
+  });
+
+  v2.post('/delete_task', (req, res) => {
+    if (!req.body.job_id) return missing(res, 'job_id');
+
+    const task = state.deleteTask(req.body.job_id);
+    if (!task) return notFound(res, 'Task');
+
+    emitWebhook('task_deleted', task, { is_deleted: 1 });
+    reply(res, TOOKAN_STATUS.OK, 'The task has been deleted.', { job_id: task.job_id });
+  });
+
+  v2.post('/update_task_status', (req, res) => {
+    const { job_id, job_status } = req.body;
+    if (!job_id) return missing(res, 'job_id');
+    if (job_status === undefined || job_status === null || job_status === '') return missing(res, 'job_status');
+
+    const task = state.setTaskStatus(job_id, job_status);
+    if (!task) return notFound(res, 'Task');
+
+    emitWebhook(STATUS_EVENTS[task.job_status] || 'task_updated', task);
+    reply(res, TOOKAN_STATUS.OK, 'The task status has been updated.', { job_id: task.job_id, job_status: task.job_status });
+  });
+
+  v2.post('/get_task_details', (req, res) => {
+    if (!req.body.job_id) return missing(res, 'job_id');
+
+    const task = state.getTask(req.body.job_id);
+    if (!task) return notFound(res, 'Task');
+    reply(res, TOOKAN_STATUS.OK, 'Successful', task);
+  });
+
+  v2.post('/get_job_details', (req, res) => {
+    const ids = req.body.job_ids || (req.body.job_id ? [req.body.job_id] : null);
+    if (!Array.isArray(ids) || ids.length === 0) return missing(res, 'job_ids');
+
+    const found = ids.map(id => state.getTask(id)).filter(Boolean);
+    if (found.length === 0) return notFound(res, 'Task');
+    reply(res, TOOKAN_STATUS.OK, 'Successful', found);
+  });
+
+  v2.post('/get_related_tasks', (req, res) => {
+    const relationship = req.body.pickup_delivery_relationship
+      || (req.body.job_id && state.getTask(req.body.job_id)?.pickup_delivery_relationship);
+    if (!relationship) return missing(res, 'pickup_delivery_relationship');
+
+    reply(res, TOOKAN_STATUS.OK, 'Successful', state.relatedTasks(relationship));
+  });
+
+  v2.post('/get_all_tasks', (req, res) => {
+    const matching = state.listTasks(req.body);
+    if (matching.length === 0) {
+      return reply(res, TOOKAN_STATUS.OK, 'No task found', [], { total_page_count: 0 });
+    }
+    const { items, total_page_count } = paginate(matching, req.body);
+    reply(res, TOOKAN_STATUS.OK, 'Successful', items, { total_page_count });
+  });
+
+  // ---- Fleets ----
+
+  const listFleets = (req, res) => reply(res, TOOKAN_STATUS.OK, 'Successful', state.listFleets());
+  v2.post('/get_all_fleets', listFleets);
+  v2.post('/get_all_agents', listFleets);
+
+  const addFleet = (req, res) => {
+    if (!req.body.username && !req.body.fleet_name && !req.body.name) return missing(res, 'username');
+    const fleet = state.addFleet(req.body);
+    reply(res, TOOKAN_STATUS.OK, 'Agent added successfully.', { fleet_id: fleet.fleet_id });
+  };
+  v2.post('/fleet/add', addFleet);
+  v2.post('/add_agent', addFleet);
+
+  const fleetWallet = (req, res) => {
+    if (!req.body.fleet_id) return missing(res, 'fleet_id');
+    const fleet = state.getFleet(req.body.fleet_id);
+    if (!fleet) return notFound(res, 'Agent');
+    reply(res, TOOKAN_STATUS.OK, 'Successful', {
+      fleet_id: fleet.fleet_id,
+      balance: fleet.wallet_balance,
+      wallet_balance: fleet.wallet_balance
+    });
+  };
+  v2.post('/get_fleet_wallet', fleetWallet);
+  v2.post('/get_fleet_wallet_balance', fleetWallet);
+
+  v2.post('/fleet/wallet/read_transaction_history', (req, res) => {
+    if (!req.body.fleet_id) return missing(res, 'fleet_id');
+    const fleet = state.getFleet(req.body.fleet_id);
+    if (!fleet) return notFound(res, 'Agent');
+
+    const history = state.fleetWalletHistory(fleet.fleet_id, req.body);
+    reply(res, TOOKAN_STATUS.OK, 'Successful', {
+      transaction_history: history,
+      wallet_balance: [{ wallet_type: 1, wallet_balance: fleet.wallet_balance }],
+      total_count: history.length
+    });
+  });
+
+  v2.post('/fleet/wallet/create_transaction', (req, res) => {
+    const { fleet_id, amount, transaction_type } = req.body;
+    if (!fleet_id) return missing(res, 'fleet_id');
+    if (amount === undefined || amount === null) return missing(res, 'amount');
+    if (!transaction_type) return missing(res, 'transaction_type');
+
+    const transaction = state.fleetWalletTransaction(fleet_id, req.body);
+    if (!transaction) return notFound(res, 'Agent');
+    reply(res, TOOKAN_STATUS.OK, 'Transaction created successfully.', transaction);
+  });
+
+  // ---- Customers ----
+
+  v2.post('/get_all_customers', (req, res) => {
+    const { items, total_page_count } = paginate(state.listCustomers(), req.body);
+    reply(res, TOOKAN_STATUS.OK, 'Successful', items, { total_page_count });
+  });
+
+  v2.post('/viewCustomersWithPagination', (req, res) => {
+    const all = state.listCustomers();
+    const { items } = paginate(all, { off_set: req.body.off_set, limit: req.body.limit });
+    reply(res, TOOKAN_STATUS.OK, 'Successful', { customerData: items, customerCount: all.length });
+  });
+
+  v2.post('/view_customer_profile', (req, res) => {
+    if (!req.body.customer_id) return missing(res, 'customer_id');
+    const customer = state.getCustomer(req.body.customer_id);
+    if (!customer) return notFound(res, 'Customer');
+    reply(res, TOOKAN_STATUS.OK, 'Successful', { cust_details: [customer] });
+  });
+
+  v2.post('/customer/add', (req, res) => {
+    if (!req.body.user_type && !req.body.name && !req.body.customer_username) return missing(res, 'name');
+    const customer = state.addCustomer(req.body);
+    reply(res, TOOKAN_STATUS.OK, 'Customer added successfully.', {
+      customer_id: customer.customer_id,
+      vendor_id: customer.vendor_id
+    });
+  });
+
+  v2.post('/customer/edit', (req, res) => {
+    if (!req.body.customer_id) return missing(res, 'customer_id');
+    const customer = state.updateCustomer(req.body.customer_id, req.body);
+    if (!customer) return notFound(res, 'Customer');
+    reply(res, TOOKAN_STATUS.OK, 'Customer updated successfully.', customer);
+  });
+
+  v2.post('/fetch_customers_wallet', (req, res) => {
+    let all = state.listCustomers();
+    if (Array.isArray(req.body.vendor_ids) && req.body.vendor_ids.length > 0) {
+      const wanted = req.body.vendor_ids.map(id => parseInt(id));
+      all = all.filter(customer => wanted.includes(customer.vendor_id));
+    }
+    const { items } = paginate(all, { off_set: req.body.off_set, limit: req.body.limit });
+    reply(res, TOOKAN_STATUS.OK, 'Successful', items.map(customerWallet), { total_count: all.length });
+  });
+
+  v2.post('/get_customer_wallet', (req, res) => {
+    if (!req.body.vendor_id) return missing(res, 'vendor_id');
+    const customer = state.getCustomer(req.body.vendor_id);
+    if (!customer) return notFound(res, 'Customer');
+    reply(res, TOOKAN_STATUS.OK, 'Successful', customerWallet(customer));
+  });
+
+  v2.post('/customer_wallet_transaction', (req, res) => {
+    const { vendor_id, amount, transaction_type } = req.body;
+    if (!vendor_id) return missing(res, 'vendor_id');
+    if (amount === undefined || amount === null) return missing(res, 'amount');
+
+    // transaction_type 1 credits the merchant, 2 debits
+    const value = Math.abs(parseFloat(amount) || 0);
+    const signed = parseInt(transaction_type) === state.CUSTOMER_DEBIT ? -value : value;
+    const transaction = state.customerWalletTransaction(vendor_id, { amount: signed, description: req.body.description });
+    if (!transaction) return notFound(res, 'Customer');
+    reply(res, TOOKAN_STATUS.OK, 'Transaction created successfully.', transaction);
+  });
+
+  v2.post('/addCustomerPaymentViaDashboard', (req, res) => {
+    const { vendor_id, amount } = req.body;
+    if (!vendor_id) return missing(res, 'vendor_id');
+    if (amount === undefined || amount === null) return missing(res, 'amount');
+
+    // The sign of amount decides credit or debit
+    const transaction = state.customerWalletTransaction(vendor_id, req.body);
+    if (!transaction) return notFound(res, 'Customer');
+    reply(res, TOOKAN_STATUS.OK, 'Payment added successfully.', transaction);
+  });
+
+  app.use('/v2', v2);
+
+  // ---- Simulator controls ----
+
+  app.get('/simulator/state', (req, res) => {
+    res.json({ status: 'success', data: state.snapshot() });
+  });
+
+  app.post('/simulator/reset', (req, res) => {
+    state.reset();
+    res.json({ status: 'success', message: 'Simulator state reset' });
+  });
+
+  // Move a task along as a driver would, e.g. { "job_status": 2 } to complete it
+  app.post('/simulator/tasks/:jobId/status', (req, res) => {
+    const jobStatus = req.body.job_status;
+    if (jobStatus === undefined || !Object.values(state.TASK_STATUS).includes(parseInt(jobStatus))) {
+      return res.status(400).json({ status: 'error', message: 'A valid job_status is required' });
+    }
+
+    const task = state.setTaskStatus(req.params.jobId, jobStatus);
+    if (!task) {
+      return res.status(404).json({ status: 'error', message: 'Task not found' });
+    }
+
+    emitWebhook(STATUS_EVENTS[task.job_status] || 'task_updated', task);
+    res.json({ status: 'success', data: task });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ message: `Unknown endpoint ${req.path}`, status: 404, data: {} });
+  });
+
+  return app;
+}
+
+/**
+ * Start the simulator on a port
+ * @returns {http.Server}
+ */
+function startTookanSimulator(options = {}) {
+  const port = options.port || parseInt(process.env.TOOKAN_SIMULATOR_PORT) || DEFAULT_PORT;
+  const app = createTookanSimulator(options);
+
+  return app.listen(port, () => {
+    console.log(`[tookan-sim] Tookan simulator listening on http://localhost:${port}/v2`);
+    console.log(`[tookan-sim] Point the server at it with TOOKAN_API_BASE=http://localhost:${port}/v2`);
+  });
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  startTookanSimulator();
+}
+
+module.exports = {
+  createTookanSimulator,
+  startTookanSimulator
+};
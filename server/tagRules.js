@@ -0,0 +1,670 @@
+/**
+ * Tag Rule Expressions
+ *
+ * A small rule language for tag conditions, parsed and evaluated without eval.
+ *
+ * Syntax:
+ *   plan == 'premium'                     comparisons: == != > >= < <=
+ *   zone in ['A', 'B']                    list membership (also: not in)
+ *   city contains 'Manama'                string tests: contains, startsWith, endsWith
+ *   codAmount between 5 and 20            inclusive numeric range
+ *   plan == 'premium' and not (zone == 'C' or city == '')
+ *   orderTime > '14:00' or deliveryIsHoliday    time of day, weekends and holidays
+ *
+ * Time fields are local to the business timezone. Times are written 'HH:MM', dates
+ * 'YYYY-MM-DD' and weekdays in lowercase ('friday').
+ * The JavaScript spellings used by older rules (===, !==, &&, ||, !) are accepted.
+ * String tests are case-insensitive. Fields must be listed in RULE_FIELDS.
+ */
+
+/**
+ * Fields a condition may reference, with their type
+ */
+const RULE_FIELDS = {
+  plan: 'string',
+  zone: 'string',
+  pickupZone: 'string',
+  deliveryZone: 'string',
+  subscription: 'string',
+  city: 'string',
+  customerId: 'string',
+  vendorId: 'string',
+  customerName: 'string',
+  customerPhone: 'string',
+  customerEmail: 'string',
+  pickupAddress: 'string',
+  deliveryAddress: 'string',
+  notes: 'string',
+  codAmount: 'number',
+  orderFees: 'number',
+  // Order creation, pickup and delivery times (services/businessCalendarService)
+  orderDate: 'date',
+  orderTime: 'time',
+  orderWeekday: 'string',
+  orderIsWeekend: 'boolean',
+  orderIsHoliday: 'boolean',
+  orderHolidayName: 'string',
+  pickupDate: 'date',
+  pickupTime: 'time',
+  pickupWeekday: 'string',
+  pickupIsWeekend: 'boolean',
+  pickupIsHoliday: 'boolean',
+  pickupHolidayName: 'string',
+  deliveryDate: 'date',
+  deliveryTime: 'time',
+  deliveryWeekday: 'string',
+  deliveryIsWeekend: 'boolean',
+  deliveryIsHoliday: 'boolean',
+  deliveryHolidayName: 'string'
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+const KEYWORDS = ['and', 'or', 'not', 'in', 'contains', 'startsWith', 'endsWith', 'between', 'true', 'false', 'null'];
+
+// Longest operators first so '===' is not read as '==' followed by '='
+const OPERATORS = ['===', '!==', '==', '!=', '>=', '<=', '&&', '||', '>', '<', '!', '(', ')', '[', ']', ','];
+
+const OPERATOR_ALIASES = {
+  '===': '==',
+  '!==': '!=',
+  '&&': 'and',
+  '||': 'or',
+  '!': 'not'
+};
+
+const COMPARISON_OPERATORS = ['==', '!=', '>', '>=', '<', '<='];
+const STRING_OPERATORS = ['contains', 'startsWith', 'endsWith'];
+
+const MAX_CONDITION_LENGTH = 1000;
+
+/**
+ * Build a syntax error that points at a position in the condition
+ */
+function syntaxError(message, position) {
+  const error = new Error(`${message} at position ${position + 1}`);
+  error.position = position;
+  return error;
+}
+
+/**
+ * Split a condition into tokens
+ *
+ * @param {string} source - Condition text
+ * @returns {Array<Object>} Tokens ({ type, value, position })
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    // String literal, single or double quoted, with backslash escapes
+    if (char === '\'' || char === '"') {
+      const start = i;
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== char) {
+        if (source[i] === '\\' && i + 1 < source.length) {
+          i++;
+        }
+        value += source[i];
+        i++;
+      }
+      if (i >= source.length) {
+        throw syntaxError('Unterminated string', start);
+      }
+      i++;
+      tokens.push({ type: 'string', value, position: start });
+      continue;
+    }
+
+    // Number literal; there is no arithmetic, so a minus is always a sign
+    const numberMatch = /^-?\d+(\.\d+)?/.exec(source.slice(i));
+    if (numberMatch) {
+      tokens.push({ type: 'number', value: Number(numberMatch[0]), position: i });
+      i += numberMatch[0].length;
+      continue;
+    }
+
+    const wordMatch = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+    if (wordMatch) {
+      const word = wordMatch[0];
+      tokens.push({ type: KEYWORDS.includes(word) ? 'keyword' : 'field', value: word, position: i });
+      i += word.length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => source.startsWith(op, i));
+    if (operator) {
+      const alias = OPERATOR_ALIASES[operator];
+      tokens.push({
+        type: ['and', 'or', 'not'].includes(alias) ? 'keyword' : 'operator',
+        value: alias || operator,
+        position: i
+      });
+      i += operator.length;
+      continue;
+    }
+
+    throw syntaxError(`Unexpected character '${char}'`, i);
+  }
+
+  tokens.push({ type: 'end', value: null, position: source.length });
+  return tokens;
+}
+
+/**
+ * Parse a condition into an expression tree
+ *
+ * @param {string} source - Condition text
+ * @returns {Object} Expression tree
+ * @throws {Error} Syntax or unknown field errors, with the position in the message
+ */
+function parse(source) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new Error('Condition must be a non-empty string');
+  }
+  if (source.length > MAX_CONDITION_LENGTH) {
+    throw new Error(`Condition must be at most ${MAX_CONDITION_LENGTH} characters`);
+  }
+
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isToken = (type, value) => peek().type === type && (value === undefined || peek().value === value);
+
+  const expect = (type, value, description) => {
+    if (!isToken(type, value)) {
+      const token = peek();
+      throw syntaxError(`Expected ${description} but found ${describeToken(token)}`, token.position);
+    }
+    return next();
+  };
+
+  function parseOr() {
+    let node = parseAnd();
+    while (isToken('keyword', 'or')) {
+      next();
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseNot();
+    while (isToken('keyword', 'and')) {
+      next();
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  }
+
+  function parseNot() {
+    if (isToken('keyword', 'not')) {
+      next();
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = parseOperand();
+    const token = peek();
+
+    if (token.type === 'operator' && COMPARISON_OPERATORS.includes(token.value)) {
+      next();
+      return checkLiterals({ type: 'compare', operator: token.value, left, right: parseOperand() });
+    }
+
+    if (token.type === 'keyword' && STRING_OPERATORS.includes(token.value)) {
+      next();
+      return checkLiterals({ type: 'compare', operator: token.value, left, right: parseOperand() });
+    }
+
+    if (isToken('keyword', 'in')) {
+      next();
+      return checkLiterals({ type: 'in', negated: false, left, list: parseList() });
+    }
+
+    // 'not in' after an operand; a bare 'not' here is a syntax error
+    if (isToken('keyword', 'not') && tokens[index + 1].type === 'keyword' && tokens[index + 1].value === 'in') {
+      next();
+      next();
+      return checkLiterals({ type: 'in', negated: true, left, list: parseList() });
+    }
+
+    if (isToken('keyword', 'between')) {
+      next();
+      const low = parseOperand();
+      expect('keyword', 'and', "'and'");
+      const high = parseOperand();
+      return checkLiterals({ type: 'between', left, low, high });
+    }
+
+    return left;
+  }
+
+  function parseList() {
+    expect('operator', '[', "'['");
+    const items = [];
+    if (!isToken('operator', ']')) {
+      items.push(parseLiteral());
+      while (isToken('operator', ',')) {
+        next();
+        items.push(parseLiteral());
+      }
+    }
+    expect('operator', ']', "']'");
+    return items;
+  }
+
+  function parseLiteral() {
+    const token = peek();
+    if (token.type === 'string' || token.type === 'number') {
+      next();
+      return { type: 'literal', value: token.value, position: token.position };
+    }
+    if (token.type === 'keyword' && ['true', 'false', 'null'].includes(token.value)) {
+      next();
+      return { type: 'literal', value: token.value === 'null' ? null : token.value === 'true', position: token.position };
+    }
+    throw syntaxError(`Expected a value but found ${describeToken(token)}`, token.position);
+  }
+
+  function parseOperand() {
+    const token = peek();
+
+    if (isToken('operator', '(')) {
+      next();
+      const node = parseOr();
+      expect('operator', ')', "')'");
+      return node;
+    }
+
+    if (token.type === 'field') {
+      next();
+      if (!Object.prototype.hasOwnProperty.call(RULE_FIELDS, token.value)) {
+        throw syntaxError(`Unknown field '${token.value}' (allowed: ${Object.keys(RULE_FIELDS).join(', ')})`, token.position);
+      }
+      return { type: 'field', name: token.value };
+    }
+
+    return parseLiteral();
+  }
+
+  const tree = parseOr();
+  if (!isToken('end')) {
+    const token = peek();
+    throw syntaxError(`Unexpected ${describeToken(token)}`, token.position);
+  }
+  return tree;
+}
+
+/**
+ * Field type a comparison works in: the type of the field operand, if any
+ */
+function comparisonType(...operands) {
+  const field = operands.find(operand => operand.type === 'field');
+  return field ? RULE_FIELDS[field.name] : null;
+}
+
+/**
+ * Check that literals compared with a time or date field are written as one
+ * @throws {Error} Syntax error pointing at the literal
+ */
+function checkLiterals(node) {
+  const operands = node.type === 'compare' ? [node.left, node.right]
+    : node.type === 'between' ? [node.left, node.low, node.high]
+      : [node.left, ...node.list];
+  const type = comparisonType(...operands);
+
+  if (type === 'time' || type === 'date') {
+    operands
+      .filter(operand => operand.type === 'literal' && operand.value !== null)
+      .forEach(operand => {
+        if (toComparable(type, operand.value) === null) {
+          const expected = type === 'time' ? "'HH:MM'" : "'YYYY-MM-DD'";
+          throw syntaxError(`Invalid ${type} ${describeValue(operand.value)} (expected ${expected})`, operand.position);
+        }
+      });
+  }
+  return node;
+}
+
+/**
+ * Convert a time ('HH:MM') or date ('YYYY-MM-DD') to a number that orders correctly
+ * @returns {number|null} Minutes since midnight / YYYYMMDD, or null when malformed
+ */
+function toComparable(type, value) {
+  if (value === null) {
+    return null;
+  }
+  if (type === 'time') {
+    const match = TIME_PATTERN.exec(String(value));
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+  }
+  if (type === 'date') {
+    const match = DATE_PATTERN.exec(String(value));
+    return match ? Number(match[1] + match[2] + match[3]) : null;
+  }
+  return value;
+}
+
+/**
+ * Describe a token for error messages
+ */
+function describeToken(token) {
+  return token.type === 'end' ? 'end of condition' : `'${token.value}'`;
+}
+
+/**
+ * Check a condition's syntax and fields without evaluating it
+ *
+ * @param {string} source - Condition text
+ * @returns {Object} { valid: true } or { valid: false, error, position }
+ */
+function validate(source) {
+  try {
+    parse(source);
+    return { valid: true };
+  } catch (error) {
+    return { valid: false, error: error.message, position: error.position };
+  }
+}
+
+/**
+ * Render an expression tree back to text
+ */
+function format(node) {
+  switch (node.type) {
+    case 'literal':
+      return typeof node.value === 'string' ? `'${node.value.replace(/'/g, '\\\'')}'` : String(node.value);
+    case 'field':
+      return node.name;
+    case 'not':
+      return `not ${formatGrouped(node.operand)}`;
+    case 'and':
+    case 'or':
+      return `${formatGrouped(node.left)} ${node.type} ${formatGrouped(node.right)}`;
+    case 'compare':
+      return `${format(node.left)} ${node.operator} ${format(node.right)}`;
+    case 'in':
+      return `${format(node.left)} ${node.negated ? 'not in' : 'in'} [${node.list.map(format).join(', ')}]`;
+    case 'between':
+      return `${format(node.left)} between ${format(node.low)} and ${format(node.high)}`;
+    default:
+      return '';
+  }
+}
+
+function formatGrouped(node) {
+  return node.type === 'and' || node.type === 'or' ? `(${format(node)})` : format(node);
+}
+
+/**
+ * Read a field value from the data, coerced to the field's type
+ */
+function readField(name, data) {
+  const value = data[name];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (RULE_FIELDS[name] === 'number') {
+    const number = Number(value);
+    return isNaN(number) ? null : number;
+  }
+  if (RULE_FIELDS[name] === 'boolean') {
+    return value === true || value === 'true';
+  }
+  return typeof value === 'string' ? value : String(value);
+}
+
+/**
+ * Equality where a number matches its string form ("123" == 123)
+ */
+function looseEquals(a, b) {
+  if (a === null || b === null) {
+    return a === b;
+  }
+  if (typeof a === 'number' || typeof b === 'number') {
+    return Number(a) === Number(b);
+  }
+  return a === b;
+}
+
+/**
+ * Compare two values; non-numeric or missing values never satisfy an ordering
+ * Times and dates (type 'time' / 'date') are compared chronologically.
+ */
+function compareValues(operator, a, b, type = null) {
+  if ((type === 'time' || type === 'date') && !STRING_OPERATORS.includes(operator)) {
+    return compareValues(operator, toComparable(type, a), toComparable(type, b));
+  }
+
+  switch (operator) {
+    case '==':
+      return looseEquals(a, b);
+    case '!=':
+      return !looseEquals(a, b);
+    case 'contains':
+    case 'startsWith':
+    case 'endsWith': {
+      if (a === null || b === null) return false;
+      const haystack = String(a).toLowerCase();
+      const needle = String(b).toLowerCase();
+      if (operator === 'contains') return haystack.includes(needle);
+      if (operator === 'startsWith') return haystack.startsWith(needle);
+      return haystack.endsWith(needle);
+    }
+    default: {
+      if (a === null || b === null || isNaN(Number(a)) || isNaN(Number(b))) return false;
+      const x = Number(a);
+      const y = Number(b);
+      if (operator === '>') return x > y;
+      if (operator === '>=') return x >= y;
+      if (operator === '<') return x < y;
+      return x <= y;
+    }
+  }
+}
+
+function describeValue(value) {
+  if (value === null) return 'empty';
+  return typeof value === 'string' ? `'${value}'` : String(value);
+}
+
+/**
+ * Evaluate an operand to a value, noting field values for the explanation
+ */
+function evaluateOperand(node, data, seen) {
+  if (node.type === 'literal') {
+    return node.value;
+  }
+  if (node.type === 'field') {
+    const value = readField(node.name, data);
+    seen.push(`${node.name} is ${describeValue(value)}`);
+    return value;
+  }
+  return evaluateNode(node, data).result;
+}
+
+/**
+ * Evaluate an expression tree
+ *
+ * @returns {Object} { expression, result, detail?, children? } explanation node
+ */
+function evaluateNode(node, data) {
+  const expression = format(node);
+
+  switch (node.type) {
+    case 'and':
+    case 'or': {
+      const left = evaluateNode(node.left, data);
+      // Short-circuit like the operators read: the right side is skipped when the left decides
+      const decided = node.type === 'and' ? !left.result : left.result;
+      if (decided) {
+        return { expression, result: left.result, children: [left] };
+      }
+      const right = evaluateNode(node.right, data);
+      return { expression, result: right.result, children: [left, right] };
+    }
+    case 'not': {
+      const operand = evaluateNode(node.operand, data);
+      return { expression, result: !operand.result, children: [operand] };
+    }
+    case 'compare': {
+      const seen = [];
+      const left = evaluateOperand(node.left, data, seen);
+      const right = evaluateOperand(node.right, data, seen);
+      const type = comparisonType(node.left, node.right);
+      return { expression, result: compareValues(node.operator, left, right, type), detail: seen.join(', ') || undefined };
+    }
+    case 'in': {
+      const seen = [];
+      const value = evaluateOperand(node.left, data, seen);
+      const type = comparisonType(node.left);
+      const found = node.list.some(item => compareValues('==', value, item.value, type));
+      return { expression, result: node.negated ? !found : found, detail: seen.join(', ') || undefined };
+    }
+    case 'between': {
+      const seen = [];
+      const value = evaluateOperand(node.left, data, seen);
+      const low = evaluateOperand(node.low, data, seen);
+      const high = evaluateOperand(node.high, data, seen);
+      const type = comparisonType(node.left, node.low, node.high);
+      const result = compareValues('>=', value, low, type) && compareValues('<=', value, high, type);
+      return { expression, result, detail: seen.join(', ') || undefined };
+    }
+    case 'field': {
+      const value = readField(node.name, data);
+      return { expression, result: Boolean(value), detail: `${node.name} is ${describeValue(value)}` };
+    }
+    case 'literal':
+      return { expression, result: Boolean(node.value) };
+    default:
+      return { expression, result: false };
+  }
+}
+
+/**
+ * Summarise an explanation tree in one sentence
+ */
+function summarize(explanation) {
+  const reasons = [];
+
+  const collect = (node) => {
+    if (node.children) {
+      node.children.forEach(collect);
+    } else {
+      reasons.push(`${node.expression} is ${node.result}${node.detail ? ` (${node.detail})` : ''}`);
+    }
+  };
+  collect(explanation);
+
+  return `${explanation.result ? 'Matched' : 'Did not match'}: ${reasons.join('; ')}`;
+}
+
+/**
+ * Evaluate a condition against data
+ *
+ * @param {string} source - Condition text
+ * @param {Object} data - Field values (customer / task data)
+ * @returns {Object} { matched, reason, explanation, error? }
+ */
+function evaluate(source, data = {}) {
+  let tree;
+  try {
+    tree = parse(source);
+  } catch (error) {
+    return { matched: false, reason: `Invalid condition: ${error.message}`, explanation: null, error: error.message };
+  }
+
+  const explanation = evaluateNode(tree, data || {});
+  return { matched: explanation.result, reason: summarize(explanation), explanation };
+}
+
+/**
+ * Values a condition requires a field to have, from its top-level 'and' terms
+ * (field == value and field in [...]); other terms do not constrain anything here.
+ *
+ * @returns {Map<string, Array>} Allowed values keyed by field name
+ */
+function requiredValues(tree) {
+  const required = new Map();
+
+  const collect = (node) => {
+    if (node.type === 'and') {
+      collect(node.left);
+      collect(node.right);
+      return;
+    }
+
+    let field = null;
+    let values = null;
+    if (node.type === 'compare' && node.operator === '==') {
+      const [fieldNode, literal] = node.left.type === 'field' ? [node.left, node.right] : [node.right, node.left];
+      if (fieldNode.type === 'field' && literal.type === 'literal') {
+        field = fieldNode.name;
+        values = [literal.value];
+      }
+    } else if (node.type === 'in' && !node.negated && node.left.type === 'field') {
+      field = node.left.name;
+      values = node.list.map(item => item.value);
+    }
+
+    if (field) {
+      const previous = required.get(field);
+      required.set(field, previous ? previous.filter(a => values.some(b => looseEquals(a, b))) : values);
+    }
+  };
+
+  collect(tree);
+  return required;
+}
+
+/**
+ * Whether two conditions could match the same data
+ * Only answers false when the conditions require different values of the same
+ * field (zone == 'A' and zone == 'B'); anything else may overlap.
+ *
+ * @param {string} sourceA - Condition text
+ * @param {string} sourceB - Condition text
+ * @returns {boolean} false when the conditions are mutually exclusive
+ */
+function mayOverlap(sourceA, sourceB) {
+  let a;
+  let b;
+  try {
+    a = requiredValues(parse(sourceA));
+    b = requiredValues(parse(sourceB));
+  } catch (error) {
+    return true;
+  }
+
+  for (const [field, valuesA] of a) {
+    const valuesB = b.get(field);
+    if (valuesA.length === 0 || (valuesB && !valuesA.some(x => valuesB.some(y => looseEquals(x, y))))) {
+      return false;
+    }
+  }
+  return !Array.from(b.values()).some(values => values.length === 0);
+}
+
+module.exports = {
+  RULE_FIELDS,
+  parse,
+  validate,
+  evaluate,
+  format,
+  mayOverlap
+};
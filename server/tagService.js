@@ -7,10 +7,23 @@
 
 const fs = require('fs');
 const path = require('path');
+const tagRules = require('./tagRules');
+const tagConfigModel = require('./db/models/tagConfig');
+const zoneService = require('./services/zoneService');
+const businessCalendarService = require('./services/businessCalendarService');
+const { isConfigured } = require('./db/supabase');
 
 const DATA_DIR = path.join(__dirname, 'data');
 const TAG_CONFIG_FILE = path.join(DATA_DIR, 'tagConfig.json');
 
+// The active version is re-read after this long, so saves on other instances are picked up
+const CONFIG_CACHE_TTL_MS = 30 * 1000;
+
+// Keys added when a version is loaded; they are not part of the stored config
+const VERSION_KEYS = ['version', 'lastUpdated', 'updatedBy'];
+
+let configCache = null;
+
 // Ensure data directory exists
 if (!fs.existsSync(DATA_DIR)) {
   fs.mkdirSync(DATA_DIR, { recursive: true });
@@ -18,8 +31,9 @@ if (!fs.existsSync(DATA_DIR)) {
 
 /**
  * Load tag configuration from file
+ * Used to seed the database and when Supabase is not configured (local development)
  */
-function loadTagConfig() {
+function loadTagConfigFile() {
   try {
     if (fs.existsSync(TAG_CONFIG_FILE)) {
       const data = fs.readFileSync(TAG_CONFIG_FILE, 'utf8');
@@ -38,68 +52,301 @@ function loadTagConfig() {
 }
 
 /**
- * Save tag configuration to file
+ * Strip the version details from a loaded config
+ */
+function stripVersionKeys(config) {
+  const stored = { ...config };
+  VERSION_KEYS.forEach(key => delete stored[key]);
+  return stored;
+}
+
+/**
+ * Shape a tag_config row as the config object callers use
+ */
+function toTagConfig(row) {
+  return {
+    ...row.config,
+    version: row.version,
+    lastUpdated: row.created_at,
+    updatedBy: row.created_by_name || null
+  };
+}
+
+/**
+ * Load the active tag configuration
+ * Reads the latest version from the database, seeding it from tagConfig.json the
+ * first time. Falls back to the last loaded version (or the file) if the database
+ * cannot be reached, so tagging never blocks order creation.
+ * 
+ * @returns {Promise<Object>} Config ({ rules, tags, defaultTags, version, lastUpdated, updatedBy })
  */
-function saveTagConfig(config) {
+async function loadTagConfig() {
+  if (!isConfigured()) {
+    return loadTagConfigFile();
+  }
+  
+  if (configCache && Date.now() - configCache.loadedAt < CONFIG_CACHE_TTL_MS) {
+    return configCache.config;
+  }
+  
   try {
-    config.lastUpdated = new Date().toISOString();
-    fs.writeFileSync(TAG_CONFIG_FILE, JSON.stringify(config, null, 2), 'utf8');
-    return true;
+    let row = await tagConfigModel.getConfig();
+    
+    if (!row) {
+      try {
+        row = await tagConfigModel.updateConfig(stripVersionKeys(loadTagConfigFile()), {
+          change_note: 'Seeded from server/data/tagConfig.json'
+        });
+      } catch (error) {
+        // Another instance seeded first
+        row = await tagConfigModel.getConfig();
+        if (!row) throw error;
+      }
+    }
+    
+    configCache = { config: toTagConfig(row), loadedAt: Date.now() };
+    return configCache.config;
   } catch (error) {
-    console.error('Error saving tag config:', error);
-    return false;
+    console.error('Error loading tag config:', error);
+    return configCache ? configCache.config : loadTagConfigFile();
+  }
+}
+
+/**
+ * Save tag configuration as a new version
+ * 
+ * @param {Object} config - Full configuration
+ * @param {Object} [details] - { user: { id, name }, changeNote, rolledBackFrom }
+ * @returns {Promise<Object>} The saved config
+ */
+async function saveTagConfig(config, details = {}) {
+  const stored = stripVersionKeys(config);
+  
+  if (!isConfigured()) {
+    const saved = { ...stored, lastUpdated: new Date().toISOString() };
+    fs.writeFileSync(TAG_CONFIG_FILE, JSON.stringify(saved, null, 2), 'utf8');
+    return saved;
+  }
+  
+  const current = await tagConfigModel.getConfig();
+  const user = details.user || {};
+  
+  const row = await tagConfigModel.updateConfig(stored, {
+    created_by: user.id ? String(user.id) : null,
+    created_by_name: user.name || null,
+    change_note: details.changeNote,
+    diff: diffConfigs(current ? current.config : {}, stored),
+    rolled_back_from: details.rolledBackFrom
+  });
+  
+  configCache = { config: toTagConfig(row), loadedAt: Date.now() };
+  return configCache.config;
+}
+
+/**
+ * List the differences between two configs
+ * Objects are compared key by key and arrays item by item.
+ * 
+ * @returns {Array<{path: string, change: string, before?: *, after?: *}>} Changes ('added', 'removed', 'changed')
+ */
+function diffConfigs(before, after, basePath = '') {
+  const isContainer = value => value !== null && typeof value === 'object';
+  
+  if (isContainer(before) && isContainer(after) && Array.isArray(before) === Array.isArray(after)) {
+    const keys = Array.isArray(before)
+      ? Array.from({ length: Math.max(before.length, after.length) }, (_, i) => i)
+      : Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).filter(key => !VERSION_KEYS.includes(key));
+    
+    return keys.flatMap(key => {
+      const keyPath = Array.isArray(before) ? `${basePath}[${key}]` : basePath ? `${basePath}.${key}` : String(key);
+      
+      if (!(key in before)) return [{ path: keyPath, change: 'added', after: after[key] }];
+      if (!(key in after)) return [{ path: keyPath, change: 'removed', before: before[key] }];
+      return diffConfigs(before[key], after[key], keyPath);
+    });
+  }
+  
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return [];
   }
+  return [{ path: basePath, change: 'changed', before, after }];
 }
 
 /**
  * Get tags for a customer based on rules
  * 
  * @param {Object} customerData - Customer data (plan, zone, subscription, etc.)
+ * @returns {Promise<Array<string>>} Array of tag names
+ */
+async function getTagsForCustomer(customerData = {}) {
+  const config = await loadTagConfig();
+  return getTagsForConfig(config, customerData);
+}
+
+/**
+ * Add the current time fields to customer data that does not set them
+ * So suggestions reflect an order created now (or at the given creation time).
+ * 
+ * @param {Object} customerData - Customer data
+ * @returns {Promise<Object>} Customer data with time fields
+ */
+async function withTimeFields(customerData = {}) {
+  return {
+    ...await businessCalendarService.resolveTimeFields(customerData),
+    ...customerData
+  };
+}
+
+/**
+ * Get tags for customer data under a given config (active or draft)
+ * 
+ * @param {Object} config - Tag configuration ({ rules, defaultTags, tagGroups })
+ * @param {Object} customerData - Customer data to evaluate against
  * @returns {Array<string>} Array of tag names
  */
-function getTagsForCustomer(customerData = {}) {
-  const config = loadTagConfig();
-  const tags = new Set();
+function getTagsForConfig(config, customerData = {}) {
+  return applyRules(config, customerData).tags;
+}
+
+/**
+ * Map each grouped tag to its exclusive group
+ * 
+ * @param {Object} config - Configuration with optional tagGroups ([{ name, tags }])
+ * @returns {Map<string, string>} Group name keyed by tag
+ */
+function getTagGroupIndex(config) {
+  const index = new Map();
   
-  // Add default tags if any
-  if (config.defaultTags && Array.isArray(config.defaultTags)) {
-    config.defaultTags.forEach(tag => tags.add(tag));
+  if (Array.isArray(config.tagGroups)) {
+    config.tagGroups.forEach(group => {
+      if (group && Array.isArray(group.tags)) {
+        group.tags.forEach(tag => index.set(tag, group.name));
+      }
+    });
   }
   
-  // Evaluate rules
-  if (config.rules && Array.isArray(config.rules)) {
-    config.rules.forEach(rule => {
-      if (evaluateRule(rule, customerData)) {
-        if (rule.tags && Array.isArray(rule.tags)) {
-          rule.tags.forEach(tag => tags.add(tag));
-        }
+  return index;
+}
+
+/**
+ * Rules in evaluation order: highest priority first, then config order
+ * 
+ * @returns {Array<{rule: Object, index: number}>} Rules with their position in config.rules
+ */
+function orderRules(config) {
+  const rules = Array.isArray(config.rules) ? config.rules : [];
+  const priority = rule => Number(rule && rule.priority) || 0;
+  
+  return rules
+    .map((rule, index) => ({ rule, index }))
+    .sort((a, b) => priority(b.rule) - priority(a.rule) || a.index - b.index);
+}
+
+/**
+ * Apply a config's rules to customer data
+ * Rules are evaluated by priority. Within an exclusive tag group only the first
+ * tag applied is kept; later tags of the group are suppressed. A matching rule
+ * with stopProcessing ends evaluation. Default tags are added last and only
+ * where their group is still free, so rules override them.
+ * 
+ * @param {Object} config - Tag configuration
+ * @param {Object} customerData - Customer data to evaluate against
+ * @returns {Object} { tags, results } where results has, per rule in evaluation order:
+ *   { index, rule, skipped, result, appliedTags, suppressedTags }
+ */
+function applyRules(config, customerData = {}) {
+  const groups = getTagGroupIndex(config);
+  const claimed = new Map();
+  const ruleTags = new Set();
+  const results = [];
+  let stopped = false;
+  
+  const claim = (tag) => {
+    const group = groups.get(tag);
+    if (group !== undefined) {
+      if (claimed.has(group) && claimed.get(group) !== tag) {
+        return false;
       }
-    });
+      claimed.set(group, tag);
+    }
+    return true;
+  };
+  
+  for (const { rule, index } of orderRules(config)) {
+    if (stopped) {
+      results.push({ index, rule, skipped: true, result: null, appliedTags: [], suppressedTags: [] });
+      continue;
+    }
+    
+    const result = evaluateRule(rule, customerData);
+    const appliedTags = [];
+    const suppressedTags = [];
+    
+    if (result.matched) {
+      (Array.isArray(rule.tags) ? rule.tags : []).forEach(tag => {
+        if (claim(tag)) {
+          ruleTags.add(tag);
+          appliedTags.push(tag);
+        } else {
+          suppressedTags.push(tag);
+        }
+      });
+      stopped = rule.stopProcessing === true;
+    }
+    
+    results.push({ index, rule, skipped: false, result, appliedTags, suppressedTags });
   }
   
-  return Array.from(tags);
+  // Default tags first in the output, as before groups existed
+  const defaultTags = Array.isArray(config.defaultTags) ? config.defaultTags.filter(claim) : [];
+  
+  return {
+    tags: Array.from(new Set([...defaultTags, ...ruleTags])),
+    results
+  };
 }
 
 /**
  * Get tags for a task based on task data
  * 
  * @param {Object} taskData - Task data (customer info, addresses, etc.)
- * @returns {Array<string>} Array of tag names
+ * @returns {Promise<Array<string>>} Array of tag names
  */
-function getTagsForTask(taskData = {}) {
-  // Extract customer data from task
-  const customerData = {
+async function getTagsForTask(taskData = {}) {
+  const [zones, holidays] = await Promise.all([
+    zoneService.resolveTaskZones(taskData),
+    businessCalendarService.getHolidays()
+  ]);
+  return getTagsForCustomer(buildTaskCustomerData(taskData, zones, holidays));
+}
+
+/**
+ * Extract the customer data rules are evaluated against from task data
+ * Time fields (orderTime, deliveryIsHoliday, ...) are derived from the task's
+ * creation, pickup and delivery times unless the task data sets them.
+ * 
+ * @param {Object} taskData - Task data (customer info, addresses, etc.)
+ * @param {Object} [zones] - Resolved { pickupZone, deliveryZone } delivery_zones rows
+ * @param {Map<string, string>} [holidays] - Holiday calendar (businessCalendarService.getHolidays)
+ * @returns {Object} Customer data
+ */
+function buildTaskCustomerData(taskData = {}, zones = {}, holidays = new Map()) {
+  const pickupZone = zones.pickupZone ? zones.pickupZone.code : taskData.pickupZone;
+  const deliveryZone = zones.deliveryZone ? zones.deliveryZone.code : taskData.deliveryZone;
+  
+  return {
+    ...businessCalendarService.buildTimeFields(taskData, holidays),
     plan: taskData.customerPlan || taskData.plan,
-    zone: taskData.deliveryZone || taskData.zone,
+    zone: deliveryZone || taskData.zone,
     subscription: taskData.subscription,
     customerId: taskData.customer_id || taskData.customerId,
     vendorId: taskData.vendor_id || taskData.vendorId,
     city: extractCityFromAddress(taskData.delivery_address || taskData.deliveryAddress),
     // Add any other relevant fields
-    ...taskData
+    ...taskData,
+    pickupZone,
+    deliveryZone
   };
-  
-  return getTagsForCustomer(customerData);
 }
 
 /**
@@ -107,37 +354,257 @@ function getTagsForTask(taskData = {}) {
  * 
  * @param {Object} rule - Rule object with condition and tags
  * @param {Object} customerData - Customer data to evaluate against
- * @returns {boolean} True if rule matches
+ * @returns {Object} { matched, reason, explanation }
  */
 function evaluateRule(rule, customerData) {
-  if (!rule.condition) {
-    return false;
+  if (!rule || !rule.condition) {
+    return { matched: false, reason: 'Rule has no condition', explanation: null };
   }
   
-  // Simple condition evaluation
-  // Supports: plan === 'premium', zone === 'A', etc.
-  try {
-    // Replace variables in condition with actual values
-    let condition = rule.condition;
-    
-    // Replace common patterns
-    Object.keys(customerData).forEach(key => {
-      const value = customerData[key];
-      const regex = new RegExp(`\\b${key}\\b`, 'g');
-      if (typeof value === 'string') {
-        condition = condition.replace(regex, `'${value}'`);
-      } else {
-        condition = condition.replace(regex, value);
+  const result = tagRules.evaluate(rule.condition, customerData);
+  if (result.error) {
+    console.error('Error evaluating rule condition:', result.error);
+  }
+  return result;
+}
+
+/**
+ * Explain which rules match the given data and why
+ * 
+ * @param {Object} customerData - Customer data, as passed to suggestTags
+ * @returns {Promise<Array<Object>>} Per rule, in evaluation order: { index, description, condition, tags,
+ *   priority, stopProcessing, skipped, matched, appliedTags, suppressedTags, reason, explanation }
+ */
+async function explainRules(customerData = {}) {
+  const config = await loadTagConfig();
+  const data = await withTimeFields(customerData);
+  
+  return applyRules(config, data).results.map(({ index, rule, skipped, result, appliedTags, suppressedTags }) => ({
+    index,
+    description: rule.description || '',
+    condition: rule.condition || '',
+    tags: Array.isArray(rule.tags) ? rule.tags : [],
+    priority: Number(rule.priority) || 0,
+    stopProcessing: rule.stopProcessing === true,
+    skipped,
+    matched: skipped ? false : result.matched,
+    appliedTags,
+    suppressedTags,
+    reason: skipped ? 'Not evaluated: an earlier rule stopped processing' : result.reason,
+    explanation: skipped ? null : result.explanation
+  }));
+}
+
+/**
+ * Validate the rules, tag groups and tag surcharges of a tag configuration
+ * 
+ * @param {Object} config - Configuration with a rules array and optional tagGroups/tagSurcharges
+ * @returns {Array<{rule: number|null, field: string, message: string}>} Errors (empty when valid)
+ */
+function validateRules(config) {
+  const errors = [...validateTagGroups(config), ...validateTagSurcharges(config)];
+  const groups = getTagGroupIndex(config);
+  
+  // Two tags of one group in a single list can never both apply
+  const checkGroupConflicts = (tags, rule, field) => {
+    const seen = new Map();
+    tags.forEach(tag => {
+      const group = groups.get(tag);
+      if (group === undefined) return;
+      if (seen.has(group) && seen.get(group) !== tag) {
+        errors.push({ rule, field, message: `Tags '${seen.get(group)}' and '${tag}' are both in exclusive group '${group}'` });
       }
+      seen.set(group, tag);
     });
+  };
+  
+  if (Array.isArray(config.defaultTags)) {
+    checkGroupConflicts(config.defaultTags, null, 'defaultTags');
+  }
+  
+  if (config.rules === undefined) {
+    return errors;
+  }
+  if (!Array.isArray(config.rules)) {
+    return [...errors, { rule: null, field: 'rules', message: 'rules must be an array' }];
+  }
+  
+  config.rules.forEach((rule, index) => {
+    if (!rule || typeof rule !== 'object') {
+      errors.push({ rule: index, field: 'rule', message: 'Rule must be an object' });
+      return;
+    }
     
-    // Evaluate condition (simple evaluation, not full JS parser)
-    // For production, consider using a proper expression evaluator
-    return eval(condition); // eslint-disable-line no-eval
-  } catch (error) {
-    console.error('Error evaluating rule condition:', error);
-    return false;
+    const result = tagRules.validate(rule.condition);
+    if (!result.valid) {
+      errors.push({ rule: index, field: 'condition', message: result.error });
+    }
+    
+    if (!Array.isArray(rule.tags) || rule.tags.length === 0) {
+      errors.push({ rule: index, field: 'tags', message: 'tags must be a non-empty array' });
+    } else {
+      rule.tags.filter(tag => !validateTag(tag)).forEach(tag => {
+        errors.push({ rule: index, field: 'tags', message: `Invalid tag '${tag}' (letters, digits and underscores, up to 50 characters)` });
+      });
+      checkGroupConflicts(rule.tags, index, 'tags');
+    }
+    
+    if (rule.priority !== undefined && (typeof rule.priority !== 'number' || !isFinite(rule.priority))) {
+      errors.push({ rule: index, field: 'priority', message: 'priority must be a number' });
+    }
+    if (rule.stopProcessing !== undefined && typeof rule.stopProcessing !== 'boolean') {
+      errors.push({ rule: index, field: 'stopProcessing', message: 'stopProcessing must be true or false' });
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Validate the exclusive tag groups of a configuration
+ * 
+ * @param {Object} config - Configuration with optional tagGroups ([{ name, tags }])
+ * @returns {Array<{rule: null, field: string, message: string}>} Errors (empty when valid)
+ */
+function validateTagGroups(config) {
+  if (config.tagGroups === undefined) {
+    return [];
+  }
+  if (!Array.isArray(config.tagGroups)) {
+    return [{ rule: null, field: 'tagGroups', message: 'tagGroups must be an array' }];
   }
+  
+  const errors = [];
+  const names = new Set();
+  const tagGroup = new Map();
+  
+  config.tagGroups.forEach((group, index) => {
+    if (!group || typeof group !== 'object' || typeof group.name !== 'string' || group.name.trim() === '') {
+      errors.push({ rule: null, field: 'tagGroups', message: `Tag group ${index} must have a name` });
+      return;
+    }
+    if (names.has(group.name)) {
+      errors.push({ rule: null, field: 'tagGroups', message: `Duplicate tag group '${group.name}'` });
+    }
+    names.add(group.name);
+    
+    if (!Array.isArray(group.tags) || group.tags.length < 2) {
+      errors.push({ rule: null, field: 'tagGroups', message: `Tag group '${group.name}' must list at least two tags` });
+      return;
+    }
+    group.tags.forEach(tag => {
+      if (!validateTag(tag)) {
+        errors.push({ rule: null, field: 'tagGroups', message: `Invalid tag '${tag}' in group '${group.name}'` });
+      } else if (tagGroup.has(tag) && tagGroup.get(tag) !== group.name) {
+        errors.push({ rule: null, field: 'tagGroups', message: `Tag '${tag}' is in both '${tagGroup.get(tag)}' and '${group.name}'` });
+      }
+      tagGroup.set(tag, group.name);
+    });
+  });
+  
+  return errors;
+}
+
+/**
+ * Validate the tag surcharges of a configuration
+ * tagSurcharges maps a tag to the amount a quote adds to the delivery fee of an
+ * order carrying it (mirroring the tag-based pricing set up in Tookan).
+ * 
+ * @param {Object} config - Configuration with optional tagSurcharges ({ TAG: amount })
+ * @returns {Array<{rule: null, field: string, message: string}>} Errors (empty when valid)
+ */
+function validateTagSurcharges(config) {
+  if (config.tagSurcharges === undefined) {
+    return [];
+  }
+  if (!config.tagSurcharges || typeof config.tagSurcharges !== 'object' || Array.isArray(config.tagSurcharges)) {
+    return [{ rule: null, field: 'tagSurcharges', message: 'tagSurcharges must be an object of tag: amount' }];
+  }
+  
+  const errors = [];
+  Object.entries(config.tagSurcharges).forEach(([tag, amount]) => {
+    if (!validateTag(tag)) {
+      errors.push({ rule: null, field: 'tagSurcharges', message: `Invalid tag '${tag}' in tagSurcharges` });
+    }
+    if (typeof amount !== 'number' || !isFinite(amount) || amount < 0) {
+      errors.push({ rule: null, field: 'tagSurcharges', message: `Surcharge of '${tag}' must be a non-negative number` });
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Find rules that could give an order conflicting tags
+ * Two rules conflict when they add different tags of one exclusive group at the
+ * same priority and their conditions can both match; which tag wins then depends
+ * only on the order of the rules. Conditions that require different values of
+ * one field (zone == 'A' / zone == 'B') are not reported.
+ * 
+ * @param {Object} config - Configuration (rules, tagGroups)
+ * @returns {Array<{rules: Array<number>, group: string, tags: Array<string>, message: string}>} Warnings
+ */
+function findTagConflicts(config) {
+  const groups = getTagGroupIndex(config);
+  const ordered = orderRules(config).filter(({ rule }) => rule && rule.condition && Array.isArray(rule.tags));
+  const warnings = [];
+  
+  ordered.forEach(({ rule: first, index: firstIndex }, position) => {
+    // A stop rule keeps later rules from running whenever it matches
+    if (first.stopProcessing === true) return;
+    
+    ordered.slice(position + 1).forEach(({ rule: second, index: secondIndex }) => {
+      if ((Number(first.priority) || 0) !== (Number(second.priority) || 0)) return;
+      
+      first.tags.forEach(firstTag => {
+        const group = groups.get(firstTag);
+        if (group === undefined) return;
+        
+        second.tags
+          .filter(tag => tag !== firstTag && groups.get(tag) === group)
+          .forEach(secondTag => {
+            if (!tagRules.mayOverlap(first.condition, second.condition)) return;
+            warnings.push({
+              rules: [firstIndex, secondIndex],
+              group,
+              tags: [firstTag, secondTag],
+              message: `Rules ${firstIndex} and ${secondIndex} can both match and add '${firstTag}' and '${secondTag}' `
+                + `(group '${group}') at the same priority; rule ${firstIndex} comes first, so '${secondTag}' would be dropped. `
+                + 'Give one rule a higher priority or make the conditions exclusive.'
+            });
+          });
+      });
+    });
+  });
+  
+  return warnings;
+}
+
+/**
+ * Check a draft configuration as it would be saved (merged over the active config)
+ * 
+ * @param {Object} draftConfig - Configuration values to save
+ * @returns {Promise<Object>} { config, errors, warnings }
+ */
+async function checkTagConfig(draftConfig = {}) {
+  const config = { ...await loadTagConfig(), ...draftConfig };
+  const errors = validateRules(config);
+  
+  return {
+    config,
+    errors,
+    warnings: errors.length > 0 ? [] : findTagConflicts(config)
+  };
+}
+
+/**
+ * Describe validation errors in one line
+ * 
+ * @param {Array<{rule: number|null, message: string}>} errors - From validateRules
+ * @returns {string} Message
+ */
+function describeRuleErrors(errors) {
+  return errors.map(e => e.rule === null ? e.message : `rule ${e.rule}: ${e.message}`).join('; ');
 }
 
 /**
@@ -176,10 +643,10 @@ function validateTag(tag) {
 /**
  * Get all available tags from configuration
  * 
- * @returns {Array<string>} Array of all configured tags
+ * @returns {Promise<Array<string>>} Array of all configured tags
  */
-function getAllTags() {
-  const config = loadTagConfig();
+async function getAllTags() {
+  const config = await loadTagConfig();
   const tags = new Set();
   
   // Collect tags from rules
@@ -202,39 +669,134 @@ function getAllTags() {
 /**
  * Update tag configuration
  * 
- * @param {Object} newConfig - New configuration object
- * @returns {boolean} True if saved successfully
+ * @param {Object} newConfig - New configuration values, merged over the active config
+ * @param {Object} [details] - { user: { id, name }, changeNote }
+ * @returns {Promise<Object>} The saved config
  */
-function updateTagConfig(newConfig) {
-  const currentConfig = loadTagConfig();
+async function updateTagConfig(newConfig, details = {}) {
+  const currentConfig = await loadTagConfig();
   const mergedConfig = {
     ...currentConfig,
-    ...newConfig,
-    lastUpdated: new Date().toISOString()
+    ...newConfig
   };
   
-  return saveTagConfig(mergedConfig);
+  return saveTagConfig(mergedConfig, details);
+}
+
+/**
+ * List tag configuration versions, newest first
+ * 
+ * @param {Object} [options] - { limit, offset }
+ * @returns {Promise<Object>} { versions, total }
+ */
+async function listTagConfigVersions(options = {}) {
+  return tagConfigModel.listVersions(options);
+}
+
+/**
+ * Get one tag configuration version with its full config
+ * 
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} Version row, or null when it does not exist
+ */
+async function getTagConfigVersion(version) {
+  return tagConfigModel.getVersion(version);
+}
+
+/**
+ * Compare two tag configuration versions
+ * 
+ * @param {number} fromVersion - Older version
+ * @param {number} toVersion - Newer version
+ * @returns {Promise<Object|null>} { from, to, diff }, or null when a version does not exist
+ */
+async function compareTagConfigVersions(fromVersion, toVersion) {
+  const [from, to] = await Promise.all([
+    tagConfigModel.getVersion(fromVersion),
+    tagConfigModel.getVersion(toVersion)
+  ]);
+  
+  if (!from || !to) {
+    return null;
+  }
+  
+  return {
+    from: toTagConfig(from),
+    to: toTagConfig(to),
+    diff: diffConfigs(from.config, to.config)
+  };
+}
+
+/**
+ * Roll back to an earlier version
+ * The old config is saved again as a new version, so history is never rewritten.
+ * 
+ * @param {number} version - Version to restore
+ * @param {Object} [details] - { user: { id, name } }
+ * @returns {Promise<Object>} { success, config } or { success: false, notFound?, message, errors? }
+ */
+async function rollbackTagConfig(version, details = {}) {
+  const target = await tagConfigModel.getVersion(version);
+  if (!target) {
+    return { success: false, notFound: true, message: `Version ${version} not found` };
+  }
+  
+  const active = await tagConfigModel.getConfig();
+  if (active && active.version === target.version) {
+    return { success: false, message: `Version ${version} is already active` };
+  }
+  
+  // Versions saved before rules were validated may not parse
+  const errors = validateRules(target.config);
+  if (errors.length > 0) {
+    return {
+      success: false,
+      message: `Version ${version} has invalid rules and cannot be restored`,
+      errors
+    };
+  }
+  
+  const config = await saveTagConfig(target.config, {
+    user: details.user,
+    changeNote: `Rolled back to version ${version}`,
+    rolledBackFrom: target.version
+  });
+  
+  return { success: true, config };
 }
 
 /**
  * Suggest tags for given customer/task data
  * 
  * @param {Object} data - Customer or task data
- * @returns {Array<string>} Suggested tags
+ * @returns {Promise<Array<string>>} Suggested tags
  */
-function suggestTags(data) {
-  return getTagsForCustomer(data);
+async function suggestTags(data) {
+  return getTagsForCustomer(await withTimeFields(data));
 }
 
 module.exports = {
   getTagsForCustomer,
+  getTagsForConfig,
   getTagsForTask,
+  buildTaskCustomerData,
+  extractCityFromAddress,
   validateTag,
   getAllTags,
   updateTagConfig,
   loadTagConfig,
   saveTagConfig,
-  suggestTags
+  suggestTags,
+  explainRules,
+  validateRules,
+  findTagConflicts,
+  checkTagConfig,
+  describeRuleErrors,
+  diffConfigs,
+  listTagConfigVersions,
+  getTagConfigVersion,
+  compareTagConfigVersions,
+  rollbackTagConfig
 };
 
 
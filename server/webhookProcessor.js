@@ -1,24 +1,63 @@
 /**
  * Webhook Event Processor
- * 
- * Background job to retry failed webhook events.
- * Run this periodically (e.g., every 5 minutes) via cron or setInterval.
- * 
- * Usage:
+ *
+ * Processes Tookan webhook events persisted by /api/tookan/webhook.
+ * The route only stores and acknowledges the event; processing happens here once the
+ * event is WEBHOOK_PROCESSING_DELAY_MS old, so Tookan has time to propagate the task data.
+ * Events of the same job_id are applied strictly in the order they were received.
+ * Each event type is applied by its handler in services/webhookHandlers.js.
+ *
+ * Runs inside the server via startWebhookWorker(): events are leased with
+ * claim_webhook_events so several server instances can run the worker side by side,
+ * failures are rescheduled through next_retry_at, and stopWebhookWorker() lets the
+ * events in flight finish on shutdown.
+ *
+ * Or once from the command line:
  *   node server/webhookProcessor.js
- * 
- * Or run continuously:
- *   while true; do node server/webhookProcessor.js; sleep 300; done
  */
 
 require('dotenv').config();
+const os = require('os');
+const crypto = require('crypto');
 const webhookEventsModel = require('./db/models/webhookEvents');
-const taskStorage = require('./taskStorage');
+const webhookHandlers = require('./services/webhookHandlers');
 const { isConfigured } = require('./db/supabase');
 
 const MAX_RETRIES = 3;
 const RETRY_DELAY_BASE = 60000; // 1 minute base delay
 
+// How long after receipt an event becomes due (Tookan data propagation)
+const WEBHOOK_PROCESSING_DELAY_MS = process.env.WEBHOOK_PROCESSING_DELAY_MS !== undefined && !isNaN(parseInt(process.env.WEBHOOK_PROCESSING_DELAY_MS))
+  ? parseInt(process.env.WEBHOOK_PROCESSING_DELAY_MS)
+  : 10000;
+const WORKER_INTERVAL_MS = parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS) || 5000;
+const WORKER_CONCURRENCY = parseInt(process.env.WEBHOOK_WORKER_CONCURRENCY) || 2;
+// Must outlast the slowest event (two Tookan calls with retries); an expired lease is claimable again
+const LEASE_SECONDS = parseInt(process.env.WEBHOOK_WORKER_LEASE_SECONDS) || 300;
+const SHUTDOWN_TIMEOUT_MS = 30000;
+const LATENCY_SAMPLE_SIZE = 200;
+
+const worker = {
+  id: `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`,
+  timer: null,
+  polling: false,
+  stopping: false,
+  concurrency: WORKER_CONCURRENCY,
+  startedAt: null,
+  inFlight: new Map() // event id -> processing promise
+};
+
+const metrics = {
+  processed: 0,
+  failed: 0,
+  deadLettered: 0,
+  lastPollAt: null,
+  lastError: null,
+  // Receipt to start of the successful attempt, and duration of that attempt
+  queueLatencyMs: [],
+  processingMs: []
+};
+
 /**
  * Calculate exponential backoff delay
  */
@@ -26,58 +65,92 @@ function getRetryDelay(retryCount) {
   return RETRY_DELAY_BASE * Math.pow(2, retryCount);
 }
 
+/**
+ * Run a webhook payload through the handler of its event type
+ * @returns {Promise<{ eventType: string, action: string, sideEffects: string[] }>}
+ */
+async function processWebhookPayload(payload) {
+  return webhookHandlers.handleWebhookEvent(payload);
+}
+
+function recordSample(samples, value) {
+  samples.push(value);
+  if (samples.length > LATENCY_SAMPLE_SIZE) samples.shift();
+}
+
+function summarize(samples) {
+  if (samples.length === 0) return { count: 0, avg: null, p95: null, max: null };
+  const sorted = [...samples].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    avg: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+    max: sorted[sorted.length - 1]
+  };
+}
+
 /**
  * Process a single webhook event
+ * On failure the event is rescheduled on the backoff schedule, or dead-lettered
+ * once it is out of retries.
  */
 async function processWebhookEvent(event) {
   console.log(`Processing webhook event ${event.id} (retry ${event.retry_count})`);
-  
+  const startedAt = Date.now();
+
   try {
-    const payload = event.payload || {};
-    const eventType = event.event_type || payload.event_type || payload.type || 'unknown';
-    const orderId = event.job_id || payload.job_id || payload.order_id || payload.task_id || 'unknown';
-    
-    // Only process task/order related events
-    if (eventType.includes('task') || eventType.includes('order') || eventType.includes('job') || orderId !== 'unknown') {
-      // Update task storage with COD data from template fields
-      const updatedTask = await taskStorage.updateTaskFromWebhook(payload);
-      
-      if (updatedTask) {
-        // Mark as processed
-        await webhookEventsModel.markProcessed(event.id);
-        console.log(`✅ Event ${event.id} processed successfully`);
-        return true;
-      } else {
-        // Could not update task, but mark as processed (no job_id)
-        await webhookEventsModel.markProcessed(event.id);
-        console.log(`✅ Event ${event.id} processed (no task update needed)`);
-        return true;
-      }
-    } else {
-      // Not a task-related event, mark as processed
-      await webhookEventsModel.markProcessed(event.id);
-      console.log(`✅ Event ${event.id} processed (not task-related)`);
-      return true;
+    const result = await processWebhookPayload(event.payload || {});
+    if (!await webhookEventsModel.markProcessed(event.id, worker.id)) {
+      // The lease expired and another worker has the event now; it records the outcome
+      console.warn(`⚠️  Lost the lease of event ${event.id} before it finished; left to its new owner`);
+      return false;
     }
+
+    metrics.processed++;
+    recordSample(metrics.queueLatencyMs, startedAt - new Date(event.created_at).getTime());
+    recordSample(metrics.processingMs, Date.now() - startedAt);
+    const sideEffects = result.sideEffects.length > 0 ? ` [${result.sideEffects.join(', ')}]` : '';
+    console.log(`✅ Event ${event.id} (${result.eventType}) processed: ${result.action}${sideEffects}`);
+    return true;
   } catch (error) {
     console.error(`❌ Error processing event ${event.id}:`, error.message);
-    
-    // Mark as failed (will increment retry_count)
-    await webhookEventsModel.markFailed(event.id, error.message || 'Processing failed');
-    
-    // Check if we've exceeded max retries
-    const failedEvent = await webhookEventsModel.getFailedEvents();
-    const thisEvent = failedEvent.find(e => e.id === event.id);
-    if (thisEvent && thisEvent.retry_count >= MAX_RETRIES) {
-      console.error(`⚠️  Event ${event.id} has exceeded max retries (${MAX_RETRIES}). Manual intervention required.`);
+    metrics.failed++;
+
+    // Unknown event types and invalid payloads fail the same way on every attempt
+    if (error instanceof webhookHandlers.WebhookEventError) {
+      if (!await webhookEventsModel.markFailed(event, worker.id, error.message, { errorCode: error.code, deadLetter: true })) {
+        console.warn(`⚠️  Lost the lease of event ${event.id} before it finished; left to its new owner`);
+        return false;
+      }
+      metrics.deadLettered++;
+      console.error(`⚠️  Event ${event.id} moved to dead-letter queue (${error.code}).`);
+      return false;
     }
-    
+
+    // Out of retries: park it in the dead-letter queue for an admin to replay or discard.
+    // Otherwise mark it failed (incrementing retry_count) and schedule the next attempt.
+    const retryCount = (event.retry_count || 0) + 1;
+    const deadLetter = retryCount >= MAX_RETRIES;
+    const failed = await webhookEventsModel.markFailed(event, worker.id, error.message || 'Processing failed', {
+      nextRetryAt: new Date(Date.now() + getRetryDelay(retryCount)).toISOString(),
+      deadLetter
+    });
+    if (!failed) {
+      console.warn(`⚠️  Lost the lease of event ${event.id} before it finished; left to its new owner`);
+      return false;
+    }
+
+    if (deadLetter) {
+      metrics.deadLettered++;
+      console.error(`⚠️  Event ${event.id} has exceeded max retries (${MAX_RETRIES}). Moved to dead-letter queue.`);
+    }
+
     return false;
   }
 }
 
 /**
- * Process pending webhook events
+ * Process all due webhook events once, sequentially (command line mode)
  */
 async function processPendingEvents() {
   if (!isConfigured()) {
@@ -86,39 +159,17 @@ async function processPendingEvents() {
   }
 
   try {
-    console.log('\n=== WEBHOOK PROCESSOR RUN ===');
-    console.log(`Timestamp: ${new Date().toISOString()}`);
-    
-    // Get pending events
-    const pendingEvents = await webhookEventsModel.getPendingEvents(MAX_RETRIES);
-    
-    if (pendingEvents.length === 0) {
-      console.log('✅ No pending events to process');
-      return;
-    }
-    
-    console.log(`Found ${pendingEvents.length} pending event(s)`);
-    
-    // Process events sequentially to avoid overwhelming the system
-    for (const event of pendingEvents) {
-      // Check if enough time has passed since last retry (exponential backoff)
-      if (event.last_retry_at) {
-        const lastRetryTime = new Date(event.last_retry_at).getTime();
-        const delay = getRetryDelay(event.retry_count || 0);
-        const now = Date.now();
-        
-        if (now - lastRetryTime < delay) {
-          console.log(`⏳ Event ${event.id} is in backoff period. Skipping.`);
-          continue;
-        }
+    let events = await webhookEventsModel.claimEvents(worker.id, { limit: 100, leaseSeconds: LEASE_SECONDS, maxRetries: MAX_RETRIES });
+
+    while (events.length > 0) {
+      console.log(`\n=== WEBHOOK PROCESSOR: ${events.length} due event(s) ===`);
+      for (const event of events) {
+        await processWebhookEvent(event);
       }
-      
-      await processWebhookEvent(event);
-      
-      // Small delay between events to avoid overwhelming the system
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      // Processing an event can make the next event of the same job due
+      events = await webhookEventsModel.claimEvents(worker.id, { limit: 100, leaseSeconds: LEASE_SECONDS, maxRetries: MAX_RETRIES });
     }
-    
+
     console.log('=== WEBHOOK PROCESSOR COMPLETE ===\n');
   } catch (error) {
     console.error('❌ Webhook processor error:', error);
@@ -126,6 +177,129 @@ async function processPendingEvents() {
   }
 }
 
+/**
+ * Lease as many due events as there are free worker slots and start processing them
+ */
+async function pollOnce() {
+  if (worker.polling || worker.stopping) return;
+  const capacity = worker.concurrency - worker.inFlight.size;
+  if (capacity <= 0) return;
+
+  worker.polling = true;
+  try {
+    const events = await webhookEventsModel.claimEvents(worker.id, {
+      limit: capacity,
+      leaseSeconds: LEASE_SECONDS,
+      maxRetries: MAX_RETRIES
+    });
+    metrics.lastPollAt = new Date().toISOString();
+
+    for (const event of events) {
+      const run = processWebhookEvent(event)
+        .catch(error => {
+          metrics.lastError = error.message;
+          console.error(`❌ Webhook worker failed on event ${event.id}:`, error.message);
+        })
+        .finally(() => {
+          worker.inFlight.delete(event.id);
+          // A finished event can make the next event of its job due, so look again right away
+          if (!worker.stopping) setImmediate(pollOnce);
+        });
+      worker.inFlight.set(event.id, run);
+    }
+  } catch (error) {
+    metrics.lastError = error.message;
+    console.error('❌ Webhook worker poll error:', error.message);
+  } finally {
+    worker.polling = false;
+  }
+}
+
+/**
+ * Process a webhook that could not be persisted, after the same propagation delay
+ * Nothing is retried if this fails.
+ */
+function scheduleUnpersisted(payload) {
+  setTimeout(() => {
+    processWebhookPayload(payload).catch(error => {
+      console.error('❌ Unpersisted webhook processing failed:', error.message);
+    });
+  }, WEBHOOK_PROCESSING_DELAY_MS);
+}
+
+/**
+ * Start the background webhook worker
+ * @param {Object} options - { intervalMs, concurrency }
+ */
+function startWebhookWorker({ intervalMs = WORKER_INTERVAL_MS, concurrency = WORKER_CONCURRENCY } = {}) {
+  if (worker.timer) return worker.timer;
+
+  worker.stopping = false;
+  worker.concurrency = concurrency;
+  worker.startedAt = new Date().toISOString();
+  worker.timer = setInterval(pollOnce, intervalMs);
+  pollOnce();
+
+  console.log(`🔄 Webhook worker ${worker.id} started (concurrency ${concurrency})`);
+  return worker.timer;
+}
+
+/**
+ * Stop leasing new events and wait for the ones in flight
+ * Events still running after timeoutMs keep their lease until it expires.
+ * @returns {Promise<{ drained: boolean }>}
+ */
+async function stopWebhookWorker(timeoutMs = SHUTDOWN_TIMEOUT_MS) {
+  worker.stopping = true;
+  if (worker.timer) {
+    clearInterval(worker.timer);
+    worker.timer = null;
+  }
+
+  if (worker.inFlight.size === 0) return { drained: true };
+
+  console.log(`⏳ Waiting for ${worker.inFlight.size} webhook event(s) in flight...`);
+  let timeout;
+  const drained = await Promise.race([
+    Promise.allSettled([...worker.inFlight.values()]).then(() => true),
+    new Promise(resolve => { timeout = setTimeout(() => resolve(false), timeoutMs); })
+  ]);
+  clearTimeout(timeout);
+
+  return { drained };
+}
+
+/**
+ * Worker state, counters since start, latency over the last LATENCY_SAMPLE_SIZE events
+ * and the current backlog
+ */
+async function getWorkerMetrics() {
+  let backlog = null;
+  if (isConfigured()) {
+    try {
+      backlog = await webhookEventsModel.getBacklogStats(MAX_RETRIES);
+    } catch (error) {
+      console.error('Failed to read webhook backlog:', error.message);
+    }
+  }
+
+  return {
+    workerId: worker.id,
+    running: !!worker.timer,
+    startedAt: worker.startedAt,
+    concurrency: worker.concurrency,
+    inFlight: worker.inFlight.size,
+    processed: metrics.processed,
+    failed: metrics.failed,
+    deadLettered: metrics.deadLettered,
+    lastPollAt: metrics.lastPollAt,
+    lastError: metrics.lastError,
+    queueLatencyMs: summarize(metrics.queueLatencyMs),
+    processingMs: summarize(metrics.processingMs),
+    backlog
+  };
+}
+
 // Run if executed directly
 if (require.main === module) {
   processPendingEvents()
@@ -140,11 +314,13 @@ if (require.main === module) {
 }
 
 module.exports = {
+  MAX_RETRIES,
+  WEBHOOK_PROCESSING_DELAY_MS,
   processPendingEvents,
-  processWebhookEvent
+  processWebhookEvent,
+  processWebhookPayload,
+  scheduleUnpersisted,
+  startWebhookWorker,
+  stopWebhookWorker,
+  getWorkerMetrics
 };
-
-
-
-
-
@@ -0,0 +1,260 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { UserPlus, RefreshCw, Check, Save } from "lucide-react"
+import { toast } from "sonner"
+import {
+    listOnboarding,
+    markOnboardingReviewed,
+    getOnboardingRules,
+    saveOnboardingRules,
+    type OnboardingRecord,
+    type OnboardingRules,
+} from "../services/customerOnboardingService"
+
+const STATUS_STYLES: Record<string, string> = {
+    pending: "bg-muted/50 text-muted-light dark:text-[#99BFD1]",
+    completed: "bg-[#22C55E]/15 text-[#16A34A]",
+    partial: "bg-yellow-500/20 text-yellow-600 dark:text-yellow-400",
+    failed: "bg-[#DE3544]/15 text-[#DE3544]",
+}
+
+const inputClass = "px-4 py-2 bg-input-bg dark:bg-[#1A2C53] border border-input-border dark:border-[#2A3C63] rounded-xl text-heading dark:text-[#C1EEFA] text-sm focus:outline-none"
+const buttonClass = "flex items-center justify-center gap-2 px-4 py-2 border border-border rounded-xl text-heading dark:text-[#C1EEFA] hover:bg-muted/50 active:bg-muted/70 active:scale-95 transition-all text-sm font-medium shadow-sm disabled:opacity-50"
+
+interface CustomerOnboardingProps {
+    plans: { id: string; name: string }[]
+}
+
+export function CustomerOnboarding({ plans }: CustomerOnboardingProps) {
+    const [records, setRecords] = useState<OnboardingRecord[]>([])
+    const [isLoading, setIsLoading] = useState(true)
+    const [showReviewed, setShowReviewed] = useState(false)
+    const [selectedIds, setSelectedIds] = useState<number[]>([])
+    const [rules, setRules] = useState<OnboardingRules | null>(null)
+    const [isSaving, setIsSaving] = useState(false)
+
+    useEffect(() => {
+        loadRules()
+    }, [])
+
+    useEffect(() => {
+        loadRecords()
+    }, [showReviewed])
+
+    const loadRecords = async () => {
+        setIsLoading(true)
+        try {
+            const result = await listOnboarding(showReviewed ? undefined : false)
+            if (result.status === "success" && result.data) {
+                setRecords(result.data.records)
+                setSelectedIds([])
+            } else {
+                toast.error(result.message || "Failed to load sign-ups")
+            }
+        } catch (error) {
+            toast.error("Failed to load sign-ups")
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    const loadRules = async () => {
+        const result = await getOnboardingRules()
+        if (result.status === "success" && result.data) {
+            setRules(result.data)
+        } else {
+            toast.error(result.message || "Failed to load onboarding rules")
+        }
+    }
+
+    const handleSaveRules = async () => {
+        if (!rules) return
+        setIsSaving(true)
+        try {
+            const result = await saveOnboardingRules(rules)
+            if (result.status === "success" && result.data) {
+                setRules(result.data)
+                toast.success("Onboarding rules saved")
+            } else {
+                toast.error(result.message || "Failed to save onboarding rules")
+            }
+        } finally {
+            setIsSaving(false)
+        }
+    }
+
+    const handleReview = async () => {
+        const result = await markOnboardingReviewed(selectedIds)
+        if (result.status === "success") {
+            toast.success(result.message || "Sign-ups marked reviewed")
+            loadRecords()
+        } else {
+            toast.error(result.message || "Failed to mark sign-ups reviewed")
+        }
+    }
+
+    const toggleSelected = (id: number) => {
+        setSelectedIds((ids) => (ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id]))
+    }
+
+    const planName = (planId: string | null) => {
+        if (!planId) return "—"
+        return plans.find((plan) => plan.id === planId)?.name || planId
+    }
+
+    const unreviewed = records.filter((record) => !record.reviewed_at)
+
+    return (
+        <div className="p-6 flex flex-col gap-6">
+            {/* Onboarding defaults */}
+            {rules && (
+                <div className="flex flex-col gap-3">
+                    <div className="flex flex-col md:flex-row md:items-center gap-3">
+                        <label className="flex items-center gap-2 text-heading dark:text-[#C1EEFA] text-sm">
+                            <input
+                                type="checkbox"
+                                checked={rules.enabled}
+                                onChange={(e) => setRules({ ...rules, enabled: e.target.checked })}
+                            />
+                            Onboard new customers
+                        </label>
+                        <label className="flex items-center gap-2 text-heading dark:text-[#C1EEFA] text-sm">
+                            <input
+                                type="checkbox"
+                                checked={rules.pushTags}
+                                onChange={(e) => setRules({ ...rules, pushTags: e.target.checked })}
+                            />
+                            Push tags to Tookan
+                        </label>
+                        <select
+                            value={rules.defaultPlanId || ""}
+                            onChange={(e) => setRules({ ...rules, defaultPlanId: e.target.value || null })}
+                            className={inputClass}
+                        >
+                            <option value="">No default plan</option>
+                            {plans.map((plan) => (
+                                <option key={plan.id} value={plan.id}>{plan.name}</option>
+                            ))}
+                        </select>
+                        <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={rules.defaultWithdrawFee ?? ""}
+                            onChange={(e) => setRules({ ...rules, defaultWithdrawFee: e.target.value === "" ? null : Number(e.target.value) })}
+                            placeholder="Default withdrawal fee"
+                            className={inputClass}
+                        />
+                        <button onClick={handleSaveRules} disabled={isSaving} className={buttonClass}>
+                            <Save className="w-4 h-4" />
+                            Save
+                        </button>
+                    </div>
+                    {rules.rules.length > 0 && (
+                        <p className="text-muted-light dark:text-[#99BFD1] text-xs">
+                            Rules checked first: {rules.rules.map((rule) => `${rule.name} (${rule.condition})`).join(" · ")}
+                        </p>
+                    )}
+                </div>
+            )}
+
+            {/* Sign-ups */}
+            <div className="flex items-center justify-between gap-3">
+                <label className="flex items-center gap-2 text-muted-light dark:text-[#99BFD1] text-sm">
+                    <input type="checkbox" checked={showReviewed} onChange={(e) => setShowReviewed(e.target.checked)} />
+                    Show reviewed
+                </label>
+                <div className="flex gap-2">
+                    <button onClick={handleReview} disabled={selectedIds.length === 0} className={buttonClass}>
+                        <Check className="w-4 h-4" />
+                        Mark reviewed ({selectedIds.length})
+                    </button>
+                    <button onClick={loadRecords} disabled={isLoading} className={buttonClass}>
+                        <RefreshCw className={`w-4 h-4 ${isLoading ? "animate-spin" : ""}`} />
+                    </button>
+                </div>
+            </div>
+
+            {isLoading ? (
+                <div className="text-center py-16">
+                    <RefreshCw className="w-8 h-8 text-primary dark:text-[#C1EEFA] mx-auto mb-4 animate-spin" />
+                    <p className="text-muted-light dark:text-[#99BFD1]">Loading sign-ups...</p>
+                </div>
+            ) : records.length === 0 ? (
+                <div className="text-center py-16">
+                    <UserPlus className="w-12 h-12 text-muted-light dark:text-[#99BFD1] mx-auto mb-4 opacity-50" />
+                    <p className="text-heading dark:text-[#C1EEFA] font-medium mb-1">No sign-ups to review</p>
+                    <p className="text-muted-light dark:text-[#99BFD1] text-sm">New Tookan customers appear here with the plan, fee and tags they were given</p>
+                </div>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full">
+                        <thead className="table-header-bg dark:bg-[#1A2C53]">
+                            <tr>
+                                <th className="text-left px-6 py-4">
+                                    <input
+                                        type="checkbox"
+                                        checked={unreviewed.length > 0 && unreviewed.every((record) => selectedIds.includes(record.id))}
+                                        onChange={(e) => setSelectedIds(e.target.checked ? unreviewed.map((record) => record.id) : [])}
+                                    />
+                                </th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Customer</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Status</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Plan</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Withdrawal Fee</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Tags</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Signed Up</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {records.map((record) => (
+                                <tr key={record.id} className="border-b border-border dark:border-[#2A3C63] hover:bg-table-row-hover dark:hover:bg-[#1A2C53]/50 transition-colors">
+                                    <td className="px-6 py-4">
+                                        {!record.reviewed_at && (
+                                            <input
+                                                type="checkbox"
+                                                checked={selectedIds.includes(record.id)}
+                                                onChange={() => toggleSelected(record.id)}
+                                            />
+                                        )}
+                                    </td>
+                                    <td className="px-6 py-4 text-heading dark:text-[#C1EEFA] text-sm">
+                                        <div>{record.customer_name || "—"}</div>
+                                        <div className="text-muted-light dark:text-[#99BFD1] text-xs">
+                                            #{record.vendor_id}{record.customer_email ? ` · ${record.customer_email}` : ""}
+                                        </div>
+                                    </td>
+                                    <td className="px-6 py-4 text-sm">
+                                        <span className={`px-2 py-1 rounded-lg text-xs font-medium ${STATUS_STYLES[record.status]}`} title={record.error || undefined}>
+                                            {record.status}
+                                        </span>
+                                        {record.matched_rule && (
+                                            <div className="text-muted-light dark:text-[#99BFD1] text-xs mt-1">Rule: {record.matched_rule}</div>
+                                        )}
+                                        {record.actions.filter((action) => action.status === "failed").map((action) => (
+                                            <div key={action.step} className="text-[#DE3544] text-xs mt-1">{action.step}: {action.detail}</div>
+                                        ))}
+                                    </td>
+                                    <td className="px-6 py-4 text-heading dark:text-[#C1EEFA] text-sm">{planName(record.plan_id)}</td>
+                                    <td className="px-6 py-4 text-heading dark:text-[#C1EEFA] text-sm">{record.withdraw_fees ?? "—"}</td>
+                                    <td className="px-6 py-4 text-heading dark:text-[#C1EEFA] text-sm">
+                                        {record.tags && record.tags.length > 0 ? record.tags.join(", ") : "—"}
+                                    </td>
+                                    <td className="px-6 py-4 text-heading dark:text-[#C1EEFA] text-sm">
+                                        {new Date(record.created_at).toLocaleString()}
+                                        {record.reviewed_at && (
+                                            <div className="text-muted-light dark:text-[#99BFD1] text-xs">
+                                                Reviewed{record.reviewed_by ? ` by ${record.reviewed_by}` : ""}
+                                            </div>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    )
+}
@@ -0,0 +1,216 @@
+"use client"
+
+import { useState, useEffect, useRef } from "react"
+import { MapPin, RefreshCw, Upload, Download, Trash2 } from "lucide-react"
+import { toast } from "sonner"
+import {
+    listZones,
+    updateZone,
+    deleteZone,
+    importZones,
+    exportZones,
+    type DeliveryZone,
+} from "../services/deliveryZoneService"
+
+export function DeliveryZonesPanel() {
+    const [zones, setZones] = useState<DeliveryZone[]>([])
+    const [isLoading, setIsLoading] = useState(true)
+    const [isImporting, setIsImporting] = useState(false)
+    const [confirmDelete, setConfirmDelete] = useState<string | null>(null)
+    const fileInputRef = useRef<HTMLInputElement>(null)
+
+    useEffect(() => {
+        loadZones()
+    }, [])
+
+    const loadZones = async () => {
+        setIsLoading(true)
+        try {
+            const result = await listZones()
+            if (result.status === "success" && result.data) {
+                setZones(result.data)
+            } else {
+                toast.error(result.message || "Failed to load delivery zones")
+            }
+        } catch (error) {
+            toast.error("Failed to load delivery zones")
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    const handleImport = async (event: React.ChangeEvent<HTMLInputElement>) => {
+        const file = event.target.files?.[0]
+        event.target.value = ""
+        if (!file) return
+
+        setIsImporting(true)
+        try {
+            let collection: any
+            try {
+                collection = JSON.parse(await file.text())
+            } catch {
+                toast.error("File is not valid GeoJSON")
+                return
+            }
+
+            const result = await importZones(collection)
+            if (result.status === "success" && result.data) {
+                toast.success(`Imported zones: ${result.data.created} created, ${result.data.updated} updated`)
+                loadZones()
+            } else {
+                const details = result.errors?.slice(0, 3).map((e) => `${e.feature !== null ? `feature ${e.feature}: ` : ""}${e.message}`).join("; ")
+                toast.error(details ? `${result.message}: ${details}` : result.message || "Failed to import zones")
+            }
+        } finally {
+            setIsImporting(false)
+        }
+    }
+
+    const handleExport = async () => {
+        const result = await exportZones()
+        if (result.status !== "success") {
+            toast.error(result.message || "Failed to export zones")
+        }
+    }
+
+    const handleToggleActive = async (zone: DeliveryZone) => {
+        const result = await updateZone(zone.id, { is_active: !zone.is_active })
+        if (result.status === "success" && result.data) {
+            setZones((current) => current.map((z) => (z.id === zone.id ? result.data! : z)))
+        } else {
+            toast.error(result.message || "Failed to update zone")
+        }
+    }
+
+    const handleDelete = async (id: string) => {
+        const result = await deleteZone(id)
+        setConfirmDelete(null)
+        if (result.status === "success") {
+            toast.success("Zone deleted")
+            setZones((current) => current.filter((z) => z.id !== id))
+        } else {
+            toast.error(result.message || "Failed to delete zone")
+        }
+    }
+
+    return (
+        <div className="bg-card rounded-2xl border border-border shadow-sm">
+            {/* Card Header */}
+            <div className="p-6 border-b border-border flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
+                <div className="flex items-center gap-3">
+                    <MapPin className="w-5 h-5 text-primary dark:text-[#C1EEFA]" />
+                    <h2 className="text-heading dark:text-[#C1EEFA] text-lg font-semibold">Delivery Zones</h2>
+                </div>
+                <div className="flex gap-3 w-full sm:w-auto">
+                    <input ref={fileInputRef} type="file" accept=".geojson,.json,application/geo+json,application/json" onChange={handleImport} className="hidden" />
+                    <button
+                        onClick={() => fileInputRef.current?.click()}
+                        disabled={isImporting}
+                        className="flex items-center justify-center gap-2 px-4 py-2 border border-border rounded-xl text-heading dark:text-[#C1EEFA] hover:bg-muted/50 active:bg-muted/70 active:scale-95 transition-all text-sm font-medium shadow-sm disabled:opacity-50"
+                    >
+                        <Upload className="w-4 h-4" />
+                        {isImporting ? "Importing..." : "Import GeoJSON"}
+                    </button>
+                    <button
+                        onClick={handleExport}
+                        disabled={zones.length === 0}
+                        className="flex items-center justify-center gap-2 px-4 py-2 border border-border rounded-xl text-heading dark:text-[#C1EEFA] hover:bg-muted/50 active:bg-muted/70 active:scale-95 transition-all text-sm font-medium shadow-sm disabled:opacity-50"
+                    >
+                        <Download className="w-4 h-4" />
+                        Export
+                    </button>
+                    <button
+                        onClick={loadZones}
+                        disabled={isLoading}
+                        className="flex items-center justify-center gap-2 px-4 py-2 border border-border rounded-xl text-heading dark:text-[#C1EEFA] hover:bg-muted/50 active:bg-muted/70 active:scale-95 transition-all text-sm font-medium shadow-sm"
+                    >
+                        <RefreshCw className={`w-4 h-4 ${isLoading ? "animate-spin" : ""}`} />
+                        Refresh
+                    </button>
+                </div>
+            </div>
+
+            {isLoading ? (
+                <div className="text-center py-16">
+                    <RefreshCw className="w-8 h-8 text-primary dark:text-[#C1EEFA] mx-auto mb-4 animate-spin" />
+                    <p className="text-muted-light dark:text-[#99BFD1]">Loading zones...</p>
+                </div>
+            ) : zones.length === 0 ? (
+                <div className="text-center py-16">
+                    <MapPin className="w-12 h-12 text-muted-light dark:text-[#99BFD1] mx-auto mb-4 opacity-50" />
+                    <p className="text-heading dark:text-[#C1EEFA] font-medium mb-1">No delivery zones</p>
+                    <p className="text-muted-light dark:text-[#99BFD1] text-sm">Import a GeoJSON FeatureCollection with a code and name on each feature</p>
+                </div>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full">
+                        <thead className="table-header-bg dark:bg-[#1A2C53]">
+                            <tr>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Code</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Name</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Priority</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Surcharge</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Status</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {zones.map((zone, index) => (
+                                <tr
+                                    key={zone.id}
+                                    className={`border-b border-border dark:border-[#2A3C63] hover:bg-table-row-hover dark:hover:bg-[#1A2C53]/50 transition-colors ${index % 2 === 0 ? "table-zebra dark:bg-[#223560]/20" : ""
+                                        }`}
+                                >
+                                    <td className="px-6 py-4 text-heading dark:text-[#C1EEFA] text-sm font-mono">{zone.code}</td>
+                                    <td className="px-6 py-4 text-heading dark:text-[#C1EEFA] text-sm" title={zone.description || ""}>{zone.name}</td>
+                                    <td className="px-6 py-4 text-sm text-muted-light dark:text-[#99BFD1]">{zone.priority}</td>
+                                    <td className="px-6 py-4 text-sm text-muted-light dark:text-[#99BFD1]">{Number(zone.delivery_surcharge).toFixed(3)} BHD</td>
+                                    <td className="px-6 py-4">
+                                        <button
+                                            onClick={() => handleToggleActive(zone)}
+                                            className="px-2 py-0.5 rounded-md text-xs font-semibold"
+                                            style={zone.is_active
+                                                ? { backgroundColor: "rgba(16, 185, 129, 0.15)", color: "#10B981" }
+                                                : { backgroundColor: "rgba(107, 114, 128, 0.15)", color: "#6B7280" }}
+                                            title={zone.is_active ? "Deactivate" : "Activate"}
+                                        >
+                                            {zone.is_active ? "Active" : "Inactive"}
+                                        </button>
+                                    </td>
+                                    <td className="px-6 py-4">
+                                        {confirmDelete === zone.id ? (
+                                            <div className="flex gap-2">
+                                                <button
+                                                    onClick={() => handleDelete(zone.id)}
+                                                    className="px-3 py-1.5 rounded-lg text-xs font-semibold text-white"
+                                                    style={{ backgroundColor: "#DE3544" }}
+                                                >
+                                                    Confirm
+                                                </button>
+                                                <button
+                                                    onClick={() => setConfirmDelete(null)}
+                                                    className="px-3 py-1.5 border border-border rounded-lg text-heading dark:text-[#C1EEFA] text-xs font-medium"
+                                                >
+                                                    Cancel
+                                                </button>
+                                            </div>
+                                        ) : (
+                                            <button
+                                                onClick={() => setConfirmDelete(zone.id)}
+                                                className="p-1.5 hover:bg-muted/50 rounded-lg"
+                                                title="Delete zone"
+                                            >
+                                                <Trash2 className="w-4 h-4 text-[#DE3544]" />
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    )
+}
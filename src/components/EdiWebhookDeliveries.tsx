@@ -0,0 +1,197 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Send, RefreshCw, CheckCircle, AlertTriangle, Clock, RotateCcw } from "lucide-react"
+import { toast } from "sonner"
+import { listDeliveries, redeliver, type EdiWebhookDelivery } from "../services/ediWebhookService"
+
+const STATUS_STYLES: Record<EdiWebhookDelivery["status"], { bg: string; color: string; border: string }> = {
+    delivered: { bg: "rgba(16, 185, 129, 0.15)", color: "#10B981", border: "1px solid rgba(16, 185, 129, 0.4)" },
+    pending: { bg: "rgba(245, 158, 11, 0.15)", color: "#F59E0B", border: "1px solid rgba(245, 158, 11, 0.4)" },
+    failed: { bg: "rgba(239, 68, 68, 0.15)", color: "#EF4444", border: "1px solid rgba(239, 68, 68, 0.4)" },
+}
+
+export function EdiWebhookDeliveries() {
+    const [deliveries, setDeliveries] = useState<EdiWebhookDelivery[]>([])
+    const [total, setTotal] = useState(0)
+    const [statusFilter, setStatusFilter] = useState("")
+    const [isLoading, setIsLoading] = useState(true)
+    const [redeliveringId, setRedeliveringId] = useState<string | null>(null)
+
+    useEffect(() => {
+        loadDeliveries()
+    }, [statusFilter])
+
+    const loadDeliveries = async () => {
+        setIsLoading(true)
+        try {
+            const result = await listDeliveries({ status: statusFilter || undefined, limit: 50 })
+            if (result.status === "success" && result.data) {
+                setDeliveries(result.data.deliveries)
+                setTotal(result.data.total)
+            } else {
+                toast.error(result.message || "Failed to load webhook deliveries")
+            }
+        } catch (error) {
+            toast.error("Failed to load webhook deliveries")
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    const handleRedeliver = async (deliveryId: string) => {
+        setRedeliveringId(deliveryId)
+        try {
+            const result = await redeliver(deliveryId)
+            if (result.status === "success" && result.data) {
+                if (result.data.status === "delivered") {
+                    toast.success("Event redelivered successfully")
+                } else {
+                    toast.error(result.data.error_message || "Endpoint did not accept the event")
+                }
+                setDeliveries((prev) => prev.map((d) => (d.id === deliveryId ? result.data! : d)))
+            } else {
+                toast.error(result.message || "Failed to redeliver event")
+            }
+        } catch (error) {
+            toast.error("Failed to redeliver event")
+        } finally {
+            setRedeliveringId(null)
+        }
+    }
+
+    const formatDate = (dateStr: string | null) => {
+        if (!dateStr) return "—"
+        return new Date(dateStr).toLocaleString("en-US", {
+            month: "short",
+            day: "numeric",
+            hour: "2-digit",
+            minute: "2-digit",
+        })
+    }
+
+    return (
+        <div className="bg-card rounded-2xl border border-border shadow-sm">
+            {/* Card Header */}
+            <div className="p-6 border-b border-border flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
+                <div className="flex items-center gap-3">
+                    <Send className="w-5 h-5 text-primary dark:text-[#C1EEFA]" />
+                    <h2 className="text-heading dark:text-[#C1EEFA] text-lg font-semibold">Merchant Webhook Deliveries</h2>
+                    <span className="text-muted-light dark:text-[#99BFD1] text-sm">({total})</span>
+                </div>
+                <div className="flex gap-3 w-full sm:w-auto">
+                    <select
+                        value={statusFilter}
+                        onChange={(e) => setStatusFilter(e.target.value)}
+                        className="px-4 py-2 bg-input-bg dark:bg-[#1A2C53] border border-input-border dark:border-[#2A3C63] rounded-xl text-heading dark:text-[#C1EEFA] text-sm focus:outline-none"
+                    >
+                        <option value="">All statuses</option>
+                        <option value="pending">Pending</option>
+                        <option value="delivered">Delivered</option>
+                        <option value="failed">Failed</option>
+                    </select>
+                    <button
+                        onClick={loadDeliveries}
+                        disabled={isLoading}
+                        className="flex items-center justify-center gap-2 px-4 py-2 border border-border rounded-xl text-heading dark:text-[#C1EEFA] hover:bg-muted/50 active:bg-muted/70 active:scale-95 transition-all text-sm font-medium shadow-sm flex-1 sm:flex-none"
+                    >
+                        <RefreshCw className={`w-4 h-4 ${isLoading ? "animate-spin" : ""}`} />
+                        Refresh
+                    </button>
+                </div>
+            </div>
+
+            {isLoading ? (
+                <div className="text-center py-16">
+                    <RefreshCw className="w-8 h-8 text-primary dark:text-[#C1EEFA] mx-auto mb-4 animate-spin" />
+                    <p className="text-muted-light dark:text-[#99BFD1]">Loading deliveries...</p>
+                </div>
+            ) : deliveries.length === 0 ? (
+                <div className="text-center py-16">
+                    <Send className="w-12 h-12 text-muted-light dark:text-[#99BFD1] mx-auto mb-4 opacity-50" />
+                    <p className="text-heading dark:text-[#C1EEFA] font-medium mb-1">No webhook deliveries</p>
+                    <p className="text-muted-light dark:text-[#99BFD1] text-sm">
+                        Status events appear here once merchants register callback URLs
+                    </p>
+                </div>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full">
+                        <thead className="table-header-bg dark:bg-[#1A2C53]">
+                            <tr>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Merchant</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Job</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Event</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Status</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Attempts</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Last Response</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Created</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {deliveries.map((delivery, index) => {
+                                const style = STATUS_STYLES[delivery.status]
+                                return (
+                                    <tr
+                                        key={delivery.id}
+                                        className={`border-b border-border dark:border-[#2A3C63] hover:bg-table-row-hover dark:hover:bg-[#1A2C53]/50 transition-colors ${index % 2 === 0 ? "table-zebra dark:bg-[#223560]/20" : ""
+                                            }`}
+                                    >
+                                        <td className="px-6 py-4 text-heading dark:text-[#C1EEFA] text-sm">{delivery.merchant_id}</td>
+                                        <td className="px-6 py-4 text-heading dark:text-[#C1EEFA] text-sm">{delivery.job_id ?? "—"}</td>
+                                        <td className="px-6 py-4">
+                                            <div className="text-heading dark:text-[#C1EEFA] text-sm">{delivery.payload?.data?.status || delivery.event_type}</div>
+                                            <div className="text-muted-light dark:text-[#99BFD1] text-xs">
+                                                {delivery.event_type} v{delivery.event_version}
+                                            </div>
+                                        </td>
+                                        <td className="px-6 py-4">
+                                            <span
+                                                className="inline-flex items-center gap-1.5 px-3 py-1 rounded-lg text-xs font-semibold shadow-sm capitalize"
+                                                style={{ backgroundColor: style.bg, color: style.color, border: style.border }}
+                                            >
+                                                {delivery.status === "delivered" ? (
+                                                    <CheckCircle className="w-3 h-3" />
+                                                ) : delivery.status === "pending" ? (
+                                                    <Clock className="w-3 h-3" />
+                                                ) : (
+                                                    <AlertTriangle className="w-3 h-3" />
+                                                )}
+                                                {delivery.status}
+                                            </span>
+                                            {delivery.status === "pending" && delivery.attempt_count > 0 && (
+                                                <div className="text-muted-light dark:text-[#99BFD1] text-xs mt-1">
+                                                    Next: {formatDate(delivery.next_attempt_at)}
+                                                </div>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 text-heading dark:text-[#C1EEFA] text-sm">{delivery.attempt_count}</td>
+                                        <td className="px-6 py-4">
+                                            <div className="text-sm text-muted-light dark:text-[#99BFD1] max-w-[240px] truncate" title={delivery.error_message || delivery.response_body || ""}>
+                                                {delivery.response_status ? `HTTP ${delivery.response_status}` : ""}
+                                                {delivery.error_message ? ` ${delivery.error_message}` : ""}
+                                                {!delivery.response_status && !delivery.error_message ? "—" : ""}
+                                            </div>
+                                        </td>
+                                        <td className="px-6 py-4 text-sm text-muted-light dark:text-[#99BFD1]">{formatDate(delivery.created_at)}</td>
+                                        <td className="px-6 py-4">
+                                            <button
+                                                onClick={() => handleRedeliver(delivery.id)}
+                                                disabled={redeliveringId === delivery.id}
+                                                className="flex items-center gap-1.5 px-3 py-1.5 border border-border rounded-lg text-heading dark:text-[#C1EEFA] hover:bg-muted/50 active:scale-95 transition-all text-xs font-medium shadow-sm disabled:opacity-50"
+                                            >
+                                                <RotateCcw className={`w-3.5 h-3.5 ${redeliveringId === delivery.id ? "animate-spin" : ""}`} />
+                                                Redeliver
+                                            </button>
+                                        </td>
+                                    </tr>
+                                )
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    )
+}
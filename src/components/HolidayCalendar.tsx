@@ -0,0 +1,166 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { CalendarDays, RefreshCw, Plus, Trash2 } from "lucide-react"
+import { toast } from "sonner"
+import {
+    listHolidays,
+    saveHoliday,
+    deleteHoliday,
+    type HolidayCalendar as Calendar,
+} from "../services/holidayService"
+
+function capitalize(value: string) {
+    return value.charAt(0).toUpperCase() + value.slice(1)
+}
+
+export function HolidayCalendar() {
+    const [calendar, setCalendar] = useState<Calendar | null>(null)
+    const [isLoading, setIsLoading] = useState(true)
+    const [newDate, setNewDate] = useState("")
+    const [newName, setNewName] = useState("")
+    const [isSaving, setIsSaving] = useState(false)
+
+    useEffect(() => {
+        loadHolidays()
+    }, [])
+
+    const loadHolidays = async () => {
+        setIsLoading(true)
+        try {
+            const result = await listHolidays()
+            if (result.status === "success" && result.data) {
+                setCalendar(result.data)
+            } else {
+                toast.error(result.message || "Failed to load holidays")
+            }
+        } catch (error) {
+            toast.error("Failed to load holidays")
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    const handleAdd = async () => {
+        if (!newDate || !newName.trim()) return
+
+        setIsSaving(true)
+        try {
+            const result = await saveHoliday(newDate, newName.trim())
+            if (result.status === "success") {
+                toast.success("Holiday saved")
+                setNewDate("")
+                setNewName("")
+                loadHolidays()
+            } else {
+                toast.error(result.message || "Failed to save holiday")
+            }
+        } finally {
+            setIsSaving(false)
+        }
+    }
+
+    const handleDelete = async (id: string) => {
+        const result = await deleteHoliday(id)
+        if (result.status === "success") {
+            setCalendar((current) => current && { ...current, holidays: current.holidays.filter((h) => h.id !== id) })
+        } else {
+            toast.error(result.message || "Failed to delete holiday")
+        }
+    }
+
+    const holidays = calendar?.holidays || []
+
+    return (
+        <div className="bg-card rounded-2xl border border-border shadow-sm">
+            {/* Card Header */}
+            <div className="p-6 border-b border-border flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
+                <div className="flex items-center gap-3">
+                    <CalendarDays className="w-5 h-5 text-primary dark:text-[#C1EEFA]" />
+                    <h2 className="text-heading dark:text-[#C1EEFA] text-lg font-semibold">Public Holidays</h2>
+                    {calendar && (
+                        <span className="text-muted-light dark:text-[#99BFD1] text-sm">
+                            ({calendar.timezone}, weekend: {calendar.weekend_days.map(capitalize).join(", ")})
+                        </span>
+                    )}
+                </div>
+                <div className="flex gap-3 w-full sm:w-auto">
+                    <input
+                        type="date"
+                        value={newDate}
+                        onChange={(e) => setNewDate(e.target.value)}
+                        className="px-4 py-2 bg-input-bg dark:bg-[#1A2C53] border border-input-border dark:border-[#2A3C63] rounded-xl text-heading dark:text-[#C1EEFA] text-sm focus:outline-none"
+                    />
+                    <input
+                        type="text"
+                        value={newName}
+                        onChange={(e) => setNewName(e.target.value)}
+                        placeholder="Holiday name"
+                        className="px-4 py-2 bg-input-bg dark:bg-[#1A2C53] border border-input-border dark:border-[#2A3C63] rounded-xl text-heading dark:text-[#C1EEFA] text-sm focus:outline-none"
+                    />
+                    <button
+                        onClick={handleAdd}
+                        disabled={!newDate || !newName.trim() || isSaving}
+                        className="flex items-center justify-center gap-2 px-4 py-2 border border-border rounded-xl text-heading dark:text-[#C1EEFA] hover:bg-muted/50 active:bg-muted/70 active:scale-95 transition-all text-sm font-medium shadow-sm disabled:opacity-50"
+                    >
+                        <Plus className="w-4 h-4" />
+                        Add
+                    </button>
+                    <button
+                        onClick={loadHolidays}
+                        disabled={isLoading}
+                        className="flex items-center justify-center gap-2 px-4 py-2 border border-border rounded-xl text-heading dark:text-[#C1EEFA] hover:bg-muted/50 active:bg-muted/70 active:scale-95 transition-all text-sm font-medium shadow-sm"
+                    >
+                        <RefreshCw className={`w-4 h-4 ${isLoading ? "animate-spin" : ""}`} />
+                    </button>
+                </div>
+            </div>
+
+            {isLoading ? (
+                <div className="text-center py-16">
+                    <RefreshCw className="w-8 h-8 text-primary dark:text-[#C1EEFA] mx-auto mb-4 animate-spin" />
+                    <p className="text-muted-light dark:text-[#99BFD1]">Loading holidays...</p>
+                </div>
+            ) : holidays.length === 0 ? (
+                <div className="text-center py-16">
+                    <CalendarDays className="w-12 h-12 text-muted-light dark:text-[#99BFD1] mx-auto mb-4 opacity-50" />
+                    <p className="text-heading dark:text-[#C1EEFA] font-medium mb-1">No holidays</p>
+                    <p className="text-muted-light dark:text-[#99BFD1] text-sm">Holidays are available to tag rules as orderIsHoliday, pickupIsHoliday and deliveryIsHoliday</p>
+                </div>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full">
+                        <thead className="table-header-bg dark:bg-[#1A2C53]">
+                            <tr>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Date</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Name</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {holidays.map((holiday, index) => (
+                                <tr
+                                    key={holiday.id}
+                                    className={`border-b border-border dark:border-[#2A3C63] hover:bg-table-row-hover dark:hover:bg-[#1A2C53]/50 transition-colors ${index % 2 === 0 ? "table-zebra dark:bg-[#223560]/20" : ""
+                                        }`}
+                                >
+                                    <td className="px-6 py-4 text-heading dark:text-[#C1EEFA] text-sm font-mono">{holiday.holiday_date}</td>
+                                    <td className="px-6 py-4 text-heading dark:text-[#C1EEFA] text-sm">{holiday.name}</td>
+                                    <td className="px-6 py-4">
+                                        <button
+                                            onClick={() => handleDelete(holiday.id)}
+                                            className="p-1.5 hover:bg-muted/50 rounded-lg"
+                                            title="Delete holiday"
+                                        >
+                                            <Trash2 className="w-4 h-4 text-[#DE3544]" />
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    )
+}
@@ -17,6 +17,8 @@ import {
   Search
 } from 'lucide-react';
 import { toast } from 'sonner';
+import { QuoteCalculator } from './QuoteCalculator';
+import { CustomerOnboarding } from './CustomerOnboarding';
 
 
 
@@ -51,7 +53,7 @@ export function MerchantPlansPanel() {
   const [selectedPlanForAssign, setSelectedPlanForAssign] = useState<Plan | null>(null);
   const [planCounts, setPlanCounts] = useState<Record<string, number>>({});
   const [totalAssigned, setTotalAssigned] = useState(0);
-  const [activeTab, setActiveTab] = useState<'plans' | 'customers'>('plans');
+  const [activeTab, setActiveTab] = useState<'plans' | 'customers' | 'onboarding'>('plans');
   const [assignedCustomers, setAssignedCustomers] = useState<Array<{
     merchantId: string;
     name: string;
@@ -825,6 +827,16 @@ export function MerchantPlansPanel() {
             >
               Assigned Merchants ({totalAssigned})
             </button>
+            <button
+              onClick={() => setActiveTab('onboarding')}
+              className={`px-4 py-2 rounded-lg font-medium transition-all ${activeTab === 'onboarding'
+                ? 'bg-primary dark:bg-[#C1EEFA] text-white dark:text-[#1A2C53]'
+                : 'text-muted-light dark:text-[#99BFD1] hover:bg-muted/20'
+                }`}
+              style={activeTab === 'onboarding' ? { backgroundColor: '#DE3544', color: 'white' } : {}}
+            >
+              New Sign-ups
+            </button>
           </div>
         </div>
 
@@ -884,9 +896,13 @@ export function MerchantPlansPanel() {
                 ))}
               </tbody>
             </table>
+            <QuoteCalculator />
           </div>
         )}
 
+        {/* New customer onboarding review */}
+        {activeTab === 'onboarding' && <CustomerOnboarding plans={plans} />}
+
         {/* Assigned Customers Table */}
         {activeTab === 'customers' && (
           <div className="overflow-x-auto">
@@ -11,6 +11,7 @@ import {
   deleteTask,
   updateTaskStatus,
 } from '../services/tookanApi';
+import { OrderImportPanel } from './OrderImportPanel';
 
 type OrderDetails = {
   jobId: string;
@@ -756,6 +757,8 @@ export function OrderEditorPanel() {
         </div>
       )}
 
+      <OrderImportPanel />
+
       {/* Delete Confirmation Modal */}
       {showDeleteModal && order && (
         <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4">
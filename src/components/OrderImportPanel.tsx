@@ -0,0 +1,268 @@
+import React, { useRef, useState } from 'react';
+import { Upload, RefreshCw, CheckCircle, AlertTriangle, Download, FileSpreadsheet } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  readFileAsBase64,
+  previewImport,
+  runImport,
+  downloadResultFile,
+  type ImportPreview,
+  type ImportResult,
+} from '../services/orderImportService';
+
+// Columns shown in the preview table, in order
+const PREVIEW_FIELDS = ['order_reference', 'pickup_address', 'delivery_name', 'delivery_phone', 'delivery_address', 'cod_amount'];
+
+const RESULT_LABELS: Record<string, string> = {
+  created: 'Created',
+  already_imported: 'Already imported',
+  failed: 'Failed',
+  invalid: 'Invalid',
+};
+
+export function OrderImportPanel() {
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const [fileName, setFileName] = useState('');
+  const [fileData, setFileData] = useState<string | null>(null);
+  const [merchantId, setMerchantId] = useState('');
+  const [columnMap, setColumnMap] = useState<Record<string, string>>({});
+  const [preview, setPreview] = useState<ImportPreview | null>(null);
+  const [result, setResult] = useState<ImportResult | null>(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+
+  const reset = () => {
+    setFileName('');
+    setFileData(null);
+    setColumnMap({});
+    setPreview(null);
+    setResult(null);
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  const loadPreview = async (data: string, overrides: Record<string, string>) => {
+    setIsPreviewing(true);
+    try {
+      const response = await previewImport(data, overrides);
+      if (response.status === 'success' && response.data) {
+        setPreview(response.data);
+      } else {
+        setPreview(null);
+        toast.error(response.message || 'Failed to read spreadsheet');
+      }
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const handleFileChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    try {
+      const data = await readFileAsBase64(file);
+      setFileName(file.name);
+      setFileData(data);
+      setColumnMap({});
+      setResult(null);
+      await loadPreview(data, {});
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to read file');
+    }
+  };
+
+  const handleMappingChange = async (field: string, column: string) => {
+    if (!fileData) return;
+    const overrides = { ...columnMap, [field]: column };
+    setColumnMap(overrides);
+    await loadPreview(fileData, overrides);
+  };
+
+  const handleImport = async () => {
+    if (!fileData || !preview) return;
+    if (!merchantId.trim()) {
+      toast.error('Merchant ID is required');
+      return;
+    }
+
+    setIsImporting(true);
+    try {
+      const response = await runImport(merchantId.trim(), fileData, columnMap);
+      if (response.status === 'success' && response.data) {
+        setResult(response.data);
+        const { created, already_imported, failed, invalid } = response.data.summary;
+        if (failed + invalid > 0) {
+          toast.warning(`${created} created, ${already_imported} already imported, ${failed + invalid} not imported`);
+        } else {
+          toast.success(`${created} orders created${already_imported ? `, ${already_imported} already imported` : ''}`);
+        }
+      } else {
+        toast.error(response.message || 'Failed to import orders');
+      }
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <div className="bg-card dark:bg-[#223560] rounded-2xl border border-border dark:border-[#2A3C63] p-6 space-y-5 shadow-sm">
+      {/* Header */}
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-3">
+          <FileSpreadsheet className="w-5 h-5 text-muted-foreground" />
+          <div>
+            <p className="text-md uppercase text-muted-foreground tracking-wider">Import Orders from Spreadsheet</p>
+            <p className="text-xs text-muted-foreground mt-1">
+              XLSX or CSV, up to 500 rows. Rows are checked before anything is created.
+            </p>
+          </div>
+        </div>
+        {fileName && (
+          <button
+            onClick={reset}
+            className="text-xs text-muted-foreground hover:text-heading transition-colors font-medium"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      {/* File + Merchant */}
+      <div className="flex flex-col sm:flex-row gap-4">
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".xlsx,.xls,.csv"
+          onChange={handleFileChange}
+          className="hidden"
+        />
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isPreviewing || isImporting}
+          className="px-6 py-3 border border-border dark:border-[#2A3C63] text-heading rounded-xl flex items-center gap-3 justify-center hover:bg-muted/50 transition-all disabled:opacity-50 font-medium"
+        >
+          {isPreviewing ? <RefreshCw className="w-5 h-5 animate-spin" /> : <Upload className="w-5 h-5" />}
+          {fileName || 'Choose File'}
+        </button>
+        <input
+          value={merchantId}
+          onChange={(e) => setMerchantId(e.target.value)}
+          placeholder="Merchant ID"
+          className="w-full max-w-xs px-4 py-3 rounded-xl border border-input-border dark:border-[#2A3C63] bg-input-bg dark:bg-[#1A2C53] text-heading text-sm placeholder:text-muted-foreground focus:outline-none focus:border-blue-400"
+        />
+        <button
+          onClick={handleImport}
+          disabled={!preview || preview.summary.valid === 0 || isImporting || isPreviewing}
+          className="px-6 py-3 bg-[#C1EEFA] text-[#1A2C53] rounded-xl flex items-center gap-3 justify-center hover:shadow-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed font-semibold"
+        >
+          {isImporting ? <RefreshCw className="w-5 h-5 animate-spin" /> : <CheckCircle className="w-5 h-5" />}
+          {preview ? `Import ${preview.summary.valid} Valid Rows` : 'Import'}
+        </button>
+      </div>
+
+      {/* Column Mapping */}
+      {preview && (
+        <div className="space-y-2">
+          <p className="text-xs uppercase tracking-wide text-muted-foreground">Column Mapping</p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+            {Object.entries(preview.column_map).map(([field, column]) => (
+              <label key={field} className="flex items-center justify-between gap-2 text-sm">
+                <span className="text-heading font-mono text-xs">{field}</span>
+                <select
+                  value={column || ''}
+                  onChange={(e) => handleMappingChange(field, e.target.value)}
+                  disabled={isPreviewing}
+                  className="px-3 py-1.5 bg-input-bg dark:bg-[#1A2C53] border border-input-border dark:border-[#2A3C63] rounded-lg text-heading text-xs focus:outline-none max-w-[160px]"
+                >
+                  <option value="">— not mapped —</option>
+                  {preview.columns.map((c) => (
+                    <option key={c} value={c}>{c}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+          {preview.unmapped_columns.length > 0 && (
+            <p className="text-xs text-muted-foreground">
+              Ignored columns: {preview.unmapped_columns.join(', ')}
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Result */}
+      {result && (
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4 rounded-xl border border-border dark:border-[#2A3C63]">
+          <div className="text-sm text-heading">
+            {result.summary.created} created · {result.summary.already_imported} already imported · {result.summary.failed} failed · {result.summary.invalid} invalid
+          </div>
+          <button
+            onClick={() => downloadResultFile(result.result_file)}
+            className="px-4 py-2 border border-border rounded-xl flex items-center gap-2 text-heading hover:bg-muted/50 transition-all text-sm font-medium"
+          >
+            <Download className="w-4 h-4" />
+            Download Results
+          </button>
+        </div>
+      )}
+
+      {/* Preview Table */}
+      {preview && (
+        <div className="overflow-x-auto">
+          <p className="text-sm text-heading mb-2">
+            {preview.summary.valid} valid, {preview.summary.invalid} with errors ({preview.summary.total} rows)
+          </p>
+          <table className="w-full text-sm">
+            <thead className="table-header-bg dark:bg-[#1A2C53]">
+              <tr>
+                <th className="text-left px-4 py-3 table-header-text text-xs font-medium">Row</th>
+                {PREVIEW_FIELDS.map((field) => (
+                  <th key={field} className="text-left px-4 py-3 table-header-text text-xs font-medium">{field}</th>
+                ))}
+                <th className="text-left px-4 py-3 table-header-text text-xs font-medium">Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.rows.map((row) => {
+                const rowResult = result?.rows.find((r) => r.row === row.row);
+                const errors = rowResult ? rowResult.errors : row.errors;
+                return (
+                  <tr key={row.row} className="border-b border-border dark:border-[#2A3C63]">
+                    <td className="px-4 py-2 text-muted-foreground">{row.row}</td>
+                    {PREVIEW_FIELDS.map((field) => (
+                      <td key={field} className="px-4 py-2 text-heading max-w-[200px] truncate" title={row.order[field] || ''}>
+                        {row.order[field] || '—'}
+                      </td>
+                    ))}
+                    <td className="px-4 py-2">
+                      {rowResult?.job_id ? (
+                        <span className="inline-flex items-center gap-1.5 text-green-600 dark:text-green-400">
+                          <CheckCircle className="w-3.5 h-3.5" />
+                          {RESULT_LABELS[rowResult.status]} · {rowResult.job_id}
+                        </span>
+                      ) : errors.length > 0 ? (
+                        <span className="inline-flex items-start gap-1.5 text-destructive" title={errors.map((e) => e.message).join('\n')}>
+                          <AlertTriangle className="w-3.5 h-3.5 mt-0.5 shrink-0" />
+                          {errors.map((e) => e.message).join('; ')}
+                        </span>
+                      ) : (
+                        <span className="text-muted-foreground">{rowResult ? RESULT_LABELS[rowResult.status] : 'Ready'}</span>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {!preview && !isPreviewing && (
+        <div className="text-center py-6 text-muted-foreground text-sm">
+          <FileSpreadsheet className="w-6 h-6 mx-auto mb-2 opacity-40" />
+          No file selected. Expected columns include Order Reference, Pickup Address and Delivery Address.
+        </div>
+      )}
+    </div>
+  );
+}
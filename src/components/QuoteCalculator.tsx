@@ -0,0 +1,113 @@
+import { useState } from 'react';
+import { Calculator, RefreshCw } from 'lucide-react';
+import { toast } from 'sonner';
+import { getQuote, type Quote } from '../services/quoteService';
+
+export function QuoteCalculator() {
+  const [merchantId, setMerchantId] = useState('');
+  const [codAmount, setCodAmount] = useState('');
+  const [deliveryAddress, setDeliveryAddress] = useState('');
+  const [tags, setTags] = useState('');
+  const [quote, setQuote] = useState<Quote | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleQuote = async () => {
+    if (!merchantId.trim()) {
+      toast.error('Merchant ID is required');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await getQuote(merchantId.trim(), {
+        cod_amount: codAmount.trim() || undefined,
+        delivery_address: deliveryAddress.trim() || undefined,
+        tags: tags.trim() || undefined,
+      });
+      if (response.status === 'success' && response.data) {
+        setQuote(response.data);
+      } else {
+        setQuote(null);
+        toast.error(response.message || 'Failed to calculate quote');
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const format = (amount: number) => `${amount.toFixed(3)} ${quote?.currency || 'BHD'}`;
+
+  return (
+    <div className="p-6 border-t border-border dark:border-[#2A3C63] space-y-4">
+      <div className="flex items-center gap-3">
+        <Calculator className="w-5 h-5 text-muted-light dark:text-[#99BFD1]" />
+        <div>
+          <p className="text-heading dark:text-[#C1EEFA] font-semibold">Quote Calculator</p>
+          <p className="text-muted-light dark:text-[#99BFD1] text-xs mt-0.5">Price an order with the plan assigned to a merchant</p>
+        </div>
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-3">
+        <input
+          value={merchantId}
+          onChange={(e) => setMerchantId(e.target.value)}
+          placeholder="Merchant ID"
+          className="w-full sm:max-w-[180px] px-4 py-2.5 rounded-xl border border-input-border dark:border-[#2A3C63] bg-input-bg dark:bg-[#1A2C53] text-heading dark:text-[#C1EEFA] text-sm placeholder:text-muted-light focus:outline-none focus:border-[#DE3544]"
+        />
+        <input
+          value={codAmount}
+          onChange={(e) => setCodAmount(e.target.value)}
+          placeholder="COD Amount"
+          type="number"
+          min="0"
+          step="0.001"
+          className="w-full sm:max-w-[160px] px-4 py-2.5 rounded-xl border border-input-border dark:border-[#2A3C63] bg-input-bg dark:bg-[#1A2C53] text-heading dark:text-[#C1EEFA] text-sm placeholder:text-muted-light focus:outline-none focus:border-[#DE3544]"
+        />
+        <input
+          value={deliveryAddress}
+          onChange={(e) => setDeliveryAddress(e.target.value)}
+          placeholder="Delivery Address (optional)"
+          className="w-full px-4 py-2.5 rounded-xl border border-input-border dark:border-[#2A3C63] bg-input-bg dark:bg-[#1A2C53] text-heading dark:text-[#C1EEFA] text-sm placeholder:text-muted-light focus:outline-none focus:border-[#DE3544]"
+        />
+        <input
+          value={tags}
+          onChange={(e) => setTags(e.target.value)}
+          placeholder="Tags, comma-separated (optional)"
+          className="w-full sm:max-w-[220px] px-4 py-2.5 rounded-xl border border-input-border dark:border-[#2A3C63] bg-input-bg dark:bg-[#1A2C53] text-heading dark:text-[#C1EEFA] text-sm placeholder:text-muted-light focus:outline-none focus:border-[#DE3544]"
+        />
+        <button
+          onClick={handleQuote}
+          disabled={isLoading}
+          className="px-6 py-2.5 rounded-xl text-sm font-semibold flex items-center gap-2 justify-center hover:shadow-lg transition-all disabled:opacity-50 whitespace-nowrap"
+          style={{ backgroundColor: '#DE3544', color: 'white' }}
+        >
+          {isLoading ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Calculator className="w-4 h-4" />}
+          Get Quote
+        </button>
+      </div>
+
+      {quote && (
+        <div className="rounded-xl border border-border dark:border-[#2A3C63] divide-y divide-border dark:divide-[#2A3C63] text-sm">
+          {quote.breakdown.map((line) => (
+            <div key={`${line.rule}-${line.tag || ''}`} className="flex items-center justify-between px-4 py-2.5">
+              <span className="text-muted-light dark:text-[#99BFD1]">
+                {line.plan_name ? `${line.plan_name}: ` : ''}{line.description}
+              </span>
+              <span className="text-heading dark:text-[#C1EEFA] font-medium">{format(line.amount)}</span>
+            </div>
+          ))}
+          <div className="flex items-center justify-between px-4 py-2.5">
+            <span className="text-muted-light dark:text-[#99BFD1]">COD Amount</span>
+            <span className="text-heading dark:text-[#C1EEFA]">{format(quote.cod_amount)}</span>
+          </div>
+          <div className="flex items-center justify-between px-4 py-2.5">
+            <span className="text-heading dark:text-[#C1EEFA] font-semibold">Net Payable to Merchant</span>
+            <span className={`font-semibold ${quote.net_payable_to_merchant < 0 ? 'text-destructive' : 'text-[#10B981]'}`}>
+              {format(quote.net_payable_to_merchant)}
+            </span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
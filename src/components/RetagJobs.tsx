@@ -0,0 +1,229 @@
+"use client"
+
+import { Fragment, useState, useEffect } from "react"
+import { Tags, RefreshCw, Play, X, ChevronDown, ChevronRight } from "lucide-react"
+import { toast } from "sonner"
+import {
+    listRetagJobs,
+    startRetagJob,
+    listRetagJobTasks,
+    cancelRetagJob,
+    type RetagJob,
+    type RetagJobTask,
+} from "../services/retagJobService"
+
+const STATUS_STYLES: Record<string, string> = {
+    pending: "bg-muted/50 text-muted-light dark:text-[#99BFD1]",
+    running: "bg-[#C1EEFA]/30 text-primary dark:text-[#C1EEFA]",
+    completed: "bg-[#22C55E]/15 text-[#16A34A]",
+    failed: "bg-[#DE3544]/15 text-[#DE3544]",
+    cancelled: "bg-muted/50 text-muted-light dark:text-[#99BFD1]",
+}
+
+const inputClass = "px-4 py-2 bg-input-bg dark:bg-[#1A2C53] border border-input-border dark:border-[#2A3C63] rounded-xl text-heading dark:text-[#C1EEFA] text-sm focus:outline-none"
+const buttonClass = "flex items-center justify-center gap-2 px-4 py-2 border border-border rounded-xl text-heading dark:text-[#C1EEFA] hover:bg-muted/50 active:bg-muted/70 active:scale-95 transition-all text-sm font-medium shadow-sm disabled:opacity-50"
+
+function isActive(job: RetagJob) {
+    return job.status === "pending" || job.status === "running"
+}
+
+function formatTags(tags: string[] | null) {
+    return tags && tags.length > 0 ? tags.join(", ") : "—"
+}
+
+export function RetagJobs() {
+    const [jobs, setJobs] = useState<RetagJob[]>([])
+    const [isLoading, setIsLoading] = useState(true)
+    const [dateFrom, setDateFrom] = useState("")
+    const [dateTo, setDateTo] = useState("")
+    const [jobIds, setJobIds] = useState("")
+    const [isStarting, setIsStarting] = useState(false)
+    const [expandedId, setExpandedId] = useState<string | null>(null)
+    const [tasks, setTasks] = useState<RetagJobTask[]>([])
+
+    useEffect(() => {
+        loadJobs()
+    }, [])
+
+    // Poll while a job is in progress
+    useEffect(() => {
+        if (!jobs.some(isActive)) return
+        const timer = setTimeout(() => loadJobs(false), 3000)
+        return () => clearTimeout(timer)
+    }, [jobs])
+
+    const loadJobs = async (showSpinner = true) => {
+        if (showSpinner) setIsLoading(true)
+        try {
+            const result = await listRetagJobs()
+            if (result.status === "success" && result.data) {
+                setJobs(result.data.jobs)
+            } else {
+                toast.error(result.message || "Failed to load re-tag jobs")
+            }
+        } catch (error) {
+            toast.error("Failed to load re-tag jobs")
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    const handleStart = async (dryRun: boolean) => {
+        const ids = jobIds.split(/[\s,]+/).filter(Boolean).map(Number)
+        const filters = ids.length > 0
+            ? { jobIds: ids }
+            : { dateFrom: dateFrom || undefined, dateTo: dateTo || undefined }
+
+        setIsStarting(true)
+        try {
+            const result = await startRetagJob(filters, dryRun)
+            if (result.status === "success") {
+                toast.success(dryRun ? "Dry run started" : "Re-tag job started")
+                loadJobs(false)
+            } else {
+                toast.error(result.message || "Failed to start re-tag job")
+            }
+        } finally {
+            setIsStarting(false)
+        }
+    }
+
+    const handleCancel = async (id: string) => {
+        const result = await cancelRetagJob(id)
+        if (result.status === "success") {
+            toast.success("Re-tag job cancelled")
+            loadJobs(false)
+        } else {
+            toast.error(result.message || "Failed to cancel re-tag job")
+        }
+    }
+
+    const toggleTasks = async (id: string) => {
+        if (expandedId === id) {
+            setExpandedId(null)
+            return
+        }
+        setExpandedId(id)
+        setTasks([])
+        const result = await listRetagJobTasks(id)
+        if (result.status === "success" && result.data) {
+            setTasks(result.data.tasks.filter((task) => task.status !== "unchanged"))
+        } else {
+            toast.error(result.message || "Failed to load re-tag job tasks")
+        }
+    }
+
+    return (
+        <div className="bg-card rounded-2xl border border-border shadow-sm">
+            {/* Card Header */}
+            <div className="p-6 border-b border-border flex flex-col gap-4">
+                <div className="flex items-center justify-between gap-3">
+                    <div className="flex items-center gap-3">
+                        <Tags className="w-5 h-5 text-primary dark:text-[#C1EEFA]" />
+                        <h2 className="text-heading dark:text-[#C1EEFA] text-lg font-semibold">Re-tag Open Orders</h2>
+                    </div>
+                    <button onClick={() => loadJobs()} disabled={isLoading} className={buttonClass}>
+                        <RefreshCw className={`w-4 h-4 ${isLoading ? "animate-spin" : ""}`} />
+                    </button>
+                </div>
+                <div className="flex flex-col sm:flex-row gap-3">
+                    <input type="date" value={dateFrom} onChange={(e) => setDateFrom(e.target.value)} className={inputClass} />
+                    <input type="date" value={dateTo} onChange={(e) => setDateTo(e.target.value)} className={inputClass} />
+                    <input
+                        type="text"
+                        value={jobIds}
+                        onChange={(e) => setJobIds(e.target.value)}
+                        placeholder="or job IDs (comma separated)"
+                        className={`${inputClass} flex-1`}
+                    />
+                    <button onClick={() => handleStart(true)} disabled={isStarting || (!dateFrom && !jobIds.trim())} className={buttonClass}>
+                        <Play className="w-4 h-4" />
+                        Dry run
+                    </button>
+                    <button onClick={() => handleStart(false)} disabled={isStarting || (!dateFrom && !jobIds.trim())} className={buttonClass}>
+                        <Play className="w-4 h-4" />
+                        Re-tag
+                    </button>
+                </div>
+            </div>
+
+            {isLoading ? (
+                <div className="text-center py-16">
+                    <RefreshCw className="w-8 h-8 text-primary dark:text-[#C1EEFA] mx-auto mb-4 animate-spin" />
+                    <p className="text-muted-light dark:text-[#99BFD1]">Loading re-tag jobs...</p>
+                </div>
+            ) : jobs.length === 0 ? (
+                <div className="text-center py-16">
+                    <Tags className="w-12 h-12 text-muted-light dark:text-[#99BFD1] mx-auto mb-4 opacity-50" />
+                    <p className="text-heading dark:text-[#C1EEFA] font-medium mb-1">No re-tag jobs</p>
+                    <p className="text-muted-light dark:text-[#99BFD1] text-sm">Apply the current tag rules to open orders already in Tookan; start with a dry run to review the changes</p>
+                </div>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full">
+                        <thead className="table-header-bg dark:bg-[#1A2C53]">
+                            <tr>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Started</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Status</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Progress</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Changed</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Failed</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {jobs.map((job) => (
+                                <Fragment key={job.id}>
+                                    <tr className="border-b border-border dark:border-[#2A3C63] hover:bg-table-row-hover dark:hover:bg-[#1A2C53]/50 transition-colors">
+                                        <td className="px-6 py-4 text-heading dark:text-[#C1EEFA] text-sm">
+                                            <button onClick={() => toggleTasks(job.id)} className="flex items-center gap-2">
+                                                {expandedId === job.id ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                                                {new Date(job.created_at).toLocaleString()}
+                                            </button>
+                                            <span className="text-muted-light dark:text-[#99BFD1] text-xs ml-6">
+                                                {job.dry_run ? "Dry run" : "Live"}{job.created_by_name ? ` by ${job.created_by_name}` : ""}
+                                            </span>
+                                        </td>
+                                        <td className="px-6 py-4 text-sm">
+                                            <span className={`px-2 py-1 rounded-lg text-xs font-medium ${STATUS_STYLES[job.status]}`} title={job.error || undefined}>
+                                                {job.status}
+                                            </span>
+                                        </td>
+                                        <td className="px-6 py-4 text-heading dark:text-[#C1EEFA] text-sm">{job.processed_tasks} / {job.total_tasks}</td>
+                                        <td className="px-6 py-4 text-heading dark:text-[#C1EEFA] text-sm">{job.changed_tasks}</td>
+                                        <td className="px-6 py-4 text-heading dark:text-[#C1EEFA] text-sm">{job.failed_tasks}</td>
+                                        <td className="px-6 py-4">
+                                            {isActive(job) && (
+                                                <button onClick={() => handleCancel(job.id)} className="p-1.5 hover:bg-muted/50 rounded-lg" title="Cancel job">
+                                                    <X className="w-4 h-4 text-[#DE3544]" />
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                    {expandedId === job.id && (
+                                        <tr className="border-b border-border dark:border-[#2A3C63]">
+                                            <td colSpan={6} className="px-6 py-4">
+                                                {tasks.length === 0 ? (
+                                                    <p className="text-muted-light dark:text-[#99BFD1] text-sm">No changed or failed orders</p>
+                                                ) : (
+                                                    <div className="space-y-1 text-sm font-mono">
+                                                        {tasks.map((task) => (
+                                                            <div key={task.job_id} className="text-heading dark:text-[#C1EEFA]">
+                                                                {task.job_id}: {formatTags(task.before_tags)} → {formatTags(task.after_tags)}
+                                                                {task.error && <span className="text-[#DE3544]"> ({task.error})</span>}
+                                                            </div>
+                                                        ))}
+                                                    </div>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    )}
+                                </Fragment>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    )
+}
@@ -0,0 +1,240 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Clock, RefreshCw, Play, Pause, Save, ChevronDown, ChevronUp } from "lucide-react"
+import { toast } from "sonner"
+import {
+    listJobs,
+    listJobRuns,
+    updateJobSchedule,
+    pauseJob,
+    resumeJob,
+    triggerJob,
+    type ScheduledJob,
+    type JobRun,
+} from "../services/jobSchedulerService"
+
+const RUN_STATUS_STYLES: Record<JobRun["status"], string> = {
+    running: "bg-muted/50 text-muted-light dark:text-[#99BFD1]",
+    succeeded: "bg-[#22C55E]/15 text-[#16A34A]",
+    failed: "bg-[#DE3544]/15 text-[#DE3544]",
+    skipped: "bg-yellow-500/20 text-yellow-600 dark:text-yellow-400",
+}
+
+const inputClass = "px-3 py-1.5 bg-input-bg dark:bg-[#1A2C53] border border-input-border dark:border-[#2A3C63] rounded-lg text-heading dark:text-[#C1EEFA] text-xs font-mono focus:outline-none"
+const buttonClass = "flex items-center gap-1.5 px-3 py-1.5 border border-border rounded-lg text-heading dark:text-[#C1EEFA] hover:bg-muted/50 active:scale-95 transition-all text-xs font-medium shadow-sm disabled:opacity-50"
+
+export function ScheduledJobs() {
+    const [jobs, setJobs] = useState<ScheduledJob[]>([])
+    const [isLoading, setIsLoading] = useState(true)
+    const [cronDrafts, setCronDrafts] = useState<Record<string, string>>({})
+    const [busyJob, setBusyJob] = useState<string | null>(null)
+    const [expandedJob, setExpandedJob] = useState<string | null>(null)
+    const [runs, setRuns] = useState<JobRun[]>([])
+
+    useEffect(() => {
+        loadJobs()
+    }, [])
+
+    const loadJobs = async () => {
+        setIsLoading(true)
+        try {
+            const result = await listJobs()
+            if (result.status === "success" && result.data) {
+                setJobs(result.data.jobs)
+                setCronDrafts(Object.fromEntries(result.data.jobs.map((job) => [job.name, job.cron])))
+            } else {
+                toast.error(result.message || "Failed to load scheduled jobs")
+            }
+        } catch (error) {
+            toast.error("Failed to load scheduled jobs")
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    const loadRuns = async (name: string) => {
+        const result = await listJobRuns(name)
+        if (result.status === "success" && result.data) {
+            setRuns(result.data.runs)
+        } else {
+            toast.error(result.message || "Failed to load job runs")
+        }
+    }
+
+    const toggleHistory = (name: string) => {
+        if (expandedJob === name) {
+            setExpandedJob(null)
+            return
+        }
+        setExpandedJob(name)
+        setRuns([])
+        loadRuns(name)
+    }
+
+    // Run an action on a job, then reload the jobs (and the open history)
+    const runAction = async (name: string, action: () => Promise<{ status: string; message?: string }>, success: string) => {
+        setBusyJob(name)
+        try {
+            const result = await action()
+            if (result.status === "success") {
+                toast.success(result.message || success)
+                await loadJobs()
+                if (expandedJob === name) loadRuns(name)
+            } else {
+                toast.error(result.message || "Action failed")
+            }
+        } finally {
+            setBusyJob(null)
+        }
+    }
+
+    const formatDate = (dateStr: string | null) => {
+        if (!dateStr) return "—"
+        return new Date(dateStr).toLocaleString("en-US", {
+            month: "short",
+            day: "numeric",
+            hour: "2-digit",
+            minute: "2-digit",
+        })
+    }
+
+    const formatDuration = (ms: number | null) => {
+        if (ms === null) return "—"
+        return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`
+    }
+
+    const renderRun = (run: JobRun) => (
+        <div className="flex flex-col gap-1">
+            <div className="flex items-center gap-2">
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${RUN_STATUS_STYLES[run.status]}`}>{run.status}</span>
+                <span className="text-muted-light dark:text-[#99BFD1] text-xs">
+                    {formatDate(run.started_at)} · {formatDuration(run.duration_ms)}
+                    {run.records_processed !== null ? ` · ${run.records_processed} processed` : ""}
+                    {run.records_failed ? ` · ${run.records_failed} failed` : ""}
+                </span>
+            </div>
+            {run.error && <span className="text-[#DE3544] text-xs">{run.error}</span>}
+        </div>
+    )
+
+    return (
+        <div className="bg-card rounded-2xl border border-border shadow-sm">
+            {/* Card Header */}
+            <div className="p-6 border-b border-border flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
+                <div className="flex items-center gap-3">
+                    <Clock className="w-5 h-5 text-primary dark:text-[#C1EEFA]" />
+                    <h2 className="text-heading dark:text-[#C1EEFA] text-lg font-semibold">Scheduled Jobs</h2>
+                </div>
+                <button
+                    onClick={loadJobs}
+                    disabled={isLoading}
+                    className="flex items-center justify-center gap-2 px-4 py-2 border border-border rounded-xl text-heading dark:text-[#C1EEFA] hover:bg-muted/50 active:bg-muted/70 active:scale-95 transition-all text-sm font-medium shadow-sm"
+                >
+                    <RefreshCw className={`w-4 h-4 ${isLoading ? "animate-spin" : ""}`} />
+                    Refresh
+                </button>
+            </div>
+
+            {isLoading && jobs.length === 0 ? (
+                <div className="text-center py-16">
+                    <RefreshCw className="w-8 h-8 text-primary dark:text-[#C1EEFA] mx-auto mb-4 animate-spin" />
+                    <p className="text-muted-light dark:text-[#99BFD1]">Loading scheduled jobs...</p>
+                </div>
+            ) : (
+                <div className="divide-y divide-border">
+                    {jobs.map((job) => {
+                        const isExpanded = expandedJob === job.name
+                        const isBusy = busyJob === job.name
+                        const draft = cronDrafts[job.name] ?? job.cron
+                        return (
+                            <div key={job.name}>
+                                <div className="p-4 flex flex-col lg:flex-row lg:items-center gap-4">
+                                    <div className="lg:w-64 min-w-0">
+                                        <div className="flex items-center gap-2">
+                                            <span className="text-heading dark:text-[#C1EEFA] text-sm font-medium font-mono">{job.name}</span>
+                                            {job.paused && (
+                                                <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-500/20 text-yellow-600 dark:text-yellow-400">paused</span>
+                                            )}
+                                            {job.running && (
+                                                <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-muted/50 text-muted-light dark:text-[#99BFD1]">running</span>
+                                            )}
+                                        </div>
+                                        <p className="text-muted-light dark:text-[#99BFD1] text-xs">{job.description}</p>
+                                    </div>
+
+                                    <div className="flex items-center gap-2">
+                                        <input
+                                            type="text"
+                                            value={draft}
+                                            onChange={(e) => setCronDrafts({ ...cronDrafts, [job.name]: e.target.value })}
+                                            className={`${inputClass} w-36`}
+                                        />
+                                        <button
+                                            onClick={() => runAction(job.name, () => updateJobSchedule(job.name, draft), "Schedule saved")}
+                                            disabled={isBusy || draft.trim() === job.cron}
+                                            className={buttonClass}
+                                        >
+                                            <Save className="w-3.5 h-3.5" />
+                                        </button>
+                                    </div>
+
+                                    <div className="flex-1 min-w-0">
+                                        {job.lastRun ? renderRun(job.lastRun) : (
+                                            <span className="text-muted-light dark:text-[#99BFD1] text-xs">Never run</span>
+                                        )}
+                                        <div className="text-muted-light dark:text-[#99BFD1] text-xs mt-1">
+                                            Next run: {job.paused ? "paused" : formatDate(job.nextRunAt)}
+                                        </div>
+                                    </div>
+
+                                    <div className="flex items-center gap-2">
+                                        <button
+                                            onClick={() => runAction(job.name, () => triggerJob(job.name), "Job started")}
+                                            disabled={isBusy || job.running}
+                                            className={buttonClass}
+                                        >
+                                            <Play className="w-3.5 h-3.5" />
+                                            Run now
+                                        </button>
+                                        <button
+                                            onClick={() => runAction(
+                                                job.name,
+                                                () => (job.paused ? resumeJob(job.name) : pauseJob(job.name)),
+                                                job.paused ? "Job resumed" : "Job paused"
+                                            )}
+                                            disabled={isBusy}
+                                            className={buttonClass}
+                                        >
+                                            {job.paused ? <Play className="w-3.5 h-3.5" /> : <Pause className="w-3.5 h-3.5" />}
+                                            {job.paused ? "Resume" : "Pause"}
+                                        </button>
+                                        <button onClick={() => toggleHistory(job.name)} className={buttonClass}>
+                                            {isExpanded ? <ChevronUp className="w-3.5 h-3.5" /> : <ChevronDown className="w-3.5 h-3.5" />}
+                                            History
+                                        </button>
+                                    </div>
+                                </div>
+
+                                {isExpanded && (
+                                    <div className="px-4 pb-4 flex flex-col gap-3 bg-muted/30 dark:bg-[#1A2C53]/30">
+                                        {runs.length === 0 ? (
+                                            <p className="pt-4 text-muted-light dark:text-[#99BFD1] text-xs">No runs recorded</p>
+                                        ) : runs.map((run) => (
+                                            <div key={run.id} className="pt-3 flex flex-col md:flex-row md:items-start gap-2">
+                                                <div className="flex-1 min-w-0">{renderRun(run)}</div>
+                                                <span className="text-muted-light dark:text-[#99BFD1] text-xs">
+                                                    {run.trigger === "manual" ? `Manual${run.triggered_by ? ` by ${run.triggered_by}` : ""}` : "Scheduled"}
+                                                </span>
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
+                        )
+                    })}
+                </div>
+            )}
+        </div>
+    )
+}
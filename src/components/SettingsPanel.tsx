@@ -25,6 +25,12 @@ import {
     type CreateTokenResponse,
 } from "../services/apiTokenService"
 import apiDocUrl from "../assets/API Documentation.pdf?url"
+import { EdiWebhookDeliveries } from "./EdiWebhookDeliveries"
+import { TagConfigEditor } from "./TagConfigEditor"
+import { TagConfigVersions } from "./TagConfigVersions"
+import { RetagJobs } from "./RetagJobs"
+import { DeliveryZonesPanel } from "./DeliveryZonesPanel"
+import { HolidayCalendar } from "./HolidayCalendar"
 
 export function SettingsPanel() {
     const [tokens, setTokens] = useState<ApiToken[]>([])
@@ -391,6 +397,24 @@ export function SettingsPanel() {
                 </div>
             </div>
 
+            {/* Merchant Webhook Deliveries Section */}
+            <EdiWebhookDeliveries />
+
+            {/* Tag Configuration Section */}
+            <TagConfigEditor />
+
+            {/* Tag Configuration History Section */}
+            <TagConfigVersions />
+
+            {/* Bulk Re-tagging Section */}
+            <RetagJobs />
+
+            {/* Delivery Zones Section */}
+            <DeliveryZonesPanel />
+
+            {/* Public Holidays Section */}
+            <HolidayCalendar />
+
             {/* Create Token Modal */}
             {showCreateModal && (
                 <div style={{
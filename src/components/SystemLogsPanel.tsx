@@ -17,6 +17,8 @@ import {
   ChevronUp,
   Filter
 } from 'lucide-react';
+import { WebhookDeadLetters } from './WebhookDeadLetters';
+import { ScheduledJobs } from './ScheduledJobs';
 
 // Action type options
 const actionTypes = ['ALL', 'CREATE', 'UPDATE', 'DELETE', 'APPROVE', 'REJECT', 'EXPORT'];
@@ -519,6 +521,12 @@ export function SystemLogsPanel() {
           </div>
         )}
       </div>
+
+      {/* Tookan webhooks that failed every retry */}
+      <WebhookDeadLetters />
+
+      {/* Periodic sync jobs: schedules, run history, pause/resume/trigger */}
+      <ScheduledJobs />
     </div>
   );
 }
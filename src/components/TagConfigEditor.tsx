@@ -0,0 +1,231 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Tags, RefreshCw, Save, ShieldCheck, AlertTriangle, XCircle } from "lucide-react"
+import { toast } from "sonner"
+import { getTagConfig, updateTagConfig } from "../services/tookanApi"
+import {
+    checkConfig,
+    type TagConfig,
+    type TagConfigError,
+    type TagConflictWarning,
+} from "../services/tagConfigService"
+
+// Saved alongside the rules by the server; not edited by hand
+const METADATA_FIELDS = ["version", "lastUpdated", "updatedBy"]
+
+function toEditableJson(config: Record<string, any>) {
+    const editable = { ...config }
+    METADATA_FIELDS.forEach((field) => delete editable[field])
+    return JSON.stringify(editable, null, 2)
+}
+
+// Rules are numbered from 0, as in the server's messages
+function describeError(error: TagConfigError) {
+    return error.rule !== null ? `Rule ${error.rule} (${error.field}): ${error.message}` : error.message
+}
+
+export function TagConfigEditor() {
+    const [draft, setDraft] = useState("")
+    const [changeNote, setChangeNote] = useState("")
+    const [version, setVersion] = useState<number | null>(null)
+    const [isLoading, setIsLoading] = useState(true)
+    const [isChecking, setIsChecking] = useState(false)
+    const [isSaving, setIsSaving] = useState(false)
+    const [errors, setErrors] = useState<TagConfigError[]>([])
+    const [warnings, setWarnings] = useState<TagConflictWarning[]>([])
+    const [parseError, setParseError] = useState<string | null>(null)
+
+    useEffect(() => {
+        loadConfig()
+    }, [])
+
+    const loadConfig = async () => {
+        setIsLoading(true)
+        try {
+            const result = await getTagConfig()
+            if (result.status === "success") {
+                setDraft(toEditableJson(result.data))
+                setVersion(result.data.version ?? null)
+                setErrors([])
+                setWarnings([])
+                setParseError(null)
+            } else {
+                toast.error(result.message || "Failed to load tag configuration")
+            }
+        } catch (error) {
+            toast.error("Failed to load tag configuration")
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    // Returns null (and shows why) when the draft is not a JSON object
+    const parseDraft = (): Partial<TagConfig> | null => {
+        try {
+            const parsed = JSON.parse(draft)
+            if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+                setParseError("The configuration must be a JSON object")
+                return null
+            }
+            setParseError(null)
+            return parsed
+        } catch (error: any) {
+            setParseError(`Invalid JSON: ${error.message}`)
+            return null
+        }
+    }
+
+    const handleCheck = async () => {
+        const config = parseDraft()
+        if (!config) return
+        setIsChecking(true)
+        try {
+            const result = await checkConfig(config)
+            if (result.status === "success" && result.data) {
+                setErrors(result.data.errors)
+                setWarnings(result.data.warnings)
+                if (!result.data.valid) {
+                    toast.error(result.message || "The tag rules are invalid")
+                } else if (result.data.warnings.length > 0) {
+                    toast.warning(result.message || "The tag rules have conflicting tags")
+                } else {
+                    toast.success("Tag configuration is valid")
+                }
+            } else {
+                toast.error(result.message || "Failed to check tag configuration")
+            }
+        } finally {
+            setIsChecking(false)
+        }
+    }
+
+    const handleSave = async () => {
+        const config = parseDraft()
+        if (!config) return
+        setIsSaving(true)
+        try {
+            const result = await updateTagConfig({ ...config, changeNote: changeNote.trim() || undefined })
+            if (result.status === "success") {
+                setErrors([])
+                setWarnings(result.warnings || [])
+                setDraft(toEditableJson(result.data))
+                setVersion(result.data.version ?? null)
+                setChangeNote("")
+                if (result.warnings && result.warnings.length > 0) {
+                    toast.warning(result.message)
+                    result.warnings.forEach((warning) => toast.warning(warning.message))
+                } else {
+                    toast.success(result.message || "Tag configuration saved")
+                }
+            } else {
+                setErrors(result.errors || [])
+                setWarnings([])
+                toast.error(result.message || "Failed to save tag configuration")
+            }
+        } finally {
+            setIsSaving(false)
+        }
+    }
+
+    return (
+        <div className="bg-card rounded-2xl border border-border shadow-sm">
+            {/* Card Header */}
+            <div className="p-6 border-b border-border flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
+                <div className="flex items-center gap-3">
+                    <Tags className="w-5 h-5 text-primary dark:text-[#C1EEFA]" />
+                    <h2 className="text-heading dark:text-[#C1EEFA] text-lg font-semibold">Tag Configuration</h2>
+                    {version !== null && (
+                        <span className="text-muted-light dark:text-[#99BFD1] text-sm">(v{version})</span>
+                    )}
+                </div>
+                <div className="flex gap-3 w-full sm:w-auto">
+                    <button
+                        onClick={loadConfig}
+                        disabled={isLoading}
+                        className="flex items-center justify-center gap-2 px-4 py-2 border border-border rounded-xl text-heading dark:text-[#C1EEFA] hover:bg-muted/50 active:bg-muted/70 active:scale-95 transition-all text-sm font-medium shadow-sm"
+                    >
+                        <RefreshCw className={`w-4 h-4 ${isLoading ? "animate-spin" : ""}`} />
+                        Reload
+                    </button>
+                    <button
+                        onClick={handleCheck}
+                        disabled={isLoading || isChecking || isSaving}
+                        className="flex items-center justify-center gap-2 px-4 py-2 border border-border rounded-xl text-heading dark:text-[#C1EEFA] hover:bg-muted/50 active:bg-muted/70 active:scale-95 transition-all text-sm font-medium shadow-sm disabled:opacity-50"
+                    >
+                        <ShieldCheck className="w-4 h-4" />
+                        {isChecking ? "Checking..." : "Check"}
+                    </button>
+                    <button
+                        onClick={handleSave}
+                        disabled={isLoading || isChecking || isSaving}
+                        className="flex items-center justify-center gap-2 px-4 py-2 rounded-xl text-white active:scale-95 transition-all text-sm font-semibold shadow-sm disabled:opacity-50"
+                        style={{ backgroundColor: "#DE3544" }}
+                    >
+                        <Save className="w-4 h-4" />
+                        {isSaving ? "Saving..." : "Save"}
+                    </button>
+                </div>
+            </div>
+
+            {isLoading ? (
+                <div className="text-center py-16">
+                    <RefreshCw className="w-8 h-8 text-primary dark:text-[#C1EEFA] mx-auto mb-4 animate-spin" />
+                    <p className="text-muted-light dark:text-[#99BFD1]">Loading configuration...</p>
+                </div>
+            ) : (
+                <div className="p-6 space-y-4">
+                    <textarea
+                        value={draft}
+                        onChange={(e) => setDraft(e.target.value)}
+                        spellCheck={false}
+                        rows={18}
+                        className="w-full bg-input-bg dark:bg-[#223560] border border-input-border dark:border-[#2A3C63] rounded-xl px-4 py-3 font-mono text-xs text-heading dark:text-[#C1EEFA] focus:outline-none focus:border-primary dark:focus:border-[#C1EEFA] transition-all"
+                    />
+                    <input
+                        type="text"
+                        value={changeNote}
+                        onChange={(e) => setChangeNote(e.target.value)}
+                        placeholder="Change note (optional)"
+                        className="w-full bg-input-bg dark:bg-[#223560] border border-input-border dark:border-[#2A3C63] rounded-xl px-4 py-2 text-sm text-heading dark:text-[#C1EEFA] placeholder-input-placeholder dark:placeholder-[#5B7894] focus:outline-none focus:border-primary dark:focus:border-[#C1EEFA] transition-all"
+                    />
+
+                    {parseError && (
+                        <div className="flex items-start gap-2 text-sm" style={{ color: "#EF4444" }}>
+                            <XCircle className="w-4 h-4 mt-0.5 shrink-0" />
+                            <span>{parseError}</span>
+                        </div>
+                    )}
+
+                    {errors.length > 0 && (
+                        <div className="p-4 rounded-xl border space-y-1.5" style={{ borderColor: "rgba(239, 68, 68, 0.4)", backgroundColor: "rgba(239, 68, 68, 0.08)" }}>
+                            <p className="flex items-center gap-2 text-sm font-semibold" style={{ color: "#EF4444" }}>
+                                <XCircle className="w-4 h-4" />
+                                Invalid rules - nothing was saved
+                            </p>
+                            <ul className="space-y-1 text-sm text-heading dark:text-[#C1EEFA]">
+                                {errors.map((error, index) => (
+                                    <li key={index}>{describeError(error)}</li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+
+                    {warnings.length > 0 && (
+                        <div className="p-4 rounded-xl border space-y-1.5" style={{ borderColor: "rgba(245, 158, 11, 0.4)", backgroundColor: "rgba(245, 158, 11, 0.08)" }}>
+                            <p className="flex items-center gap-2 text-sm font-semibold" style={{ color: "#F59E0B" }}>
+                                <AlertTriangle className="w-4 h-4" />
+                                Conflicting tags
+                            </p>
+                            <ul className="space-y-1 text-sm text-heading dark:text-[#C1EEFA]">
+                                {warnings.map((warning, index) => (
+                                    <li key={index}>{warning.message}</li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    )
+}
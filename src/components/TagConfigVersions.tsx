@@ -0,0 +1,287 @@
+"use client"
+
+import { Fragment, useState, useEffect } from "react"
+import { History, RefreshCw, RotateCcw, GitCompare, X } from "lucide-react"
+import { toast } from "sonner"
+import {
+    listVersions,
+    compareVersions,
+    rollbackToVersion,
+    type TagConfigVersion,
+    type TagConfigChange,
+} from "../services/tagConfigService"
+
+const CHANGE_STYLES: Record<TagConfigChange["change"], { label: string; color: string }> = {
+    added: { label: "+", color: "#10B981" },
+    removed: { label: "−", color: "#EF4444" },
+    changed: { label: "~", color: "#F59E0B" },
+}
+
+function formatValue(value: any) {
+    if (value === undefined) return ""
+    return typeof value === "string" ? value : JSON.stringify(value)
+}
+
+function ChangeList({ changes }: { changes: TagConfigChange[] }) {
+    if (changes.length === 0) {
+        return <p className="text-muted-light dark:text-[#99BFD1] text-sm">No differences</p>
+    }
+
+    return (
+        <ul className="space-y-1.5 font-mono text-xs">
+            {changes.map((change, index) => {
+                const style = CHANGE_STYLES[change.change]
+                return (
+                    <li key={index} className="flex gap-2">
+                        <span style={{ color: style.color }} className="font-bold w-3 shrink-0">{style.label}</span>
+                        <span className="text-heading dark:text-[#C1EEFA] shrink-0">{change.path}</span>
+                        <span className="text-muted-light dark:text-[#99BFD1] break-all">
+                            {change.change === "changed"
+                                ? `${formatValue(change.before)} → ${formatValue(change.after)}`
+                                : formatValue(change.change === "added" ? change.after : change.before)}
+                        </span>
+                    </li>
+                )
+            })}
+        </ul>
+    )
+}
+
+export function TagConfigVersions() {
+    const [versions, setVersions] = useState<TagConfigVersion[]>([])
+    const [isLoading, setIsLoading] = useState(true)
+    const [expandedVersion, setExpandedVersion] = useState<number | null>(null)
+    const [confirmRollback, setConfirmRollback] = useState<number | null>(null)
+    const [isRollingBack, setIsRollingBack] = useState(false)
+    const [compareFrom, setCompareFrom] = useState("")
+    const [compareTo, setCompareTo] = useState("")
+    const [comparison, setComparison] = useState<{ from: number; to: number; diff: TagConfigChange[] } | null>(null)
+    const [isComparing, setIsComparing] = useState(false)
+
+    useEffect(() => {
+        loadVersions()
+    }, [])
+
+    const loadVersions = async () => {
+        setIsLoading(true)
+        try {
+            const result = await listVersions()
+            if (result.status === "success" && result.data) {
+                setVersions(result.data.versions)
+            } else {
+                toast.error(result.message || "Failed to load tag configuration history")
+            }
+        } catch (error) {
+            toast.error("Failed to load tag configuration history")
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    const handleCompare = async () => {
+        if (!compareFrom || !compareTo) return
+        setIsComparing(true)
+        try {
+            const result = await compareVersions(Number(compareFrom), Number(compareTo))
+            if (result.status === "success" && result.data) {
+                setComparison({ from: Number(compareFrom), to: Number(compareTo), diff: result.data.diff })
+            } else {
+                toast.error(result.message || "Failed to compare versions")
+            }
+        } finally {
+            setIsComparing(false)
+        }
+    }
+
+    const handleRollback = async (version: number) => {
+        setIsRollingBack(true)
+        try {
+            const result = await rollbackToVersion(version)
+            if (result.status === "success") {
+                toast.success(`Rolled back to version ${version}`)
+                setConfirmRollback(null)
+                await loadVersions()
+            } else {
+                toast.error(result.message || "Failed to roll back")
+            }
+        } finally {
+            setIsRollingBack(false)
+        }
+    }
+
+    const formatDate = (dateStr: string) =>
+        new Date(dateStr).toLocaleString("en-US", {
+            month: "short",
+            day: "numeric",
+            year: "numeric",
+            hour: "2-digit",
+            minute: "2-digit",
+        })
+
+    const activeVersion = versions[0]?.version
+
+    return (
+        <div className="bg-card rounded-2xl border border-border shadow-sm">
+            {/* Card Header */}
+            <div className="p-6 border-b border-border flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
+                <div className="flex items-center gap-3">
+                    <History className="w-5 h-5 text-primary dark:text-[#C1EEFA]" />
+                    <h2 className="text-heading dark:text-[#C1EEFA] text-lg font-semibold">Tag Configuration History</h2>
+                    {activeVersion && (
+                        <span className="text-muted-light dark:text-[#99BFD1] text-sm">(active: v{activeVersion})</span>
+                    )}
+                </div>
+                <div className="flex gap-3 w-full sm:w-auto">
+                    <select
+                        value={compareFrom}
+                        onChange={(e) => setCompareFrom(e.target.value)}
+                        className="px-4 py-2 bg-input-bg dark:bg-[#1A2C53] border border-input-border dark:border-[#2A3C63] rounded-xl text-heading dark:text-[#C1EEFA] text-sm focus:outline-none"
+                    >
+                        <option value="">From</option>
+                        {versions.map((v) => (
+                            <option key={v.version} value={v.version}>v{v.version}</option>
+                        ))}
+                    </select>
+                    <select
+                        value={compareTo}
+                        onChange={(e) => setCompareTo(e.target.value)}
+                        className="px-4 py-2 bg-input-bg dark:bg-[#1A2C53] border border-input-border dark:border-[#2A3C63] rounded-xl text-heading dark:text-[#C1EEFA] text-sm focus:outline-none"
+                    >
+                        <option value="">To</option>
+                        {versions.map((v) => (
+                            <option key={v.version} value={v.version}>v{v.version}</option>
+                        ))}
+                    </select>
+                    <button
+                        onClick={handleCompare}
+                        disabled={!compareFrom || !compareTo || isComparing}
+                        className="flex items-center justify-center gap-2 px-4 py-2 border border-border rounded-xl text-heading dark:text-[#C1EEFA] hover:bg-muted/50 active:bg-muted/70 active:scale-95 transition-all text-sm font-medium shadow-sm disabled:opacity-50"
+                    >
+                        <GitCompare className="w-4 h-4" />
+                        Compare
+                    </button>
+                    <button
+                        onClick={loadVersions}
+                        disabled={isLoading}
+                        className="flex items-center justify-center gap-2 px-4 py-2 border border-border rounded-xl text-heading dark:text-[#C1EEFA] hover:bg-muted/50 active:bg-muted/70 active:scale-95 transition-all text-sm font-medium shadow-sm"
+                    >
+                        <RefreshCw className={`w-4 h-4 ${isLoading ? "animate-spin" : ""}`} />
+                        Refresh
+                    </button>
+                </div>
+            </div>
+
+            {/* Comparison */}
+            {comparison && (
+                <div className="p-6 border-b border-border space-y-3">
+                    <div className="flex items-center justify-between">
+                        <p className="text-heading dark:text-[#C1EEFA] text-sm font-semibold">
+                            Changes from v{comparison.from} to v{comparison.to}
+                        </p>
+                        <button onClick={() => setComparison(null)} className="p-1 hover:bg-muted/50 rounded-lg">
+                            <X className="w-4 h-4 text-muted-light dark:text-[#99BFD1]" />
+                        </button>
+                    </div>
+                    <ChangeList changes={comparison.diff} />
+                </div>
+            )}
+
+            {isLoading ? (
+                <div className="text-center py-16">
+                    <RefreshCw className="w-8 h-8 text-primary dark:text-[#C1EEFA] mx-auto mb-4 animate-spin" />
+                    <p className="text-muted-light dark:text-[#99BFD1]">Loading history...</p>
+                </div>
+            ) : versions.length === 0 ? (
+                <div className="text-center py-16">
+                    <History className="w-12 h-12 text-muted-light dark:text-[#99BFD1] mx-auto mb-4 opacity-50" />
+                    <p className="text-heading dark:text-[#C1EEFA] font-medium mb-1">No versions yet</p>
+                    <p className="text-muted-light dark:text-[#99BFD1] text-sm">The first version is created when tag rules are loaded or saved</p>
+                </div>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full">
+                        <thead className="table-header-bg dark:bg-[#1A2C53]">
+                            <tr>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Version</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Changed By</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Date</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Note</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Changes</th>
+                                <th className="text-left px-6 py-4 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {versions.map((version, index) => (
+                                <Fragment key={version.version}>
+                                    <tr
+                                        className={`border-b border-border dark:border-[#2A3C63] hover:bg-table-row-hover dark:hover:bg-[#1A2C53]/50 transition-colors ${index % 2 === 0 ? "table-zebra dark:bg-[#223560]/20" : ""
+                                            }`}
+                                    >
+                                        <td className="px-6 py-4 text-heading dark:text-[#C1EEFA] text-sm font-medium">
+                                            v{version.version}
+                                            {version.version === activeVersion && (
+                                                <span className="ml-2 px-2 py-0.5 rounded-md text-xs font-semibold" style={{ backgroundColor: "rgba(16, 185, 129, 0.15)", color: "#10B981" }}>
+                                                    Active
+                                                </span>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 text-heading dark:text-[#C1EEFA] text-sm">{version.created_by_name || "System"}</td>
+                                        <td className="px-6 py-4 text-sm text-muted-light dark:text-[#99BFD1]">{formatDate(version.created_at)}</td>
+                                        <td className="px-6 py-4 text-sm text-muted-light dark:text-[#99BFD1] max-w-[240px] truncate" title={version.change_note || ""}>
+                                            {version.change_note || "—"}
+                                        </td>
+                                        <td className="px-6 py-4">
+                                            <button
+                                                onClick={() => setExpandedVersion(expandedVersion === version.version ? null : version.version)}
+                                                className="text-sm text-primary dark:text-[#C1EEFA] hover:underline"
+                                            >
+                                                {version.diff?.length || 0} change{version.diff?.length === 1 ? "" : "s"}
+                                            </button>
+                                        </td>
+                                        <td className="px-6 py-4">
+                                            {version.version !== activeVersion && (
+                                                confirmRollback === version.version ? (
+                                                    <div className="flex gap-2">
+                                                        <button
+                                                            onClick={() => handleRollback(version.version)}
+                                                            disabled={isRollingBack}
+                                                            className="px-3 py-1.5 rounded-lg text-xs font-semibold text-white disabled:opacity-50"
+                                                            style={{ backgroundColor: "#DE3544" }}
+                                                        >
+                                                            {isRollingBack ? "Rolling back..." : "Confirm"}
+                                                        </button>
+                                                        <button
+                                                            onClick={() => setConfirmRollback(null)}
+                                                            className="px-3 py-1.5 border border-border rounded-lg text-heading dark:text-[#C1EEFA] text-xs font-medium"
+                                                        >
+                                                            Cancel
+                                                        </button>
+                                                    </div>
+                                                ) : (
+                                                    <button
+                                                        onClick={() => setConfirmRollback(version.version)}
+                                                        className="flex items-center gap-1.5 px-3 py-1.5 border border-border rounded-lg text-heading dark:text-[#C1EEFA] hover:bg-muted/50 active:scale-95 transition-all text-xs font-medium shadow-sm"
+                                                    >
+                                                        <RotateCcw className="w-3.5 h-3.5" />
+                                                        Roll Back
+                                                    </button>
+                                                )
+                                            )}
+                                        </td>
+                                    </tr>
+                                    {expandedVersion === version.version && (
+                                        <tr className="border-b border-border dark:border-[#2A3C63]">
+                                            <td colSpan={6} className="px-6 py-4">
+                                                <ChangeList changes={version.diff || []} />
+                                            </td>
+                                        </tr>
+                                    )}
+                                </Fragment>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    )
+}
@@ -0,0 +1,299 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Inbox, RefreshCw, RotateCcw, Trash2, ChevronDown, ChevronUp, Eye, X } from "lucide-react"
+import { toast } from "sonner"
+import {
+    listDeadLetters,
+    getDeadLetter,
+    replayDeadLetters,
+    discardDeadLetters,
+    type DeadLetterGroup,
+    type WebhookEvent,
+    type WebhookErrorCode,
+} from "../services/webhookEventService"
+
+// Failures retrying cannot fix: the event skipped its retries
+const ERROR_CODE_LABELS: Record<WebhookErrorCode, string> = {
+    unknown_event_type: "Unknown event type",
+    invalid_payload: "Invalid payload",
+}
+
+export function WebhookDeadLetters() {
+    const [groups, setGroups] = useState<DeadLetterGroup[]>([])
+    const [total, setTotal] = useState(0)
+    const [isLoading, setIsLoading] = useState(true)
+    const [expandedGroup, setExpandedGroup] = useState<string | null>(null)
+    const [selectedIds, setSelectedIds] = useState<number[]>([])
+    const [discardReason, setDiscardReason] = useState("")
+    const [isSubmitting, setIsSubmitting] = useState(false)
+    const [detail, setDetail] = useState<{ event: WebhookEvent; localTask: Record<string, any> | null } | null>(null)
+
+    useEffect(() => {
+        loadDeadLetters()
+    }, [])
+
+    const loadDeadLetters = async () => {
+        setIsLoading(true)
+        try {
+            const result = await listDeadLetters()
+            if (result.status === "success" && result.data) {
+                setGroups(result.data.groups)
+                setTotal(result.data.total)
+                setSelectedIds([])
+            } else {
+                toast.error(result.message || "Failed to load dead-lettered webhooks")
+            }
+        } catch (error) {
+            toast.error("Failed to load dead-lettered webhooks")
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    const toggleEvent = (id: number) => {
+        setSelectedIds((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]))
+    }
+
+    const toggleGroup = (group: DeadLetterGroup) => {
+        const ids = group.events.map((e) => e.id)
+        const allSelected = ids.every((id) => selectedIds.includes(id))
+        setSelectedIds((prev) => (allSelected ? prev.filter((id) => !ids.includes(id)) : Array.from(new Set([...prev, ...ids]))))
+    }
+
+    const handleView = async (eventId: number) => {
+        const result = await getDeadLetter(eventId)
+        if (result.status === "success" && result.data) {
+            setDetail(result.data)
+        } else {
+            toast.error(result.message || "Failed to load event")
+        }
+    }
+
+    const handleReplay = async () => {
+        setIsSubmitting(true)
+        try {
+            const result = await replayDeadLetters(selectedIds)
+            if (result.status === "success") {
+                toast.success(result.message || "Events queued for replay")
+                await loadDeadLetters()
+            } else {
+                toast.error(result.message || "Failed to replay events")
+            }
+        } finally {
+            setIsSubmitting(false)
+        }
+    }
+
+    const handleDiscard = async () => {
+        if (!discardReason.trim()) {
+            toast.error("Enter a reason to discard events")
+            return
+        }
+        setIsSubmitting(true)
+        try {
+            const result = await discardDeadLetters(selectedIds, discardReason.trim())
+            if (result.status === "success") {
+                toast.success(result.message || "Events discarded")
+                setDiscardReason("")
+                await loadDeadLetters()
+            } else {
+                toast.error(result.message || "Failed to discard events")
+            }
+        } finally {
+            setIsSubmitting(false)
+        }
+    }
+
+    const formatDate = (dateStr: string | null) => {
+        if (!dateStr) return "—"
+        return new Date(dateStr).toLocaleString("en-US", {
+            month: "short",
+            day: "numeric",
+            hour: "2-digit",
+            minute: "2-digit",
+        })
+    }
+
+    return (
+        <div className="bg-card rounded-2xl border border-border shadow-sm">
+            {/* Card Header */}
+            <div className="p-6 border-b border-border flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
+                <div className="flex items-center gap-3">
+                    <Inbox className="w-5 h-5 text-primary dark:text-[#C1EEFA]" />
+                    <h2 className="text-heading dark:text-[#C1EEFA] text-lg font-semibold">Webhook Dead Letters</h2>
+                    <span className="text-muted-light dark:text-[#99BFD1] text-sm">({total})</span>
+                </div>
+                <button
+                    onClick={loadDeadLetters}
+                    disabled={isLoading}
+                    className="flex items-center justify-center gap-2 px-4 py-2 border border-border rounded-xl text-heading dark:text-[#C1EEFA] hover:bg-muted/50 active:bg-muted/70 active:scale-95 transition-all text-sm font-medium shadow-sm"
+                >
+                    <RefreshCw className={`w-4 h-4 ${isLoading ? "animate-spin" : ""}`} />
+                    Refresh
+                </button>
+            </div>
+
+            {/* Bulk Actions */}
+            {selectedIds.length > 0 && (
+                <div className="p-4 border-b border-border flex flex-col md:flex-row items-start md:items-center gap-3 bg-muted/30 dark:bg-[#1A2C53]/30">
+                    <span className="text-heading dark:text-[#C1EEFA] text-sm font-medium">{selectedIds.length} selected</span>
+                    <button
+                        onClick={handleReplay}
+                        disabled={isSubmitting}
+                        className="flex items-center gap-1.5 px-3 py-1.5 border border-border rounded-lg text-heading dark:text-[#C1EEFA] hover:bg-muted/50 active:scale-95 transition-all text-xs font-medium shadow-sm disabled:opacity-50"
+                    >
+                        <RotateCcw className="w-3.5 h-3.5" />
+                        Replay
+                    </button>
+                    <input
+                        type="text"
+                        value={discardReason}
+                        onChange={(e) => setDiscardReason(e.target.value)}
+                        placeholder="Reason for discarding"
+                        className="flex-1 w-full md:w-auto px-3 py-1.5 bg-input-bg dark:bg-[#1A2C53] border border-input-border dark:border-[#2A3C63] rounded-lg text-heading dark:text-[#C1EEFA] text-xs focus:outline-none"
+                    />
+                    <button
+                        onClick={handleDiscard}
+                        disabled={isSubmitting || !discardReason.trim()}
+                        className="flex items-center gap-1.5 px-3 py-1.5 border border-destructive/30 rounded-lg text-destructive hover:bg-destructive/10 active:scale-95 transition-all text-xs font-medium shadow-sm disabled:opacity-50"
+                    >
+                        <Trash2 className="w-3.5 h-3.5" />
+                        Discard
+                    </button>
+                </div>
+            )}
+
+            {isLoading ? (
+                <div className="text-center py-16">
+                    <RefreshCw className="w-8 h-8 text-primary dark:text-[#C1EEFA] mx-auto mb-4 animate-spin" />
+                    <p className="text-muted-light dark:text-[#99BFD1]">Loading dead letters...</p>
+                </div>
+            ) : groups.length === 0 ? (
+                <div className="text-center py-16">
+                    <Inbox className="w-12 h-12 text-muted-light dark:text-[#99BFD1] mx-auto mb-4 opacity-50" />
+                    <p className="text-heading dark:text-[#C1EEFA] font-medium mb-1">No dead-lettered webhooks</p>
+                    <p className="text-muted-light dark:text-[#99BFD1] text-sm">
+                        Tookan webhooks that fail every retry, or that no handler accepts, appear here
+                    </p>
+                </div>
+            ) : (
+                <div className="divide-y divide-border">
+                    {groups.map((group) => {
+                        const isExpanded = expandedGroup === group.error_message
+                        const groupIds = group.events.map((e) => e.id)
+                        return (
+                            <div key={group.error_message}>
+                                <div className="p-4 flex items-center gap-3">
+                                    <input
+                                        type="checkbox"
+                                        checked={groupIds.every((id) => selectedIds.includes(id))}
+                                        onChange={() => toggleGroup(group)}
+                                    />
+                                    <button
+                                        onClick={() => setExpandedGroup(isExpanded ? null : group.error_message)}
+                                        className="flex-1 flex items-center justify-between gap-3 text-left"
+                                    >
+                                        <div className="min-w-0">
+                                            <div className="flex items-center gap-2 min-w-0">
+                                                {group.error_code && (
+                                                    <span className="shrink-0 px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-500/20 text-yellow-600 dark:text-yellow-400">
+                                                        {ERROR_CODE_LABELS[group.error_code] || group.error_code}
+                                                    </span>
+                                                )}
+                                                <p className="text-heading dark:text-[#C1EEFA] text-sm font-medium truncate">{group.error_message}</p>
+                                            </div>
+                                            <p className="text-muted-light dark:text-[#99BFD1] text-xs">
+                                                {group.count} event(s) · latest {formatDate(group.latest_at)}
+                                            </p>
+                                        </div>
+                                        {isExpanded ? (
+                                            <ChevronUp className="w-4 h-4 text-muted-light dark:text-[#99BFD1]" />
+                                        ) : (
+                                            <ChevronDown className="w-4 h-4 text-muted-light dark:text-[#99BFD1]" />
+                                        )}
+                                    </button>
+                                </div>
+
+                                {isExpanded && (
+                                    <div className="overflow-x-auto">
+                                        <table className="w-full">
+                                            <thead className="table-header-bg dark:bg-[#1A2C53]">
+                                                <tr>
+                                                    <th className="px-6 py-3"></th>
+                                                    <th className="text-left px-6 py-3 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Event</th>
+                                                    <th className="text-left px-6 py-3 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Job</th>
+                                                    <th className="text-left px-6 py-3 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Type</th>
+                                                    <th className="text-left px-6 py-3 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Retries</th>
+                                                    <th className="text-left px-6 py-3 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Received</th>
+                                                    <th className="text-left px-6 py-3 table-header-text dark:text-[#C1EEFA] text-sm font-medium">Dead-lettered</th>
+                                                    <th className="px-6 py-3"></th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {group.events.map((event) => (
+                                                    <tr key={event.id} className="border-b border-border dark:border-[#2A3C63]">
+                                                        <td className="px-6 py-3">
+                                                            <input
+                                                                type="checkbox"
+                                                                checked={selectedIds.includes(event.id)}
+                                                                onChange={() => toggleEvent(event.id)}
+                                                            />
+                                                        </td>
+                                                        <td className="px-6 py-3 text-heading dark:text-[#C1EEFA] text-sm">{event.id}</td>
+                                                        <td className="px-6 py-3 text-heading dark:text-[#C1EEFA] text-sm">{event.job_id ?? "—"}</td>
+                                                        <td className="px-6 py-3 text-muted-light dark:text-[#99BFD1] text-sm">{event.event_type}</td>
+                                                        <td className="px-6 py-3 text-heading dark:text-[#C1EEFA] text-sm">{event.retry_count}</td>
+                                                        <td className="px-6 py-3 text-muted-light dark:text-[#99BFD1] text-sm">{formatDate(event.created_at)}</td>
+                                                        <td className="px-6 py-3 text-muted-light dark:text-[#99BFD1] text-sm">{formatDate(event.dead_lettered_at)}</td>
+                                                        <td className="px-6 py-3">
+                                                            <button
+                                                                onClick={() => handleView(event.id)}
+                                                                className="flex items-center gap-1.5 px-3 py-1.5 border border-border rounded-lg text-heading dark:text-[#C1EEFA] hover:bg-muted/50 active:scale-95 transition-all text-xs font-medium shadow-sm"
+                                                            >
+                                                                <Eye className="w-3.5 h-3.5" />
+                                                                View
+                                                            </button>
+                                                        </td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                )}
+                            </div>
+                        )
+                    })}
+                </div>
+            )}
+
+            {/* Payload vs local task */}
+            {detail && (
+                <div className="p-6 border-t border-border">
+                    <div className="flex items-center justify-between mb-4">
+                        <h3 className="text-heading dark:text-[#C1EEFA] font-semibold">
+                            Event {detail.event.id} · Job {detail.event.job_id ?? "—"}
+                        </h3>
+                        <button onClick={() => setDetail(null)} className="p-2 hover:bg-muted rounded-lg transition-colors">
+                            <X className="w-4 h-4 text-muted-light dark:text-[#99BFD1]" />
+                        </button>
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div>
+                            <p className="text-xs text-muted-light dark:text-[#99BFD1] mb-2">Webhook payload</p>
+                            <pre className="p-3 bg-muted/30 dark:bg-[#1A2C53] rounded-xl border border-border text-xs text-heading dark:text-[#C1EEFA] overflow-auto max-h-96">
+                                {JSON.stringify(detail.event.payload, null, 2)}
+                            </pre>
+                        </div>
+                        <div>
+                            <p className="text-xs text-muted-light dark:text-[#99BFD1] mb-2">Current local task</p>
+                            <pre className="p-3 bg-muted/30 dark:bg-[#1A2C53] rounded-xl border border-border text-xs text-heading dark:text-[#C1EEFA] overflow-auto max-h-96">
+                                {detail.localTask ? JSON.stringify(detail.localTask, null, 2) : "No local task for this job"}
+                            </pre>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    )
+}
@@ -0,0 +1,150 @@
+/**
+ * Customer Onboarding Service
+ *
+ * Review of new Tookan customers and the onboarding rules that give them a plan,
+ * withdrawal fee and tags
+ */
+
+const API_BASE_URL = (import.meta as any).env?.VITE_API_BASE_URL || '';
+
+function getAuthHeaders(): Record<string, string> {
+    const token = localStorage.getItem('auth_token');
+    const headers: Record<string, string> = {
+        'Content-Type': 'application/json',
+    };
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    return headers;
+}
+
+function handleUnauthorized(): { status: string; message: string } {
+    localStorage.removeItem('auth_token');
+    localStorage.removeItem('user');
+    window.location.href = '/';
+    return { status: 'error', message: 'Unauthorized' };
+}
+
+export interface OnboardingAction {
+    step: 'plan' | 'withdraw_fees' | 'tags' | 'tookan_tags';
+    status: 'applied' | 'skipped' | 'failed';
+    detail: string | null;
+}
+
+export interface OnboardingRecord {
+    id: number;
+    vendor_id: number;
+    customer_name: string | null;
+    customer_email: string | null;
+    customer_phone: string | null;
+    status: 'pending' | 'completed' | 'partial' | 'failed';
+    matched_rule: string | null;
+    plan_id: string | null;
+    withdraw_fees: number | null;
+    tags: string[] | null;
+    actions: OnboardingAction[];
+    error: string | null;
+    reviewed_at: string | null;
+    reviewed_by: string | null;
+    review_note: string | null;
+    created_at: string;
+}
+
+export interface OnboardingRule {
+    name: string;
+    condition: string;
+    planId?: string | null;
+    withdrawFee?: number | null;
+    tags?: string[];
+}
+
+export interface OnboardingRules {
+    enabled: boolean;
+    pushTags: boolean;
+    defaultPlanId: string | null;
+    defaultWithdrawFee: number | null;
+    rules: OnboardingRule[];
+}
+
+/**
+ * List onboarded customers, newest first
+ */
+export async function listOnboarding(reviewed?: boolean): Promise<{ status: string; data?: { records: OnboardingRecord[]; total: number }; message?: string }> {
+    try {
+        const query = reviewed === undefined ? '' : `?reviewed=${reviewed}`;
+        const response = await fetch(`${API_BASE_URL}/api/customers/onboarding${query}`, {
+            method: 'GET',
+            headers: getAuthHeaders(),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to list sign-ups' };
+    }
+}
+
+/**
+ * Mark onboarded customers reviewed
+ */
+export async function markOnboardingReviewed(ids: number[], note?: string): Promise<{ status: string; data?: { reviewed: number[]; skipped: number[] }; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/customers/onboarding/review`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ ids, note }),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to mark sign-ups reviewed' };
+    }
+}
+
+/**
+ * Get the onboarding rules
+ */
+export async function getOnboardingRules(): Promise<{ status: string; data?: OnboardingRules; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/customers/onboarding/rules`, {
+            method: 'GET',
+            headers: getAuthHeaders(),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to load onboarding rules' };
+    }
+}
+
+/**
+ * Replace the onboarding rules
+ */
+export async function saveOnboardingRules(rules: OnboardingRules): Promise<{ status: string; data?: OnboardingRules; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/customers/onboarding/rules`, {
+            method: 'PUT',
+            headers: getAuthHeaders(),
+            body: JSON.stringify(rules),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to save onboarding rules' };
+    }
+}
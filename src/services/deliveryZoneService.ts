@@ -0,0 +1,159 @@
+/**
+ * Delivery Zone Service
+ * 
+ * Delivery zones (GeoJSON polygons): listing, import/export and activation
+ */
+
+const API_BASE_URL = (import.meta as any).env?.VITE_API_BASE_URL || '';
+
+function getAuthHeaders(): Record<string, string> {
+    const token = localStorage.getItem('auth_token');
+    const headers: Record<string, string> = {
+        'Content-Type': 'application/json',
+    };
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    return headers;
+}
+
+function handleUnauthorized(): { status: string; message: string } {
+    localStorage.removeItem('auth_token');
+    localStorage.removeItem('user');
+    window.location.href = '/';
+    return { status: 'error', message: 'Unauthorized' };
+}
+
+export interface DeliveryZone {
+    id: string;
+    code: string;
+    name: string;
+    description: string | null;
+    geometry: { type: 'Polygon' | 'MultiPolygon'; coordinates: any[] };
+    priority: number;
+    delivery_surcharge: number;
+    is_active: boolean;
+    created_by: string | null;
+    created_at: string;
+    updated_at: string;
+}
+
+export interface ZoneImportError {
+    feature: number | null;
+    field: string;
+    message: string;
+}
+
+/**
+ * List delivery zones
+ */
+export async function listZones(): Promise<{ status: string; data?: DeliveryZone[]; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/delivery-zones`, {
+            method: 'GET',
+            headers: getAuthHeaders(),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to list delivery zones' };
+    }
+}
+
+/**
+ * Update a zone (e.g. activate/deactivate, surcharge, priority)
+ */
+export async function updateZone(id: string, updates: Partial<DeliveryZone>): Promise<{ status: string; data?: DeliveryZone; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/delivery-zones/${id}`, {
+            method: 'PUT',
+            headers: getAuthHeaders(),
+            body: JSON.stringify(updates),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to update delivery zone' };
+    }
+}
+
+/**
+ * Delete a zone
+ */
+export async function deleteZone(id: string): Promise<{ status: string; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/delivery-zones/${id}`, {
+            method: 'DELETE',
+            headers: getAuthHeaders(),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to delete delivery zone' };
+    }
+}
+
+/**
+ * Import zones from a GeoJSON FeatureCollection (matched on code)
+ */
+export async function importZones(featureCollection: any): Promise<{ status: string; data?: { created: number; updated: number }; message?: string; errors?: ZoneImportError[] }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/delivery-zones/import`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify(featureCollection),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to import delivery zones' };
+    }
+}
+
+/**
+ * Download all zones as a GeoJSON file
+ */
+export async function exportZones(): Promise<{ status: string; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/delivery-zones/export`, {
+            method: 'GET',
+            headers: getAuthHeaders(),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+        if (!response.ok) {
+            return await response.json();
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `delivery-zones-${new Date().toISOString().split('T')[0]}.geojson`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        return { status: 'success' };
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to export delivery zones' };
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * EDI Webhook Service
+ * 
+ * Admin access to merchant status webhook subscriptions and the delivery log
+ */
+
+const API_BASE_URL = (import.meta as any).env?.VITE_API_BASE_URL || '';
+
+function getAuthHeaders(): Record<string, string> {
+    const token = localStorage.getItem('auth_token');
+    const headers: Record<string, string> = {
+        'Content-Type': 'application/json',
+    };
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    return headers;
+}
+
+function handleUnauthorized(): { status: string; message: string } {
+    localStorage.removeItem('auth_token');
+    localStorage.removeItem('user');
+    window.location.href = '/';
+    return { status: 'error', message: 'Unauthorized' };
+}
+
+export interface EdiWebhookSubscription {
+    id: string;
+    merchant_id: string;
+    api_token_id: string | null;
+    url: string;
+    description: string | null;
+    is_active: boolean;
+    created_by: string | null;
+    created_at: string;
+    updated_at: string;
+}
+
+export interface EdiWebhookDelivery {
+    id: string;
+    subscription_id: string;
+    merchant_id: string;
+    event_id: string;
+    event_type: string;
+    event_version: string;
+    job_id: number | null;
+    payload: Record<string, any>;
+    status: 'pending' | 'delivered' | 'failed';
+    attempt_count: number;
+    next_attempt_at: string | null;
+    last_attempt_at: string | null;
+    response_status: number | null;
+    response_body: string | null;
+    error_message: string | null;
+    delivered_at: string | null;
+    created_at: string;
+}
+
+/**
+ * List webhook subscriptions
+ */
+export async function listSubscriptions(merchantId?: string): Promise<{ status: string; data?: EdiWebhookSubscription[]; message?: string }> {
+    try {
+        const query = merchantId ? `?merchant_id=${encodeURIComponent(merchantId)}` : '';
+        const response = await fetch(`${API_BASE_URL}/api/admin/edi-webhooks/subscriptions${query}`, {
+            method: 'GET',
+            headers: getAuthHeaders(),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to list webhook subscriptions' };
+    }
+}
+
+/**
+ * List webhook deliveries (delivery log)
+ */
+export async function listDeliveries(filters: { status?: string; merchantId?: string; limit?: number } = {}): Promise<{ status: string; data?: { deliveries: EdiWebhookDelivery[]; total: number }; message?: string }> {
+    try {
+        const params = new URLSearchParams();
+        if (filters.status) params.set('status', filters.status);
+        if (filters.merchantId) params.set('merchant_id', filters.merchantId);
+        if (filters.limit) params.set('limit', String(filters.limit));
+
+        const response = await fetch(`${API_BASE_URL}/api/admin/edi-webhooks/deliveries?${params.toString()}`, {
+            method: 'GET',
+            headers: getAuthHeaders(),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to list webhook deliveries' };
+    }
+}
+
+/**
+ * Manually redeliver a webhook event
+ */
+export async function redeliver(deliveryId: string): Promise<{ status: string; data?: EdiWebhookDelivery; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/edi-webhooks/deliveries/${deliveryId}/redeliver`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to redeliver webhook' };
+    }
+}
@@ -0,0 +1,100 @@
+/**
+ * Holiday Service
+ * 
+ * Public holiday calendar used by time-aware tag rules
+ */
+
+const API_BASE_URL = (import.meta as any).env?.VITE_API_BASE_URL || '';
+
+function getAuthHeaders(): Record<string, string> {
+    const token = localStorage.getItem('auth_token');
+    const headers: Record<string, string> = {
+        'Content-Type': 'application/json',
+    };
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    return headers;
+}
+
+function handleUnauthorized(): { status: string; message: string } {
+    localStorage.removeItem('auth_token');
+    localStorage.removeItem('user');
+    window.location.href = '/';
+    return { status: 'error', message: 'Unauthorized' };
+}
+
+export interface PublicHoliday {
+    id: string;
+    holiday_date: string;
+    name: string;
+    created_by: string | null;
+    created_at: string;
+}
+
+export interface HolidayCalendar {
+    timezone: string;
+    weekend_days: string[];
+    holidays: PublicHoliday[];
+}
+
+/**
+ * List holidays with the business timezone and weekend days
+ */
+export async function listHolidays(): Promise<{ status: string; data?: HolidayCalendar; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/holidays`, {
+            method: 'GET',
+            headers: getAuthHeaders(),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to list holidays' };
+    }
+}
+
+/**
+ * Add a holiday (or rename the holiday on that date)
+ */
+export async function saveHoliday(holidayDate: string, name: string): Promise<{ status: string; data?: PublicHoliday[]; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/holidays`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ holiday_date: holidayDate, name }),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to save holiday' };
+    }
+}
+
+/**
+ * Delete a holiday
+ */
+export async function deleteHoliday(id: string): Promise<{ status: string; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/holidays/${id}`, {
+            method: 'DELETE',
+            headers: getAuthHeaders(),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to delete holiday' };
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * Job Scheduler Service
+ *
+ * The periodic sync jobs the server runs: schedules, run history, pause, resume and trigger
+ */
+
+const API_BASE_URL = (import.meta as any).env?.VITE_API_BASE_URL || '';
+
+function getAuthHeaders(): Record<string, string> {
+    const token = localStorage.getItem('auth_token');
+    const headers: Record<string, string> = {
+        'Content-Type': 'application/json',
+    };
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    return headers;
+}
+
+function handleUnauthorized(): { status: string; message: string } {
+    localStorage.removeItem('auth_token');
+    localStorage.removeItem('user');
+    window.location.href = '/';
+    return { status: 'error', message: 'Unauthorized' };
+}
+
+export interface JobRun {
+    id: number;
+    job_name: string;
+    trigger: 'schedule' | 'manual';
+    status: 'running' | 'succeeded' | 'failed' | 'skipped';
+    scheduled_for: string | null;
+    worker_id: string | null;
+    triggered_by: string | null;
+    started_at: string;
+    finished_at: string | null;
+    duration_ms: number | null;
+    records_processed: number | null;
+    records_failed: number | null;
+    result: Record<string, any> | null;
+    error: string | null;
+}
+
+export interface ScheduledJob {
+    name: string;
+    description: string;
+    cron: string;
+    defaultCron: string;
+    paused: boolean;
+    running: boolean;
+    lockedBy: string | null;
+    lockedUntil: string | null;
+    lastRun: JobRun | null;
+    nextRunAt: string | null;
+}
+
+export interface JobSchedule {
+    cron: string;
+    paused: boolean;
+}
+
+async function request<T>(path: string, method: string, fallbackMessage: string, body?: unknown): Promise<{ status: string; data?: T; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/jobs${path}`, {
+            method,
+            headers: getAuthHeaders(),
+            ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || fallbackMessage };
+    }
+}
+
+/**
+ * List the jobs with their schedule, latest run and next run
+ */
+export function listJobs(): Promise<{ status: string; data?: { jobs: ScheduledJob[] }; message?: string }> {
+    return request('', 'GET', 'Failed to load scheduled jobs');
+}
+
+/**
+ * Run history of a job, newest first
+ */
+export function listJobRuns(name: string, limit = 20): Promise<{ status: string; data?: { runs: JobRun[]; total: number }; message?: string }> {
+    return request(`/${encodeURIComponent(name)}/runs?limit=${limit}`, 'GET', 'Failed to load job runs');
+}
+
+/**
+ * Change the cron expression of a job (business timezone)
+ */
+export function updateJobSchedule(name: string, cron: string): Promise<{ status: string; data?: JobSchedule; message?: string }> {
+    return request(`/${encodeURIComponent(name)}/schedule`, 'PUT', 'Failed to update job schedule', { cron });
+}
+
+/**
+ * Stop running a job on its schedule
+ */
+export function pauseJob(name: string): Promise<{ status: string; data?: JobSchedule; message?: string }> {
+    return request(`/${encodeURIComponent(name)}/pause`, 'POST', 'Failed to pause job');
+}
+
+/**
+ * Run a paused job on its schedule again
+ */
+export function resumeJob(name: string): Promise<{ status: string; data?: JobSchedule; message?: string }> {
+    return request(`/${encodeURIComponent(name)}/resume`, 'POST', 'Failed to resume job');
+}
+
+/**
+ * Run a job now; fails if a run is already in progress
+ */
+export function triggerJob(name: string): Promise<{ status: string; data?: JobRun; message?: string }> {
+    return request(`/${encodeURIComponent(name)}/trigger`, 'POST', 'Failed to trigger job');
+}
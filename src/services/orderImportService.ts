@@ -0,0 +1,130 @@
+/**
+ * Order Import Service
+ *
+ * Spreadsheet (XLSX/CSV) order import: validation preview and creation
+ */
+
+const API_BASE_URL = (import.meta as any).env?.VITE_API_BASE_URL || '';
+
+function getAuthHeaders(): Record<string, string> {
+    const token = localStorage.getItem('auth_token');
+    const headers: Record<string, string> = {
+        'Content-Type': 'application/json',
+    };
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    return headers;
+}
+
+function handleUnauthorized(): { status: string; message: string } {
+    localStorage.removeItem('auth_token');
+    localStorage.removeItem('user');
+    window.location.href = '/';
+    return { status: 'error', message: 'Unauthorized' };
+}
+
+export interface ImportRowError {
+    field: string;
+    message: string;
+}
+
+export interface ImportPreviewRow {
+    row: number;
+    values: Record<string, string>;
+    order: Record<string, string>;
+    errors: ImportRowError[];
+}
+
+export interface ImportPreview {
+    columns: string[];
+    column_map: Record<string, string | null>;
+    unmapped_columns: string[];
+    rows: ImportPreviewRow[];
+    summary: { total: number; valid: number; invalid: number };
+}
+
+export interface ImportResultRow {
+    row: number;
+    status: 'created' | 'already_imported' | 'failed' | 'invalid';
+    errors: ImportRowError[];
+    job_id?: number;
+    pickup_job_id?: number;
+    tracking_link?: string;
+    pickup_tracking_link?: string;
+}
+
+export interface ImportResult {
+    summary: { total: number; created: number; already_imported: number; failed: number; invalid: number };
+    rows: ImportResultRow[];
+    result_file: { filename: string; content_type: string; content_base64: string };
+}
+
+/**
+ * Read a File as base64 (without the data: URL prefix)
+ */
+export function readFileAsBase64(file: File): Promise<string> {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(String(reader.result).replace(/^data:[^,]*,/, ''));
+        reader.onerror = () => reject(reader.error || new Error('Failed to read file'));
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Validate a spreadsheet and preview how its rows map to orders
+ */
+export async function previewImport(file: string, columnMap?: Record<string, string>): Promise<{ status: string; data?: ImportPreview; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/orders/import/preview`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ file, column_map: columnMap }),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to preview import' };
+    }
+}
+
+/**
+ * Create the valid rows of a spreadsheet as orders for a merchant
+ */
+export async function runImport(merchantId: string, file: string, columnMap?: Record<string, string>): Promise<{ status: string; data?: ImportResult; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/orders/import`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ merchant_id: merchantId, file, column_map: columnMap }),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to import orders' };
+    }
+}
+
+/**
+ * Save the result spreadsheet returned by runImport
+ */
+export function downloadResultFile(resultFile: ImportResult['result_file']): void {
+    const bytes = Uint8Array.from(atob(resultFile.content_base64), (c) => c.charCodeAt(0));
+    const url = URL.createObjectURL(new Blob([bytes], { type: resultFile.content_type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = resultFile.filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,79 @@
+/**
+ * Quote Service
+ *
+ * Delivery fee quotes for order drafts, priced with the merchant's assigned plan
+ */
+
+const API_BASE_URL = (import.meta as any).env?.VITE_API_BASE_URL || '';
+
+function getAuthHeaders(): Record<string, string> {
+    const token = localStorage.getItem('auth_token');
+    const headers: Record<string, string> = {
+        'Content-Type': 'application/json',
+    };
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    return headers;
+}
+
+function handleUnauthorized(): { status: string; message: string } {
+    localStorage.removeItem('auth_token');
+    localStorage.removeItem('user');
+    window.location.href = '/';
+    return { status: 'error', message: 'Unauthorized' };
+}
+
+export interface OrderDraft {
+    cod_amount?: number | string;
+    pickup_address?: string;
+    delivery_address?: string;
+    delivery_latitude?: number | string;
+    delivery_longitude?: number | string;
+    tags?: string | string[];
+}
+
+export interface QuoteBreakdownLine {
+    rule: 'plan_fixed' | 'plan_percentage' | 'zone_surcharge' | 'tag_surcharge' | 'withdrawal_fee';
+    plan_id?: string;
+    plan_name?: string;
+    zone?: string;
+    tag?: string;
+    description: string;
+    amount: number;
+}
+
+export interface Quote {
+    merchant_id: number;
+    currency: string;
+    cod_amount: number;
+    delivery_fee: number;
+    withdrawal_fee: number;
+    net_payable_to_merchant: number;
+    plan: { id: string; name: string; type: 'fixed' | 'percentage'; amount: number };
+    pickup_zone: string | null;
+    delivery_zone: string | null;
+    tags: string[];
+    breakdown: QuoteBreakdownLine[];
+}
+
+/**
+ * Quote the delivery fee of an order draft for a merchant
+ */
+export async function getQuote(merchantId: string, draft: OrderDraft): Promise<{ status: string; data?: Quote; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/merchant-plans/quote`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ merchant_id: merchantId, ...draft }),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to calculate quote' };
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * Re-tag Job Service
+ * 
+ * Bulk re-tagging of open orders with the active tag rules: start (or dry run), progress, results and cancellation
+ */
+
+const API_BASE_URL = (import.meta as any).env?.VITE_API_BASE_URL || '';
+
+function getAuthHeaders(): Record<string, string> {
+    const token = localStorage.getItem('auth_token');
+    const headers: Record<string, string> = {
+        'Content-Type': 'application/json',
+    };
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    return headers;
+}
+
+function handleUnauthorized(): { status: string; message: string } {
+    localStorage.removeItem('auth_token');
+    localStorage.removeItem('user');
+    window.location.href = '/';
+    return { status: 'error', message: 'Unauthorized' };
+}
+
+export type RetagJobStatus = 'pending' | 'running' | 'completed' | 'failed' | 'cancelled';
+export type RetagTaskStatus = 'pending' | 'updated' | 'would_update' | 'unchanged' | 'failed';
+
+export interface RetagFilters {
+    dateFrom?: string;
+    dateTo?: string;
+    statuses?: number[];
+    vendorIds?: number[];
+    jobIds?: number[];
+}
+
+export interface RetagJob {
+    id: string;
+    status: RetagJobStatus;
+    dry_run: boolean;
+    filters: RetagFilters;
+    config_version: number | null;
+    total_tasks: number;
+    processed_tasks: number;
+    changed_tasks: number;
+    unchanged_tasks: number;
+    failed_tasks: number;
+    error: string | null;
+    created_by_name: string | null;
+    started_at: string | null;
+    finished_at: string | null;
+    created_at: string;
+}
+
+export interface RetagJobTask {
+    job_id: number;
+    status: RetagTaskStatus;
+    before_tags: string[] | null;
+    after_tags: string[] | null;
+    error: string | null;
+    processed_at: string | null;
+}
+
+/**
+ * List re-tag jobs, newest first
+ */
+export async function listRetagJobs(limit = 20): Promise<{ status: string; data?: { jobs: RetagJob[]; total: number }; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/tookan/tags/retag-jobs?limit=${limit}`, {
+            headers: getAuthHeaders(),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to load re-tag jobs' };
+    }
+}
+
+/**
+ * Start a re-tag job; a dry run records the changes without pushing them to Tookan
+ */
+export async function startRetagJob(filters: RetagFilters, dryRun: boolean): Promise<{ status: string; data?: RetagJob; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/tookan/tags/retag-jobs`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ filters, dryRun }),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to start re-tag job' };
+    }
+}
+
+/**
+ * Tasks of a job with their tags before and after
+ */
+export async function listRetagJobTasks(id: string, status?: RetagTaskStatus, limit = 100): Promise<{ status: string; data?: { tasks: RetagJobTask[]; total: number }; message?: string }> {
+    try {
+        const params = new URLSearchParams({ limit: String(limit) });
+        if (status) params.set('status', status);
+
+        const response = await fetch(`${API_BASE_URL}/api/tookan/tags/retag-jobs/${id}/tasks?${params}`, {
+            headers: getAuthHeaders(),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to load re-tag job tasks' };
+    }
+}
+
+/**
+ * Cancel a pending or running job
+ */
+export async function cancelRetagJob(id: string): Promise<{ status: string; data?: RetagJob; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/tookan/tags/retag-jobs/${id}/cancel`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to cancel re-tag job' };
+    }
+}
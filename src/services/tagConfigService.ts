@@ -0,0 +1,174 @@
+/**
+ * Tag Config Service
+ * 
+ * Versions of the delivery tag configuration: history, comparison, rollback and draft checks
+ */
+
+const API_BASE_URL = (import.meta as any).env?.VITE_API_BASE_URL || '';
+
+function getAuthHeaders(): Record<string, string> {
+    const token = localStorage.getItem('auth_token');
+    const headers: Record<string, string> = {
+        'Content-Type': 'application/json',
+    };
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    return headers;
+}
+
+function handleUnauthorized(): { status: string; message: string } {
+    localStorage.removeItem('auth_token');
+    localStorage.removeItem('user');
+    window.location.href = '/';
+    return { status: 'error', message: 'Unauthorized' };
+}
+
+export interface TagConfigChange {
+    path: string;
+    change: 'added' | 'removed' | 'changed';
+    before?: any;
+    after?: any;
+}
+
+export interface TagConfigVersion {
+    id: number;
+    version: number;
+    created_at: string;
+    created_by: string | null;
+    created_by_name: string | null;
+    change_note: string | null;
+    diff: TagConfigChange[];
+    rolled_back_from: number | null;
+}
+
+export interface TagRule {
+    condition: string;
+    tags: string[];
+    description?: string;
+    priority?: number;
+    stopProcessing?: boolean;
+}
+
+export interface TagGroup {
+    name: string;
+    tags: string[];
+}
+
+export interface TagConfig {
+    rules: TagRule[];
+    tags: string[];
+    defaultTags?: string[];
+    tagGroups?: TagGroup[];
+    tagSurcharges?: Record<string, number>;
+    version?: number;
+    lastUpdated?: string;
+    updatedBy?: string | null;
+}
+
+export interface TagConfigError {
+    rule: number | null;
+    field: string;
+    message: string;
+}
+
+export interface TagConflictWarning {
+    rules: [number, number];
+    group: string;
+    tags: [string, string];
+    message: string;
+}
+
+export interface TagConfigCheck {
+    valid: boolean;
+    errors: TagConfigError[];
+    warnings: TagConflictWarning[];
+}
+
+export interface TagConfigComparison {
+    from: TagConfig;
+    to: TagConfig;
+    diff: TagConfigChange[];
+}
+
+/**
+ * List tag configuration versions, newest first
+ */
+export async function listVersions(limit = 50): Promise<{ status: string; data?: { versions: TagConfigVersion[]; total: number }; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/tookan/tags/config/versions?limit=${limit}`, {
+            method: 'GET',
+            headers: getAuthHeaders(),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to list tag configuration versions' };
+    }
+}
+
+/**
+ * Compare two tag configuration versions
+ */
+export async function compareVersions(from: number, to: number): Promise<{ status: string; data?: TagConfigComparison; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/tookan/tags/config/compare?from=${from}&to=${to}`, {
+            method: 'GET',
+            headers: getAuthHeaders(),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to compare versions' };
+    }
+}
+
+/**
+ * Restore an earlier version (saved as a new version)
+ */
+export async function rollbackToVersion(version: number): Promise<{ status: string; data?: TagConfig; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/tookan/tags/config/rollback`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ version }),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to roll back tag configuration' };
+    }
+}
+
+/**
+ * Check a draft configuration without saving it: rule errors and conflicting tag warnings
+ */
+export async function checkConfig(config: Partial<TagConfig>): Promise<{ status: string; data?: TagConfigCheck; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/tookan/tags/config/check`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify(config),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to check tag configuration' };
+    }
+}
@@ -4,6 +4,8 @@
  * Handles all Tookan API interactions
  */
 
+import type { TagConfigError, TagConflictWarning } from './tagConfigService';
+
 // Default to same-origin API when no base URL is provided (production on Vercel)
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || '';
 
@@ -1312,10 +1314,11 @@ export async function getTagConfig(): Promise<TookanApiResponse<TagConfig>> {
 
 /**
  * Update tag configuration
+ * Returns the invalid rules when rejected, and the conflicting tag warnings when saved
  */
 export async function updateTagConfig(
   config: TagConfig
-): Promise<TookanApiResponse<TagConfig>> {
+): Promise<TookanApiResponse<TagConfig> & { errors?: TagConfigError[]; warnings?: TagConflictWarning[] }> {
   try {
     const response = await fetch(`${API_BASE_URL}/api/tookan/tags/config`, {
       method: 'PUT',
@@ -1332,6 +1335,7 @@ export async function updateTagConfig(
         entity: 'tag',
         message: data.message || 'Failed to update tag configuration',
         data: {},
+        errors: data.data?.errors || [],
       };
     }
 
@@ -1341,6 +1345,7 @@ export async function updateTagConfig(
       entity: 'tag',
       message: data.message || 'Tag configuration updated successfully',
       data: data.data || {},
+      warnings: data.warnings || [],
     };
   } catch (error) {
     console.error('Update tag config error:', error);
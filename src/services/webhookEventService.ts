@@ -0,0 +1,137 @@
+/**
+ * Webhook Event Service
+ *
+ * Admin access to the Tookan webhook dead-letter queue
+ */
+
+const API_BASE_URL = (import.meta as any).env?.VITE_API_BASE_URL || '';
+
+function getAuthHeaders(): Record<string, string> {
+    const token = localStorage.getItem('auth_token');
+    const headers: Record<string, string> = {
+        'Content-Type': 'application/json',
+    };
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    return headers;
+}
+
+function handleUnauthorized(): { status: string; message: string } {
+    localStorage.removeItem('auth_token');
+    localStorage.removeItem('user');
+    window.location.href = '/';
+    return { status: 'error', message: 'Unauthorized' };
+}
+
+export type WebhookErrorCode = 'unknown_event_type' | 'invalid_payload';
+
+export interface WebhookEvent {
+    id: number;
+    event_type: string;
+    job_id: number | null;
+    payload: Record<string, any>;
+    status: 'pending' | 'processed' | 'failed' | 'rejected' | 'dead_letter' | 'discarded';
+    retry_count: number;
+    last_retry_at: string | null;
+    error_message: string | null;
+    error_code: WebhookErrorCode | null;
+    dead_lettered_at: string | null;
+    created_at: string;
+}
+
+export interface DeadLetterGroup {
+    error_message: string;
+    error_code: WebhookErrorCode | null;
+    count: number;
+    latest_at: string | null;
+    events: WebhookEvent[];
+}
+
+export interface BulkActionResult {
+    replayed?: number[];
+    discarded?: number[];
+    skipped: number[];
+}
+
+/**
+ * List dead-lettered events grouped by error message
+ */
+export async function listDeadLetters(): Promise<{ status: string; data?: { groups: DeadLetterGroup[]; total: number }; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/webhooks/dead-letter`, {
+            method: 'GET',
+            headers: getAuthHeaders(),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to list dead-lettered events' };
+    }
+}
+
+/**
+ * Get a dead-lettered event with the current local task
+ */
+export async function getDeadLetter(eventId: number): Promise<{ status: string; data?: { event: WebhookEvent; localTask: Record<string, any> | null }; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/webhooks/dead-letter/${eventId}`, {
+            method: 'GET',
+            headers: getAuthHeaders(),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to load event' };
+    }
+}
+
+/**
+ * Send dead-lettered events back to the webhook processor
+ */
+export async function replayDeadLetters(ids: number[]): Promise<{ status: string; data?: BulkActionResult; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/webhooks/dead-letter/replay`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ ids }),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to replay events' };
+    }
+}
+
+/**
+ * Discard dead-lettered events with a reason
+ */
+export async function discardDeadLetters(ids: number[], reason: string): Promise<{ status: string; data?: BulkActionResult; message?: string }> {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/webhooks/dead-letter/discard`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ ids, reason }),
+        });
+
+        if (response.status === 401) {
+            return handleUnauthorized();
+        }
+
+        return await response.json();
+    } catch (error: any) {
+        return { status: 'error', message: error.message || 'Failed to discard events' };
+    }
+}
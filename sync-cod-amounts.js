@@ -24,12 +24,6 @@ require('dotenv').config();
 const { fetchJobDetailsForJobIds } = require('./server/services/orderSyncService');
 const { supabase, isConfigured } = require('./server/db/supabase');
 
-// Parse command line arguments
-const args = process.argv.slice(2);
-const syncAll = args.includes('--all') || args.includes('-a');
-const showStatus = args.includes('--status') || args.includes('-s');
-const showHelp = args.includes('--help') || args.includes('-h');
-const isToday = args.includes('--today') || args.includes('-t');
 // Calculate current date in Bahrain time (UTC+3)
 const getBahrainDateString = () => {
   const now = new Date();
@@ -38,14 +32,6 @@ const getBahrainDateString = () => {
   return bahrainTime.toISOString().split('T')[0];
 };
 
-const todayStr = getBahrainDateString();
-const limitArg = args.find(a => a.startsWith('--limit='));
-const limit = limitArg ? parseInt(limitArg.split('=')[1]) : null;
-const dateFromArg = args.find(a => a.startsWith('--from=')); // e.g. --from=2023-01-01
-const dateFrom = isToday ? todayStr : (dateFromArg ? dateFromArg.split('=')[1] : null);
-const dateToArg = args.find(a => a.startsWith('--to='));     // e.g. --to=2023-01-31
-const dateTo = isToday ? todayStr : (dateToArg ? dateToArg.split('=')[1] : null);
-
 const BATCH_SIZE = 50; // Tookan limits job_ids to 50 per request
 
 function printHelp() {
@@ -162,11 +148,6 @@ async function syncCodAmounts(options = {}) {
     console.log(`   Supabase URL: ${process.env.SUPABASE_URL}`);
     console.log('='.repeat(50));
 
-    if (showStatus) {
-        await showCodStatus();
-        process.exit(0);
-    }
-
     try {
         // Fetch tasks that need COD sync with pagination (Supabase default limit is 1000)
         const PAGE_SIZE = 1000;
@@ -229,7 +210,7 @@ async function syncCodAmounts(options = {}) {
 
         if (allJobIds.length === 0) {
             console.log('\n✅ No tasks need COD sync');
-            process.exit(0);
+            return { success: true, processed: 0, updated: 0, errors: 0 };
         }
 
         console.log(`\n📋 Found ${allJobIds.length} total tasks to sync COD for`);
@@ -300,7 +281,7 @@ async function syncCodAmounts(options = {}) {
         console.log(`   Errors: ${totalErrors}`);
         console.log('='.repeat(50) + '\n');
 
-        return { success: true, updated: totalUpdated };
+        return { success: true, processed: jobIds.length, updated: totalUpdated, errors: totalErrors };
 
     } catch (error) {
         console.error('\n❌ FATAL ERROR');
@@ -311,23 +292,23 @@ async function syncCodAmounts(options = {}) {
     }
 }
 
-// Run if called directly
+// Run if called directly (the scheduler imports syncCodAmounts, so arguments are only read here)
 if (require.main === module) {
     const args = process.argv.slice(2);
     const syncAll = args.includes('--all') || args.includes('-a');
     const showStatus = args.includes('--status') || args.includes('-s');
     const showHelp = args.includes('--help') || args.includes('-h');
+    const isToday = args.includes('--today') || args.includes('-t');
+    const todayStr = getBahrainDateString();
     const limitArg = args.find(a => a.startsWith('--limit='));
     const limit = limitArg ? parseInt(limitArg.split('=')[1]) : null;
-    const dateFromArg = args.find(a => a.startsWith('--from='));
-
-    const dateToArg = args.find(a => a.startsWith('--to='));
-    const dateTo = dateToArg ? dateToArg.split('=')[1] : null;
+    const dateFromArg = args.find(a => a.startsWith('--from=')); // e.g. --from=2023-01-01
+    const dateFrom = isToday ? todayStr : (dateFromArg ? dateFromArg.split('=')[1] : null);
+    const dateToArg = args.find(a => a.startsWith('--to='));     // e.g. --to=2023-01-31
+    const dateTo = isToday ? todayStr : (dateToArg ? dateToArg.split('=')[1] : null);
     const jobIdArg = args.find(a => a.startsWith('--jobId=') || a.startsWith('--job=') || a.startsWith('--id='));
     const jobId = jobIdArg ? jobIdArg.split('=')[1] : null;
 
-
-
     if (showHelp) {
         printHelp();
         process.exit(0);
@@ -10,14 +10,14 @@
  * Usage:
  *   node sync-merchants.js          # Sync all merchants
  *   node sync-merchants.js --status # Show current merchant count
+ *
+ * Also run on a schedule by the server's job scheduler (sync_merchants).
  */
 
 require('dotenv').config();
 
 const { supabase, isConfigured } = require('./server/db/supabase');
-
-const args = process.argv.slice(2);
-const showStatus = args.includes('--status') || args.includes('-s');
+const tookanClient = require('./server/services/tookanClient');
 
 const TOOKAN_API_KEY = process.env.TOOKAN_API_KEY;
 const LIMIT = 50;
@@ -45,18 +45,21 @@ async function showMerchantStatus() {
     console.log('='.repeat(40));
 }
 
+/**
+ * @returns {Object} { success, fetched, upserted, errors }
+ */
 async function syncMerchants() {
     console.log('\n🚀 MERCHANT SYNC');
     console.log('='.repeat(40));
 
     if (!TOOKAN_API_KEY) {
         console.error('❌ TOOKAN_API_KEY not found in .env');
-        process.exit(1);
+        throw new Error('TOOKAN_API_KEY not found');
     }
 
     if (!isConfigured()) {
         console.error('❌ Supabase not configured');
-        process.exit(1);
+        throw new Error('Supabase not configured');
     }
 
     console.log(`✅ Tookan API Key: ${TOOKAN_API_KEY.substring(0, 10)}...`);
@@ -72,23 +75,16 @@ async function syncMerchants() {
 
     while (true) {
         try {
-            const response = await fetch('https://api.tookanapp.com/v2/viewCustomersWithPagination', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    api_key: TOOKAN_API_KEY,
-                    userType: 1,
-                    limit: LIMIT,
-                    offset
-                })
+            const data = await tookanClient.viewCustomersWithPagination({
+                userType: 1,
+                limit: LIMIT,
+                offset
             });
 
-            const data = await response.json();
-
-            if (data.status !== 200 || !data.data?.customerData) {
+            if (!tookanClient.isSuccess(data) || !data.data?.customerData) {
                 if (allMerchants.length === 0) {
                     console.error('❌ Tookan API error:', data.message || 'Unknown error');
-                    process.exit(1);
+                    throw new Error(`Tookan API error: ${data.message || 'Unknown error'}`);
                 }
                 break;
             }
@@ -103,7 +99,7 @@ async function syncMerchants() {
             offset += LIMIT;
         } catch (err) {
             console.error(`❌ Fetch error at offset ${offset}:`, err.message);
-            if (allMerchants.length === 0) process.exit(1);
+            if (allMerchants.length === 0) throw err;
             break;
         }
     }
@@ -156,11 +152,22 @@ async function syncMerchants() {
     console.log(`   Upserted: ${upserted}`);
     console.log(`   Errors: ${errors}`);
     console.log('='.repeat(40) + '\n');
+
+    return { success: true, fetched: allMerchants.length, upserted, errors };
 }
 
-// Run
-if (showStatus) {
-    showMerchantStatus().then(() => process.exit(0));
-} else {
-    syncMerchants().then(() => process.exit(0));
+// Run if called directly (the scheduler imports syncMerchants, so arguments are only read here)
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const showStatus = args.includes('--status') || args.includes('-s');
+
+    if (showStatus) {
+        showMerchantStatus().then(() => process.exit(0));
+    } else {
+        syncMerchants()
+            .then(() => process.exit(0))
+            .catch(() => process.exit(1));
+    }
 }
+
+module.exports = { syncMerchants };
@@ -9,6 +9,7 @@
 
 require('dotenv').config();
 const { createClient } = require('@supabase/supabase-js');
+const tookanClient = require('./server/services/tookanClient');
 
 const TOOKAN_API_KEY = process.env.TOOKAN_API_KEY;
 const SUPABASE_URL = process.env.SUPABASE_URL;
@@ -76,17 +77,9 @@ async function fetchAllAgentsFromTookan() {
     console.log('📡 Fetching agents from Tookan API...');
 
     try {
-        const response = await fetch('https://api.tookanapp.com/v2/get_all_fleets', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                api_key: TOOKAN_API_KEY
-            })
-        });
+        const data = await tookanClient.getAllFleets();
 
-        const data = await response.json();
-
-        if (data.status !== 200) {
+        if (!tookanClient.isSuccess(data)) {
             console.error('❌ Tookan API error:', data.message);
             return [];
         }
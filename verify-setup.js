@@ -8,6 +8,7 @@
 
 require('dotenv').config();
 const fetch = require('node-fetch');
+const tookanClient = require('./server/services/tookanClient');
 
 // Colors for console output
 const colors = {
@@ -173,15 +174,9 @@ async function checkTookan() {
   // Test Tookan API - Get Fleets (Drivers)
   logSubsection('Testing API Connection');
   try {
-    const fleetsResponse = await fetch('https://api.tookanapp.com/v2/get_all_fleets', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ api_key: apiKey })
-    });
-
-    const fleetsData = await fleetsResponse.json();
+    const fleetsData = await tookanClient.getAllFleets();
 
-    if (fleetsData.status === 200) {
+    if (tookanClient.isSuccess(fleetsData)) {
       const fleetCount = fleetsData.data?.length || 0;
       recordResult('tookan', 'Get Fleets (Drivers)', true, `Found ${fleetCount} drivers`);
     } else {
@@ -193,15 +188,9 @@ async function checkTookan() {
 
   // Test Get Customers (Form Users/Vendors)
   try {
-    const customersResponse = await fetch('https://api.tookanapp.com/v2/get_all_customers', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ api_key: apiKey })
-    });
+    const customersData = await tookanClient.getAllCustomers();
 
-    const customersData = await customersResponse.json();
-
-    if (customersData.status === 200) {
+    if (tookanClient.isSuccess(customersData)) {
       const customerCount = customersData.data?.length || 0;
       recordResult('tookan', 'Get Customers (Merchants)', true, `Found ${customerCount} customers/merchants`);
     } else {
@@ -213,19 +202,12 @@ async function checkTookan() {
 
   // Test Get Tasks
   try {
-    const tasksResponse = await fetch('https://api.tookanapp.com/v2/get_all_tasks', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        api_key: apiKey,
-        status: '0,1,2,3,4,5,6,7,8,9',
-        limit: 10
-      })
+    const tasksData = await tookanClient.getAllTasks({
+      status: '0,1,2,3,4,5,6,7,8,9',
+      limit: 10
     });
 
-    const tasksData = await tasksResponse.json();
-
-    if (tasksData.status === 200) {
+    if (tookanClient.isSuccess(tasksData)) {
       const taskCount = tasksData.data?.length || 0;
       recordResult('tookan', 'Get Tasks (Orders)', true, `Found ${taskCount} recent tasks`);
     } else {
@@ -238,20 +220,13 @@ async function checkTookan() {
   // Test Customer Wallet API
   logSubsection('Testing Customer Wallet API');
   try {
-    const walletResponse = await fetch('https://api.tookanapp.com/v2/fetch_customers_wallet', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        api_key: apiKey,
-        is_pagination: 1,
-        off_set: 0,
-        limit: 10
-      })
+    const walletData = await tookanClient.fetchCustomersWallet({
+      is_pagination: 1,
+      off_set: 0,
+      limit: 10
     });
 
-    const walletData = await walletResponse.json();
-
-    if (walletData.status === 200) {
+    if (tookanClient.isSuccess(walletData)) {
       const walletCount = walletData.data?.length || 0;
       recordResult('tookan', 'Fetch Customer Wallets', true, `API available (${walletCount} wallets)`);
     } else {